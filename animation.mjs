@@ -0,0 +1,113 @@
+/**
+ * GLITCHEDIT Animation Module
+ * Keyframed layer params and seeds, shared between browser and Node.js CLI
+ */
+
+import { effectRegistry } from './effects.mjs';
+import { isGroup } from './layers.mjs';
+
+export const EASINGS = ['linear', 'ease-in', 'ease-out', 'ease-in-out', 'hold'];
+
+const EASING_FUNCTIONS = {
+  linear: t => t,
+  'ease-in': t => t * t,
+  'ease-out': t => 1 - (1 - t) * (1 - t),
+  'ease-in-out': t => (t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t)),
+  hold: () => 0
+};
+
+export const DEFAULT_ANIMATION = { frameCount: 24, fps: 12 };
+
+// Timeline settings from a project file, clamped to sane ranges
+export function parseAnimationSettings(data) {
+  const int = (value, min, max, fallback) => (
+    Number.isFinite(value) ? Math.max(min, Math.min(max, Math.round(value))) : fallback
+  );
+  const frameCount = int(data?.frameCount, 2, 1000, DEFAULT_ANIMATION.frameCount);
+  return {
+    frameCount,
+    fps: int(data?.fps, 1, 60, DEFAULT_ANIMATION.fps),
+    frame: int(data?.frame, 0, frameCount - 1, 0)
+  };
+}
+
+// ========== KEYFRAMES ==========
+
+// A track is a list of { frame, value, easing } sorted by frame. `easing`
+// shapes the transition to the next keyframe. Before the first and after
+// the last keyframe the value holds.
+export function evaluateTrack(track, frame) {
+  if (frame <= track[0].frame) return track[0].value;
+  const last = track[track.length - 1];
+  if (frame >= last.frame) return last.value;
+
+  let i = 0;
+  while (track[i + 1].frame <= frame) i++;
+  const from = track[i], to = track[i + 1];
+  const t = (frame - from.frame) / (to.frame - from.frame);
+  return from.value + (to.value - from.value) * EASING_FUNCTIONS[from.easing](t);
+}
+
+// Add or replace the keyframe at `frame`, keeping the track sorted
+export function setKeyframe(track = [], frame, value, easing = null) {
+  const existing = track.find(k => k.frame === frame);
+  const keyframe = { frame, value, easing: easing || existing?.easing || 'linear' };
+  return [...track.filter(k => k.frame !== frame), keyframe].sort((a, b) => a.frame - b.frame);
+}
+
+export function hasKeyframes(layer) {
+  if (isGroup(layer)) return layer.layers.some(hasKeyframes);
+  return !!layer.keyframes && Object.keys(layer.keyframes).length > 0;
+}
+
+// Between keyframes a slider param lands off its step (8 -> 13 steps gives
+// 9.5), so it is snapped to the step and kept within the slider's range
+function snapParam(param, value) {
+  if (!param) return value;
+  const step = param.step || 1;
+  const snapped = +(Math.round(value / step) * step).toFixed(4);
+  return Math.max(param.min, Math.min(param.max, snapped));
+}
+
+// The stack as it is at `frame`: animated params and seeds are replaced by
+// their keyframed values (seeds rounded, params snapped to their sliders),
+// and the keyframes dropped so the result is a plain stack
+export function layersAtFrame(layers, frame) {
+  return layers.map(layer => {
+    if (isGroup(layer)) return { ...layer, layers: layersAtFrame(layer.layers, frame) };
+    if (!layer.keyframes) return layer;
+
+    const { keyframes, ...still } = layer;
+    const parameters = effectRegistry.get(layer.effectId)?.parameters || [];
+    still.params = { ...layer.params };
+    for (const [key, track] of Object.entries(keyframes)) {
+      const value = evaluateTrack(track, frame);
+      if (key === 'seed') {
+        still.seed = Math.round(value);
+      } else {
+        still.params[key] = snapParam(parameters.find(p => p.id === key), value);
+      }
+    }
+    return still;
+  });
+}
+
+// Validate a layer's keyframes read from a stack or project file. Tracks
+// may target `seed` or one of the effect's slider params.
+export function parseKeyframes(data, effect) {
+  if (!data || typeof data !== 'object') throw new Error('Keyframes must be an object');
+  const sliders = new Set(effect.parameters.filter(p => p.type === 'slider').map(p => p.id));
+  const keyframes = {};
+
+  for (const [key, entries] of Object.entries(data)) {
+    if (key !== 'seed' && !sliders.has(key)) throw new Error(`"${key}" is not an animatable param`);
+    if (!Array.isArray(entries)) throw new Error(`Keyframes for "${key}" must be an array`);
+    let track = [];
+    for (const entry of entries) {
+      if (!Number.isInteger(entry?.frame) || entry.frame < 0 || !Number.isFinite(entry.value)) continue;
+      track = setKeyframe(track, entry.frame, entry.value, EASINGS.includes(entry.easing) ? entry.easing : 'linear');
+    }
+    if (track.length > 0) keyframes[key] = track;
+  }
+  return keyframes;
+}
@@ -0,0 +1,22 @@
+/**
+ * GlitchEdit batch worker - renders one file per message
+ */
+
+import { parentPort, workerData } from "node:worker_threads";
+import { readFileSync, writeFileSync } from "node:fs";
+import { renderPNG } from "./render.js";
+import { reseedLayers } from "../layers.mjs";
+
+const { layers, renderOptions } = workerData;
+
+parentPort.on("message", ({ input, output, seed }) => {
+  const startTime = Date.now();
+  try {
+    const stack = seed === null ? layers : reseedLayers(layers, seed);
+    const result = renderPNG(readFileSync(input), stack, renderOptions);
+    writeFileSync(output, result);
+    parentPort.postMessage({ input, output, seed, bytes: result.length, durationMs: Date.now() - startTime, error: null });
+  } catch (err) {
+    parentPort.postMessage({ input, output, seed, bytes: 0, durationMs: Date.now() - startTime, error: err.message });
+  }
+});
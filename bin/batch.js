@@ -0,0 +1,198 @@
+/**
+ * GlitchEdit batch renderer - applies one layer stack to many PNGs
+ * across a pool of worker threads
+ */
+
+import { readdirSync, statSync, existsSync, mkdirSync } from "node:fs";
+import { Worker } from "node:worker_threads";
+import { availableParallelism, cpus } from "node:os";
+import { join, dirname, basename, extname, relative, sep } from "node:path";
+
+const GLOB_CHARS = /[*?[]/;
+
+// Resolve a directory, glob or single file into a sorted list of PNG paths
+export function expandInputs(pattern) {
+  if (existsSync(pattern) && statSync(pattern).isDirectory()) {
+    return readdirSync(pattern)
+      .filter(name => extname(name).toLowerCase() === ".png")
+      .map(name => join(pattern, name))
+      .sort();
+  }
+
+  if (!GLOB_CHARS.test(pattern)) {
+    return existsSync(pattern) ? [pattern] : [];
+  }
+
+  // Walk from the deepest directory that has no glob characters
+  const segments = pattern.split(/[\\/]/);
+  const firstGlob = segments.findIndex(s => GLOB_CHARS.test(s));
+  const baseDir = segments.slice(0, firstGlob).join(sep) || ".";
+  const regex = globToRegExp(segments.slice(firstGlob).join("/"));
+  const recursive = pattern.includes("**");
+
+  const matches = [];
+  const walk = (dir) => {
+    for (const entry of readdirSync(dir, { withFileTypes: true })) {
+      const path = join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (recursive) walk(path);
+      } else if (regex.test(relative(baseDir, path).split(sep).join("/"))) {
+        matches.push(path);
+      }
+    }
+  };
+  if (existsSync(baseDir)) walk(baseDir);
+
+  return matches.filter(p => extname(p).toLowerCase() === ".png").sort();
+}
+
+// Convert a glob (*, ?, **, [abc]) into an anchored regular expression
+export function globToRegExp(glob) {
+  let source = "";
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*" && glob[i + 1] === "*") {
+      // "**/" matches zero or more directories
+      source += glob[i + 2] === "/" ? "(?:.*/)?" : ".*";
+      i += glob[i + 2] === "/" ? 2 : 1;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "[") {
+      const end = glob.indexOf("]", i);
+      if (end === -1) {
+        source += "\\[";
+      } else {
+        source += glob.slice(i, end + 1);
+        i = end;
+      }
+    } else {
+      source += char.replace(/[.+^${}()|\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+// Most seeds one batch renders per file; a typo like 1-1000000000 would
+// otherwise queue a billion renders
+export const MAX_SEEDS = 10000;
+
+// Parse "1-10", "3,7,42" or a mix like "1-3,10" into a list of seeds
+export function parseSeedList(value) {
+  const seeds = [];
+  for (const part of String(value).split(",")) {
+    const range = part.trim().match(/^(\d+)(?:-(\d+))?$/);
+    if (!range) {
+      throw new Error(`Invalid seed list "${value}"`);
+    }
+    const from = parseInt(range[1], 10);
+    const to = range[2] !== undefined ? parseInt(range[2], 10) : from;
+    if (seeds.length + Math.abs(to - from) + 1 > MAX_SEEDS) {
+      throw new Error(`Seed list "${value}" has more than ${MAX_SEEDS} seeds`);
+    }
+    for (let seed = Math.min(from, to); seed <= Math.max(from, to); seed++) {
+      seeds.push(seed);
+    }
+  }
+  return seeds;
+}
+
+// Output path for one job: name_glitched.png, or name_s<seed>.png per seed.
+// Subdirectories below the inputs' common directory are mirrored.
+function outputPathFor(input, baseDir, outputDir, seed) {
+  const name = basename(input, extname(input));
+  const suffix = seed === null ? "_glitched" : `_s${seed}`;
+  return join(outputDir, relative(baseDir, dirname(input)), `${name}${suffix}.png`);
+}
+
+function commonDirectory(paths) {
+  const split = paths.map(p => dirname(p).split(/[\\/]/));
+  const common = split[0].slice();
+  for (const parts of split.slice(1)) {
+    let i = 0;
+    while (i < common.length && parts[i] === common[i]) i++;
+    common.length = i;
+  }
+  return common.join(sep) || ".";
+}
+
+function defaultJobs() {
+  return typeof availableParallelism === "function" ? availableParallelism() : cpus().length;
+}
+
+// Render every input (x every seed) and resolve with a summary report.
+// `renderOptions` are passed to renderPNG() for every file.
+export async function runBatch({ inputs, layers, outputDir, seeds = null, jobs = defaultJobs(), renderOptions = {}, onProgress }) {
+  const baseDir = commonDirectory(inputs);
+  const tasks = [];
+  for (const input of inputs) {
+    for (const seed of seeds || [null]) {
+      tasks.push({ input, output: outputPathFor(input, baseDir, outputDir, seed), seed });
+    }
+  }
+
+  for (const dir of new Set(tasks.map(t => dirname(t.output)))) {
+    mkdirSync(dir, { recursive: true });
+  }
+
+  const startTime = Date.now();
+  const results = [];
+  const workers = [];
+  let next = 0;
+
+  const runWorker = () => new Promise((resolve, reject) => {
+    const worker = new Worker(new URL("./batch-worker.js", import.meta.url), {
+      workerData: { layers, renderOptions },
+    });
+    workers.push(worker);
+    let finished = false;
+
+    const dispatch = () => {
+      if (next >= tasks.length) {
+        finished = true;
+        worker.terminate().then(resolve);
+        return;
+      }
+      worker.postMessage(tasks[next++]);
+    };
+
+    worker.on("message", (result) => {
+      results.push(result);
+      if (onProgress) onProgress(results.length, tasks.length);
+      dispatch();
+    });
+    worker.on("error", reject);
+    // A worker that dies without an error event (process.exit, out of
+    // memory) would otherwise leave its task pending forever
+    worker.on("exit", (code) => {
+      if (!finished) reject(new Error(`Batch worker exited with code ${code}`));
+    });
+    dispatch();
+  });
+
+  const poolSize = Math.max(1, Math.min(jobs || 1, tasks.length));
+  try {
+    await Promise.all(Array.from({ length: poolSize }, runWorker));
+  } catch (err) {
+    // A crashed worker fails the batch; stop the rest of the pool too, or
+    // they keep rendering and hold the process open
+    next = tasks.length;
+    await Promise.all(workers.map(worker => worker.terminate()));
+    throw err;
+  }
+
+  // Keep report order stable regardless of which worker finished first
+  const order = new Map(tasks.map((t, i) => [t.output, i]));
+  results.sort((a, b) => order.get(a.output) - order.get(b.output));
+
+  const failed = results.filter(r => r.error).length;
+  return {
+    total: tasks.length,
+    succeeded: tasks.length - failed,
+    failed,
+    jobs: poolSize,
+    durationMs: Date.now() - startTime,
+    results,
+  };
+}
@@ -1,19 +1,39 @@
 #!/usr/bin/env node
 /**
- * GlitchEdit CLI - Serves the bundled app on an available port
+ * GlitchEdit CLI - Serves the bundled app on an available port,
+ * or renders layer stacks onto PNG files headlessly
  */
 
 import { createServer } from "node:http";
-import { readFileSync, existsSync } from "node:fs";
+import { readFileSync, writeFileSync, existsSync } from "node:fs";
 import { fileURLToPath } from "node:url";
-import { dirname, join } from "node:path";
+import { dirname, join, basename, extname } from "node:path";
 import { exec } from "node:child_process";
+import { loadLayerStack, renderPNG, OUTPUT_FORMATS, INTERLACE_METHODS } from "./render.js";
+import { FILTER_STRATEGIES } from "../png.mjs";
+import { expandInputs, parseSeedList, runBatch } from "./batch.js";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const rootDir = join(__dirname, "..");
 
 const DEFAULT_PORT = 3000;
 const MAX_PORT_ATTEMPTS = 100;
+const COMMANDS = ["serve", "render", "batch"];
+
+// Options that take a value, as "--name value" or "--name=value"
+const VALUE_OPTIONS = {
+  "--stack": "stack",
+  "--output": "output",
+  "-o": "output",
+  "--seeds": "seeds",
+  "--jobs": "jobs",
+  "-j": "jobs",
+  "--report": "report",
+  "--format": "format",
+  "--interlace": "interlace",
+  "--filter": "filter",
+  "--frame": "frame",
+};
 
 // Find the bundled HTML file
 function findHtmlFile() {
@@ -87,51 +107,204 @@ function openBrowser(url) {
   exec(command, { stdio: "ignore" });
 }
 
-// Parse CLI arguments
-function parseArgs() {
-  const args = process.argv.slice(2);
+// Parse CLI arguments into a command, positionals and options
+function parseArgs(args = process.argv.slice(2)) {
   const options = {
     port: DEFAULT_PORT,
     noBrowser: false,
     help: false,
   };
+  const positionals = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const [name, inlineValue] = arg.startsWith("--") ? arg.split(/=(.*)/s) : [arg];
 
-  for (const arg of args) {
     if (arg === "--help" || arg === "-h") {
       options.help = true;
     } else if (arg === "--no-browser") {
       options.noBrowser = true;
-    } else if (arg.startsWith("--port=")) {
-      options.port = parseInt(arg.split("=")[1], 10);
+    } else if (arg === "--filtered-bytes") {
+      options.filteredBytes = true;
+    } else if (name === "--port") {
+      options.port = parseInt(inlineValue ?? args[++i], 10);
+    } else if (name in VALUE_OPTIONS) {
+      options[VALUE_OPTIONS[name]] = inlineValue ?? args[++i];
+    } else {
+      positionals.push(arg);
     }
   }
 
-  return options;
+  const command = COMMANDS.includes(positionals[0]) ? positionals.shift() : "serve";
+  return { command, positionals, options };
 }
 
-// Main
-async function main() {
-  const options = parseArgs();
-
-  if (options.help) {
-    console.log(`
+const HELP = `
 GlitchEdit - PNG Glitch Art Editor
 
 Usage: glitchedit [options]
+       glitchedit render <input.png> --stack <stack.json> [-o <output.png>]
+       glitchedit batch <dir|glob> --stack <stack.json> [-o <dir>] [--seeds 1-10]
+
+Commands:
+  serve           Start the editor server (default)
+  render          Apply a saved layer stack to a PNG file
+  batch           Apply a saved layer stack to every matching PNG
 
 Options:
   --port=PORT     Start server on specified port (default: 3000)
   --no-browser    Don't open browser automatically
+  --stack FILE    Layer stack JSON exported from the editor
+  -o, --output    Output file (render, default: <input>_glitched.png)
+                  or directory (batch, default: ./glitched)
+  --seeds LIST    Render one variant per seed, e.g. 1-20 or 3,7,42
+                  (batch, up to 10000 seeds)
+  -j, --jobs N    Number of parallel workers (batch, default: CPU count)
+  --report FILE   Write a JSON summary report (batch)
+  --format FMT    Output pixel format: source (keep the input's color type
+                  and bit depth, default) or rgba8
+  --interlace M   Output interlacing: none or adam7 (default: as input)
+  --filter NAME   PNG filter strategy: none, sub, up, average, paeth,
+                  adaptive (default) or random (per row)
+  --frame N       Animation frame to render keyframed params at (default: 0)
+  --filtered-bytes
+                  Apply the layers to the filtered scanlines instead of
+                  decoded pixels (classic databending look)
   -h, --help      Show this help message
 
 Examples:
   glitchedit                    # Start on port 3000, open browser
   glitchedit --port=8080        # Start on port 8080
   glitchedit --no-browser       # Start without opening browser
-`);
+  glitchedit render in.png --stack vhs.json -o out.png
+  glitchedit batch "assets/**/*.png" --stack vhs.json --seeds 1-5 -j 4
+`;
+
+// Default output path: input.png -> input_glitched.png
+function defaultOutputPath(inputPath) {
+  const ext = extname(inputPath);
+  return join(dirname(inputPath), basename(inputPath, ext) + "_glitched.png");
+}
+
+// renderPNG() options from the command line, falling back to the stack
+// file's own options. Exits on invalid values, before any file is touched.
+function getRenderOptions(options, stack) {
+  if (options.format && !OUTPUT_FORMATS.includes(options.format)) {
+    console.error(`Error: Unknown output format "${options.format}" (expected ${OUTPUT_FORMATS.join(" or ")})`);
+    process.exit(1);
+  }
+  if (options.interlace && !Object.hasOwn(INTERLACE_METHODS, options.interlace)) {
+    console.error(`Error: Unknown interlace method "${options.interlace}" (expected none or adam7)`);
+    process.exit(1);
+  }
+  if (options.filter && !FILTER_STRATEGIES.includes(options.filter)) {
+    console.error(`Error: Unknown filter strategy "${options.filter}" (expected ${FILTER_STRATEGIES.join(", ")})`);
+    process.exit(1);
+  }
+  const frame = options.frame === undefined ? 0 : Number(options.frame);
+  if (!Number.isInteger(frame) || frame < 0) {
+    console.error(`Error: Invalid frame "${options.frame}" (expected a whole number from 0)`);
+    process.exit(1);
+  }
+
+  return {
+    format: options.format,
+    interlace: options.interlace,
+    filter: options.filter,
+    filteredBytes: options.filteredBytes || stack.filteredBytes,
+    frame,
+  };
+}
+
+// Render command
+function render(positionals, options) {
+  const [inputPath] = positionals;
+  if (!inputPath || !options.stack) {
+    console.error("Error: render requires an input file and --stack");
+    console.error("Usage: glitchedit render <input.png> --stack <stack.json> [-o <output.png>]");
+    process.exit(1);
+  }
+
+  const stack = loadLayerStack(options.stack);
+  const outputPath = options.output || defaultOutputPath(inputPath);
+  const output = renderPNG(readFileSync(inputPath), stack.layers, getRenderOptions(options, stack));
+  writeFileSync(outputPath, output);
+
+  const enabled = stack.layers.filter(l => l.enabled).length;
+  console.log(`Rendered ${inputPath} -> ${outputPath} (${enabled} layer${enabled === 1 ? "" : "s"})`);
+}
+
+// Batch command
+async function batch(positionals, options) {
+  const [pattern] = positionals;
+  if (!pattern || !options.stack) {
+    console.error("Error: batch requires a directory or glob and --stack");
+    console.error("Usage: glitchedit batch <dir|glob> --stack <stack.json> [-o <dir>] [--seeds 1-10]");
+    process.exit(1);
+  }
+
+  const stack = loadLayerStack(options.stack);
+  const renderOptions = getRenderOptions(options, stack);
+
+  const inputs = expandInputs(pattern);
+  if (inputs.length === 0) {
+    console.error(`Error: No PNG files match ${pattern}`);
+    process.exit(1);
+  }
+
+  const report = await runBatch({
+    inputs,
+    layers: stack.layers,
+    outputDir: options.output || "glitched",
+    seeds: options.seeds ? parseSeedList(options.seeds) : null,
+    jobs: options.jobs ? parseInt(options.jobs, 10) : undefined,
+    renderOptions,
+    onProgress: (done, total) => {
+      if (process.stdout.isTTY) process.stdout.write(`\rRendered ${done}/${total}...`);
+    },
+  });
+
+  console.log(`\n${report.succeeded} succeeded, ${report.failed} failed in ${(report.durationMs / 1000).toFixed(1)}s`);
+  for (const result of report.results) {
+    if (result.error) {
+      console.error(`  ✗ ${result.input}${result.seed !== null ? ` (seed ${result.seed})` : ""}: ${result.error}`);
+    }
+  }
+
+  if (options.report) {
+    writeFileSync(options.report, JSON.stringify(report, null, 2));
+    console.log(`Report written to ${options.report}`);
+  }
+
+  if (report.failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+// Main
+async function main() {
+  const { command, positionals, options } = parseArgs();
+
+  if (options.help) {
+    console.log(HELP);
     process.exit(0);
   }
 
+  if (command === "render") {
+    render(positionals, options);
+    return;
+  }
+
+  if (command === "batch") {
+    await batch(positionals, options);
+    return;
+  }
+
+  await serve(options);
+}
+
+// Serve command
+async function serve(options) {
   const htmlPath = findHtmlFile();
   const samplePath = findSamplePng();
 
@@ -180,6 +353,6 @@ Examples:
 }
 
 main().catch((err) => {
-  console.error("Failed to start server:", err);
+  console.error("Error:", err.message || err);
   process.exit(1);
 });
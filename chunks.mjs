@@ -0,0 +1,427 @@
+/**
+ * GLITCHEDIT Chunks Module
+ * Known PNG chunks decoded into editable fields and encoded back, and structural
+ * chunk operations for the chunk navigator, shared between browser and Node.js
+ */
+
+import { createChunk, readITXt, readUint32, writeUint32 } from './png.mjs';
+
+// ========== FIELD LAYOUTS ==========
+
+const COLOR_TYPES = [
+  { value: 0, label: 'Grayscale' },
+  { value: 2, label: 'RGB' },
+  { value: 3, label: 'Indexed' },
+  { value: 4, label: 'Grayscale + alpha' },
+  { value: 6, label: 'RGBA' }
+];
+
+// Fixed-layout chunks: big-endian unsigned fields of `size` bytes. Values
+// are divided by `scale` for display (gAMA and cHRM store 1/100000ths).
+const STRUCTS = {
+  IHDR: [
+    { id: 'width', label: 'Width', size: 4 },
+    { id: 'height', label: 'Height', size: 4 },
+    { id: 'bitDepth', label: 'Bit depth', size: 1, options: [1, 2, 4, 8, 16].map(v => ({ value: v, label: `${v}` })) },
+    { id: 'colorType', label: 'Color type', size: 1, options: COLOR_TYPES },
+    { id: 'compression', label: 'Compression', size: 1 },
+    { id: 'filter', label: 'Filter method', size: 1 },
+    { id: 'interlace', label: 'Interlace', size: 1, options: [{ value: 0, label: 'None' }, { value: 1, label: 'Adam7' }] }
+  ],
+  gAMA: [{ id: 'gamma', label: 'Gamma', size: 4, scale: 100000 }],
+  cHRM: ['white', 'red', 'green', 'blue'].flatMap(point => ['x', 'y'].map(axis => ({
+    id: `${point}${axis.toUpperCase()}`, label: `${point[0].toUpperCase()}${point.slice(1)} ${axis}`, size: 4, scale: 100000
+  }))),
+  sRGB: [{
+    id: 'intent', label: 'Rendering intent', size: 1, options: [
+      { value: 0, label: 'Perceptual' },
+      { value: 1, label: 'Relative colorimetric' },
+      { value: 2, label: 'Saturation' },
+      { value: 3, label: 'Absolute colorimetric' }
+    ]
+  }],
+  pHYs: [
+    { id: 'x', label: 'Pixels per unit, X', size: 4 },
+    { id: 'y', label: 'Pixels per unit, Y', size: 4 },
+    { id: 'unit', label: 'Unit', size: 1, options: [{ value: 0, label: 'Unknown (aspect ratio)' }, { value: 1, label: 'Meter' }] }
+  ],
+  tIME: [
+    { id: 'year', label: 'Year', size: 2 },
+    { id: 'month', label: 'Month', size: 1, min: 1, max: 12 },
+    { id: 'day', label: 'Day', size: 1, min: 1, max: 31 },
+    { id: 'hour', label: 'Hour', size: 1, max: 23 },
+    { id: 'minute', label: 'Minute', size: 1, max: 59 },
+    { id: 'second', label: 'Second', size: 1, max: 60 }
+  ]
+};
+
+export const INSPECTABLE_CHUNKS = [...Object.keys(STRUCTS), 'PLTE', 'tRNS', 'iCCP', 'tEXt', 'zTXt', 'iTXt'];
+
+function readUint(data, offset, size) {
+  if (size === 4) return readUint32(data, offset);
+  return size === 2 ? (data[offset] << 8) | data[offset + 1] : data[offset];
+}
+
+function writeUint(data, offset, size, value) {
+  if (size === 4) {
+    writeUint32(data, offset, value);
+  } else if (size === 2) {
+    data[offset] = (value >> 8) & 0xFF;
+    data[offset + 1] = value & 0xFF;
+  } else {
+    data[offset] = value;
+  }
+}
+
+// ========== TEXT ==========
+
+const textEncoder = new TextEncoder();
+
+function latin1(bytes) {
+  let text = '';
+  for (let i = 0; i < bytes.length; i += 8192) text += String.fromCharCode(...bytes.subarray(i, i + 8192));
+  return text;
+}
+
+function latin1Bytes(text, what) {
+  return Uint8Array.from(text, char => {
+    const code = char.charCodeAt(0);
+    if (code > 0xFF) throw new Error(`${what} can only hold Latin-1 characters`);
+    return code;
+  });
+}
+
+function keywordBytes(keyword) {
+  if (keyword.length < 1 || keyword.length > 79 || keyword.includes('\0')) {
+    throw new Error('Keywords are 1 to 79 characters long');
+  }
+  return latin1Bytes(keyword, 'Keywords');
+}
+
+function concat(...parts) {
+  const data = new Uint8Array(parts.reduce((n, part) => n + part.length, 0));
+  let pos = 0;
+  for (const part of parts) {
+    data.set(part, pos);
+    pos += part.length;
+  }
+  return data;
+}
+
+// Inflated text, or null if there's no `inflate` or the stream is broken
+function tryInflate(bytes, inflate) {
+  if (!inflate) return null;
+  try {
+    return inflate(bytes);
+  } catch (e) {
+    return null;
+  }
+}
+
+// ========== DECODING ==========
+
+const hex = byte => byte.toString(16).padStart(2, '0');
+
+// The chunk's fields as [{ id, label, type, value, ... }], or null if the
+// chunk isn't one we know or is too short to decode. `type` is one of
+// number (with min, max, step), select (options), text, textarea,
+// checkbox, palette (a list of #rrggbb colors), hex (bytes as hex text) or
+// info (read-only). Compressed text needs an `inflate(bytes)` function.
+export function decodeChunkFields(buffer, chunks, chunk, { inflate = null } = {}) {
+  const data = buffer.subarray(chunk.dataOffset, chunk.dataOffset + chunk.dataLength);
+  const struct = STRUCTS[chunk.type];
+
+  if (struct) {
+    if (data.length < structSize(struct)) return null;
+    let offset = 0;
+    return struct.map(field => {
+      const value = readUint(data, offset, field.size) / (field.scale || 1);
+      offset += field.size;
+      if (field.options) return { id: field.id, label: field.label, type: 'select', value, options: field.options };
+      return {
+        id: field.id, label: field.label, type: 'number', value,
+        min: field.min ?? 0, max: field.max ?? (2 ** (8 * field.size) - 1) / (field.scale || 1), step: 1 / (field.scale || 1)
+      };
+    });
+  }
+
+  switch (chunk.type) {
+    case 'PLTE': {
+      const colors = [];
+      for (let i = 0; i + 3 <= data.length; i += 3) colors.push(`#${hex(data[i])}${hex(data[i + 1])}${hex(data[i + 2])}`);
+      return [{ id: 'colors', label: `${colors.length} colors`, type: 'palette', value: colors }];
+    }
+    case 'tRNS': {
+      const colorType = imageColorType(buffer, chunks);
+      if (colorType === 3) {
+        return [{ id: 'alpha', label: 'Alpha per palette entry', type: 'hex', value: [...data].map(hex).join(' ').toUpperCase() }];
+      }
+      const channels = colorType === 0 ? ['gray'] : colorType === 2 ? ['red', 'green', 'blue'] : null;
+      if (!channels || data.length < channels.length * 2) return null;
+      return channels.map((id, i) => ({
+        id, label: `Transparent ${id}`, type: 'number', value: readUint(data, i * 2, 2), min: 0, max: 65535, step: 1
+      }));
+    }
+    case 'tEXt': {
+      const end = data.indexOf(0);
+      if (end < 0) return null;
+      return [
+        { id: 'keyword', label: 'Keyword', type: 'text', value: latin1(data.subarray(0, end)) },
+        { id: 'text', label: 'Text', type: 'textarea', value: latin1(data.subarray(end + 1)) }
+      ];
+    }
+    case 'zTXt': {
+      const end = data.indexOf(0);
+      if (end < 0 || end + 2 > data.length) return null;
+      const text = tryInflate(data.subarray(end + 2), inflate);
+      return [
+        { id: 'keyword', label: 'Keyword', type: 'text', value: latin1(data.subarray(0, end)) },
+        text
+          ? { id: 'text', label: 'Text', type: 'textarea', value: latin1(text) }
+          : { id: 'text', label: 'Text', type: 'info', value: `${data.length - end - 2} bytes that don't decompress` }
+      ];
+    }
+    case 'iTXt': {
+      let itxt;
+      try {
+        itxt = readITXt(buffer, chunk, inflate);
+      } catch (e) {
+        itxt = readITXt(buffer, chunk);
+      }
+      if (!itxt) return null;
+      const text = itxt.text;
+      return [
+        { id: 'keyword', label: 'Keyword', type: 'text', value: itxt.keyword },
+        { id: 'languageTag', label: 'Language', type: 'text', value: itxt.languageTag },
+        { id: 'translatedKeyword', label: 'Translated keyword', type: 'text', value: itxt.translatedKeyword },
+        { id: 'compressed', label: 'Compressed', type: 'checkbox', value: itxt.compressed },
+        text === null
+          ? { id: 'text', label: 'Text', type: 'info', value: "Compressed text that doesn't decompress" }
+          : { id: 'text', label: 'Text', type: 'textarea', value: text }
+      ];
+    }
+    case 'iCCP': {
+      const end = data.indexOf(0);
+      if (end < 0 || end + 2 > data.length) return null;
+      const profile = tryInflate(data.subarray(end + 2), inflate);
+      return [
+        { id: 'name', label: 'Profile name', type: 'text', value: latin1(data.subarray(0, end)) },
+        {
+          id: 'profile', label: 'Profile', type: 'info',
+          value: `${data.length - end - 2} bytes compressed${profile ? `, ${profile.length} bytes inflated` : ''}`
+        }
+      ];
+    }
+    default:
+      return null;
+  }
+}
+
+function structSize(struct) {
+  return struct.reduce((n, field) => n + field.size, 0);
+}
+
+function imageColorType(buffer, chunks) {
+  const ihdr = chunks.find(c => c.type === 'IHDR');
+  return ihdr && ihdr.dataLength >= 10 ? buffer[ihdr.dataOffset + 9] : null;
+}
+
+// ========== ENCODING ==========
+
+// New data for `chunk` with the fields in `values` (by id) changed; fields
+// that aren't given keep their decoded values, and bytes past the end of a
+// fixed layout are kept. Compressing text needs a `deflate(bytes)`
+// function. Throws on values that can't be stored.
+export function encodeChunkFields(buffer, chunks, chunk, values, { inflate = null, deflate = null } = {}) {
+  const fields = decodeChunkFields(buffer, chunks, chunk, { inflate });
+  if (!fields) throw new Error(`Can't decode the ${chunk.type} chunk`);
+  const value = id => (id in values ? values[id] : fields.find(f => f.id === id).value);
+  const data = buffer.subarray(chunk.dataOffset, chunk.dataOffset + chunk.dataLength);
+  const struct = STRUCTS[chunk.type];
+
+  if (struct) {
+    const result = data.slice();
+    let offset = 0;
+    for (const field of struct) {
+      const raw = Math.round(Number(value(field.id)) * (field.scale || 1));
+      const max = 2 ** (8 * field.size) - 1;
+      if (!Number.isFinite(raw) || raw < 0 || raw > max) {
+        throw new Error(`${field.label} must be between 0 and ${max / (field.scale || 1)}`);
+      }
+      writeUint(result, offset, field.size, raw);
+      offset += field.size;
+    }
+    return result;
+  }
+
+  switch (chunk.type) {
+    case 'PLTE':
+      return Uint8Array.from(value('colors').flatMap(color => {
+        if (!/^#[0-9a-f]{6}$/i.test(color)) throw new Error(`"${color}" is not a #rrggbb color`);
+        return [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16));
+      }));
+    case 'tRNS': {
+      if ('alpha' in values || fields[0].id === 'alpha') {
+        const digits = String(value('alpha')).replace(/\s+/g, '');
+        if (!/^([0-9a-fA-F]{2})*$/.test(digits)) throw new Error('Alpha values are pairs of hex digits');
+        return Uint8Array.from(digits.match(/../g) || [], pair => parseInt(pair, 16));
+      }
+      const result = data.slice();
+      fields.forEach((field, i) => {
+        const sample = Number(value(field.id));
+        if (!Number.isInteger(sample) || sample < 0 || sample > 65535) throw new Error(`${field.label} must be between 0 and 65535`);
+        writeUint(result, i * 2, 2, sample);
+      });
+      return result;
+    }
+    case 'tEXt':
+      return concat(keywordBytes(value('keyword')), [0], latin1Bytes(value('text'), 'tEXt text'));
+    case 'zTXt': {
+      const end = data.indexOf(0);
+      const compressed = 'text' in values
+        ? compress(latin1Bytes(values.text, 'zTXt text'), deflate)
+        : data.subarray(end + 2);
+      return concat(keywordBytes(value('keyword')), [0, 0], compressed);
+    }
+    case 'iTXt': {
+      const compressed = !!value('compressed');
+      const textField = fields.find(f => f.id === 'text');
+      if (textField.type === 'info' && !('text' in values)) throw new Error("The text doesn't decompress, so it can't be re-encoded");
+      const text = textEncoder.encode(value('text'));
+      return concat(
+        keywordBytes(value('keyword')), [0, compressed ? 1 : 0, 0],
+        latin1Bytes(value('languageTag'), 'Language tags'), [0],
+        textEncoder.encode(value('translatedKeyword')), [0],
+        compressed ? compress(text, deflate) : text
+      );
+    }
+    case 'iCCP': {
+      const end = data.indexOf(0);
+      return concat(keywordBytes(value('name')), [0], data.subarray(end + 1));
+    }
+    default:
+      throw new Error(`Can't encode the ${chunk.type} chunk`);
+  }
+}
+
+function compress(bytes, deflate) {
+  if (!deflate) throw new Error('Compressed text needs a deflate function');
+  return deflate(bytes);
+}
+
+// ========== OPERATIONS ==========
+
+// Chunk operations take the parsed `chunks` of `buffer` and indices into
+// them (0 is the signature, which stays put) and return the new buffer
+// with the index of the chunk to select afterwards, or -1. Bytes after the
+// last chunk are kept.
+
+function chunkParts(buffer, chunks) {
+  const last = chunks[chunks.length - 1];
+  return {
+    parts: chunks.slice(1).map(c => buffer.subarray(c.offset, c.offset + c.length)),
+    tail: buffer.subarray(last.offset + last.length)
+  };
+}
+
+function joinParts(buffer, parts, tail) {
+  return concat(buffer.subarray(0, 8), ...parts, tail);
+}
+
+function checkIndex(chunks, index) {
+  if (!Number.isInteger(index) || index < 1 || index >= chunks.length) {
+    throw new Error(index === 0 ? "The signature isn't a chunk" : `No chunk at index ${index}`);
+  }
+}
+
+export function deleteChunk(buffer, chunks, index) {
+  checkIndex(chunks, index);
+  const { parts, tail } = chunkParts(buffer, chunks);
+  parts.splice(index - 1, 1);
+  return { buffer: joinParts(buffer, parts, tail), index: -1 };
+}
+
+// The copy goes right after the original
+export function duplicateChunk(buffer, chunks, index) {
+  checkIndex(chunks, index);
+  const { parts, tail } = chunkParts(buffer, chunks);
+  parts.splice(index, 0, parts[index - 1]);
+  return { buffer: joinParts(buffer, parts, tail), index: index + 1 };
+}
+
+// Move chunk `from` so it ends up at index `to`
+export function moveChunk(buffer, chunks, from, to) {
+  checkIndex(chunks, from);
+  checkIndex(chunks, to);
+  const { parts, tail } = chunkParts(buffer, chunks);
+  parts.splice(to - 1, 0, ...parts.splice(from - 1, 1));
+  return { buffer: joinParts(buffer, parts, tail), index: to };
+}
+
+// Chunk types are four ASCII letters; a lowercase first letter marks an
+// ancillary chunk that decoders may skip
+export function isAncillaryType(type) {
+  return /^[a-z][A-Za-z]{3}$/.test(type);
+}
+
+// Insert a new ancillary chunk before chunk `index` (or at the end, when
+// `index` is the number of chunks)
+export function insertChunk(buffer, chunks, index, type, data = new Uint8Array(0)) {
+  if (!isAncillaryType(type)) {
+    throw new Error('New chunk types are four letters, starting with a lowercase one (ancillary)');
+  }
+  if (index !== chunks.length) checkIndex(chunks, index);
+  const { parts, tail } = chunkParts(buffer, chunks);
+  parts.splice(index - 1, 0, createChunk(type, data));
+  return { buffer: joinParts(buffer, parts, tail), index };
+}
+
+// Split an IDAT chunk into consecutive IDATs of at most `size` data bytes
+export function splitIDAT(buffer, chunks, index, size) {
+  checkIndex(chunks, index);
+  const chunk = chunks[index];
+  if (chunk.type !== 'IDAT') throw new Error(`Only IDAT chunks can be split, not ${chunk.type}`);
+  if (!Number.isInteger(size) || size < 1) throw new Error('The size must be a whole number of bytes');
+  if (chunk.dataLength <= size) throw new Error(`The IDAT holds only ${chunk.dataLength} bytes`);
+
+  const { parts, tail } = chunkParts(buffer, chunks);
+  const pieces = [];
+  for (let pos = 0; pos < chunk.dataLength; pos += size) {
+    const start = chunk.dataOffset + pos;
+    pieces.push(createChunk('IDAT', buffer.subarray(start, Math.min(start + size, chunk.dataOffset + chunk.dataLength))));
+  }
+  parts.splice(index - 1, 1, ...pieces);
+  return { buffer: joinParts(buffer, parts, tail), index };
+}
+
+// Merge the run of adjacent IDAT chunks around chunk `index` into one
+export function mergeIDATs(buffer, chunks, index) {
+  checkIndex(chunks, index);
+  if (chunks[index].type !== 'IDAT') throw new Error(`Only IDAT chunks can be merged, not ${chunks[index].type}`);
+  let first = index;
+  let last = index;
+  while (chunks[first - 1]?.type === 'IDAT') first--;
+  while (chunks[last + 1]?.type === 'IDAT') last++;
+  if (first === last) throw new Error('There are no adjacent IDAT chunks to merge');
+
+  const { parts, tail } = chunkParts(buffer, chunks);
+  const run = chunks.slice(first, last + 1);
+  const merged = createChunk('IDAT', concat(...run.map(c => buffer.subarray(c.dataOffset, c.dataOffset + c.dataLength))));
+  parts.splice(first - 1, run.length, merged);
+  return { buffer: joinParts(buffer, parts, tail), index: first };
+}
+
+// The smallest single splice that turns `before` into `after`, as
+// { offset, deleteCount, data }, so a chunk operation is one undo step
+export function diffSplice(before, after) {
+  const shorter = Math.min(before.length, after.length);
+  let start = 0;
+  while (start < shorter && before[start] === after[start]) start++;
+  let end = 0;
+  while (end < shorter - start && before[before.length - 1 - end] === after[after.length - 1 - end]) end++;
+  return {
+    offset: start,
+    deleteCount: before.length - start - end,
+    data: after.slice(start, after.length - end)
+  };
+}
@@ -3,6 +3,8 @@
  * Shared between browser and Node.js generator
  */
 
+import { adam7Passes, adam7PassIndex, paethPredictor } from './png.mjs';
+
 // ========== EFFECT REGISTRY ==========
 
 export const effectRegistry = new Map();
@@ -32,6 +34,18 @@ export function logScaleBidirectional(value, max, actualMax, power = 2.5) {
   return sign * Math.pow(Math.abs(value) / max, power) * actualMax;
 }
 
+// Effects are tuned for full-resolution images. Proxy previews render on a
+// downscaled copy and set imageInfo.scale (< 1), so distances in pixels are
+// multiplied by it and spatial frequencies divided by it to keep the look.
+export function pixelScale(imageInfo) {
+  return imageInfo.scale ?? 1;
+}
+
+// A pixel size (block, interval, thickness) at the image's scale, at least 1
+export function scaleSize(value, imageInfo) {
+  return Math.max(1, Math.round(value * pixelScale(imageInfo)));
+}
+
 // Fast sine lookup table (4096 entries = ~0.0015 rad resolution)
 const SINE_TABLE_SIZE = 4096;
 const SINE_TABLE = new Float32Array(SINE_TABLE_SIZE);
@@ -136,12 +150,120 @@ registerEffect({
   apply: (pixelData, imageInfo, params, seed) => {
     const result = new Uint8Array(pixelData);
     const rng = createSeededRNG(seed);
-    const { height, scanlineLength } = imageInfo;
+    const { height, scanlineLength, bytesPerPixel } = imageInfo;
     const prob = params.probability / 100;
 
     for (let y = 0; y < height; y++) {
-      if (rng() < prob) {
-        result[y * scanlineLength] = params.filterType;
+      if (rng() >= prob) continue;
+      const row = y * scanlineLength;
+      if (imageInfo.filtered) {
+        result[row] = params.filterType;
+        continue;
+      }
+
+      // Decoded pixels carry no filter: decode the row as if it had one
+      const prev = row - scanlineLength;
+      for (let i = 1; i < scanlineLength; i++) {
+        const a = i > bytesPerPixel ? result[row + i - bytesPerPixel] : 0;
+        const b = y > 0 ? result[prev + i] : 0;
+        const c = y > 0 && i > bytesPerPixel ? result[prev + i - bytesPerPixel] : 0;
+        switch (params.filterType) {
+          case 1: result[row + i] += a; break;
+          case 2: result[row + i] += b; break;
+          case 3: result[row + i] += (a + b) >> 1; break;
+          case 4: result[row + i] += paethPredictor(a, b, c); break;
+        }
+      }
+    }
+    return result;
+  }
+});
+
+// Interlace Glitch Effect (corrupts individual Adam7 passes)
+registerEffect({
+  id: 'interlace-glitch',
+  name: 'Interlace Glitch',
+  category: 'filter',
+  icon: '⋕',
+  parameters: [
+    { id: 'mode', type: 'dropdown', label: 'Mode', default: 'stall',
+      options: [
+        { value: 'stall', label: 'Stalled load' },
+        { value: 'shift', label: 'Pass shift' },
+        { value: 'corrupt', label: 'Pass corrupt' }
+      ]
+    },
+    { id: 'pass', type: 'dropdown', label: 'Pass', default: 0,
+      options: [
+        { value: 0, label: 'Random' },
+        { value: 1, label: '1 (1/64)' },
+        { value: 2, label: '2 (1/64)' },
+        { value: 3, label: '3 (1/32)' },
+        { value: 4, label: '4 (1/16)' },
+        { value: 5, label: '5 (1/8)' },
+        { value: 6, label: '6 (1/4)' },
+        { value: 7, label: '7 (1/2)' }
+      ]
+    },
+    { id: 'amount', type: 'slider', label: 'Amount', default: 30, min: 1, max: 100, step: 1, unit: '%' }
+  ],
+  apply: (pixelData, imageInfo, params, seed) => {
+    const result = new Uint8Array(pixelData);
+    const rng = createSeededRNG(seed);
+    const { width, height, bytesPerPixel, scanlineLength } = imageInfo;
+    const amount = params.amount / 100;
+    const passes = adam7Passes(width, height);
+    const offsetOf = (x, y) => y * scanlineLength + 1 + x * bytesPerPixel;
+    // Stack files can hold any number here; 0 picks passes at random
+    const chosenPass = Math.max(0, Math.min(7, Math.round(Number(params.pass)) || 0));
+
+    if (params.mode === 'stall') {
+      // Block size left on screen once the first N passes have arrived
+      const BLOCKS = [[8, 8], [4, 8], [4, 4], [2, 4], [2, 2], [1, 2]];
+
+      for (let bandY = 0; bandY < height; bandY += 8) {
+        if (rng() >= amount) continue;
+        // Loading stops before the chosen pass, so passes 1 and 2 both leave 8×8 blocks
+        const stallPass = chosenPass || 2 + Math.floor(rng() * 6);
+        const [bw, bh] = BLOCKS[Math.max(0, stallPass - 2)];
+
+        for (let y = bandY; y < Math.min(bandY + 8, height); y++) {
+          for (let x = 0; x < width; x++) {
+            if (adam7PassIndex(x, y) < stallPass - 1) continue;
+            const src = offsetOf(x - (x % bw), y - (y % bh));
+            const dst = offsetOf(x, y);
+            for (let c = 0; c < bytesPerPixel; c++) result[dst + c] = pixelData[src + c];
+          }
+        }
+      }
+      return result;
+    }
+
+    const selected = chosenPass ? [passes[chosenPass - 1]] : passes;
+    for (const pass of selected) {
+      for (let py = 0; py < pass.height; py++) {
+        if (rng() >= amount) continue;
+        const y = pass.y + py * pass.dy;
+
+        if (params.mode === 'shift') {
+          // Misaligned pass row: pixels land on their neighbours' positions
+          const maxShift = Math.max(1, Math.ceil(pass.width * amount * 0.5));
+          const shift = Math.floor(rng() * maxShift * 2) - maxShift;
+          for (let px = 0; px < pass.width; px++) {
+            const srcX = pass.x + (((px - shift) % pass.width + pass.width) % pass.width) * pass.dx;
+            const src = offsetOf(srcX, y);
+            const dst = offsetOf(pass.x + px * pass.dx, y);
+            for (let c = 0; c < bytesPerPixel; c++) result[dst + c] = pixelData[src + c];
+          }
+        } else {
+          // A bad byte in a Sub-filtered pass row carries through the rest of the row
+          const start = Math.floor(rng() * pass.width);
+          const deltas = Array.from({ length: bytesPerPixel }, () => Math.floor(rng() * 256));
+          for (let px = start; px < pass.width; px++) {
+            const dst = offsetOf(pass.x + px * pass.dx, y);
+            for (let c = 0; c < bytesPerPixel; c++) result[dst + c] = (result[dst + c] + deltas[c]) & 0xFF;
+          }
+        }
       }
     }
     return result;
@@ -165,9 +287,9 @@ registerEffect({
 
     const result = new Uint8Array(pixelData);
     // Log scale: slider ±50 maps to ±30px actual shift
-    const rShift = Math.round(logScaleBidirectional(params.redShift, 50, 30));
-    const gShift = Math.round(logScaleBidirectional(params.greenShift, 50, 30));
-    const bShift = Math.round(logScaleBidirectional(params.blueShift, 50, 30));
+    const rShift = Math.round(logScaleBidirectional(params.redShift, 50, 30) * pixelScale(imageInfo));
+    const gShift = Math.round(logScaleBidirectional(params.greenShift, 50, 30) * pixelScale(imageInfo));
+    const bShift = Math.round(logScaleBidirectional(params.blueShift, 50, 30) * pixelScale(imageInfo));
 
     for (let y = 0; y < height; y++) {
       const rowStart = y * scanlineLength + 1;
@@ -201,7 +323,7 @@ registerEffect({
     const result = new Uint8Array(pixelData);
     const rng = createSeededRNG(seed);
     const { height, scanlineLength } = imageInfo;
-    const { interval } = params;
+    const interval = scaleSize(params.interval, imageInfo);
     // Log scale: slider maps to actual percentage/amount
     const actualIntensity = logScale(params.intensity, 100, 30); // max 30% of scanline
     const actualShift = logScale(params.shift, 100, 80); // max ±80 byte shift
@@ -236,7 +358,9 @@ registerEffect({
     if (bytesPerPixel < 3) return pixelData;
 
     const result = new Uint8Array(pixelData);
-    const { threshold, rowSkip, maxLength } = params;
+    const { threshold } = params;
+    const rowSkip = scaleSize(params.rowSkip, imageInfo);
+    const maxLength = scaleSize(params.maxLength, imageInfo);
 
     for (let y = 0; y < height; y += rowSkip) {
       const rowStart = y * scanlineLength + 1;
@@ -295,7 +419,7 @@ registerEffect({
     const result = new Uint8Array(pixelData);
     const { direction } = params;
     // Logarithmic scale: slider 1-100 maps to ~0.1-30px
-    const logAmount = Math.pow(params.amount / 100, 2) * 30;
+    const logAmount = Math.pow(params.amount / 100, 2) * 30 * pixelScale(imageInfo);
 
     for (let y = 0; y < height; y++) {
       const rowStart = y * scanlineLength + 1;
@@ -337,10 +461,10 @@ registerEffect({
     const { width, height, bytesPerPixel, scanlineLength } = imageInfo;
     const result = new Uint8Array(pixelData);
     const rng = createSeededRNG(seed);
-    const { blockSize } = params;
+    const blockSize = scaleSize(params.blockSize, imageInfo);
     // Log scale for probability and shift
     const actualProb = logScale(params.probability, 100, 40); // max 40%
-    const actualShift = logScale(params.maxShift, 100, 150); // max 150px
+    const actualShift = logScale(params.maxShift, 100, 150) * pixelScale(imageInfo); // max 150px
 
     const blocksX = Math.ceil(width / blockSize);
     const blocksY = Math.ceil(height / blockSize);
@@ -587,10 +711,10 @@ registerEffect({
     const { width, height, bytesPerPixel, scanlineLength } = imageInfo;
     const result = new Uint8Array(pixelData);
     const rng = createSeededRNG(seed);
-    const { blockSize } = params;
+    const blockSize = scaleSize(params.blockSize, imageInfo);
     // Log scale for probability and distance
     const prob = logScale(params.probability, 100, 25) / 100; // max 25%
-    const actualDistance = logScale(params.maxDistance, 100, 300); // max 300px
+    const actualDistance = logScale(params.maxDistance, 100, 300) * pixelScale(imageInfo); // max 300px
 
     const blocksX = Math.ceil(width / blockSize);
     const blocksY = Math.ceil(height / blockSize);
@@ -642,10 +766,10 @@ registerEffect({
     const { width, height, bytesPerPixel, scanlineLength } = imageInfo;
     const result = new Uint8Array(pixelData);
     const rng = createSeededRNG(seed);
-    const { thickness } = params;
+    const thickness = scaleSize(params.thickness, imageInfo);
     // Log scale for probability and shift
     const prob = logScale(params.probability, 100, 20) / 100; // max 20%
-    const actualShift = logScale(params.maxShift, 100, 150); // max 150px
+    const actualShift = logScale(params.maxShift, 100, 150) * pixelScale(imageInfo); // max 150px
 
     for (let y = 0; y < height; y++) {
       if (rng() < prob) {
@@ -732,7 +856,7 @@ registerEffect({
     const result = new Uint8Array(pixelData);
     const { angle } = params;
     // Log scale: slider 1-100 maps to 0.5-20px actual offset
-    const actualAmount = logScale(params.amount, 100, 20);
+    const actualAmount = logScale(params.amount, 100, 20) * pixelScale(imageInfo);
 
     const rad = angle * Math.PI / 180;
     const rOffsetX = Math.round(Math.cos(rad) * actualAmount);
@@ -781,8 +905,8 @@ registerEffect({
     const { width, height, bytesPerPixel, scanlineLength } = imageInfo;
     const result = new Uint8Array(pixelData);
     simplexNoise.seed(seed);
-    const amount = logScale(params.amount, 100, 50);
-    const scale = logScale(params.scale, 100, 0.02);
+    const amount = logScale(params.amount, 100, 50) * pixelScale(imageInfo);
+    const scale = logScale(params.scale, 100, 0.02) / pixelScale(imageInfo);
 
     for (let y = 0; y < height; y++) {
       for (let x = 0; x < width; x++) {
@@ -880,8 +1004,8 @@ registerEffect({
     const { width, height, bytesPerPixel, scanlineLength } = imageInfo;
     const result = new Uint8Array(pixelData);
     const rng = createSeededRNG(seed);
-    const amplitude = logScale(params.amplitude, 100, 40);
-    const freq = logScale(params.frequency, 100, 0.1);
+    const amplitude = logScale(params.amplitude, 100, 40) * pixelScale(imageInfo);
+    const freq = logScale(params.frequency, 100, 0.1) / pixelScale(imageInfo);
 
     // Generate wave centers
     const centers = [];
@@ -933,7 +1057,8 @@ registerEffect({
     const result = new Uint8Array(pixelData);
     simplexNoise.seed(seed);
     const blend = logScale(params.blend, 100, 0.8);
-    const memory = params.memory;
+    const memory = Math.max(2, scaleSize(params.memory, imageInfo));
+    const noiseScale = 0.05 / pixelScale(imageInfo);
 
     if (params.direction === 'horizontal' || params.direction === 'diagonal') {
       for (let y = 0; y < height; y++) {
@@ -941,7 +1066,7 @@ registerEffect({
         const history = [];
         for (let x = 0; x < width; x++) {
           const offset = rowStart + x * bytesPerPixel;
-          const noise = (simplexNoise.noise2D(x * 0.05, y * 0.05) + 1) * 0.5;
+          const noise = (simplexNoise.noise2D(x * noiseScale, y * noiseScale) + 1) * 0.5;
 
           if (history.length >= memory) history.shift();
           const current = [];
@@ -968,7 +1093,7 @@ registerEffect({
         const history = [];
         for (let y = 0; y < height; y++) {
           const offset = y * scanlineLength + 1 + x * bytesPerPixel;
-          const noise = (simplexNoise.noise2D(x * 0.05, y * 0.05) + 1) * 0.5;
+          const noise = (simplexNoise.noise2D(x * noiseScale, y * noiseScale) + 1) * 0.5;
 
           if (history.length >= memory) history.shift();
           const current = [];
@@ -1465,7 +1590,7 @@ registerEffect({
     const { width, height, bytesPerPixel, scanlineLength } = imageInfo;
     const result = new Uint8Array(pixelData);
     const rng = createSeededRNG(seed);
-    const freq = logScale(params.frequency, 100, 0.15);
+    const freq = logScale(params.frequency, 100, 0.15) / pixelScale(imageInfo);
     const amp = logScale(params.amplitude, 100, 100);
 
     // Random phase offsets for each channel
@@ -1647,10 +1772,10 @@ registerEffect({
     const { width, height, bytesPerPixel, scanlineLength } = imageInfo;
     const result = new Uint8Array(pixelData);
 
-    const xFreq = logScale(params.xFreq, 100, 0.1);
-    const yFreq = logScale(params.yFreq, 100, 0.1);
-    const xAmp = logScale(params.xAmp, 100, 50);
-    const yAmp = logScale(params.yAmp, 100, 50);
+    const xFreq = logScale(params.xFreq, 100, 0.1) / pixelScale(imageInfo);
+    const yFreq = logScale(params.yFreq, 100, 0.1) / pixelScale(imageInfo);
+    const xAmp = logScale(params.xAmp, 100, 50) * pixelScale(imageInfo);
+    const yAmp = logScale(params.yAmp, 100, 50) * pixelScale(imageInfo);
     const phase = (params.phase / 100) * Math.PI * 2;
 
     const wave = (t, type) => {
@@ -1703,7 +1828,7 @@ registerEffect({
     const result = new Uint8Array(pixelData);
 
     const angleRad = (params.angle * Math.PI) / 180;
-    const maxDrift = logScale(params.speed, 100, 100);
+    const maxDrift = logScale(params.speed, 100, 100) * pixelScale(imageInfo);
     const threshold = (params.threshold / 100) * 255;
     const dx = Math.cos(angleRad), dy = Math.sin(angleRad);
 
@@ -1754,7 +1879,8 @@ registerEffect({
       attractors.push({ x: rng() * width, y: rng() * height });
     }
 
-    const strength = logScale(params.strength, 100, 80);
+    // Each step moves strength / distance pixels, so strength scales squared
+    const strength = logScale(params.strength, 100, 80) * pixelScale(imageInfo) ** 2;
     const damping = params.damping / 100;
 
     for (let y = 0; y < height; y++) {
@@ -1810,8 +1936,8 @@ registerEffect({
       cells.push({
         x: rng() * width,
         y: rng() * height,
-        dx: (rng() - 0.5) * logScale(params.displacement, 100, 100),
-        dy: (rng() - 0.5) * logScale(params.displacement, 100, 100),
+        dx: (rng() - 0.5) * logScale(params.displacement, 100, 100) * pixelScale(imageInfo),
+        dy: (rng() - 0.5) * logScale(params.displacement, 100, 100) * pixelScale(imageInfo),
         rotation: (rng() - 0.5) * logScale(params.rotation, 100, Math.PI / 2),
         scale: 1 + (rng() - 0.5) * (params.scale / 50)
       });
@@ -1921,7 +2047,7 @@ registerEffect({
 
     // Generate mapping based on pattern
     const mapping = new Array(height).fill(0).map((_, i) => i);
-    const groupSize = params.groupSize;
+    const groupSize = scaleSize(params.groupSize, imageInfo);
     const offset = Math.floor((params.offset / 100) * height);
 
     // Fibonacci sequence
@@ -2108,10 +2234,10 @@ registerEffect({
     if (bytesPerPixel < 3) return pixelData;
     const result = new Uint8Array(pixelData);
 
-    const rX = logScaleBidirectional(params.rOffsetX, 50, 30);
-    const rY = logScaleBidirectional(params.rOffsetY, 50, 30);
-    const bX = logScaleBidirectional(params.bOffsetX, 50, 30);
-    const bY = logScaleBidirectional(params.bOffsetY, 50, 30);
+    const rX = logScaleBidirectional(params.rOffsetX, 50, 30) * pixelScale(imageInfo);
+    const rY = logScaleBidirectional(params.rOffsetY, 50, 30) * pixelScale(imageInfo);
+    const bX = logScaleBidirectional(params.bOffsetX, 50, 30) * pixelScale(imageInfo);
+    const bY = logScaleBidirectional(params.bOffsetY, 50, 30) * pixelScale(imageInfo);
     const radialFalloff = params.radialFalloff / 100;
     const edgeBoost = 1 + (params.edgeBoost / 100) * 2;
 
@@ -2570,7 +2696,7 @@ registerEffect({
     const zoom = logScale(params.zoom, 100, 4);
     const cx = (params.centerX / 50 - 1) * 2;
     const cy = (params.centerY / 50 - 1) * 2;
-    const maxDisp = logScale(params.displacement, 100, 100);
+    const maxDisp = logScale(params.displacement, 100, 100) * pixelScale(imageInfo);
 
     // Julia set constant (interesting values)
     const juliaC = { r: -0.7, i: 0.27015 };
@@ -2630,8 +2756,8 @@ registerEffect({
     const result = new Uint8Array(pixelData);
 
     simplexNoise.seed(seed);
-    const scale = logScale(params.scale, 100, 0.05);
-    const flowStrength = logScale(params.flowStrength, 100, 30);
+    const scale = logScale(params.scale, 100, 0.05) / pixelScale(imageInfo);
+    const flowStrength = logScale(params.flowStrength, 100, 30) * pixelScale(imageInfo);
     const persistence = params.persistence / 100;
 
     for (let y = 0; y < height; y++) {
@@ -2779,8 +2905,8 @@ registerEffect({
     const { width, height, bytesPerPixel, scanlineLength } = imageInfo;
     const result = new Float32Array(width * height * 3);
 
-    const dx = logScaleBidirectional(params.offsetX, 100, 50);
-    const dy = logScaleBidirectional(params.offsetY, 100, 50);
+    const dx = logScaleBidirectional(params.offsetX, 100, 50) * pixelScale(imageInfo);
+    const dy = logScaleBidirectional(params.offsetY, 100, 50) * pixelScale(imageInfo);
     const hueShift = params.hueShift;
 
     for (let echo = 0; echo <= params.echoCount; echo++) {
@@ -3078,6 +3204,7 @@ registerEffect({
 export const effectDescriptions = {
   // Filter
   'filter-byte': 'Modify PNG filter bytes for predictive decoding glitches',
+  'interlace-glitch': 'Stall, shift or corrupt Adam7 passes for progressive-loading artifacts',
   // Channel
   'channel-shift': 'Offset RGB channels horizontally for chromatic separation',
   'channel-swap': 'Swap color channels (R↔G, G↔B, B↔R)',
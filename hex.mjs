@@ -0,0 +1,124 @@
+/**
+ * GLITCHEDIT Hex Module
+ * Byte patterns, find/replace and clipboard text for the hex editor, shared between browser and Node.js
+ */
+
+export const MAX_MATCHES = 10000;
+
+// ========== PATTERNS ==========
+
+// A pattern is an array of byte values, with null for `??` wildcards.
+// Hex patterns are pairs of hex digits, spaces optional (`49 44 ?? 54`);
+// text patterns are taken literally and must be Latin-1.
+export function parsePattern(text, mode = 'hex') {
+  if (mode === 'text') {
+    if (!text) throw new Error('Nothing to search for');
+    return Array.from(text, char => {
+      const code = char.charCodeAt(0);
+      if (code > 0xFF) throw new Error(`"${char}" is not a single byte`);
+      return code;
+    });
+  }
+  if (mode !== 'hex') throw new Error(`Unknown pattern mode "${mode}"`);
+
+  const digits = text.replace(/\s+/g, '');
+  if (!digits) throw new Error('Nothing to search for');
+  if (!/^([0-9a-fA-F]{2}|\?\?)+$/.test(digits)) {
+    throw new Error('Hex patterns are pairs of hex digits or ?? wildcards');
+  }
+  return digits.match(/../g).map(pair => (pair === '??' ? null : parseInt(pair, 16)));
+}
+
+export function formatPattern(pattern) {
+  return pattern.map(byte => (byte === null ? '??' : byte.toString(16).padStart(2, '0').toUpperCase())).join(' ');
+}
+
+// ========== SEARCH ==========
+
+// Offsets of the matches of `pattern` in `buffer`, in order and not
+// overlapping. Stops after `limit` matches.
+export function findMatches(buffer, pattern, limit = MAX_MATCHES) {
+  const matches = [];
+  const anchor = pattern.findIndex(byte => byte !== null);
+  const last = buffer.length - pattern.length;
+  let offset = 0;
+
+  while (offset <= last && matches.length < limit) {
+    if (anchor >= 0) {
+      // Jump to the next occurrence of the first fixed byte
+      const next = buffer.indexOf(pattern[anchor], offset + anchor);
+      if (next < 0) break;
+      offset = next - anchor;
+      if (offset > last) break;
+    }
+    if (matchesAt(buffer, pattern, offset)) {
+      matches.push(offset);
+      offset += pattern.length;
+    } else {
+      offset++;
+    }
+  }
+  return matches;
+}
+
+function matchesAt(buffer, pattern, offset) {
+  for (let i = 0; i < pattern.length; i++) {
+    if (pattern[i] !== null && buffer[offset + i] !== pattern[i]) return false;
+  }
+  return true;
+}
+
+// Index of the match covering `offset` in the sorted `matches`, or -1
+export function matchIndexAt(matches, length, offset) {
+  let lo = 0, hi = matches.length - 1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (matches[mid] > offset) {
+      hi = mid - 1;
+    } else if (matches[mid] + length <= offset) {
+      lo = mid + 1;
+    } else {
+      return mid;
+    }
+  }
+  return -1;
+}
+
+// ========== REPLACE ==========
+
+// The bytes from the first to the last of `matches` before and after
+// writing `replacement` over each match, as { offset, oldData, newData },
+// so a replace-all is a single edit. Wildcards in the replacement keep the
+// matched byte.
+export function replaceMatches(buffer, matches, length, replacement) {
+  if (replacement.length !== length) {
+    throw new Error(`The replacement must be ${length} byte${length === 1 ? '' : 's'}, like the search pattern`);
+  }
+  const offset = matches[0];
+  const oldData = buffer.slice(offset, matches[matches.length - 1] + length);
+  const newData = oldData.slice();
+  for (const match of matches) {
+    for (let i = 0; i < length; i++) {
+      if (replacement[i] !== null) newData[match - offset + i] = replacement[i];
+    }
+  }
+  return { offset, oldData, newData };
+}
+
+// ========== CLIPBOARD ==========
+
+// Copied bytes go to the clipboard as hex text
+export function formatHex(bytes) {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0').toUpperCase()).join(' ');
+}
+
+// Bytes from pasted text. Text that reads as hex (pairs of digits, with
+// optional spaces, commas and 0x prefixes) is taken as hex; anything else
+// pastes as its UTF-8 bytes.
+export function parseClipboardText(text) {
+  const digits = text.replace(/0x/gi, '').replace(/[\s,]+/g, '');
+  if (digits && /^([0-9a-fA-F]{2})+$/.test(digits)) {
+    return new Uint8Array(digits.match(/../g).map(pair => parseInt(pair, 16)));
+  }
+  return new TextEncoder().encode(text);
+}
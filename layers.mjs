@@ -0,0 +1,189 @@
+/**
+ * GLITCHEDIT Layer Stack Module
+ * Evaluates effect layer stacks, shared between browser and Node.js CLI
+ */
+
+import { effectRegistry, getDefaultParams } from './effects.mjs';
+import { parseMask, rasterizeMask } from './masks.mjs';
+import { BLEND_MODES, compositeLayer } from './blend.mjs';
+import { parseKeyframes } from './animation.mjs';
+
+export const STACK_FORMAT_VERSION = 1;
+
+// ========== EVALUATION ==========
+
+// Groups ({ type: 'group', name, enabled, collapsed, layers }) hold a nested
+// stack that is evaluated on the group's input and blended as one layer
+export function isGroup(layer) {
+  return layer?.type === 'group';
+}
+
+// Apply a single layer or group, returning the input unchanged for unknown
+// effects. The output is composited over the input with the layer's blend
+// mode and opacity (default 'normal' and 1), limited to its mask if any.
+export function applyLayer(pixelData, imageInfo, layer) {
+  let result;
+  if (isGroup(layer)) {
+    result = applyLayerStack(pixelData, imageInfo, layer.layers);
+  } else {
+    const effect = effectRegistry.get(layer.effectId);
+    if (!effect) return pixelData;
+    result = effect.apply(pixelData, imageInfo, layer.params, layer.seed);
+  }
+  return compositeLayer(pixelData, result, imageInfo, {
+    blendMode: layer.blendMode,
+    opacity: layer.opacity,
+    coverage: layer.mask ? rasterizeMask(layer.mask, imageInfo, pixelData) : null
+  });
+}
+
+// Apply every enabled layer in order
+export function applyLayerStack(pixelData, imageInfo, layers) {
+  let data = pixelData;
+  for (const layer of layers) {
+    if (!layer.enabled) continue;
+    data = applyLayer(data, imageInfo, layer);
+  }
+  return data;
+}
+
+// Apply layers from `start` onwards to `pixelData` (the output of the layers
+// before it), calling onLayer(index, data) as each one finishes so callers
+// can cache intermediate results and report progress
+export function evaluateLayers(pixelData, imageInfo, layers, { start = 0, onLayer = null } = {}) {
+  let data = pixelData;
+  for (let i = start; i < layers.length; i++) {
+    if (layers[i].enabled) data = applyLayer(data, imageInfo, layers[i]);
+    if (onLayer) onLayer(i, data);
+  }
+  return data;
+}
+
+// Derive a per-layer seed from a variation seed, so one number reproduces
+// a whole stack variant while each layer still gets a distinct stream
+export function deriveSeed(seed, index) {
+  let h = Math.imul(seed ^ 0x9E3779B9, 0x85EBCA6B) ^ Math.imul(index + 1, 0xC2B2AE35);
+  h = Math.imul(h ^ (h >>> 16), 0x7FEB352D);
+  h = Math.imul(h ^ (h >>> 15), 0x846CA68B);
+  return ((h ^ (h >>> 16)) >>> 0) % 2147483647;
+}
+
+// Effect layers are numbered depth-first, so a flat stack reseeds the same
+// whether or not it is later grouped
+export function reseedLayers(layers, seed) {
+  let index = 0;
+  const reseed = items => items.map(layer => (isGroup(layer)
+    ? { ...layer, layers: reseed(layer.layers) }
+    : { ...layer, seed: deriveSeed(seed, index++) }));
+  return reseed(layers);
+}
+
+// Fold the effect layers' seeds (depth-first) into one seed for randomness
+// outside the layers, like the 'random' export filter. Reseeding the stack
+// changes it too.
+export function stackSeed(layers) {
+  let seed = 0;
+  let index = 0;
+  const fold = items => items.forEach(layer => {
+    if (isGroup(layer)) fold(layer.layers);
+    else seed = deriveSeed(seed ^ (layer.seed | 0), index++);
+  });
+  fold(layers);
+  return seed;
+}
+
+// ========== SERIALIZATION ==========
+
+// `filteredBytes` records that the stack was applied to the filtered
+// scanlines rather than decoded pixels, so it renders the same elsewhere
+export function serializeLayerStack(layers, { filteredBytes = false } = {}) {
+  const stack = { version: STACK_FORMAT_VERSION, layers: layers.map(serializeLayer) };
+  if (filteredBytes) stack.filteredBytes = true;
+  return stack;
+}
+
+function serializeLayer(layer) {
+  const { enabled, opacity, blendMode, mask } = layer;
+  const entry = isGroup(layer)
+    ? { type: 'group', name: layer.name, enabled, layers: layer.layers.map(serializeLayer) }
+    : { effectId: layer.effectId, enabled, params: layer.params, seed: layer.seed };
+  if (layer.keyframes && Object.keys(layer.keyframes).length > 0) entry.keyframes = layer.keyframes;
+  if (layer.collapsed) entry.collapsed = true;
+  // Compositing fields are left out at their defaults
+  if (opacity !== undefined && opacity !== 1) entry.opacity = opacity;
+  if (blendMode && blendMode !== 'normal') entry.blendMode = blendMode;
+  if (mask) entry.mask = mask;
+  return entry;
+}
+
+// Parse a stack file ({ layers: [...] } or a bare array) into layers.
+// Missing params fall back to effect defaults, missing seeds to 0.
+export function parseLayerStack(json) {
+  const data = typeof json === 'string' ? JSON.parse(json) : json;
+  const entries = Array.isArray(data) ? data : data?.layers;
+  if (!Array.isArray(entries)) {
+    throw new Error('Layer stack must be an array or an object with a "layers" array');
+  }
+  return parseLayers(entries, '');
+}
+
+// Layers inside groups are numbered by path in errors and ids ("layer 2.0")
+function parseLayers(entries, prefix) {
+  return entries.map((entry, i) => {
+    const index = `${prefix}${i}`;
+    let layer;
+    if (entry.type === 'group') {
+      if (!Array.isArray(entry.layers)) throw new Error(`Group ${index} has no "layers" array`);
+      layer = {
+        id: entry.id || `layer_${index}`,
+        type: 'group',
+        name: typeof entry.name === 'string' ? entry.name : `Group ${i + 1}`,
+        enabled: entry.enabled !== false,
+        collapsed: entry.collapsed === true,
+        layers: parseLayers(entry.layers, `${index}.`)
+      };
+    } else {
+      if (!effectRegistry.has(entry.effectId)) {
+        throw new Error(`Unknown effect "${entry.effectId}" in layer ${index}`);
+      }
+      layer = {
+        id: entry.id || `layer_${index}`,
+        effectId: entry.effectId,
+        enabled: entry.enabled !== false,
+        params: { ...getDefaultParams(entry.effectId), ...entry.params },
+        seed: Number.isFinite(entry.seed) ? entry.seed : 0
+      };
+      if (entry.keyframes) {
+        try {
+          layer.keyframes = parseKeyframes(entry.keyframes, effectRegistry.get(entry.effectId));
+        } catch (e) {
+          throw new Error(`Invalid keyframes in layer ${index}: ${e.message}`);
+        }
+      }
+    }
+    if (entry.opacity !== undefined) {
+      if (!Number.isFinite(entry.opacity)) throw new Error(`Invalid opacity in layer ${index}`);
+      layer.opacity = Math.max(0, Math.min(1, entry.opacity));
+    }
+    if (entry.blendMode !== undefined) {
+      if (!BLEND_MODES.includes(entry.blendMode)) {
+        throw new Error(`Unknown blend mode "${entry.blendMode}" in layer ${index}`);
+      }
+      layer.blendMode = entry.blendMode;
+    }
+    if (entry.mask) {
+      try {
+        layer.mask = parseMask(entry.mask);
+      } catch (e) {
+        throw new Error(`Invalid mask in layer ${index}: ${e.message}`);
+      }
+    }
+    return layer;
+  });
+}
+
+// Pipeline options stored next to the layers (bare arrays have none)
+export function parseStackOptions(json) {
+  const data = typeof json === 'string' ? JSON.parse(json) : json;
+  return { filteredBytes: !Array.isArray(data) && data?.filteredBytes === true };
+}
@@ -0,0 +1,264 @@
+/**
+ * GLITCHEDIT Mask Module
+ * Rasterizes layer region masks, shared between browser and Node.js CLI.
+ * Coverage is applied by compositeLayer() in blend.mjs.
+ */
+
+import { pixelScale } from './effects.mjs';
+
+// Procedural masks select pixels from the layer's input instead of a drawn shape
+export const PROCEDURAL_MASK_SHAPES = ['luminance', 'hue', 'edges'];
+export const MASK_SHAPES = ['rect', 'ellipse', 'brush', 'polygon', ...PROCEDURAL_MASK_SHAPES];
+
+// Settings of procedural masks: luminance range in %, hue range in degrees
+// (wrapping around when min > max) and Sobel edge strength in %
+const PROCEDURAL_DEFAULTS = {
+  luminance: { min: 50, max: 100 },
+  hue: { min: 0, max: 60 },
+  edges: { threshold: 25 }
+};
+const PROCEDURAL_LIMITS = { luminance: 100, hue: 360, edges: 100 };
+
+// A mask with nothing drawn yet. Points are normalized to 0-1 so masks fit
+// any resolution (proxies included); radius and feather are in pixels of
+// the full-resolution image.
+export function createMask(shape, { feather = 0, invert = false } = {}) {
+  if (!MASK_SHAPES.includes(shape)) throw new Error(`Unknown mask shape "${shape}"`);
+  if (PROCEDURAL_MASK_SHAPES.includes(shape)) {
+    return { shape, ...PROCEDURAL_DEFAULTS[shape], feather, invert };
+  }
+  const mask = { shape, points: [], feather, invert };
+  if (shape === 'brush') {
+    mask.strokes = [];
+    mask.radius = 24;
+  }
+  return mask;
+}
+
+export function isProceduralMask(mask) {
+  return PROCEDURAL_MASK_SHAPES.includes(mask?.shape);
+}
+
+// Validate a mask read from a stack or project file
+export function parseMask(data) {
+  const mask = createMask(data?.shape, {
+    feather: Number.isFinite(data.feather) ? Math.max(0, data.feather) : 0,
+    invert: data.invert === true
+  });
+  const isPoint = p => Array.isArray(p) && p.length === 2 && p.every(Number.isFinite);
+
+  if (isProceduralMask(mask)) {
+    const limit = PROCEDURAL_LIMITS[mask.shape];
+    for (const key of Object.keys(PROCEDURAL_DEFAULTS[mask.shape])) {
+      if (Number.isFinite(data[key])) mask[key] = Math.max(0, Math.min(limit, data[key]));
+    }
+  } else if (mask.shape === 'brush') {
+    if (Number.isFinite(data.radius) && data.radius > 0) mask.radius = data.radius;
+    mask.strokes = (Array.isArray(data.strokes) ? data.strokes : [])
+      .filter(Array.isArray)
+      .map(stroke => stroke.filter(isPoint));
+  } else {
+    mask.points = (Array.isArray(data.points) ? data.points : []).filter(isPoint);
+  }
+  return mask;
+}
+
+// ========== RASTERIZING ==========
+
+// Coverage of a mask as one byte per pixel (255 = effect fully applied).
+// Procedural masks are computed from `pixelData`, the layer's input.
+export function rasterizeMask(mask, imageInfo, pixelData = null) {
+  const { width, height } = imageInfo;
+  const coverage = new Uint8Array(width * height);
+  const scale = pixelScale(imageInfo);
+  const toPixels = ([x, y]) => [x * width, y * height];
+
+  switch (mask.shape) {
+    case 'rect':
+      if (mask.points.length >= 2) fillRect(coverage, width, height, mask.points.map(toPixels));
+      break;
+    case 'ellipse':
+      if (mask.points.length >= 2) fillEllipse(coverage, width, height, mask.points.map(toPixels));
+      break;
+    case 'polygon':
+      if (mask.points.length >= 3) fillPolygon(coverage, width, height, mask.points.map(toPixels));
+      break;
+    case 'brush':
+      for (const stroke of mask.strokes) {
+        fillStroke(coverage, width, height, stroke.map(toPixels), Math.max(0.5, mask.radius * scale));
+      }
+      break;
+    case 'luminance':
+    case 'hue':
+    case 'edges':
+      if (!pixelData) throw new Error(`A ${mask.shape} mask needs the layer's input pixels`);
+      fillProcedural(coverage, mask, imageInfo, pixelData);
+      break;
+  }
+
+  const feather = Math.round(mask.feather * scale);
+  if (feather > 0) {
+    // Two box blurs approximate a gaussian falloff
+    boxBlur(coverage, width, height, feather);
+    boxBlur(coverage, width, height, feather);
+  }
+  if (mask.invert) {
+    for (let i = 0; i < coverage.length; i++) coverage[i] = 255 - coverage[i];
+  }
+  return coverage;
+}
+
+// Pixels are covered when their centre is inside the shape
+function fillRect(coverage, width, height, [[x0, y0], [x1, y1]]) {
+  const left = Math.max(0, Math.round(Math.min(x0, x1)));
+  const right = Math.min(width, Math.round(Math.max(x0, x1)));
+  const top = Math.max(0, Math.round(Math.min(y0, y1)));
+  const bottom = Math.min(height, Math.round(Math.max(y0, y1)));
+  for (let y = top; y < bottom; y++) coverage.fill(255, y * width + left, y * width + right);
+}
+
+function fillEllipse(coverage, width, height, [[x0, y0], [x1, y1]]) {
+  const cx = (x0 + x1) / 2, cy = (y0 + y1) / 2;
+  const rx = Math.abs(x1 - x0) / 2, ry = Math.abs(y1 - y0) / 2;
+  if (rx === 0 || ry === 0) return;
+
+  const top = Math.max(0, Math.floor(cy - ry));
+  const bottom = Math.min(height, Math.ceil(cy + ry));
+  for (let y = top; y < bottom; y++) {
+    const dy = (y + 0.5 - cy) / ry;
+    if (dy * dy > 1) continue;
+    const half = rx * Math.sqrt(1 - dy * dy);
+    const left = Math.max(0, Math.round(cx - half));
+    const right = Math.min(width, Math.round(cx + half));
+    if (right > left) coverage.fill(255, y * width + left, y * width + right);
+  }
+}
+
+// Even-odd scanline fill, so self-intersecting outlines leave holes
+function fillPolygon(coverage, width, height, points) {
+  const crossings = [];
+  for (let y = 0; y < height; y++) {
+    const cy = y + 0.5;
+    crossings.length = 0;
+    for (let i = 0; i < points.length; i++) {
+      const [ax, ay] = points[i];
+      const [bx, by] = points[(i + 1) % points.length];
+      if ((ay <= cy) !== (by <= cy)) crossings.push(ax + (cy - ay) / (by - ay) * (bx - ax));
+    }
+    crossings.sort((a, b) => a - b);
+    for (let i = 0; i + 1 < crossings.length; i += 2) {
+      const left = Math.max(0, Math.round(crossings[i]));
+      const right = Math.min(width, Math.round(crossings[i + 1]));
+      if (right > left) coverage.fill(255, y * width + left, y * width + right);
+    }
+  }
+}
+
+// Round-capped segments of `radius` pixels along a brush stroke
+function fillStroke(coverage, width, height, points, radius) {
+  for (let i = 0; i < points.length; i++) {
+    const [ax, ay] = points[i];
+    const [bx, by] = points[Math.min(i + 1, points.length - 1)];
+    const dx = bx - ax, dy = by - ay;
+    const lengthSq = dx * dx + dy * dy;
+
+    const left = Math.max(0, Math.floor(Math.min(ax, bx) - radius));
+    const right = Math.min(width, Math.ceil(Math.max(ax, bx) + radius));
+    const top = Math.max(0, Math.floor(Math.min(ay, by) - radius));
+    const bottom = Math.min(height, Math.ceil(Math.max(ay, by) + radius));
+
+    for (let y = top; y < bottom; y++) {
+      for (let x = left; x < right; x++) {
+        const px = x + 0.5 - ax, py = y + 0.5 - ay;
+        const t = lengthSq ? Math.max(0, Math.min(1, (px * dx + py * dy) / lengthSq)) : 0;
+        const ex = px - t * dx, ey = py - t * dy;
+        if (ex * ex + ey * ey <= radius * radius) coverage[y * width + x] = 255;
+      }
+    }
+  }
+}
+
+// Separable box blur of `radius` pixels, clamping at the edges
+function boxBlur(coverage, width, height, radius) {
+  const size = radius * 2 + 1;
+  const line = new Uint8Array(Math.max(width, height));
+
+  const blurLine = (start, step, length) => {
+    for (let i = 0; i < length; i++) line[i] = coverage[start + i * step];
+    let sum = 0;
+    for (let i = -radius; i <= radius; i++) sum += line[Math.min(length - 1, Math.max(0, i))];
+    for (let i = 0; i < length; i++) {
+      coverage[start + i * step] = Math.round(sum / size);
+      sum += line[Math.min(length - 1, i + radius + 1)] - line[Math.max(0, i - radius)];
+    }
+  };
+
+  for (let y = 0; y < height; y++) blurLine(y * width, 1, width);
+  for (let x = 0; x < width; x++) blurLine(x, width, height);
+}
+
+// ========== PROCEDURAL MASKS ==========
+
+// Rec. 601 luma of every pixel (gray images use the gray channel)
+function lumaMap(pixelData, { width, height, bytesPerPixel, scanlineLength }) {
+  const luma = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const offset = y * scanlineLength + 1 + x * bytesPerPixel;
+      luma[y * width + x] = bytesPerPixel >= 3
+        ? pixelData[offset] * 0.299 + pixelData[offset + 1] * 0.587 + pixelData[offset + 2] * 0.114
+        : pixelData[offset];
+    }
+  }
+  return luma;
+}
+
+// Hue in degrees, or -1 for grays, which have none
+function hueAt(r, g, b) {
+  const max = Math.max(r, g, b), min = Math.min(r, g, b);
+  if (max === min) return -1;
+  let h;
+  if (max === r) h = (g - b) / (max - min);
+  else if (max === g) h = 2 + (b - r) / (max - min);
+  else h = 4 + (r - g) / (max - min);
+  return (h * 60 + 360) % 360;
+}
+
+function fillProcedural(coverage, mask, imageInfo, pixelData) {
+  const { width, height, bytesPerPixel, scanlineLength } = imageInfo;
+
+  if (mask.shape === 'luminance') {
+    const luma = lumaMap(pixelData, imageInfo);
+    const min = (Math.min(mask.min, mask.max) / 100) * 255;
+    const max = (Math.max(mask.min, mask.max) / 100) * 255;
+    for (let i = 0; i < luma.length; i++) {
+      if (luma[i] >= min && luma[i] <= max) coverage[i] = 255;
+    }
+  } else if (mask.shape === 'hue') {
+    if (bytesPerPixel < 3) return;
+    const wraps = mask.min > mask.max;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const offset = y * scanlineLength + 1 + x * bytesPerPixel;
+        const hue = hueAt(pixelData[offset], pixelData[offset + 1], pixelData[offset + 2]);
+        if (hue < 0) continue;
+        const inRange = wraps ? hue >= mask.min || hue <= mask.max : hue >= mask.min && hue <= mask.max;
+        if (inRange) coverage[y * width + x] = 255;
+      }
+    }
+  } else {
+    // Sobel gradient magnitude, normalized so a full black-to-white step is 100%
+    const luma = lumaMap(pixelData, imageInfo);
+    const threshold = (mask.threshold / 100) * 255 * 4;
+    const at = (x, y) => luma[Math.max(0, Math.min(height - 1, y)) * width + Math.max(0, Math.min(width - 1, x))];
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const gx = at(x + 1, y - 1) + 2 * at(x + 1, y) + at(x + 1, y + 1)
+          - at(x - 1, y - 1) - 2 * at(x - 1, y) - at(x - 1, y + 1);
+        const gy = at(x - 1, y + 1) + 2 * at(x, y + 1) + at(x + 1, y + 1)
+          - at(x - 1, y - 1) - 2 * at(x, y - 1) - at(x + 1, y - 1);
+        if (Math.hypot(gx, gy) >= threshold) coverage[y * width + x] = 255;
+      }
+    }
+  }
+}
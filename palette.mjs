@@ -0,0 +1,99 @@
+/**
+ * GLITCHEDIT Palette Module
+ * Palette glitches for indexed PNGs, shared between browser and Node.js
+ */
+
+import { createSeededRNG } from './effects.mjs';
+
+// Palettes are PLTE chunk data: an RGB triple per entry. Glitches return
+// new data of the same length (a stray partial entry at the end is kept),
+// so the image's pixel indices stay valid and only their colors change.
+export const PALETTE_GLITCHES = [
+  { id: 'rotate', label: 'Rotate' },
+  { id: 'shuffle', label: 'Shuffle' },
+  { id: 'invert', label: 'Invert' },
+  { id: 'sort', label: 'Sort by hue' },
+  { id: 'randomize', label: 'Randomize' }
+];
+
+function entries(data) {
+  const colors = [];
+  for (let i = 0; i + 3 <= data.length; i += 3) colors.push(data.subarray(i, i + 3));
+  return colors;
+}
+
+function fromEntries(data, colors) {
+  const result = data.slice();
+  colors.forEach((color, i) => result.set(color, i * 3));
+  return result;
+}
+
+// Hue in degrees, saturation and lightness in 0-1
+function rgbToHsl(r, g, b) {
+  r /= 255;
+  g /= 255;
+  b /= 255;
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  if (max === min) return [0, 0, l];
+
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  let h;
+  if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+  else if (max === g) h = (b - r) / d + 2;
+  else h = (r - g) / d + 4;
+  return [h * 60, s, l];
+}
+
+// Entry i takes the color of entry i - steps, wrapping around
+export function rotatePalette(data, steps = 1) {
+  const colors = entries(data);
+  const n = colors.length;
+  if (n === 0) return data.slice();
+  const shift = ((Math.round(steps) % n) + n) % n;
+  return fromEntries(data, colors.map((_, i) => colors[(i - shift + n) % n]));
+}
+
+export function shufflePalette(data, seed = 1) {
+  const random = createSeededRNG(seed);
+  const colors = entries(data);
+  for (let i = colors.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [colors[i], colors[j]] = [colors[j], colors[i]];
+  }
+  return fromEntries(data, colors);
+}
+
+export function invertPalette(data) {
+  return fromEntries(data, entries(data).map(color => color.map(v => 255 - v)));
+}
+
+// Grays first by lightness, then colors by hue and lightness
+export function sortPaletteByHue(data) {
+  const keyed = entries(data).map(color => {
+    const [h, s, l] = rgbToHsl(color[0], color[1], color[2]);
+    return { color, gray: s === 0, h, l };
+  });
+  keyed.sort((a, b) => (b.gray - a.gray) || (a.gray ? 0 : a.h - b.h) || a.l - b.l);
+  return fromEntries(data, keyed.map(entry => entry.color));
+}
+
+export function randomizePalette(data, seed = 1) {
+  const random = createSeededRNG(seed);
+  return fromEntries(data, entries(data).map(() => [0, 0, 0].map(() => Math.floor(random() * 256))));
+}
+
+// Apply one of PALETTE_GLITCHES; `steps` is for rotate, `seed` for shuffle
+// and randomize
+export function glitchPalette(data, glitch, { steps = 1, seed = 1 } = {}) {
+  switch (glitch) {
+    case 'rotate': return rotatePalette(data, steps);
+    case 'shuffle': return shufflePalette(data, seed);
+    case 'invert': return invertPalette(data);
+    case 'sort': return sortPaletteByHue(data);
+    case 'randomize': return randomizePalette(data, seed);
+    default: throw new Error(`Unknown palette glitch "${glitch}"`);
+  }
+}
@@ -0,0 +1,1230 @@
+/**
+ * GLITCHEDIT PNG Module
+ * Chunk parsing and writing, shared between browser and Node.js CLI
+ */
+
+// ========== CRC ==========
+
+// CRC-32 lookup table (PNG polynomial 0xEDB88320)
+const crcTable = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+  }
+  crcTable[n] = c;
+}
+
+export function crc32(data, start = 0, length = data.length - start) {
+  let crc = 0xFFFFFFFF;
+  const end = start + length;
+  for (let i = start; i < end; i++) {
+    crc = crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// ========== PARSING ==========
+
+// PNG signature
+export const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+export function parsePNG(buffer) {
+  const chunks = [];
+  const errors = [];
+
+  // Check signature
+  let validSignature = true;
+  for (let i = 0; i < 8; i++) {
+    if (buffer[i] !== PNG_SIGNATURE[i]) {
+      validSignature = false;
+      break;
+    }
+  }
+
+  if (!validSignature) {
+    errors.push('Invalid PNG signature');
+  }
+
+  // Add signature as pseudo-chunk for visualization
+  chunks.push({
+    offset: 0,
+    length: 8,
+    type: 'SIG',
+    typeBytes: null,
+    dataOffset: 0,
+    dataLength: 8,
+    crcOffset: -1,
+    crc: 0,
+    crcValid: validSignature,
+    isCritical: true,
+    isSignature: true
+  });
+
+  // Parse chunks
+  let offset = 8;
+  while (offset < buffer.length - 4) {
+    if (offset + 8 > buffer.length) {
+      errors.push(`Truncated chunk at offset ${offset}`);
+      break;
+    }
+
+    // Read chunk length (big-endian, >>> 0 for unsigned)
+    const length = readUint32(buffer, offset);
+
+    // Read chunk type
+    const typeBytes = buffer.slice(offset + 4, offset + 8);
+    const type = String.fromCharCode(...typeBytes);
+
+    // Check if we have enough data
+    const totalChunkLength = 12 + length; // 4 length + 4 type + data + 4 crc
+    if (offset + totalChunkLength > buffer.length) {
+      errors.push(`Truncated ${type} chunk at offset ${offset}`);
+      break;
+    }
+
+    // Read stored CRC
+    const crcOffset = offset + 8 + length;
+    const storedCrc = readUint32(buffer, crcOffset);
+
+    // Calculate actual CRC (over type + data)
+    const calculatedCrc = crc32(buffer, offset + 4, 4 + length);
+    const crcValid = storedCrc === calculatedCrc;
+
+    if (!crcValid) {
+      errors.push(`Invalid CRC for ${type} at offset ${offset}`);
+    }
+
+    // First letter uppercase = critical chunk
+    const isCritical = type.charCodeAt(0) >= 65 && type.charCodeAt(0) <= 90;
+
+    chunks.push({
+      offset,
+      length: totalChunkLength,
+      type,
+      typeBytes,
+      dataOffset: offset + 8,
+      dataLength: length,
+      crcOffset,
+      crc: storedCrc,
+      calculatedCrc,
+      crcValid,
+      isCritical
+    });
+
+    offset += totalChunkLength;
+
+    // Stop after IEND
+    if (type === 'IEND') break;
+  }
+
+  // Validate structure
+  if (chunks.length > 1 && chunks[1].type !== 'IHDR') {
+    errors.push('First chunk must be IHDR');
+  }
+
+  const lastChunk = chunks[chunks.length - 1];
+  if (!lastChunk || lastChunk.type !== 'IEND') {
+    errors.push('Last chunk must be IEND');
+  }
+
+  return {
+    chunks,
+    errors,
+    isValid: errors.length === 0
+  };
+}
+
+export function parseIHDR(buffer, chunks) {
+  const ihdr = chunks.find(c => c.type === 'IHDR');
+  if (!ihdr) return null;
+
+  const data = buffer.slice(ihdr.dataOffset, ihdr.dataOffset + 13);
+  const width = readUint32(data, 0);
+  const height = readUint32(data, 4);
+  const bitDepth = data[8];
+  const colorType = data[9];
+
+  // Calculate bytes per pixel based on color type
+  let channels;
+  switch (colorType) {
+    case 0: channels = 1; break; // Grayscale
+    case 2: channels = 3; break; // RGB
+    case 3: channels = 1; break; // Indexed
+    case 4: channels = 2; break; // Grayscale + Alpha
+    case 6: channels = 4; break; // RGBA
+    default: channels = 4;
+  }
+
+  const bytesPerPixel = Math.ceil((channels * bitDepth) / 8);
+  const scanlineLength = 1 + width * bytesPerPixel; // 1 byte filter + pixel data
+  const interlace = data[12];
+
+  return { width, height, bitDepth, colorType, bytesPerPixel, scanlineLength, channels, interlace };
+}
+
+export function createIHDRData({ width, height, bitDepth, colorType, interlace = 0 }) {
+  const data = new Uint8Array(13);
+  writeUint32(data, 0, width);
+  writeUint32(data, 4, height);
+  data[8] = bitDepth;
+  data[9] = colorType;
+  data[12] = interlace;
+  return data;
+}
+
+export function findChunkAtOffset(chunks, offset) {
+  for (const chunk of chunks) {
+    if (offset >= chunk.offset && offset < chunk.offset + chunk.length) {
+      return chunk;
+    }
+  }
+  return null;
+}
+
+// Concatenate the data of all IDAT chunks into one zlib stream
+export function concatIDAT(buffer, chunks) {
+  const idatChunks = chunks.filter(c => c.type === 'IDAT');
+  if (idatChunks.length === 0) return null;
+
+  let totalLength = 0;
+  for (const chunk of idatChunks) {
+    totalLength += chunk.dataLength;
+  }
+
+  const compressed = new Uint8Array(totalLength);
+  let offset = 0;
+  for (const chunk of idatChunks) {
+    compressed.set(buffer.subarray(chunk.dataOffset, chunk.dataOffset + chunk.dataLength), offset);
+    offset += chunk.dataLength;
+  }
+  return compressed;
+}
+
+// ========== WRITING ==========
+
+export function readUint32(data, offset) {
+  return ((data[offset] << 24) | (data[offset + 1] << 16) |
+          (data[offset + 2] << 8) | data[offset + 3]) >>> 0;
+}
+
+export function writeUint32(data, offset, value) {
+  data[offset] = (value >>> 24) & 0xFF;
+  data[offset + 1] = (value >>> 16) & 0xFF;
+  data[offset + 2] = (value >>> 8) & 0xFF;
+  data[offset + 3] = value & 0xFF;
+}
+
+export function recalculateCRC(buffer, chunk) {
+  if (chunk.isSignature) return;
+  const newCrc = crc32(buffer, chunk.offset + 4, 4 + chunk.dataLength);
+  writeUint32(buffer, chunk.crcOffset, newCrc);
+  return newCrc;
+}
+
+// Return a copy of the buffer with `deleteCount` bytes at `offset` replaced
+// by `data`, as { buffer, chunk }. If the edit lies within one chunk's data
+// (inserting right before a CRC appends to the data), that chunk's length
+// and CRC are rewritten to match and it's returned as `chunk`; with
+// `fixChunk` false, or for edits across chunk boundaries, the bytes are
+// spliced as they are.
+export function spliceBytes(buffer, chunks, offset, deleteCount, data, { fixChunk = true } = {}) {
+  const newBuffer = new Uint8Array(buffer.length - deleteCount + data.length);
+  newBuffer.set(buffer.subarray(0, offset), 0);
+  newBuffer.set(data, offset);
+  newBuffer.set(buffer.subarray(offset + deleteCount), offset + data.length);
+
+  const chunk = fixChunk ? chunks.find(c => (
+    !c.isSignature && offset >= c.dataOffset && offset + deleteCount <= c.dataOffset + c.dataLength
+  )) : null;
+  if (!chunk) return { buffer: newBuffer, chunk: null };
+
+  const dataLength = chunk.dataLength - deleteCount + data.length;
+  writeUint32(newBuffer, chunk.offset, dataLength);
+  writeUint32(newBuffer, chunk.dataOffset + dataLength, crc32(newBuffer, chunk.offset + 4, 4 + dataLength));
+  return { buffer: newBuffer, chunk };
+}
+
+// Build a complete chunk (length + type + data + CRC)
+export function createChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  writeUint32(chunk, 0, data.length);
+  for (let i = 0; i < 4; i++) {
+    chunk[4 + i] = type.charCodeAt(i);
+  }
+  chunk.set(data, 8);
+  writeUint32(chunk, 8 + data.length, crc32(chunk, 4, 4 + data.length));
+  return chunk;
+}
+
+// Replace all IDAT chunks with a single IDAT holding the given zlib stream.
+// Everything before the first and after the last IDAT is copied verbatim.
+export function replaceIDAT(buffer, chunks, compressed) {
+  const idatChunks = chunks.filter(c => c.type === 'IDAT');
+  if (idatChunks.length === 0) return buffer;
+
+  const beforeIDAT = idatChunks[0].offset;
+  const lastIDAT = idatChunks[idatChunks.length - 1];
+  const afterIDAT = lastIDAT.offset + lastIDAT.length;
+  const idat = createChunk('IDAT', compressed);
+
+  const newBuffer = new Uint8Array(beforeIDAT + idat.length + (buffer.length - afterIDAT));
+  newBuffer.set(buffer.subarray(0, beforeIDAT), 0);
+  newBuffer.set(idat, beforeIDAT);
+  newBuffer.set(buffer.subarray(afterIDAT), beforeIDAT + idat.length);
+  return newBuffer;
+}
+
+// Return a copy of the buffer with one chunk's data replaced (CRC recomputed)
+export function replaceChunkData(buffer, chunk, data) {
+  const replacement = createChunk(chunk.type, data);
+  const end = chunk.offset + chunk.length;
+  const newBuffer = new Uint8Array(buffer.length - chunk.length + replacement.length);
+  newBuffer.set(buffer.subarray(0, chunk.offset), 0);
+  newBuffer.set(replacement, chunk.offset);
+  newBuffer.set(buffer.subarray(end), chunk.offset + replacement.length);
+  return newBuffer;
+}
+
+// Return a copy of the buffer without the chunks matching the predicate
+export function removeChunks(buffer, chunks, predicate) {
+  const removed = chunks.filter(c => !c.isSignature && predicate(c));
+  if (removed.length === 0) return buffer;
+
+  const newBuffer = new Uint8Array(buffer.length - removed.reduce((n, c) => n + c.length, 0));
+  let readPos = 0;
+  let writePos = 0;
+  for (const chunk of removed) {
+    newBuffer.set(buffer.subarray(readPos, chunk.offset), writePos);
+    writePos += chunk.offset - readPos;
+    readPos = chunk.offset + chunk.length;
+  }
+  newBuffer.set(buffer.subarray(readPos), writePos);
+  return newBuffer;
+}
+
+// Insert complete chunks (from createChunk) before the first chunk of the
+// given type, falling back to just before IEND
+export function insertChunks(buffer, chunks, newChunks, beforeType = 'IDAT') {
+  const anchor = chunks.find(c => c.type === beforeType) || chunks.find(c => c.type === 'IEND');
+  const position = anchor ? anchor.offset : buffer.length;
+  const insertLength = newChunks.reduce((n, c) => n + c.length, 0);
+
+  const newBuffer = new Uint8Array(buffer.length + insertLength);
+  newBuffer.set(buffer.subarray(0, position), 0);
+  let pos = position;
+  for (const chunk of newChunks) {
+    newBuffer.set(chunk, pos);
+    pos += chunk.length;
+  }
+  newBuffer.set(buffer.subarray(position), pos);
+  return newBuffer;
+}
+
+// ========== TEXT CHUNKS ==========
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+function latin1Bytes(text) {
+  return Uint8Array.from(text, c => c.charCodeAt(0) & 0xFF);
+}
+
+// Build an uncompressed iTXt chunk (UTF-8 text, Latin-1 keyword)
+export function createITXt(keyword, text, languageTag = '', translatedKeyword = '') {
+  const parts = [
+    latin1Bytes(keyword), new Uint8Array([0, 0, 0]), // null, compression flag, method
+    latin1Bytes(languageTag), new Uint8Array([0]),
+    textEncoder.encode(translatedKeyword), new Uint8Array([0]),
+    textEncoder.encode(text)
+  ];
+  const data = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let pos = 0;
+  for (const part of parts) {
+    data.set(part, pos);
+    pos += part.length;
+  }
+  return createChunk('iTXt', data);
+}
+
+// Decode an iTXt chunk. Compressed text needs an `inflate(bytes)` function;
+// without one its `text` is null.
+export function readITXt(buffer, chunk, inflate = null) {
+  const data = buffer.subarray(chunk.dataOffset, chunk.dataOffset + chunk.dataLength);
+  const keywordEnd = data.indexOf(0);
+  if (keywordEnd === -1 || keywordEnd + 3 > data.length) return null;
+
+  const compressed = data[keywordEnd + 1] === 1;
+  const languageEnd = data.indexOf(0, keywordEnd + 3);
+  const translatedEnd = languageEnd === -1 ? -1 : data.indexOf(0, languageEnd + 1);
+  if (translatedEnd === -1) return null;
+
+  const textBytes = data.subarray(translatedEnd + 1);
+  let text = null;
+  if (!compressed) {
+    text = textDecoder.decode(textBytes);
+  } else if (inflate) {
+    text = textDecoder.decode(inflate(textBytes));
+  }
+
+  return {
+    keyword: String.fromCharCode(...data.subarray(0, keywordEnd)),
+    compressed,
+    languageTag: String.fromCharCode(...data.subarray(keywordEnd + 3, languageEnd)),
+    translatedKeyword: textDecoder.decode(data.subarray(languageEnd + 1, translatedEnd)),
+    text
+  };
+}
+
+// ========== PIXEL FORMATS ==========
+
+// Samples per pixel for each color type
+const COLOR_TYPE_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Ancillary chunks whose meaning depends on the color type or bit depth
+const FORMAT_DEPENDENT_CHUNKS = ['PLTE', 'tRNS', 'bKGD', 'hIST', 'sBIT'];
+
+export function bitsPerPixel({ colorType, bitDepth }) {
+  return (COLOR_TYPE_CHANNELS[colorType] || 4) * bitDepth;
+}
+
+export function paethPredictor(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  if (pb <= pc) return b;
+  return c;
+}
+
+// Reverse PNG filtering. Returns a copy with every filter byte set to 0 (None).
+// Truncated data decodes as zeros, unknown filter types as None.
+export function unfilterScanlines(data, width, height, bitsPerPixel) {
+  const rowLength = Math.ceil((width * bitsPerPixel) / 8);
+  const scanlineLength = rowLength + 1;
+  const bpp = Math.max(1, bitsPerPixel >> 3);
+  const out = new Uint8Array(height * scanlineLength);
+
+  for (let y = 0; y < height; y++) {
+    const row = y * scanlineLength;
+    const prev = row - scanlineLength;
+    const filter = data[row];
+
+    for (let i = 1; i <= rowLength; i++) {
+      const x = data[row + i] ?? 0;
+      const a = i > bpp ? out[row + i - bpp] : 0;
+      const b = y > 0 ? out[prev + i] : 0;
+      const c = y > 0 && i > bpp ? out[prev + i - bpp] : 0;
+
+      switch (filter) {
+        case 1: out[row + i] = x + a; break;
+        case 2: out[row + i] = x + b; break;
+        case 3: out[row + i] = x + ((a + b) >> 1); break;
+        case 4: out[row + i] = x + paethPredictor(a, b, c); break;
+        default: out[row + i] = x;
+      }
+    }
+  }
+  return out;
+}
+
+// ========== FILTERING ==========
+
+// Export filter strategies: a fixed PNG filter type for every row, the
+// minimum-sum-of-absolute-differences heuristic, or a random type per row
+export const FILTER_STRATEGIES = ['none', 'sub', 'up', 'average', 'paeth', 'adaptive', 'random'];
+
+const FILTER_TYPES = ['none', 'sub', 'up', 'average', 'paeth'];
+
+// Filter one row of unfiltered scanlines into `out` (filter byte included).
+// `prev` is the offset of the previous row, or -1 for the first one.
+function filterRow(pixels, row, prev, rowLength, bpp, type, out, outRow) {
+  out[outRow] = type;
+  for (let i = 1; i <= rowLength; i++) {
+    const a = i > bpp ? pixels[row + i - bpp] : 0;
+    const b = prev >= 0 ? pixels[prev + i] : 0;
+    const c = prev >= 0 && i > bpp ? pixels[prev + i - bpp] : 0;
+
+    let predicted;
+    switch (type) {
+      case 1: predicted = a; break;
+      case 2: predicted = b; break;
+      case 3: predicted = (a + b) >> 1; break;
+      case 4: predicted = paethPredictor(a, b, c); break;
+      default: predicted = 0;
+    }
+    out[outRow + i] = pixels[row + i] - predicted;
+  }
+}
+
+// Apply PNG filtering to unfiltered scanlines (filter bytes are ignored).
+// The 'random' strategy draws row types from `random`, which callers seed
+// (see createSeededRNG()) so the output is reproducible.
+export function filterScanlines(pixels, width, height, bitsPerPixel, strategy = 'adaptive', random = null) {
+  if (!FILTER_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown filter strategy "${strategy}"`);
+  }
+  if (strategy === 'random' && typeof random !== 'function') {
+    throw new Error('The random filter strategy needs a seeded random function');
+  }
+
+  const rowLength = Math.ceil((width * bitsPerPixel) / 8);
+  const scanlineLength = rowLength + 1;
+  const bpp = Math.max(1, bitsPerPixel >> 3);
+  const out = new Uint8Array(height * scanlineLength);
+  const candidate = strategy === 'adaptive' ? new Uint8Array(scanlineLength) : null;
+
+  for (let y = 0; y < height; y++) {
+    const row = y * scanlineLength;
+    const prev = y > 0 ? row - scanlineLength : -1;
+
+    if (!candidate) {
+      const type = strategy === 'random' ? Math.floor(random() * 5) : FILTER_TYPES.indexOf(strategy);
+      filterRow(pixels, row, prev, rowLength, bpp, type, out, row);
+      continue;
+    }
+
+    // Keep the type whose output bytes, read as signed, sum closest to zero
+    let best = Infinity;
+    for (let type = 0; type < 5; type++) {
+      filterRow(pixels, row, prev, rowLength, bpp, type, candidate, 0);
+      let sum = 0;
+      for (let i = 1; i <= rowLength; i++) {
+        sum += candidate[i] < 128 ? candidate[i] : 256 - candidate[i];
+      }
+      if (sum < best) {
+        best = sum;
+        out.set(candidate, row);
+      }
+    }
+  }
+  return out;
+}
+
+// PLTE entries as RGBA, with alpha from tRNS
+export function readPalette(buffer, chunks) {
+  const plte = chunks.find(c => c.type === 'PLTE');
+  if (!plte) return null;
+
+  const count = Math.floor(plte.dataLength / 3);
+  const trns = chunks.find(c => c.type === 'tRNS');
+  const palette = new Uint8Array(count * 4);
+  for (let i = 0; i < count; i++) {
+    palette[i * 4] = buffer[plte.dataOffset + i * 3];
+    palette[i * 4 + 1] = buffer[plte.dataOffset + i * 3 + 1];
+    palette[i * 4 + 2] = buffer[plte.dataOffset + i * 3 + 2];
+    palette[i * 4 + 3] = trns && i < trns.dataLength ? buffer[trns.dataOffset + i] : 255;
+  }
+  return palette;
+}
+
+// tRNS key color for grayscale/RGB images, as raw samples at the source depth
+function readTransparencyKey(buffer, chunks, colorType) {
+  const trns = chunks.find(c => c.type === 'tRNS');
+  if (!trns || (colorType !== 0 && colorType !== 2)) return null;
+
+  const samples = colorType === 0 ? 1 : 3;
+  if (trns.dataLength < samples * 2) return null;
+  const key = [];
+  for (let i = 0; i < samples; i++) {
+    key.push((buffer[trns.dataOffset + i * 2] << 8) | buffer[trns.dataOffset + i * 2 + 1]);
+  }
+  return key;
+}
+
+// Describe the 8-bit layout a source format is normalized to
+function normalizedFormat(source) {
+  const { colorType, width, height } = source;
+  let normalizedType;
+  if (colorType === 3) {
+    normalizedType = source.palette && hasTranslucentEntry(source.palette) ? 6 : 2;
+  } else if (source.transparencyKey) {
+    normalizedType = colorType === 0 ? 4 : 6; // Key color becomes an alpha channel
+  } else {
+    normalizedType = colorType;
+  }
+
+  const channels = COLOR_TYPE_CHANNELS[normalizedType];
+  return {
+    width,
+    height,
+    bitDepth: 8,
+    colorType: normalizedType,
+    channels,
+    bytesPerPixel: channels,
+    scanlineLength: 1 + width * channels,
+    interlace: 0,
+    filtered: false
+  };
+}
+
+function hasTranslucentEntry(palette) {
+  for (let i = 3; i < palette.length; i += 4) {
+    if (palette[i] !== 255) return true;
+  }
+  return false;
+}
+
+// Unpack unfiltered scanlines of any bit depth/color type into normalized
+// 8-bit scanlines. 16-bit samples keep their high byte.
+function normalizeScanlines(unfiltered, source, info) {
+  const { width, height, bitDepth, colorType } = source;
+  const key = source.transparencyKey;
+  if (bitDepth === 8 && colorType !== 3 && !key) return unfiltered; // Already 8-bit channels
+
+  const sourceChannels = COLOR_TYPE_CHANNELS[colorType];
+  const sourceRowLength = Math.ceil((width * sourceChannels * bitDepth) / 8);
+  const maxValue = (1 << bitDepth) - 1;
+  const out = new Uint8Array(height * info.scanlineLength);
+
+  const readSample = (row, index) => {
+    if (bitDepth === 8) return unfiltered[row + index];
+    if (bitDepth === 16) return (unfiltered[row + index * 2] << 8) | unfiltered[row + index * 2 + 1];
+    const bit = index * bitDepth;
+    return (unfiltered[row + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & maxValue;
+  };
+  const to8Bit = bitDepth === 16 ? (v) => v >> 8 : (v) => Math.round((v * 255) / maxValue);
+
+  for (let y = 0; y < height; y++) {
+    const srcRow = y * (sourceRowLength + 1) + 1;
+    const dstRow = y * info.scanlineLength + 1;
+
+    for (let x = 0; x < width; x++) {
+      const dst = dstRow + x * info.channels;
+
+      if (colorType === 3) {
+        const index = readSample(srcRow, x) * 4;
+        const palette = source.palette;
+        const inRange = palette && index < palette.length;
+        for (let c = 0; c < info.channels; c++) {
+          out[dst + c] = inRange ? palette[index + c] : (c === 3 ? 255 : 0);
+        }
+        continue;
+      }
+
+      let matchesKey = !!key;
+      for (let c = 0; c < sourceChannels; c++) {
+        const sample = readSample(srcRow, x * sourceChannels + c);
+        if (key && sample !== key[c]) matchesKey = false;
+        out[dst + c] = to8Bit(sample);
+      }
+      if (key) {
+        out[dst + sourceChannels] = matchesKey ? 0 : 255;
+      }
+    }
+  }
+  return out;
+}
+
+// Pack normalized 8-bit scanlines back into the source format, unfiltered.
+// For 16-bit sources, samples still equal to `reference` (the pixels as first
+// decoded) get their original low byte back instead of being re-expanded.
+function denormalizeScanlines(pixels, info, source, reference = null) {
+  const { width, height, bitDepth, colorType } = source;
+  const sourceChannels = COLOR_TYPE_CHANNELS[colorType];
+  if (bitDepth === 8 && colorType !== 3 && info.channels === sourceChannels) return pixels;
+
+  const sourceRowLength = Math.ceil((width * sourceChannels * bitDepth) / 8);
+  const maxValue = (1 << bitDepth) - 1;
+  const out = new Uint8Array(height * (sourceRowLength + 1));
+  const findIndex = colorType === 3 ? createPaletteMatcher(source.palette) : null;
+
+  const writeSample = (row, index, value) => {
+    if (bitDepth === 8) {
+      out[row + index] = value;
+    } else if (bitDepth === 16) {
+      out[row + index * 2] = value >> 8;
+      out[row + index * 2 + 1] = value & 0xFF;
+    } else {
+      const bit = index * bitDepth;
+      out[row + (bit >> 3)] |= (value & maxValue) << (8 - bitDepth - (bit & 7));
+    }
+  };
+
+  for (let y = 0; y < height; y++) {
+    const srcRow = y * info.scanlineLength + 1;
+    const dstRow = y * (sourceRowLength + 1) + 1;
+
+    for (let x = 0; x < width; x++) {
+      const src = srcRow + x * info.channels;
+
+      if (colorType === 3) {
+        const alpha = info.channels === 4 ? pixels[src + 3] : 255;
+        writeSample(dstRow, x, findIndex(pixels[src], pixels[src + 1], pixels[src + 2], alpha));
+        continue;
+      }
+
+      for (let c = 0; c < sourceChannels; c++) {
+        const value = pixels[src + c];
+        let sample;
+        if (bitDepth === 16) {
+          sample = reference && reference.pixels[src + c] === value
+            ? reference.samples[(y * width + x) * sourceChannels + c]
+            : value * 257;
+        } else {
+          sample = Math.round((value * maxValue) / 255);
+        }
+        writeSample(dstRow, x * sourceChannels + c, sample);
+      }
+    }
+  }
+  return out;
+}
+
+// Nearest-color lookup into an RGBA palette, cached per color
+function createPaletteMatcher(palette) {
+  const cache = new Map();
+  const count = palette ? palette.length / 4 : 0;
+
+  return (r, g, b, a) => {
+    const key = ((r << 24) | (g << 16) | (b << 8) | a) >>> 0;
+    let index = cache.get(key);
+    if (index !== undefined) return index;
+
+    let best = Infinity;
+    index = 0;
+    for (let i = 0; i < count; i++) {
+      const dr = palette[i * 4] - r;
+      const dg = palette[i * 4 + 1] - g;
+      const db = palette[i * 4 + 2] - b;
+      const da = palette[i * 4 + 3] - a;
+      const distance = dr * dr + dg * dg + db * db + da * da;
+      if (distance < best) {
+        best = distance;
+        index = i;
+        if (distance === 0) break;
+      }
+    }
+    cache.set(key, index);
+    return index;
+  };
+}
+
+// Keep the raw 16-bit samples so untouched pixels survive a round trip
+function readSamples16(unfiltered, source) {
+  const { width, height } = source;
+  const channels = COLOR_TYPE_CHANNELS[source.colorType];
+  const rowLength = width * channels * 2;
+  const samples = new Uint16Array(width * height * channels);
+  for (let y = 0; y < height; y++) {
+    const row = y * (rowLength + 1) + 1;
+    for (let i = 0; i < width * channels; i++) {
+      samples[y * width * channels + i] = (unfiltered[row + i * 2] << 8) | unfiltered[row + i * 2 + 1];
+    }
+  }
+  return samples;
+}
+
+// Convert 8-bit scanlines (gray, gray+alpha, RGB or RGBA) to packed RGBA
+export function toRGBA(pixels, { width, height, colorType, scanlineLength }) {
+  const channels = COLOR_TYPE_CHANNELS[colorType];
+  const rgba = new Uint8Array(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    const row = y * scanlineLength + 1;
+    for (let x = 0; x < width; x++) {
+      const src = row + x * channels;
+      const dst = (y * width + x) * 4;
+      if (channels <= 2) {
+        rgba[dst] = rgba[dst + 1] = rgba[dst + 2] = pixels[src];
+        rgba[dst + 3] = channels === 2 ? pixels[src + 1] : 255;
+      } else {
+        rgba[dst] = pixels[src];
+        rgba[dst + 1] = pixels[src + 1];
+        rgba[dst + 2] = pixels[src + 2];
+        rgba[dst + 3] = channels === 4 ? pixels[src + 3] : 255;
+      }
+    }
+  }
+  return rgba;
+}
+
+// Prefix each row of packed pixels with a filter byte (None)
+function addFilterBytes(packed, height, rowLength) {
+  const out = new Uint8Array(height * (rowLength + 1));
+  for (let y = 0; y < height; y++) {
+    out.set(packed.subarray(y * rowLength, (y + 1) * rowLength), y * (rowLength + 1) + 1);
+  }
+  return out;
+}
+
+// ========== INTERLACING ==========
+
+// Adam7 pass origins and strides, in pass order
+export const ADAM7_PASSES = [
+  { x: 0, y: 0, dx: 8, dy: 8 },
+  { x: 4, y: 0, dx: 8, dy: 8 },
+  { x: 0, y: 4, dx: 4, dy: 8 },
+  { x: 2, y: 0, dx: 4, dy: 4 },
+  { x: 0, y: 2, dx: 2, dy: 4 },
+  { x: 1, y: 0, dx: 2, dy: 2 },
+  { x: 0, y: 1, dx: 1, dy: 2 }
+];
+
+// Reduced image size of each pass; empty passes have no bytes in the stream
+export function adam7Passes(width, height) {
+  return ADAM7_PASSES.map(pass => ({
+    ...pass,
+    width: Math.max(0, Math.ceil((width - pass.x) / pass.dx)),
+    height: Math.max(0, Math.ceil((height - pass.y) / pass.dy))
+  }));
+}
+
+// Index (0-6) of the pass that transmits pixel (x, y)
+export function adam7PassIndex(x, y) {
+  const gx = x & 7;
+  const gy = y & 7;
+  for (let i = ADAM7_PASSES.length - 1; i >= 0; i--) {
+    const pass = ADAM7_PASSES[i];
+    if (gx >= pass.x && gy >= pass.y && (gx - pass.x) % pass.dx === 0 && (gy - pass.y) % pass.dy === 0) {
+      return i;
+    }
+  }
+  return 0;
+}
+
+// Copy pixel `srcIndex` of a packed row to pixel `dstIndex` of another.
+// Sub-byte pixels are OR-ed in, so `dst` must start zeroed.
+function copyPixel(src, srcRow, srcIndex, dst, dstRow, dstIndex, bits) {
+  if (bits >= 8) {
+    const bytes = bits >> 3;
+    for (let i = 0; i < bytes; i++) {
+      dst[dstRow + dstIndex * bytes + i] = src[srcRow + srcIndex * bytes + i];
+    }
+    return;
+  }
+  const srcBit = srcIndex * bits;
+  const dstBit = dstIndex * bits;
+  const value = (src[srcRow + (srcBit >> 3)] >> (8 - bits - (srcBit & 7))) & ((1 << bits) - 1);
+  dst[dstRow + (dstBit >> 3)] |= value << (8 - bits - (dstBit & 7));
+}
+
+// Unfilter the seven pass images of an interlaced stream and merge them into
+// one flat image (filter byte 0 on every row). Missing data decodes as zeros.
+export function deinterlaceScanlines(data, width, height, bitsPerPixel) {
+  const scanlineLength = Math.ceil((width * bitsPerPixel) / 8) + 1;
+  const out = new Uint8Array(height * scanlineLength);
+  let offset = 0;
+
+  for (const pass of adam7Passes(width, height)) {
+    if (pass.width === 0 || pass.height === 0) continue;
+
+    const passScanline = Math.ceil((pass.width * bitsPerPixel) / 8) + 1;
+    const passLength = pass.height * passScanline;
+    const pixels = unfilterScanlines(data.subarray(offset, offset + passLength), pass.width, pass.height, bitsPerPixel);
+    offset += passLength;
+
+    for (let py = 0; py < pass.height; py++) {
+      const dstRow = (pass.y + py * pass.dy) * scanlineLength + 1;
+      for (let px = 0; px < pass.width; px++) {
+        copyPixel(pixels, py * passScanline + 1, px, out, dstRow, pass.x + px * pass.dx, bitsPerPixel);
+      }
+    }
+  }
+  return out;
+}
+
+// Split unfiltered flat scanlines into an Adam7 stream (filter None)
+export function interlaceScanlines(pixels, width, height, bitsPerPixel) {
+  const scanlineLength = Math.ceil((width * bitsPerPixel) / 8) + 1;
+  const passes = adam7Passes(width, height).filter(pass => pass.width > 0 && pass.height > 0);
+  const total = passes.reduce((sum, pass) => sum + pass.height * (Math.ceil((pass.width * bitsPerPixel) / 8) + 1), 0);
+  const out = new Uint8Array(total);
+  let offset = 0;
+
+  for (const pass of passes) {
+    const passScanline = Math.ceil((pass.width * bitsPerPixel) / 8) + 1;
+    for (let py = 0; py < pass.height; py++) {
+      const srcRow = (pass.y + py * pass.dy) * scanlineLength + 1;
+      for (let px = 0; px < pass.width; px++) {
+        copyPixel(pixels, srcRow, pass.x + px * pass.dx, out, offset + 1, px, bitsPerPixel);
+      }
+      offset += passScanline;
+    }
+  }
+  return out;
+}
+
+// Filter each pass of an unfiltered Adam7 stream separately
+function filterPasses(stream, width, height, bitsPerPixel, strategy, random) {
+  const out = new Uint8Array(stream.length);
+  let offset = 0;
+  for (const pass of adam7Passes(width, height)) {
+    if (pass.width === 0 || pass.height === 0) continue;
+    const length = pass.height * (Math.ceil((pass.width * bitsPerPixel) / 8) + 1);
+    const filtered = filterScanlines(stream.subarray(offset, offset + length), pass.width, pass.height, bitsPerPixel, strategy, random);
+    out.set(filtered, offset);
+    offset += length;
+  }
+  return out;
+}
+
+// ========== RESAMPLING ==========
+
+// Box-average 8-bit scanlines by an integer factor (edge blocks average the
+// pixels they have). The result's imageInfo carries `scale` = 1 / factor so
+// effects can adjust their pixel distances to the smaller image.
+export function downscaleScanlines(pixelData, imageInfo, factor) {
+  const { width, height, bytesPerPixel, scanlineLength } = imageInfo;
+  const outWidth = Math.ceil(width / factor);
+  const outHeight = Math.ceil(height / factor);
+  const outScanline = outWidth * bytesPerPixel + 1;
+  const out = new Uint8Array(outHeight * outScanline);
+  const sums = new Uint32Array(outWidth * bytesPerPixel);
+
+  for (let oy = 0; oy < outHeight; oy++) {
+    sums.fill(0);
+    const y0 = oy * factor;
+    const rows = Math.min(factor, height - y0);
+    for (let y = y0; y < y0 + rows; y++) {
+      const rowStart = y * scanlineLength + 1;
+      for (let x = 0; x < width; x++) {
+        const dest = ((x / factor) | 0) * bytesPerPixel;
+        const src = rowStart + x * bytesPerPixel;
+        for (let c = 0; c < bytesPerPixel; c++) sums[dest + c] += pixelData[src + c];
+      }
+    }
+
+    const outRow = oy * outScanline + 1;
+    for (let ox = 0; ox < outWidth; ox++) {
+      const count = rows * Math.min(factor, width - ox * factor);
+      for (let c = 0; c < bytesPerPixel; c++) {
+        const i = ox * bytesPerPixel + c;
+        out[outRow + i] = Math.round(sums[i] / count);
+      }
+    }
+  }
+
+  return {
+    pixelData: out,
+    imageInfo: {
+      ...imageInfo,
+      width: outWidth,
+      height: outHeight,
+      scanlineLength: outScanline,
+      scale: (imageInfo.scale ?? 1) / factor
+    }
+  };
+}
+
+// ========== IMAGE DECODING ==========
+
+// Layout of the inflated stream itself, for effects that work on filtered bytes
+function filteredFormat(ihdr) {
+  const bits = bitsPerPixel(ihdr);
+  return {
+    ...ihdr,
+    bytesPerPixel: Math.max(1, bits >> 3),
+    scanlineLength: Math.ceil((ihdr.width * bits) / 8) + 1,
+    filtered: true
+  };
+}
+
+// Unfilter (and de-interlace) an inflated stream into normalized 8-bit pixels
+function decodeScanlines(raw, source) {
+  const imageInfo = normalizedFormat(source);
+  const bits = bitsPerPixel(source);
+  const unfiltered = source.interlace
+    ? deinterlaceScanlines(raw, source.width, source.height, bits)
+    : unfilterScanlines(raw, source.width, source.height, bits);
+  const pixelData = normalizeScanlines(unfiltered, source, imageInfo);
+  const reference = source.bitDepth === 16
+    ? { pixels: pixelData.slice(), samples: readSamples16(unfiltered, source) }
+    : null;
+  return { pixelData, imageInfo, reference };
+}
+
+// Decode the IDAT stream into the buffer effects operate on, using the given
+// `inflate(bytes)` (fflate in the browser, zlib in Node). Pixels are
+// unfiltered, de-interlaced and normalized to 8-bit gray, gray+alpha, RGB or
+// RGBA scanlines. With `filtered` the inflated stream is returned as-is
+// instead, for the classic databending look.
+// Returns { pixelData, imageInfo, source } or null without image data.
+export function decodeImage(buffer, chunks, inflate, { filtered = false } = {}) {
+  const ihdr = parseIHDR(buffer, chunks);
+  const compressed = concatIDAT(buffer, chunks);
+  if (!ihdr || !compressed) return null;
+
+  const raw = inflate(compressed);
+  const source = {
+    ...ihdr,
+    palette: ihdr.colorType === 3 ? readPalette(buffer, chunks) : null,
+    transparencyKey: readTransparencyKey(buffer, chunks, ihdr.colorType),
+    reference: null
+  };
+
+  if (filtered) {
+    return { pixelData: raw, imageInfo: filteredFormat(ihdr), source };
+  }
+
+  const { pixelData, imageInfo, reference } = decodeScanlines(raw, source);
+  source.reference = reference;
+  return { pixelData, imageInfo, source };
+}
+
+// Build the filtered, uncompressed IDAT stream for `pixelData`. Options are
+// those of encodeImage() minus `deflate`. Returns { raw, ihdr, converted }
+// where `ihdr` describes the stream's layout and `converted` is set for
+// RGBA8 conversions.
+export function encodeScanlines(pixelData, imageInfo, source, {
+  format = 'source', interlace = source.interlace, filter = 'adaptive', random = null
+} = {}) {
+  const { width, height } = source;
+  const converted = format === 'rgba8' && !(source.bitDepth === 8 && source.colorType === 6);
+  const target = converted ? { width, height, bitDepth: 8, colorType: 6 } : source;
+  const interlaced = interlace ? 1 : 0;
+  const ihdr = {
+    width, height, bitDepth: target.bitDepth, colorType: target.colorType, interlace: interlaced
+  };
+
+  if (imageInfo.filtered && !converted && interlaced === source.interlace) {
+    return { raw: pixelData, ihdr, converted };
+  }
+
+  let pixels = pixelData;
+  let info = imageInfo;
+  let reference = source.reference;
+  if (imageInfo.filtered) {
+    // Conversion and re-interlacing need real pixels
+    ({ pixelData: pixels, imageInfo: info, reference } = decodeScanlines(pixelData, source));
+  }
+
+  const flat = converted
+    ? addFilterBytes(toRGBA(pixels, info), height, width * 4)
+    : denormalizeScanlines(pixels, info, source, reference);
+  const bits = bitsPerPixel(target);
+  const strategy = filter === 'adaptive' && (target.colorType === 3 || target.bitDepth < 8) ? 'none' : filter;
+  const raw = interlaced
+    ? filterPasses(interlaceScanlines(flat, width, height, bits), width, height, bits, strategy, random)
+    : filterScanlines(flat, width, height, bits, strategy, random);
+  return { raw, ihdr, converted };
+}
+
+// Encode pixel data back into a PNG buffer. `format` is 'source' to keep
+// the original color type and bit depth, or 'rgba8' to convert to 8-bit
+// RGBA (dropping PLTE/tRNS and other format-dependent chunks). `interlace`
+// selects Adam7 output and defaults to the source's interlace method.
+// `filter` is one of FILTER_STRATEGIES; 'adaptive' falls back to 'none' for
+// palette and sub-byte output, as the PNG spec recommends; 'random' needs a
+// seeded `random` function. Filtered bytes are written back untouched
+// unless the format or interlacing changes.
+export function encodeImage(buffer, chunks, pixelData, imageInfo, source, { deflate, ...options }) {
+  const { raw, ihdr, converted } = encodeScanlines(pixelData, imageInfo, source, options);
+
+  let out = buffer;
+  let outChunks = chunks;
+  if (converted) {
+    out = removeChunks(out, outChunks, c => FORMAT_DEPENDENT_CHUNKS.includes(c.type));
+    outChunks = parsePNG(out).chunks;
+  }
+  if (converted || ihdr.interlace !== source.interlace) {
+    const ihdrChunk = outChunks.find(c => c.type === 'IHDR');
+    out = replaceChunkData(out, ihdrChunk, createIHDRData(ihdr));
+    outChunks = parsePNG(out).chunks;
+  }
+
+  return replaceIDAT(out, outChunks, deflate(raw));
+}
+
+// Encode 8-bit scanlines laid out like decodeImage()'s output as a new PNG
+// holding only IHDR, IDAT and IEND
+export function createPNG(pixelData, { width, height, colorType }, { deflate, filter = 'adaptive' }) {
+  const ihdr = { width, height, bitDepth: 8, colorType };
+  const raw = filterScanlines(pixelData, width, height, bitsPerPixel(ihdr), filter);
+  const parts = [
+    new Uint8Array(PNG_SIGNATURE),
+    createChunk('IHDR', createIHDRData(ihdr)),
+    createChunk('IDAT', deflate(raw)),
+    createChunk('IEND', new Uint8Array(0))
+  ];
+  const out = new Uint8Array(parts.reduce((n, part) => n + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+// ========== ANIMATION ==========
+
+// APNG chunks only make sense next to the frames they describe
+export const APNG_CHUNKS = ['acTL', 'fcTL', 'fdAT'];
+
+// fcTL dispose_op: what happens to a frame's region before the next one
+export const APNG_DISPOSE_OPS = ['none', 'background', 'previous'];
+// fcTL blend_op: replace the region, or alpha-composite over it
+export const APNG_BLEND_OPS = ['source', 'over'];
+
+// Frame count and loop count (0 = forever) from acTL, or null for a still PNG
+export function readAnimationControl(buffer, chunks) {
+  const actl = chunks.find(c => c.type === 'acTL');
+  if (!actl || actl.dataLength < 8) return null;
+  return { numFrames: readUint32(buffer, actl.dataOffset), numPlays: readUint32(buffer, actl.dataOffset + 4) };
+}
+
+// Fields of an fcTL chunk, with the delay in milliseconds
+export function readFrameControl(buffer, chunk) {
+  const data = buffer.subarray(chunk.dataOffset, chunk.dataOffset + 26);
+  const delayNum = (data[20] << 8) | data[21];
+  const delayDen = ((data[22] << 8) | data[23]) || 100; // 0 means 1/100 s
+  return {
+    sequence: readUint32(data, 0),
+    width: readUint32(data, 4),
+    height: readUint32(data, 8),
+    x: readUint32(data, 12),
+    y: readUint32(data, 16),
+    delay: (delayNum * 1000) / delayDen,
+    dispose: APNG_DISPOSE_OPS[data[24]] || 'none',
+    blend: APNG_BLEND_OPS[data[25]] || 'source'
+  };
+}
+
+function createFrameControl(sequence, { width, height }, { delay, dispose, blend }) {
+  const data = new Uint8Array(26);
+  writeUint32(data, 0, sequence);
+  writeUint32(data, 4, width);
+  writeUint32(data, 8, height);
+  // x/y offsets stay 0: every frame covers the whole image
+  const delayNum = Math.max(0, Math.min(0xFFFF, Math.round(delay)));
+  data[20] = delayNum >> 8;
+  data[21] = delayNum & 0xFF;
+  data[22] = 1000 >> 8;
+  data[23] = 1000 & 0xFF;
+  data[24] = APNG_DISPOSE_OPS.indexOf(dispose);
+  data[25] = APNG_BLEND_OPS.indexOf(blend);
+  return createChunk('fcTL', data);
+}
+
+// Encode `frames` (pixel buffers laid out like `imageInfo`) as an APNG.
+// `delay` is in milliseconds, either one value or one per frame; `loops`
+// is the number of plays (0 = forever); `dispose` and `blend` are written
+// to every frame (see APNG_DISPOSE_OPS and APNG_BLEND_OPS). The first frame
+// is also the default image, so viewers without APNG support show it.
+// Existing APNG chunks are replaced. Other options are those of encodeImage().
+export function encodeAPNG(buffer, chunks, frames, imageInfo, source, {
+  deflate, delay = 100, loops = 0, dispose = 'none', blend = 'source', ...options
+}) {
+  if (frames.length === 0) throw new Error('An APNG needs at least one frame');
+  if (!APNG_DISPOSE_OPS.includes(dispose)) throw new Error(`Unknown dispose op "${dispose}"`);
+  if (!APNG_BLEND_OPS.includes(blend)) throw new Error(`Unknown blend op "${blend}"`);
+  const frameControl = (index) => ({ delay: Array.isArray(delay) ? delay[index] ?? 100 : delay, dispose, blend });
+
+  const base = removeChunks(buffer, chunks, c => APNG_CHUNKS.includes(c.type));
+  let out = encodeImage(base, parsePNG(base).chunks, frames[0], imageInfo, source, { deflate, ...options });
+  let outChunks = parsePNG(out).chunks;
+  const size = parseIHDR(out, outChunks);
+
+  const animationControl = new Uint8Array(8);
+  writeUint32(animationControl, 0, frames.length);
+  writeUint32(animationControl, 4, Math.max(0, Math.round(loops)));
+  let sequence = 0;
+  out = insertChunks(out, outChunks, [
+    createChunk('acTL', animationControl),
+    createFrameControl(sequence++, size, frameControl(0))
+  ]);
+  outChunks = parsePNG(out).chunks;
+
+  // The 16-bit reference holds the first frame's samples, so later frames
+  // are re-expanded rather than matched against it
+  const frameSource = { ...source, reference: null };
+  const frameChunks = [];
+  frames.slice(1).forEach((frame, i) => {
+    frameChunks.push(createFrameControl(sequence++, size, frameControl(i + 1)));
+    const compressed = deflate(encodeScanlines(frame, imageInfo, frameSource, options).raw);
+    const data = new Uint8Array(4 + compressed.length);
+    writeUint32(data, 0, sequence++);
+    data.set(compressed, 4);
+    frameChunks.push(createChunk('fdAT', data));
+  });
+  return insertChunks(out, outChunks, frameChunks, 'IEND');
+}
+
+// Paste a decoded frame region into the canvas. With the 'over' blend op,
+// frames with an alpha channel are composited onto what is already there.
+function drawFrameRegion(canvas, info, region, { x, y, width, height, blend }) {
+  const channels = info.channels;
+  const alpha = info.colorType === 4 || info.colorType === 6 ? channels - 1 : -1;
+  const regionRowLength = 1 + width * channels;
+
+  for (let row = 0; row < height; row++) {
+    let src = row * regionRowLength + 1;
+    let dst = (y + row) * info.scanlineLength + 1 + x * channels;
+    for (let col = 0; col < width; col++, src += channels, dst += channels) {
+      const a = alpha >= 0 ? region[src + alpha] : 255;
+      if (blend === 'source' || a === 255) {
+        canvas.set(region.subarray(src, src + channels), dst);
+      } else if (a > 0) {
+        const below = (canvas[dst + alpha] * (255 - a)) / 255;
+        const outAlpha = a + below;
+        for (let c = 0; c < alpha; c++) {
+          canvas[dst + c] = Math.round((region[src + c] * a + canvas[dst + c] * below) / outAlpha);
+        }
+        canvas[dst + alpha] = Math.round(outAlpha);
+      }
+    }
+  }
+}
+
+function clearFrameRegion(canvas, info, { x, y, width, height }) {
+  for (let row = 0; row < height; row++) {
+    const start = (y + row) * info.scanlineLength + 1 + x * info.channels;
+    canvas.fill(0, start, start + width * info.channels);
+  }
+}
+
+// Decode every frame of an APNG onto the full canvas, following each
+// frame's offsets and dispose/blend ops, so frames can be edited and
+// re-encoded as full frames (see encodeAPNG()). Returns { frames, numPlays,
+// imageInfo, source } where frames are { pixelData, delay } in the layout of
+// decodeImage(), or null for a still PNG. A default image that isn't part of
+// the animation is left out.
+export function decodeAPNG(buffer, chunks, inflate) {
+  const control = readAnimationControl(buffer, chunks);
+  const base = control && decodeImage(buffer, chunks, inflate);
+  if (!base) return null;
+  const { imageInfo, source } = base;
+
+  // Group the image data that follows each fcTL: IDAT for the default
+  // image, fdAT (after its sequence number) for the others
+  const controls = [];
+  for (const chunk of chunks) {
+    if (chunk.type === 'fcTL' && chunk.dataLength >= 26) {
+      controls.push({ ...readFrameControl(buffer, chunk), parts: [] });
+    } else if ((chunk.type === 'IDAT' || chunk.type === 'fdAT') && controls.length > 0) {
+      const skip = chunk.type === 'fdAT' ? 4 : 0;
+      controls.at(-1).parts.push(buffer.subarray(chunk.dataOffset + skip, chunk.dataOffset + chunk.dataLength));
+    }
+  }
+  if (controls.length === 0) return null;
+
+  const canvas = new Uint8Array(imageInfo.scanlineLength * imageInfo.height);
+  const frames = [];
+  controls.forEach((frame, index) => {
+    const { x, y, width, height } = frame;
+    if (width === 0 || height === 0 || x + width > imageInfo.width || y + height > imageInfo.height) {
+      throw new Error(`Frame ${index} lies outside the image`);
+    }
+    if (frame.parts.length === 0) throw new Error(`Frame ${index} has no image data`);
+
+    const compressed = new Uint8Array(frame.parts.reduce((n, part) => n + part.length, 0));
+    let offset = 0;
+    for (const part of frame.parts) {
+      compressed.set(part, offset);
+      offset += part.length;
+    }
+    const { pixelData: region } = decodeScanlines(inflate(compressed), { ...source, width, height });
+
+    // 'previous' on the first frame means 'background', as the spec says
+    const dispose = index === 0 && frame.dispose === 'previous' ? 'background' : frame.dispose;
+    const previous = dispose === 'previous' ? canvas.slice() : null;
+    drawFrameRegion(canvas, imageInfo, region, frame);
+    frames.push({ pixelData: canvas.slice(), delay: frame.delay });
+
+    if (dispose === 'background') clearFrameRegion(canvas, imageInfo, frame);
+    if (previous) canvas.set(previous);
+  });
+
+  return { frames, numPlays: control.numPlays, imageInfo, source };
+}
@@ -0,0 +1,113 @@
+/**
+ * GLITCHEDIT Presets Module
+ * Named layer stacks and single layers for the preset library, shared between browser and Node.js
+ */
+
+import { isGroup, parseLayerStack, serializeLayerStack } from './layers.mjs';
+
+export const PRESETS_FORMAT = 'glitchedit-presets';
+export const PRESETS_VERSION = 1;
+
+// 'stack' presets replace the whole stack; 'layer' presets hold one effect
+// (effectId + params) and are added on top of it
+export const PRESET_KINDS = ['stack', 'layer'];
+
+// Looks that ship with the editor. Seeds are fixed, so a built-in renders
+// the same every time it is applied.
+export const BUILTIN_PRESETS = [
+  {
+    name: 'VHS',
+    kind: 'stack',
+    layers: [
+      { effectId: 'channel-shift', params: { redShift: 6, greenShift: 0, blueShift: -4 }, seed: 1 },
+      { effectId: 'scanline-corrupt', params: { interval: 12, intensity: 25, shift: 6 }, seed: 2 },
+      { effectId: 'glitch-lines', params: { probability: 4, maxShift: 24, thickness: 3 }, seed: 3 },
+      { effectId: 'noise', params: { amount: 14, monochrome: true }, seed: 4, opacity: 0.6, blendMode: 'screen' }
+    ]
+  },
+  {
+    name: 'Corrupted JPEG',
+    kind: 'stack',
+    layers: [
+      { effectId: 'color-quantize', params: { levels: 10, dither: false }, seed: 1 },
+      { effectId: 'block-glitch', params: { blockSize: 16, probability: 14, maxShift: 30 }, seed: 2 },
+      { effectId: 'bit-flip', params: { probability: 0.4, bits: 3 }, seed: 3 }
+    ]
+  },
+  {
+    name: 'Datamosh',
+    kind: 'stack',
+    layers: [
+      { effectId: 'data-mosh', params: { probability: 35, blockSize: 16, maxDistance: 40 }, seed: 1 },
+      { effectId: 'displacement', params: { amount: 18, direction: 'horizontal' }, seed: 2 },
+      { effectId: 'block-glitch', params: { blockSize: 32, probability: 6, maxShift: 60 }, seed: 3, blendMode: 'difference', opacity: 0.5 }
+    ]
+  }
+].map(preset => ({ ...preset, builtin: true }));
+
+// Build a preset from live layers. Layer presets keep only the effect and
+// its params; the seed, blending and mask stay with the layer.
+export function createPreset(name, layers, kind = 'stack') {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed) throw new Error('A preset needs a name');
+  if (kind === 'layer') {
+    const [layer] = layers;
+    if (layers.length !== 1 || isGroup(layer)) throw new Error('A layer preset holds exactly one effect layer');
+    return { name: trimmed, kind, layers: [{ effectId: layer.effectId, params: { ...layer.params } }] };
+  }
+  if (!PRESET_KINDS.includes(kind)) throw new Error(`Unknown preset kind "${kind}"`);
+  return { name: trimmed, kind, layers: serializeLayerStack(layers).layers };
+}
+
+// Validate one preset, e.g. from IndexedDB or an imported file. Its layers
+// are checked like a stack file and kept in serialized form.
+export function parsePreset(data) {
+  const name = typeof data?.name === 'string' ? data.name.trim() : '';
+  if (!name) throw new Error('Preset has no name');
+  const kind = data.kind ?? 'stack';
+  if (!PRESET_KINDS.includes(kind)) throw new Error(`Unknown preset kind "${kind}" in "${name}"`);
+
+  let layers;
+  try {
+    layers = parseLayerStack(data.layers);
+  } catch (err) {
+    throw new Error(`Invalid preset "${name}": ${err.message}`);
+  }
+  if (kind === 'layer' && (layers.length !== 1 || isGroup(layers[0]))) {
+    throw new Error(`Invalid preset "${name}": a layer preset holds exactly one effect layer`);
+  }
+  return kind === 'layer'
+    ? createPreset(name, layers, 'layer')
+    : { name, kind, layers: serializeLayerStack(layers).layers };
+}
+
+// The layers to use when a preset is applied (ids still to be assigned)
+export function presetLayers(preset) {
+  return parseLayerStack(preset.layers);
+}
+
+// ========== FILES ==========
+
+// A presets file holds any number of presets; built-ins are left out
+export function exportPresets(presets) {
+  return {
+    format: PRESETS_FORMAT,
+    version: PRESETS_VERSION,
+    presets: presets.filter(p => !p.builtin).map(({ name, kind, layers }) => ({ name, kind, layers }))
+  };
+}
+
+// Parse a presets file. A bare stack file ({ layers } or an array) is read
+// as one stack preset named `fallbackName`.
+export function importPresets(json, fallbackName = 'Imported stack') {
+  const data = typeof json === 'string' ? JSON.parse(json) : json;
+  if (data?.format !== PRESETS_FORMAT) {
+    if (Array.isArray(data) || Array.isArray(data?.layers)) return [parsePreset({ name: fallbackName, layers: data })];
+    throw new Error('Not a GlitchEdit presets file');
+  }
+  if (data.version > PRESETS_VERSION) {
+    throw new Error(`Presets version ${data.version} is newer than this editor supports`);
+  }
+  if (!Array.isArray(data.presets)) throw new Error('Presets file has no "presets" array');
+  return data.presets.map(parsePreset);
+}
@@ -0,0 +1,233 @@
+/**
+ * GLITCHEDIT Project Module
+ * Serializes editing sessions to .glitch files (JSON + original PNG)
+ */
+
+import {
+  crc32,
+  createChunk,
+  createITXt,
+  readITXt,
+  insertChunks,
+  removeChunks,
+  replaceChunkData,
+  replaceIDAT,
+  parsePNG
+} from './png.mjs';
+import { serializeLayerStack, parseLayerStack, parseStackOptions } from './layers.mjs';
+import { parseAnimationSettings } from './animation.mjs';
+
+export const PROJECT_FORMAT = 'glitchedit-project';
+export const PROJECT_VERSION = 1;
+export const PROJECT_EXTENSION = '.glitch';
+
+// Recipe chunks embedded in exported PNGs
+export const RECIPE_KEYWORD = 'glitchedit';
+export const ORIGINAL_CHUNK = 'glOR'; // Private, unsafe to copy: invalid once pixels change
+
+// ========== ENCODING ==========
+
+export function encodeBase64(bytes) {
+  let binary = '';
+  // Chunked to stay below the argument limit of String.fromCharCode
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+export function decodeBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+// ========== BYTE PATCHES ==========
+
+// Describe how `current` differs from `reference`: null when identical,
+// a list of [offset, base64] runs when the length matches, else the full data.
+// Runs closer than `gap` bytes are merged to keep the list short.
+export function diffBytes(reference, current, gap = 8) {
+  if (reference.length !== current.length) {
+    return { data: encodeBase64(current) };
+  }
+
+  const patches = [];
+  let runStart = -1;
+  let lastDiff = -1;
+  for (let i = 0; i <= current.length; i++) {
+    const differs = i < current.length && reference[i] !== current[i];
+    if (differs) {
+      if (runStart === -1) runStart = i;
+      lastDiff = i;
+    } else if (runStart !== -1 && (i - lastDiff > gap || i === current.length)) {
+      patches.push([runStart, encodeBase64(current.subarray(runStart, lastDiff + 1))]);
+      runStart = -1;
+    }
+  }
+  return patches.length > 0 ? { patches } : null;
+}
+
+// Apply a diffBytes() result, returning the patched copy of `reference`
+export function applyBytePatch(reference, diff) {
+  if (!diff) return reference.slice();
+  if (diff.data) return decodeBase64(diff.data);
+
+  const result = reference.slice();
+  for (const [offset, data] of diff.patches) {
+    result.set(decodeBase64(data), offset);
+  }
+  return result;
+}
+
+// ========== PROJECTS ==========
+
+function encodeHistoryEntry(entry) {
+  const encoded = { ...entry };
+  if (entry.oldData) encoded.oldData = encodeBase64(entry.oldData);
+  if (entry.newData) encoded.newData = encodeBase64(entry.newData);
+  return encoded;
+}
+
+function decodeHistoryEntry(entry) {
+  const decoded = { ...entry };
+  if (typeof entry.oldData === 'string') decoded.oldData = decodeBase64(entry.oldData);
+  if (typeof entry.newData === 'string') decoded.newData = decodeBase64(entry.newData);
+  return decoded;
+}
+
+// Build the JSON-serializable project object. With `embed` false the
+// original PNG is referenced by filename, size and CRC instead of inlined.
+// `frames` holds a loaded APNG's frame selection and per-frame stacks.
+export function createProject({
+  filename, originalBuffer, embed = true, layers, editMode,
+  history = [], historyIndex = -1, cursorOffset = 0, selectionStart = null, selectionEnd = null,
+  edits = {}, filteredBytes = false, animation = null, frames = null
+}) {
+  const source = {
+    filename,
+    size: originalBuffer.length,
+    crc: crc32(originalBuffer)
+  };
+  if (embed) {
+    source.data = encodeBase64(originalBuffer);
+  }
+
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    source,
+    editMode,
+    filteredBytes,
+    layers,
+    ...(animation && { animation }),
+    ...(frames && { frames }),
+    edits,
+    history: history.map(encodeHistoryEntry),
+    historyIndex,
+    selection: { cursorOffset, selectionStart, selectionEnd }
+  };
+}
+
+// Parse and validate a project file. `originalBuffer` is decoded when
+// embedded, and left null when the project only references its source.
+export function parseProject(json) {
+  const project = typeof json === 'string' ? JSON.parse(json) : json;
+  if (project?.format !== PROJECT_FORMAT) {
+    throw new Error('Not a GlitchEdit project file');
+  }
+  if (project.version > PROJECT_VERSION) {
+    throw new Error(`Project version ${project.version} is newer than this editor supports`);
+  }
+
+  return {
+    ...project,
+    originalBuffer: project.source.data ? decodeBase64(project.source.data) : null,
+    filteredBytes: project.filteredBytes === true,
+    layers: Array.isArray(project.layers) ? project.layers : [],
+    animation: parseAnimationSettings(project.animation),
+    edits: project.edits || {},
+    history: (project.history || []).map(decodeHistoryEntry),
+    historyIndex: Number.isInteger(project.historyIndex) ? project.historyIndex : -1,
+    selection: project.selection || { cursorOffset: 0, selectionStart: null, selectionEnd: null }
+  };
+}
+
+// Check that a user-supplied PNG is the one a referencing project was saved with
+export function matchesProjectSource(project, buffer) {
+  return buffer.length === project.source.size && crc32(buffer) === project.source.crc;
+}
+
+// ========== RECIPES ==========
+
+function isRecipeChunk(buffer, chunk) {
+  if (chunk.type === ORIGINAL_CHUNK) return true;
+  return chunk.type === 'iTXt' && readITXt(buffer, chunk)?.keyword === RECIPE_KEYWORD;
+}
+
+// Embed the layer stack as an iTXt chunk, plus the original IHDR and IDAT
+// stream in a private chunk so the stack can be rebuilt on the source pixels.
+// `original` is { ihdr, idat } with the raw IHDR data and zlib stream;
+// `options` are the stack options for serializeLayerStack().
+export function embedRecipe(buffer, chunks, layers, original = null, options = {}) {
+  const stripped = stripRecipe(buffer, chunks);
+  const recipeChunks = [createITXt(RECIPE_KEYWORD, JSON.stringify(serializeLayerStack(layers, options)))];
+
+  if (original) {
+    const data = new Uint8Array(original.ihdr.length + original.idat.length);
+    data.set(original.ihdr, 0);
+    data.set(original.idat, original.ihdr.length);
+    recipeChunks.push(createChunk(ORIGINAL_CHUNK, data));
+  }
+
+  // In an APNG, keep the animation chunks next to the default image
+  const strippedChunks = parsePNG(stripped).chunks;
+  const anchor = strippedChunks.some(c => c.type === 'acTL') ? 'acTL' : 'IDAT';
+  return insertChunks(stripped, strippedChunks, recipeChunks, anchor);
+}
+
+export function stripRecipe(buffer, chunks) {
+  return removeChunks(buffer, chunks, c => isRecipeChunk(buffer, c));
+}
+
+// Find an embedded recipe: { layers, filteredBytes, original: { ihdr, idat } | null },
+// { error } when there is one but it can't be read, or null
+export function extractRecipe(buffer, chunks) {
+  const textChunk = chunks.find(c => c.type === 'iTXt' && readITXt(buffer, c)?.keyword === RECIPE_KEYWORD);
+  if (!textChunk) return null;
+
+  let layers;
+  let options;
+  try {
+    const text = readITXt(buffer, textChunk).text;
+    layers = parseLayerStack(text);
+    options = parseStackOptions(text);
+  } catch (e) {
+    return { error: e.message };
+  }
+
+  const originalChunk = chunks.find(c => c.type === ORIGINAL_CHUNK && c.dataLength > 13);
+  const original = originalChunk ? {
+    ihdr: buffer.slice(originalChunk.dataOffset, originalChunk.dataOffset + 13),
+    idat: buffer.slice(originalChunk.dataOffset + 13, originalChunk.dataOffset + originalChunk.dataLength)
+  } : null;
+
+  return { layers, filteredBytes: options.filteredBytes, original };
+}
+
+// Rebuild the source PNG from a recipe's original IHDR and pixel data
+export function restoreOriginal(buffer, chunks, recipe) {
+  let restored = stripRecipe(buffer, chunks);
+  let restoredChunks = parsePNG(restored).chunks;
+
+  const ihdr = restoredChunks.find(c => c.type === 'IHDR');
+  if (ihdr) {
+    restored = replaceChunkData(restored, ihdr, recipe.original.ihdr);
+    restoredChunks = parsePNG(restored).chunks;
+  }
+  return replaceIDAT(restored, restoredChunks, recipe.original.idat);
+}
@@ -0,0 +1,136 @@
+/**
+ * GLITCHEDIT Randomizer Module
+ * Constrained random layer stacks for the Glitch! button, shared between browser and Node.js
+ */
+
+import { effectRegistry } from './effects.mjs';
+import { isGroup } from './layers.mjs';
+
+export const EFFECT_CATEGORIES = [...new Set([...effectRegistry.values()].map(effect => effect.category))];
+export const MAX_RANDOM_LAYERS = 12;
+export const MAX_WEIGHT = 5;
+
+export const DEFAULT_RANDOMIZER = {
+  minLayers: 3,
+  maxLayers: 6,
+  minIntensity: 0,
+  maxIntensity: 100,
+  weights: Object.fromEntries(EFFECT_CATEGORIES.map(category => [category, 1]))
+};
+
+// Randomizer settings from storage, clamped to sane ranges. Min and max
+// are swapped if they come in the wrong order.
+export function parseRandomizerConfig(data) {
+  const num = (value, min, max, fallback) => (
+    Number.isFinite(value) ? Math.max(min, Math.min(max, value)) : fallback
+  );
+  const layers = [
+    Math.round(num(data?.minLayers, 1, MAX_RANDOM_LAYERS, DEFAULT_RANDOMIZER.minLayers)),
+    Math.round(num(data?.maxLayers, 1, MAX_RANDOM_LAYERS, DEFAULT_RANDOMIZER.maxLayers))
+  ].sort((a, b) => a - b);
+  const intensity = [
+    num(data?.minIntensity, 0, 100, DEFAULT_RANDOMIZER.minIntensity),
+    num(data?.maxIntensity, 0, 100, DEFAULT_RANDOMIZER.maxIntensity)
+  ].sort((a, b) => a - b);
+
+  const weights = {};
+  for (const category of EFFECT_CATEGORIES) {
+    weights[category] = num(data?.weights?.[category], 0, MAX_WEIGHT, DEFAULT_RANDOMIZER.weights[category]);
+  }
+  return { minLayers: layers[0], maxLayers: layers[1], minIntensity: intensity[0], maxIntensity: intensity[1], weights };
+}
+
+// ========== LOCKS ==========
+
+// Locked layers and groups are kept as they are. Effect layers may also
+// lock single params (or `seed`) in `lockedParams`; the rest re-rolls.
+export function hasLocks(layer) {
+  if (layer.locked) return true;
+  if (isGroup(layer)) return layer.layers.some(hasLocks);
+  return !!layer.lockedParams?.length;
+}
+
+// ========== RANDOMIZING ==========
+
+// Random params for `effect`. Sliders land within the intensity bounds:
+// ranges centered on zero pick a magnitude and a sign, others a fraction
+// of the way from min to max. Params listed in `locked` keep their value
+// from `params`.
+export function randomParams(effect, config, random = Math.random, params = {}, locked = []) {
+  const result = {};
+  for (const param of effect.parameters) {
+    if (locked.includes(param.id) && param.id in params) {
+      result[param.id] = params[param.id];
+    } else if (param.type === 'slider') {
+      const t = (config.minIntensity + random() * (config.maxIntensity - config.minIntensity)) / 100;
+      let value = param.min === -param.max
+        ? t * param.max * (random() < 0.5 ? -1 : 1)
+        : param.min + t * (param.max - param.min);
+      if (param.step) value = +(Math.round(value / param.step) * param.step).toFixed(4);
+      result[param.id] = Math.max(param.min, Math.min(param.max, value));
+    } else if (param.type === 'checkbox') {
+      result[param.id] = random() < 0.5;
+    } else if (param.type === 'dropdown') {
+      result[param.id] = param.options[Math.floor(random() * param.options.length)].value;
+    } else {
+      result[param.id] = param.default;
+    }
+  }
+  return result;
+}
+
+// Pick `count` distinct effect ids, each with the weight of its category.
+// Fewer come back if the weights rule out too many effects.
+export function pickEffects(count, weights, random = Math.random) {
+  const pool = [...effectRegistry.values()]
+    .map(effect => ({ id: effect.id, weight: weights[effect.category] ?? 1 }))
+    .filter(entry => entry.weight > 0);
+  const picked = [];
+
+  while (picked.length < count && pool.length > 0) {
+    let r = random() * pool.reduce((sum, entry) => sum + entry.weight, 0);
+    let i = 0;
+    while (i < pool.length - 1 && r >= pool[i].weight) r -= pool[i++].weight;
+    picked.push(pool.splice(i, 1)[0].id);
+  }
+  return picked;
+}
+
+const randomSeed = random => Math.floor(random() * 2147483647);
+
+// A new random stack in place of `layers`. Top-level entries with locks
+// stay in their slots (partly locked layers re-roll their unlocked params
+// and seed); everything else is replaced by new layers until the stack
+// holds between `minLayers` and `maxLayers` entries. `createId` names the
+// new layers.
+export function randomizeStack(layers, config, { random = Math.random, createId } = {}) {
+  const kept = layers.filter(hasLocks).length;
+  const total = config.minLayers + Math.floor(random() * (config.maxLayers - config.minLayers + 1));
+  const fresh = pickEffects(Math.max(0, total - kept), config.weights, random).map(effectId => ({
+    id: createId(),
+    effectId,
+    enabled: true,
+    params: randomParams(effectRegistry.get(effectId), config, random),
+    seed: randomSeed(random)
+  }));
+
+  const result = [];
+  for (const layer of layers) {
+    if (hasLocks(layer)) {
+      result.push(rerollUnlocked(layer, config, random));
+    } else if (fresh.length > 0) {
+      result.push(fresh.shift());
+    }
+  }
+  return [...result, ...fresh];
+}
+
+function rerollUnlocked(layer, config, random) {
+  if (layer.locked || isGroup(layer)) return layer;
+  const locked = layer.lockedParams;
+  return {
+    ...layer,
+    params: randomParams(effectRegistry.get(layer.effectId), config, random, layer.params, locked),
+    seed: locked.includes('seed') ? layer.seed : randomSeed(random)
+  };
+}
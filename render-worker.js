@@ -0,0 +1,74 @@
+/**
+ * GLITCHEDIT Render Worker
+ * Evaluates the layer stack and recompresses the result off the main thread
+ *
+ * Messages in:
+ *   { type: 'context', name, imageInfo, source }
+ *                                           - format of the loaded image
+ *                                             ('full') or its proxy ('proxy')
+ *   { type: 'render', id, context, pixelData, layers, start, encode }
+ * Messages out:
+ *   { type: 'ready' }                       - sent once the module has loaded
+ *   { type: 'layer', id, index, data }      - data is null for disabled layers
+ *                                             and the last enabled one
+ *   { type: 'done', id, pixelData, compressed, raw }
+ *                                           - compressed and raw are null
+ *                                             when encode is false
+ *   { type: 'error', id, message }
+ */
+
+import { evaluateLayers } from './layers.mjs';
+import { encodeScanlines } from './png.mjs';
+
+const contexts = {};
+
+// zlib-wrapped deflate ('deflate' in CompressionStream terms), or null when
+// the browser lacks CompressionStream and the main thread has to compress
+async function deflate(data) {
+  if (typeof CompressionStream === 'undefined') return null;
+  const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function render({ id, context, pixelData, layers, start, encode }) {
+  const { imageInfo, source } = contexts[context];
+  const lastEnabled = layers.findLastIndex(layer => layer.enabled);
+
+  // Intermediate results are copied back for the main thread's cache; the
+  // final one is transferred with the compressed stream instead
+  const result = evaluateLayers(pixelData, imageInfo, layers, {
+    start,
+    onLayer: (index, data) => {
+      const keep = layers[index].enabled && index !== lastEnabled;
+      self.postMessage({ type: 'layer', id, index, data: keep ? data : null });
+    }
+  });
+
+  if (!encode) {
+    self.postMessage({ type: 'done', id, pixelData: result, compressed: null, raw: null }, [result.buffer]);
+    return;
+  }
+
+  const { raw } = encodeScanlines(result, imageInfo, source, { filter: 'none' });
+  const compressed = await deflate(raw);
+  const transfer = [result.buffer, compressed ? compressed.buffer : raw.buffer];
+  self.postMessage({
+    type: 'done', id, pixelData: result, compressed, raw: compressed ? null : raw
+  }, [...new Set(transfer)]);
+}
+
+self.onmessage = async (e) => {
+  const message = e.data;
+  if (message.type === 'context') {
+    contexts[message.name] = { imageInfo: message.imageInfo, source: message.source };
+    return;
+  }
+
+  try {
+    await render(message);
+  } catch (err) {
+    self.postMessage({ type: 'error', id: message.id, message: err.message });
+  }
+};
+
+self.postMessage({ type: 'ready' });
@@ -7,140 +7,92 @@ import {
   getDefaultParams,
   effectDescriptions
 } from './effects.mjs';
-
-    // ========== PNG PARSER ==========
-
-    // CRC-32 lookup table (PNG polynomial 0xEDB88320)
-    const crcTable = new Uint32Array(256);
-    (function initCrcTable() {
-      for (let n = 0; n < 256; n++) {
-        let c = n;
-        for (let k = 0; k < 8; k++) {
-          c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
-        }
-        crcTable[n] = c;
-      }
-    })();
-
-    function crc32(data, start = 0, length = data.length - start) {
-      let crc = 0xFFFFFFFF;
-      const end = start + length;
-      for (let i = start; i < end; i++) {
-        crc = crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
-      }
-      return (crc ^ 0xFFFFFFFF) >>> 0;
-    }
-
-    // PNG signature
-    const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
-
-    function parsePNG(buffer) {
-      const chunks = [];
-      const errors = [];
-
-      // Check signature
-      let validSignature = true;
-      for (let i = 0; i < 8; i++) {
-        if (buffer[i] !== PNG_SIGNATURE[i]) {
-          validSignature = false;
-          break;
-        }
-      }
-
-      if (!validSignature) {
-        errors.push('Invalid PNG signature');
-      }
-
-      // Add signature as pseudo-chunk for visualization
-      chunks.push({
-        offset: 0,
-        length: 8,
-        type: 'SIG',
-        typeBytes: null,
-        dataOffset: 0,
-        dataLength: 8,
-        crcOffset: -1,
-        crc: 0,
-        crcValid: validSignature,
-        isCritical: true,
-        isSignature: true
-      });
-
-      // Parse chunks
-      let offset = 8;
-      while (offset < buffer.length - 4) {
-        if (offset + 8 > buffer.length) {
-          errors.push(`Truncated chunk at offset ${offset}`);
-          break;
-        }
-
-        // Read chunk length (big-endian, >>> 0 for unsigned)
-        const length = ((buffer[offset] << 24) | (buffer[offset + 1] << 16) |
-                        (buffer[offset + 2] << 8) | buffer[offset + 3]) >>> 0;
-
-        // Read chunk type
-        const typeBytes = buffer.slice(offset + 4, offset + 8);
-        const type = String.fromCharCode(...typeBytes);
-
-        // Check if we have enough data
-        const totalChunkLength = 12 + length; // 4 length + 4 type + data + 4 crc
-        if (offset + totalChunkLength > buffer.length) {
-          errors.push(`Truncated ${type} chunk at offset ${offset}`);
-          break;
-        }
-
-        // Read stored CRC (use >>> 0 to force unsigned 32-bit)
-        const crcOffset = offset + 8 + length;
-        const storedCrc = ((buffer[crcOffset] << 24) | (buffer[crcOffset + 1] << 16) |
-                           (buffer[crcOffset + 2] << 8) | buffer[crcOffset + 3]) >>> 0;
-
-        // Calculate actual CRC (over type + data)
-        const calculatedCrc = crc32(buffer, offset + 4, 4 + length);
-        const crcValid = storedCrc === calculatedCrc;
-
-        if (!crcValid) {
-          errors.push(`Invalid CRC for ${type} at offset ${offset}`);
-        }
-
-        // First letter uppercase = critical chunk
-        const isCritical = type.charCodeAt(0) >= 65 && type.charCodeAt(0) <= 90;
-
-        chunks.push({
-          offset,
-          length: totalChunkLength,
-          type,
-          typeBytes,
-          dataOffset: offset + 8,
-          dataLength: length,
-          crcOffset,
-          crc: storedCrc,
-          calculatedCrc,
-          crcValid,
-          isCritical
-        });
-
-        offset += totalChunkLength;
-
-        // Stop after IEND
-        if (type === 'IEND') break;
-      }
-
-      // Validate structure
-      if (chunks.length > 1 && chunks[1].type !== 'IHDR') {
-        errors.push('First chunk must be IHDR');
-      }
-
-      const lastChunk = chunks[chunks.length - 1];
-      if (!lastChunk || lastChunk.type !== 'IEND') {
-        errors.push('Last chunk must be IEND');
-      }
-
-      return {
-        chunks,
-        errors,
-        isValid: errors.length === 0
-      };
-    }
+import {
+  parsePNG,
+  findChunkAtOffset,
+  recalculateCRC,
+  concatIDAT,
+  replaceIDAT,
+  decodeImage,
+  encodeImage,
+  encodeScanlines,
+  encodeAPNG,
+  downscaleScanlines,
+  toRGBA,
+  readUint32,
+  readAnimationControl,
+  readFrameControl,
+  decodeAPNG,
+  removeChunks,
+  spliceBytes,
+  createPNG,
+  APNG_CHUNKS
+} from './png.mjs';
+import { applyLayerStack, evaluateLayers, isGroup, reseedLayers, serializeLayerStack, stackSeed } from './layers.mjs';
+import { MASK_SHAPES, createMask, isProceduralMask, rasterizeMask } from './masks.mjs';
+import { BLEND_MODES } from './blend.mjs';
+import { MAX_VARIATIONS, composeContactSheet, sweepVariations } from './variations.mjs';
+import {
+  BUILTIN_PRESETS,
+  createPreset,
+  parsePreset,
+  presetLayers,
+  exportPresets,
+  importPresets
+} from './presets.mjs';
+import {
+  MAX_MATCHES,
+  findMatches,
+  formatHex,
+  formatPattern,
+  matchIndexAt,
+  parseClipboardText,
+  parsePattern,
+  replaceMatches
+} from './hex.mjs';
+import {
+  INSPECTABLE_CHUNKS,
+  decodeChunkFields,
+  deleteChunk,
+  diffSplice,
+  duplicateChunk,
+  encodeChunkFields,
+  insertChunk,
+  mergeIDATs,
+  moveChunk,
+  splitIDAT
+} from './chunks.mjs';
+import { PALETTE_GLITCHES, glitchPalette } from './palette.mjs';
+import {
+  DEFAULT_RANDOMIZER,
+  EFFECT_CATEGORIES,
+  MAX_WEIGHT,
+  parseRandomizerConfig,
+  randomizeStack
+} from './randomizer.mjs';
+import {
+  DEFAULT_ANIMATION,
+  EASINGS,
+  evaluateTrack,
+  hasKeyframes,
+  layersAtFrame,
+  parseAnimationSettings,
+  setKeyframe
+} from './animation.mjs';
+import {
+  PROJECT_EXTENSION,
+  createProject,
+  parseProject,
+  matchesProjectSource,
+  diffBytes,
+  applyBytePatch,
+  embedRecipe,
+  stripRecipe,
+  extractRecipe,
+  restoreOriginal
+} from './project.mjs';
+
+    // ========== CHUNK COLORS ==========
 
     function getChunkColor(chunk) {
       if (chunk.isSignature) return 'chunk-signature';
@@ -149,6 +101,7 @@ import {
         case 'PLTE': return 'chunk-plte';
         case 'IDAT': return 'chunk-idat';
         case 'IEND': return 'chunk-iend';
+        case 'acTL': case 'fcTL': case 'fdAT': return 'chunk-apng';
         default: return chunk.isCritical ? 'chunk-idat' : 'chunk-ancillary';
       }
     }
@@ -160,29 +113,11 @@ import {
         case 'PLTE': return '#ffe66d';
         case 'IDAT': return '#95e1d3';
         case 'IEND': return '#aa96da';
+        case 'acTL': case 'fcTL': case 'fdAT': return '#f7a072';
         default: return chunk.isCritical ? '#95e1d3' : '#606060';
       }
     }
 
-    function findChunkAtOffset(chunks, offset) {
-      for (const chunk of chunks) {
-        if (offset >= chunk.offset && offset < chunk.offset + chunk.length) {
-          return chunk;
-        }
-      }
-      return null;
-    }
-
-    function recalculateCRC(buffer, chunk) {
-      if (chunk.isSignature) return;
-      const newCrc = crc32(buffer, chunk.offset + 4, 4 + chunk.dataLength);
-      buffer[chunk.crcOffset] = (newCrc >>> 24) & 0xFF;
-      buffer[chunk.crcOffset + 1] = (newCrc >>> 16) & 0xFF;
-      buffer[chunk.crcOffset + 2] = (newCrc >>> 8) & 0xFF;
-      buffer[chunk.crcOffset + 3] = newCrc & 0xFF;
-      return newCrc;
-    }
-
     // ========== EDITOR STATE ==========
 
     const state = {
@@ -202,18 +137,56 @@ import {
 
       editingByte: null,
       editingValue: '',
+      insertMode: false, // Typed and pasted bytes are inserted (raw bytes only)
+
+      // Find bar results: { pattern, matches, current, buffer }, where
+      // `buffer` is the buffer `matches` were found in
+      search: null,
+
+      // Chunk selected in the chunk navigator (see chunkKey()); known chunks
+      // open in the chunk inspector
+      selectedChunk: null,
 
       previewUrl: null,
       previewDebounce: null,
 
+      pendingProject: null, // Project waiting for its referenced source PNG
+
       // Pixel mode
       editMode: 'pixel', // 'pixel' or 'raw'
-      pixelData: null,   // Decompressed IDAT data
-      imageInfo: null,   // { width, height, bitDepth, colorType, bytesPerPixel, scanlineLength }
+      pixelData: null,   // Decompressed IDAT data, normalized to 8-bit channels
+      imageInfo: null,   // { width, height, bitDepth, colorType, bytesPerPixel, scanlineLength, normalized }
+      source: null,      // Source format to re-encode to (IHDR fields, palette, 16-bit reference)
+      filteredBytes: false, // Effects see the filtered scanlines instead of decoded pixels
+
+      // Worker rendering
+      render: null,          // AbortController of the in-flight layer stack render
+      pendingRender: null,   // Promise of the latest render
+      renderingLayerId: null,
+      rawEdited: false,      // Raw bytes were edited since loading (see saveProject)
+      bufferStale: false,    // pixelData changed since it was encoded into buffer
+      proxy: null,           // Downscaled copy for slider drags, see getProxy()
+      maskEdit: null,        // { layerId, draft, hover } while drawing a mask on the preview
+
+      // Timeline for keyframed params; renders show the stack at `frame`
+      animation: { ...DEFAULT_ANIMATION, frame: 0, timer: null, exporting: false },
+
+      // Frames of a loaded APNG: { frames: [{ pixelData, delay }], numPlays,
+      // current, perFrame, stacks }. The editor shows frame `current`; with
+      // `perFrame` every frame keeps its own layer stack in `stacks`.
+      apng: null,
+
+      // Last rendered variations: { stack, items: [{ seed | value, layers, thumbnail }] },
+      // where `stack` identifies the stack they were rendered from
+      variations: null,
+
+      presets: [], // Saved presets from IndexedDB (built-ins are in BUILTIN_PRESETS)
+
+      randomizer: { ...DEFAULT_RANDOMIZER }, // Glitch! settings, see loadRandomizerConfig()
 
       // Layer-based effects system
       layerStack: {
-        layers: [],              // Array of { id, effectId, enabled, params, seed }
+        layers: [],              // Array of { id, effectId, enabled, params, seed, keyframes?, locked?, lockedParams? } and groups
         originalPixelData: null, // Pristine copy (never modified)
         cachedResults: new Map(),// layerId -> computed Uint8Array
         dirtyFromIndex: -1       // First layer needing recalc
@@ -225,167 +198,403 @@ import {
       return 'layer_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     }
 
-    // ========== IHDR PARSING ==========
-
-    function parseIHDR(buffer, chunks) {
-      const ihdr = chunks.find(c => c.type === 'IHDR');
-      if (!ihdr) return null;
-
-      const data = buffer.slice(ihdr.dataOffset, ihdr.dataOffset + 13);
-      const width = ((data[0] << 24) | (data[1] << 16) | (data[2] << 8) | data[3]) >>> 0;
-      const height = ((data[4] << 24) | (data[5] << 16) | (data[6] << 8) | data[7]) >>> 0;
-      const bitDepth = data[8];
-      const colorType = data[9];
-
-      // Calculate bytes per pixel based on color type
-      let channels;
-      switch (colorType) {
-        case 0: channels = 1; break; // Grayscale
-        case 2: channels = 3; break; // RGB
-        case 3: channels = 1; break; // Indexed
-        case 4: channels = 2; break; // Grayscale + Alpha
-        case 6: channels = 4; break; // RGBA
-        default: channels = 4;
-      }
-
-      const bytesPerPixel = Math.ceil((channels * bitDepth) / 8);
-      const scanlineLength = 1 + width * bytesPerPixel; // 1 byte filter + pixel data
-
-      return { width, height, bitDepth, colorType, bytesPerPixel, scanlineLength, channels };
-    }
-
     // ========== IDAT COMPRESSION ==========
 
     function decompressIDAT(buffer, chunks) {
-      // Concatenate all IDAT chunk data
-      const idatChunks = chunks.filter(c => c.type === 'IDAT');
-      if (idatChunks.length === 0) return null;
-
-      let totalLength = 0;
-      for (const chunk of idatChunks) {
-        totalLength += chunk.dataLength;
-      }
-
-      const compressed = new Uint8Array(totalLength);
-      let offset = 0;
-      for (const chunk of idatChunks) {
-        compressed.set(buffer.slice(chunk.dataOffset, chunk.dataOffset + chunk.dataLength), offset);
-        offset += chunk.dataLength;
+      try {
+        return decodeImage(buffer, chunks, fflate.unzlibSync, { filtered: state.filteredBytes });
+      } catch (e) {
+        console.error('Failed to decompress IDAT:', e);
+        return null;
       }
+    }
 
+    // Every frame of an APNG, or null for still images. A broken animation
+    // falls back to editing the default image.
+    function decompressAPNG(buffer, chunks) {
       try {
-        return fflate.unzlibSync(compressed);
+        const decoded = decodeAPNG(buffer, chunks, fflate.unzlibSync);
+        return decoded && { frames: decoded.frames, numPlays: decoded.numPlays, current: 0, perFrame: false, stacks: [] };
       } catch (e) {
-        console.error('Failed to decompress IDAT:', e);
+        console.warn('Failed to decode APNG frames, editing the default image only:', e);
         return null;
       }
     }
 
+    // Encode the current pixels into `buffer`. Options are passed to
+    // encodeImage(): `format` ('source' or 'rgba8'), `interlace` and `filter`
+    // (unfiltered by default, which is fastest for previews).
+    function encodePixels(buffer, chunks, level, options = {}) {
+      return encodeImage(buffer, chunks, state.pixelData, state.imageInfo, state.source, {
+        deflate: data => fflate.zlibSync(data, { level }),
+        filter: 'none',
+        ...options
+      });
+    }
+
+    // The Download menu's filter strategy. 'random' is seeded from the stack
+    // as rendered, like `glitchedit render`, so exports are reproducible.
+    function getFilterOptions() {
+      return {
+        filter: elements.optFilter.value,
+        random: createSeededRNG(stackSeed(timelineLayers(state.animation.frame)))
+      };
+    }
+
     function recompressAndRebuildBuffer() {
       if (!state.pixelData || !state.imageInfo) return;
+      clearTimeout(encodeTimeout);
+      state.bufferStale = false;
 
       try {
-        // Compress pixel data (level 1 for fast preview)
-        const compressed = fflate.zlibSync(state.pixelData, { level: 1 });
+        // Compress pixel data (level 1 for fast preview) into a single IDAT chunk
+        state.buffer = encodePixels(state.buffer, state.chunks, 1);
 
-        // Find IDAT chunks in original buffer
-        const idatChunks = state.chunks.filter(c => c.type === 'IDAT');
-        if (idatChunks.length === 0) return;
+        // Re-parse chunks
+        const parsed = parsePNG(state.buffer);
+        state.chunks = parsed.chunks;
+        state.errors = parsed.errors;
+        state.isValid = parsed.isValid;
 
-        const firstIDAT = idatChunks[0];
-        const lastIDAT = idatChunks[idatChunks.length - 1];
+      } catch (e) {
+        console.error('Failed to recompress:', e);
+      }
+    }
 
-        // Calculate new buffer size
-        // Remove old IDAT chunks, add one new IDAT chunk
-        const beforeIDAT = firstIDAT.offset;
-        const afterIDAT = lastIDAT.offset + lastIDAT.length;
-        const newIDATLength = 12 + compressed.length; // 4 length + 4 type + data + 4 CRC
+    // Pixel edits and renders only mark the PNG bytes stale. They are
+    // re-encoded once editing pauses, or right away when something reads
+    // them (raw hex view, export, project save).
+    let encodeTimeout = null;
+    function markBufferStale() {
+      state.bufferStale = true;
+      clearTimeout(encodeTimeout);
+      encodeTimeout = setTimeout(() => {
+        ensureBuffer();
+        updateStatus();
+      }, 500);
+    }
 
-        const newBufferSize = beforeIDAT + newIDATLength + (state.buffer.length - afterIDAT);
-        const newBuffer = new Uint8Array(newBufferSize);
+    function ensureBuffer() {
+      if (state.bufferStale) {
+        recompressAndRebuildBuffer();
+        updateChunkList();
+      }
+      return state.buffer;
+    }
 
-        // Copy before IDAT
-        newBuffer.set(state.buffer.slice(0, beforeIDAT), 0);
+    // ========== RENDER WORKERS ==========
+
+    // Layer stacks are evaluated and recompressed in a pool of module
+    // workers so large images don't block the UI. A cancelled job terminates
+    // its worker (effects can't be interrupted mid-run) and a fresh one takes
+    // its place. Without Worker support, jobs run on the main thread.
+    const renderPool = {
+      size: Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1)),
+      workers: [],   // { worker, job, ready }
+      queue: [],     // Jobs waiting for an idle worker
+      contexts: {},  // 'full' image and its 'proxy' -> { imageInfo, source }
+      disabled: typeof Worker === 'undefined',
+      nextId: 1,
+      url: null
+    };
 
-        // Write new IDAT chunk
-        let pos = beforeIDAT;
+    // The single-file build inlines the worker source, since it can't load
+    // render-worker.js next to it
+    function getRenderWorkerUrl() {
+      if (!renderPool.url) {
+        renderPool.url = window.__RENDER_WORKER_SOURCE__
+          ? URL.createObjectURL(new Blob([window.__RENDER_WORKER_SOURCE__], { type: 'text/javascript' }))
+          : new URL('./render-worker.js', import.meta.url);
+      }
+      return renderPool.url;
+    }
 
-        // Length (big-endian)
-        newBuffer[pos++] = (compressed.length >>> 24) & 0xFF;
-        newBuffer[pos++] = (compressed.length >>> 16) & 0xFF;
-        newBuffer[pos++] = (compressed.length >>> 8) & 0xFF;
-        newBuffer[pos++] = compressed.length & 0xFF;
+    function spawnRenderWorker() {
+      const slot = { worker: new Worker(getRenderWorkerUrl(), { type: 'module' }), job: null, ready: false };
+      slot.worker.onmessage = (e) => handleWorkerMessage(slot, e.data);
+      slot.worker.onerror = (e) => {
+        e.preventDefault();
+        if (!slot.ready) {
+          // A worker that fails to load (e.g. no module worker support) will
+          // never run anything, so stop using the pool altogether
+          console.warn('Render worker failed to start, rendering on the main thread:', e.message);
+          disableRenderPool();
+          return;
+        }
+        const job = slot.job;
+        retireRenderWorker(slot);
+        job?.reject(new Error(e.message));
+        dispatchRenderJobs();
+      };
+      for (const [name, context] of Object.entries(renderPool.contexts)) {
+        slot.worker.postMessage({ type: 'context', name, ...context });
+      }
+      renderPool.workers.push(slot);
+      return slot;
+    }
 
-        // Type "IDAT"
-        newBuffer[pos++] = 0x49; // I
-        newBuffer[pos++] = 0x44; // D
-        newBuffer[pos++] = 0x41; // A
-        newBuffer[pos++] = 0x54; // T
+    function retireRenderWorker(slot) {
+      slot.worker.terminate();
+      slot.job?.signal?.removeEventListener('abort', slot.job.abort);
+      renderPool.workers = renderPool.workers.filter(s => s !== slot);
+    }
 
-        // Data
-        newBuffer.set(compressed, pos);
-        pos += compressed.length;
+    // Jobs are only handed to workers that reported ready, so queued pixel
+    // data is still ours to render here
+    function disableRenderPool() {
+      renderPool.disabled = true;
+      for (const slot of renderPool.workers) slot.worker.terminate();
+      renderPool.workers = [];
+      const jobs = renderPool.queue;
+      renderPool.queue = [];
+      for (const job of jobs) runOnMainThread(job);
+    }
 
-        // CRC (over type + data)
-        const crcData = newBuffer.slice(beforeIDAT + 4, pos);
-        const crc = crc32(crcData, 0, crcData.length);
-        newBuffer[pos++] = (crc >>> 24) & 0xFF;
-        newBuffer[pos++] = (crc >>> 16) & 0xFF;
-        newBuffer[pos++] = (crc >>> 8) & 0xFF;
-        newBuffer[pos++] = crc & 0xFF;
+    // Send the format of a newly loaded image ('full') or of its downscaled
+    // copy ('proxy') to every worker
+    function setRenderContext(name, imageInfo, source = null) {
+      if (!imageInfo) {
+        delete renderPool.contexts[name];
+        return;
+      }
+      renderPool.contexts[name] = { imageInfo, source };
+      for (const slot of renderPool.workers) {
+        slot.worker.postMessage({ type: 'context', name, imageInfo, source });
+      }
+    }
 
-        // Copy after IDAT (IEND and any trailing chunks)
-        newBuffer.set(state.buffer.slice(afterIDAT), pos);
+    function handleWorkerMessage(slot, message) {
+      if (message.type === 'ready') {
+        slot.ready = true;
+        dispatchRenderJobs();
+        return;
+      }
 
-        // Update state
-        state.buffer = newBuffer;
+      const job = slot.job;
+      if (!job || message.id !== job.id) return;
 
-        // Re-parse chunks
-        const parsed = parsePNG(state.buffer);
-        state.chunks = parsed.chunks;
-        state.errors = parsed.errors;
-        state.isValid = parsed.isValid;
+      if (message.type === 'layer') {
+        job.onLayer?.(message.index, message.data);
+        return;
+      }
+
+      slot.job = null;
+      job.signal?.removeEventListener('abort', job.abort);
+      if (message.type === 'done') {
+        const compressed = message.raw ? fflate.zlibSync(message.raw, { level: 1 }) : message.compressed;
+        job.resolve({ pixelData: message.pixelData, compressed });
+      } else {
+        job.reject(new Error(message.message));
+      }
+      dispatchRenderJobs();
+    }
+
+    function dispatchRenderJobs() {
+      while (renderPool.queue.length > 0) {
+        const slot = renderPool.workers.find(s => s.ready && !s.job);
+        if (!slot) {
+          // Spawned workers pick up the queue once they report ready
+          const starting = renderPool.workers.filter(s => !s.ready).length;
+          if (starting < renderPool.queue.length && renderPool.workers.length < renderPool.size) {
+            spawnRenderWorker();
+          }
+          return;
+        }
+
+        const job = renderPool.queue.shift();
+        slot.job = job;
+        slot.worker.postMessage({
+          type: 'render',
+          id: job.id,
+          context: job.context,
+          pixelData: job.pixelData,
+          layers: job.layers,
+          start: job.start,
+          encode: job.encode
+        }, [job.pixelData.buffer]);
+      }
+    }
 
+    function runOnMainThread(job) {
+      job.signal?.removeEventListener('abort', job.abort);
+      if (job.signal?.aborted) return;
+      try {
+        const { imageInfo, source } = renderPool.contexts[job.context];
+        const pixelData = evaluateLayers(job.pixelData, imageInfo, job.layers, {
+          start: job.start,
+          onLayer: job.onLayer
+        });
+        if (!job.encode) {
+          job.resolve({ pixelData, compressed: null });
+          return;
+        }
+        const { raw } = encodeScanlines(pixelData, imageInfo, source, { filter: 'none' });
+        job.resolve({ pixelData, compressed: fflate.zlibSync(raw, { level: 1 }) });
       } catch (e) {
-        console.error('Failed to recompress:', e);
+        job.reject(e);
       }
     }
 
+    // Evaluate `layers` from index `start` on `pixelData` (which is
+    // transferred, so pass a copy) in the named context. onLayer(index, data)
+    // reports progress and intermediate results; data is null when a layer
+    // has nothing to cache. Resolves to { pixelData, compressed } (compressed
+    // is null unless `encode`) or rejects with an AbortError.
+    function runRenderJob({ pixelData, layers, start, context = 'full', encode = true }, { onLayer, signal } = {}) {
+      return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+          reject(new DOMException('Render cancelled', 'AbortError'));
+          return;
+        }
+
+        const job = {
+          id: renderPool.nextId++, context, encode, pixelData, layers, start, onLayer, signal, resolve, reject
+        };
+        job.abort = () => {
+          renderPool.queue = renderPool.queue.filter(j => j !== job);
+          const slot = renderPool.workers.find(s => s.job === job);
+          if (slot) {
+            retireRenderWorker(slot);
+            dispatchRenderJobs();
+          }
+          reject(new DOMException('Render cancelled', 'AbortError'));
+        };
+        signal?.addEventListener('abort', job.abort, { once: true });
+
+        if (renderPool.disabled) {
+          runOnMainThread(job);
+          return;
+        }
+        renderPool.queue.push(job);
+        try {
+          dispatchRenderJobs();
+        } catch (e) {
+          console.warn('Render workers unavailable, rendering on the main thread:', e);
+          disableRenderPool();
+        }
+      });
+    }
+
     // ========== DOM ELEMENTS ==========
 
     const elements = {
       dropzone: document.getElementById('dropzone'),
       previewCanvas: document.getElementById('preview-canvas'),
+      maskOverlay: document.getElementById('mask-overlay'),
       previewError: document.getElementById('preview-error'),
       previewLoading: document.getElementById('preview-loading'),
       errorMessage: document.getElementById('error-message'),
       chunkList: document.getElementById('chunk-list'),
+      btnChunkInsert: document.getElementById('btn-chunk-insert'),
+      btnChunkDuplicate: document.getElementById('btn-chunk-duplicate'),
+      btnChunkSplit: document.getElementById('btn-chunk-split'),
+      btnChunkMerge: document.getElementById('btn-chunk-merge'),
+      btnChunkDelete: document.getElementById('btn-chunk-delete'),
+      chunkInspector: document.getElementById('chunk-inspector'),
+      chunkInspectorTitle: document.getElementById('chunk-inspector-title'),
+      chunkInspectorFields: document.getElementById('chunk-inspector-fields'),
+      chunkInspectorError: document.getElementById('chunk-inspector-error'),
+      btnInspectorClose: document.getElementById('btn-inspector-close'),
       hexScroll: document.getElementById('hex-scroll'),
       hexContent: document.getElementById('hex-content'),
       fileInput: document.getElementById('file-input'),
       btnLoad: document.getElementById('btn-load'),
       btnRandom: document.getElementById('btn-random'),
       btnSave: document.getElementById('btn-save'),
+      btnSaveProject: document.getElementById('btn-save-project'),
+      btnExportOptions: document.getElementById('btn-export-options'),
+      exportOptions: document.getElementById('export-options'),
+      optEmbedRecipe: document.getElementById('opt-embed-recipe'),
+      optPixelFormat: document.getElementById('opt-pixel-format'),
+      optInterlace: document.getElementById('opt-interlace'),
+      optFilter: document.getElementById('opt-filter'),
+      optFilteredBytes: document.getElementById('opt-filtered-bytes'),
+      optApngFrames: document.getElementById('opt-apng-frames'),
+      optSweepCount: document.getElementById('opt-sweep-count'),
+      optFrameDelay: document.getElementById('opt-frame-delay'),
+      optLoops: document.getElementById('opt-loops'),
+      optApngDispose: document.getElementById('opt-apng-dispose'),
+      optApngBlend: document.getElementById('opt-apng-blend'),
+      apngControls: document.getElementById('apng-controls'),
+      btnApngPrev: document.getElementById('btn-apng-prev'),
+      btnApngNext: document.getElementById('btn-apng-next'),
+      apngFrameLabel: document.getElementById('apng-frame-label'),
+      optApngScope: document.getElementById('opt-apng-scope'),
+      palettePanel: document.getElementById('palette-panel'),
+      paletteSwatches: document.getElementById('palette-swatches'),
+      paletteSteps: document.getElementById('palette-steps'),
+      paletteSeed: document.getElementById('palette-seed'),
+      dropzoneText: document.getElementById('dropzone-text'),
       btnRandomizeEffects: document.getElementById('btn-randomize-effects'),
+      btnRandomizerOptions: document.getElementById('btn-randomizer-options'),
+      randomizerOptions: document.getElementById('randomizer-options'),
+      optRandomMinLayers: document.getElementById('opt-random-min-layers'),
+      optRandomMaxLayers: document.getElementById('opt-random-max-layers'),
+      optRandomMinIntensity: document.getElementById('opt-random-min-intensity'),
+      optRandomMaxIntensity: document.getElementById('opt-random-max-intensity'),
+      randomizerWeights: document.getElementById('randomizer-weights'),
+      btnRandomizerReset: document.getElementById('btn-randomizer-reset'),
       statusFilename: document.getElementById('status-filename'),
       statusSize: document.getElementById('status-size'),
       statusCursor: document.getElementById('status-cursor'),
       statusSelection: document.getElementById('status-selection'),
       statusValid: document.getElementById('status-valid'),
       statusValidText: document.getElementById('status-valid-text'),
+      btnEditMode: document.getElementById('btn-edit-mode'),
+      btnInsertMode: document.getElementById('btn-insert-mode'),
       editDialog: document.getElementById('edit-dialog'),
       dialogTitle: document.getElementById('dialog-title'),
+      dialogMessage: document.getElementById('dialog-message'),
       dialogInput: document.getElementById('dialog-input'),
       dialogOk: document.getElementById('dialog-ok'),
+      statusMessage: document.getElementById('status-message'),
+      findBar: document.getElementById('find-bar'),
+      findMode: document.getElementById('find-mode'),
+      findInput: document.getElementById('find-input'),
+      findStatus: document.getElementById('find-status'),
+      btnFindPrev: document.getElementById('btn-find-prev'),
+      btnFindNext: document.getElementById('btn-find-next'),
+      btnFindClose: document.getElementById('btn-find-close'),
+      replaceInput: document.getElementById('replace-input'),
+      btnReplace: document.getElementById('btn-replace'),
+      btnReplaceAll: document.getElementById('btn-replace-all'),
       dialogCancel: document.getElementById('dialog-cancel'),
       resizer: document.getElementById('resizer'),
       previewPanel: document.getElementById('preview-panel'),
       editorPanel: document.getElementById('editor-panel'),
+      // Animation timeline
+      btnPlay: document.getElementById('btn-play'),
+      timelineFrame: document.getElementById('timeline-frame'),
+      timelineLabel: document.getElementById('timeline-label'),
+      timelineFrames: document.getElementById('timeline-frames'),
+      timelineFps: document.getElementById('timeline-fps'),
+      optAnimationFormat: document.getElementById('opt-animation-format'),
+      btnExportAnimation: document.getElementById('btn-export-animation'),
       // Effects panel
       effectsPanel: document.getElementById('effects-panel'),
       effectsPicker: document.getElementById('effect-picker'),
       layerList: document.getElementById('layer-list'),
+      renderProgress: document.getElementById('render-progress'),
       btnAddEffect: document.getElementById('btn-add-effect'),
+      btnAddGroup: document.getElementById('btn-add-group'),
+      btnExportStack: document.getElementById('btn-export-stack'),
+      btnVariations: document.getElementById('btn-variations'),
+      btnPresets: document.getElementById('btn-presets'),
+      presetMenu: document.getElementById('preset-menu'),
+      presetFileInput: document.getElementById('preset-file-input'),
+      variationsDialog: document.getElementById('variations-dialog'),
+      variationsClose: document.getElementById('variations-close'),
+      variationsOptions: document.getElementById('variations-options'),
+      variationsMode: document.getElementById('variations-mode'),
+      variationsStart: document.getElementById('variations-start'),
+      variationsParam: document.getElementById('variations-param'),
+      variationsFrom: document.getElementById('variations-from'),
+      variationsTo: document.getElementById('variations-to'),
+      variationsCount: document.getElementById('variations-count'),
+      btnVariationsRender: document.getElementById('btn-variations-render'),
+      btnVariationsExport: document.getElementById('btn-variations-export'),
+      variationsGrid: document.getElementById('variations-grid'),
+      variationsStatus: document.getElementById('variations-status'),
       resizerEffects: document.getElementById('resizer-effects'),
       main: document.getElementById('main'),
       // Help dialog
@@ -408,7 +617,7 @@ import {
       if (state.editMode === 'pixel' && state.pixelData) {
         return state.pixelData;
       }
-      return state.buffer;
+      return ensureBuffer();
     }
 
     function getTotalRows() {
@@ -456,6 +665,7 @@ import {
     function createHexRow(offset) {
       const buffer = getActiveBuffer();
       const isPixelMode = state.editMode === 'pixel' && state.pixelData;
+      const search = state.search?.buffer === buffer ? state.search : null;
 
       const row = document.createElement('div');
       row.className = 'hex-row';
@@ -520,6 +730,9 @@ import {
               byteSpan.classList.add('selected');
             }
           }
+          if (search && matchIndexAt(search.matches, search.pattern.length, byteOffset) >= 0) {
+            byteSpan.classList.add('search-match');
+          }
           if (state.editingByte === byteOffset) {
             byteSpan.classList.add('editing');
             byteSpan.textContent = state.editingValue.padEnd(2, '_');
@@ -551,6 +764,9 @@ import {
     }
 
     function refreshHexView() {
+      // Matches go stale when a render or mode switch swaps the buffer
+      if (state.search && state.search.buffer !== getActiveBuffer()) runSearch();
+
       // Clear and rebuild visible rows
       rowElements.forEach(el => el.remove());
       rowElements.clear();
@@ -566,8 +782,19 @@ import {
 
     // ========== PREVIEW ==========
 
+    // Pixel-mode output is drawn straight to the canvas. Filtered bytes aren't
+    // pixels, and raw edits only show through the browser's own decoder, so
+    // those go through a PNG round trip instead.
+    function canDrawPixels() {
+      return state.editMode === 'pixel' && !!state.pixelData && !state.filteredBytes && !state.rawEdited;
+    }
+
     function updatePreview() {
       if (!state.buffer) return;
+      if (canDrawPixels()) {
+        drawPixelPreview(state.pixelData, state.imageInfo);
+        return;
+      }
 
       // Revoke old URL
       if (state.previewUrl) {
@@ -575,7 +802,7 @@ import {
       }
 
       // Create new blob and URL
-      const blob = new Blob([state.buffer], { type: 'image/png' });
+      const blob = new Blob([ensureBuffer()], { type: 'image/png' });
       state.previewUrl = URL.createObjectURL(blob);
 
       const img = new Image();
@@ -598,6 +825,34 @@ import {
       img.src = state.previewUrl;
     }
 
+    // Draw 8-bit scanlines onto the preview canvas. Proxy pixels (with
+    // imageInfo.scale) are stretched to the size of the full image.
+    function drawPixelPreview(pixelData, imageInfo) {
+      const { width, height } = imageInfo;
+      const rgba = new Uint8ClampedArray(toRGBA(pixelData, imageInfo).buffer);
+      const image = new ImageData(rgba, width, height);
+      const canvas = elements.previewCanvas;
+
+      if (!imageInfo.scale) {
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').putImageData(image, 0, 0);
+      } else {
+        const scratch = document.createElement('canvas');
+        scratch.width = width;
+        scratch.height = height;
+        scratch.getContext('2d').putImageData(image, 0, 0);
+
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingEnabled = false;
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(scratch, 0, 0, canvas.width, canvas.height);
+      }
+
+      elements.previewError.classList.remove('visible');
+      canvas.style.display = 'block';
+    }
+
     function debouncedPreview() {
       clearTimeout(state.previewDebounce);
       state.previewDebounce = setTimeout(updatePreview, 50);
@@ -605,14 +860,33 @@ import {
 
     // ========== CHUNK NAVIGATOR ==========
 
+    // Short summary of an APNG chunk for the chunk list, or null
+    function describeAPNGChunk(chunk) {
+      if (!APNG_CHUNKS.includes(chunk.type)) return null;
+      if (chunk.type === 'acTL' && chunk.dataLength >= 8) {
+        const { numFrames, numPlays } = readAnimationControl(state.buffer, [chunk]);
+        return `${numFrames} frames, ${numPlays ? `${numPlays}×` : 'loops'}`;
+      }
+      if (chunk.type === 'fcTL' && chunk.dataLength >= 26) {
+        const { sequence, delay } = readFrameControl(state.buffer, chunk);
+        return `#${sequence}, ${Math.round(delay)} ms`;
+      }
+      if (chunk.type === 'fdAT' && chunk.dataLength >= 4) {
+        return `#${readUint32(state.buffer, chunk.dataOffset)}`;
+      }
+      return null;
+    }
+
     function updateChunkList() {
       elements.chunkList.innerHTML = '';
 
-      for (const chunk of state.chunks) {
+      for (const [index, chunk] of state.chunks.entries()) {
         const item = document.createElement('div');
         item.className = 'chunk-item';
         item.dataset.offset = chunk.offset;
+        item.dataset.index = index;
         item.tabIndex = 0;
+        item.draggable = !chunk.isSignature;
         item.setAttribute('role', 'option');
 
         const colorBox = document.createElement('div');
@@ -631,6 +905,8 @@ import {
           infoSpan.textContent = '8 bytes';
         } else {
           infoSpan.textContent = `${chunk.dataLength} bytes @ 0x${chunk.offset.toString(16).toUpperCase()}`;
+          const animation = describeAPNGChunk(chunk);
+          if (animation) infoSpan.textContent += ` · ${animation}`;
         }
         item.appendChild(infoSpan);
 
@@ -641,148 +917,667 @@ import {
           item.appendChild(crcSpan);
         }
 
-        const selectChunk = () => {
-          state.cursorOffset = chunk.offset;
-          state.selectionStart = chunk.offset;
-          state.selectionEnd = chunk.offset + chunk.length - 1;
-          scrollToOffset(chunk.offset);
-          refreshHexView();
-          updateStatus();
-        };
-
-        item.addEventListener('click', selectChunk);
+        item.addEventListener('click', () => selectChunk(chunk));
         item.addEventListener('keydown', (e) => {
           if (e.key === 'Enter' || e.key === ' ') {
             e.preventDefault();
-            selectChunk();
+            selectChunk(chunk);
+          } else if (e.key === 'Delete' && !chunk.isSignature) {
+            // Delete removes the chunk rather than randomizing its bytes
+            e.preventDefault();
+            e.stopPropagation();
+            selectChunk(chunk);
+            deleteSelectedChunk();
+          } else if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown') && !chunk.isSignature) {
+            e.preventDefault();
+            e.stopPropagation();
+            const target = state.chunks[index + (e.key === 'ArrowUp' ? -1 : 1)];
+            if (target && !target.isSignature) moveChunkTo(chunkKey(chunk), chunkKey(target));
           }
         });
 
         elements.chunkList.appendChild(item);
       }
+      renderChunkSelection();
+      renderPalettePanel();
     }
 
-    // ========== STATUS BAR ==========
-
-    function updateStatus() {
-      elements.statusFilename.textContent = state.filename || '-';
-
-      const buffer = getActiveBuffer();
-      elements.statusSize.textContent = buffer ? `${buffer.length} bytes` : '-';
-      elements.statusCursor.textContent = buffer ?
-        `0x${state.cursorOffset.toString(16).toUpperCase()}` : '-';
+    // Chunks are kept track of as { type, nth } for the nth chunk of that
+    // type, so they're found again after edits move them
+    function chunkKey(chunk) {
+      return { type: chunk.type, nth: state.chunks.filter(c => c.type === chunk.type).indexOf(chunk) };
+    }
 
-      if (state.selectionStart !== null && state.selectionEnd !== null) {
-        const start = Math.min(state.selectionStart, state.selectionEnd);
-        const end = Math.max(state.selectionStart, state.selectionEnd);
-        elements.statusSelection.textContent = `${end - start + 1} bytes`;
-      } else {
-        elements.statusSelection.textContent = '-';
-      }
+    function findChunk(key) {
+      return key ? state.chunks.filter(c => c.type === key.type)[key.nth] || null : null;
+    }
 
-      elements.statusValid.className = 'status-indicator ' + (state.isValid ? 'valid' : 'invalid');
-      elements.statusValidText.textContent = state.isValid ? 'Valid' : 'Invalid';
+    function getSelectedChunk() {
+      return findChunk(state.selectedChunk);
+    }
 
+    // Select a chunk's bytes in the hex view and the chunk in the navigator
+    function selectChunk(chunk) {
+      state.cursorOffset = chunk.offset;
+      state.selectionStart = chunk.offset;
+      state.selectionEnd = chunk.offset + chunk.length - 1;
+      scrollToOffset(chunk.offset);
+      refreshHexView();
+      updateStatus();
+      state.selectedChunk = chunkKey(chunk);
+      renderChunkSelection();
     }
 
-    // ========== FILE OPERATIONS ==========
+    function renderChunkSelection() {
+      const chunk = getSelectedChunk();
+      const index = state.chunks.indexOf(chunk);
+      Array.from(elements.chunkList.children).forEach((item, i) => {
+        item.classList.toggle('selected', i === index);
+        item.setAttribute('aria-selected', i === index);
+      });
 
-    function loadFile(file) {
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        const buffer = new Uint8Array(e.target.result);
-        loadBuffer(buffer, file.name);
-      };
-      reader.readAsArrayBuffer(file);
+      const isIDAT = chunk?.type === 'IDAT';
+      elements.btnChunkInsert.disabled = !state.buffer;
+      elements.btnChunkDuplicate.disabled = !chunk || chunk.isSignature;
+      elements.btnChunkDelete.disabled = !chunk || chunk.isSignature;
+      elements.btnChunkSplit.disabled = !isIDAT || chunk.dataLength < 2;
+      elements.btnChunkMerge.disabled = !isIDAT || ![index - 1, index + 1].some(i => state.chunks[i]?.type === 'IDAT');
+
+      renderChunkInspector(chunk && INSPECTABLE_CHUNKS.includes(chunk.type) ? chunk : null);
     }
 
-    function loadBuffer(buffer, filename) {
-      state.buffer = buffer;
-      state.originalBuffer = buffer.slice();
-      state.filename = filename;
-      state.cursorOffset = 0;
-      state.selectionStart = null;
-      state.selectionEnd = null;
-      state.history = [];
-      state.historyIndex = -1;
-      state.editingByte = null;
-      state.editingValue = '';
+    // ========== CHUNK INSPECTOR ==========
 
-      // Parse PNG
-      const parsed = parsePNG(buffer);
-      state.chunks = parsed.chunks;
-      state.errors = parsed.errors;
-      state.isValid = parsed.isValid;
+    function closeChunkInspector() {
+      state.selectedChunk = null;
+      renderChunkSelection();
+    }
 
-      // Parse IHDR and decompress IDAT for pixel mode
-      state.imageInfo = parseIHDR(buffer, state.chunks);
-      state.pixelData = decompressIDAT(buffer, state.chunks);
+    function renderChunkInspector(chunk) {
+      elements.chunkInspector.classList.toggle('visible', !!chunk);
+      if (!chunk) return;
 
-      // Initialize layer stack with original pixel data
-      state.layerStack.layers = [];
-      state.layerStack.originalPixelData = state.pixelData ? state.pixelData.slice() : null;
-      state.layerStack.cachedResults.clear();
-      state.layerStack.dirtyFromIndex = -1;
+      // Keep focus on the field that was just committed
+      const focused = elements.chunkInspectorFields.contains(document.activeElement)
+        ? document.activeElement.dataset.field
+        : null;
 
-      // Default to pixel mode if we have pixel data
-      state.editMode = state.pixelData ? 'pixel' : 'raw';
+      elements.chunkInspectorTitle.textContent = `${chunk.type} @ 0x${chunk.offset.toString(16).toUpperCase()}`;
+      elements.chunkInspectorError.textContent = '';
+      elements.chunkInspectorFields.innerHTML = '';
 
-      // Update UI
-      elements.dropzone.classList.add('hidden');
-      elements.btnSave.disabled = false;
-      elements.btnAddEffect.disabled = !state.pixelData;
-      elements.btnRandomizeEffects.disabled = !state.pixelData;
-      updateChunkList();
-      refreshHexView();
-      updatePreview();
-      updateStatus();
-      renderLayerList();
-      renderEffectPicker();
+      const fields = decodeChunkFields(state.buffer, state.chunks, chunk, { inflate: fflate.unzlibSync });
+      if (!fields) {
+        elements.chunkInspectorFields.textContent = `Can't decode this ${chunk.type} chunk (${chunk.dataLength} bytes)`;
+        return;
+      }
+      for (const field of fields) {
+        elements.chunkInspectorFields.appendChild(createInspectorField(field));
+      }
+      if (focused) elements.chunkInspectorFields.querySelector(`[data-field="${focused}"]`)?.focus();
     }
 
-    function saveFile(fixCrc = true) {
+    function createInspectorField(field) {
+      const row = document.createElement(field.type === 'palette' ? 'div' : 'label');
+      row.className = 'inspector-field';
+
+      const label = document.createElement('span');
+      label.className = 'inspector-label';
+      label.textContent = field.label;
+      row.appendChild(label);
+
+      let control;
+      if (field.type === 'palette') {
+        control = document.createElement('div');
+        control.className = 'inspector-palette';
+        field.value.forEach((color, i) => {
+          const swatch = document.createElement('input');
+          swatch.type = 'color';
+          swatch.className = 'palette-swatch';
+          swatch.value = color;
+          swatch.dataset.field = `${field.id}:${i}`;
+          swatch.title = `${i}: ${color}`;
+          swatch.setAttribute('aria-label', `Palette entry ${i}`);
+          swatch.addEventListener('change', () => {
+            const colors = field.value.slice();
+            colors[i] = swatch.value;
+            commitChunkFields({ [field.id]: colors });
+          });
+          control.appendChild(swatch);
+        });
+      } else if (field.type === 'info') {
+        control = document.createElement('span');
+        control.className = 'inspector-info';
+        control.textContent = field.value;
+      } else if (field.type === 'select') {
+        control = document.createElement('select');
+        const options = field.options.some(option => option.value === field.value)
+          ? field.options
+          : [...field.options, { value: field.value, label: `${field.value} (invalid)` }];
+        for (const option of options) {
+          const el = document.createElement('option');
+          el.value = option.value;
+          el.textContent = option.label;
+          control.appendChild(el);
+        }
+        control.value = field.value;
+        control.addEventListener('change', () => commitChunkFields({ [field.id]: Number(control.value) }));
+      } else if (field.type === 'checkbox') {
+        control = document.createElement('input');
+        control.type = 'checkbox';
+        control.checked = field.value;
+        control.addEventListener('change', () => commitChunkFields({ [field.id]: control.checked }));
+      } else {
+        control = document.createElement(field.type === 'textarea' ? 'textarea' : 'input');
+        if (field.type === 'number') {
+          control.type = 'number';
+          control.min = field.min;
+          control.max = field.max;
+          control.step = field.step;
+        } else if (control.tagName === 'INPUT') {
+          control.type = 'text';
+          control.spellcheck = false;
+        }
+        control.value = field.value;
+        control.addEventListener('change', () => {
+          commitChunkFields({ [field.id]: field.type === 'number' ? Number(control.value) : control.value });
+        });
+      }
+      if (field.type !== 'palette') control.dataset.field = field.id;
+      row.appendChild(control);
+      return row;
+    }
+
+    // Field edits rewrite the selected chunk's data in the raw bytes, with
+    // its length and CRC fixed, as one undo step
+    function commitChunkFields(values) {
+      ensureBuffer();
+      const chunk = getSelectedChunk();
+      if (!chunk) return;
+
+      let data;
+      try {
+        data = encodeChunkFields(state.buffer, state.chunks, chunk, values, {
+          inflate: fflate.unzlibSync,
+          deflate: bytes => fflate.zlibSync(bytes, { level: 9 })
+        });
+      } catch (err) {
+        elements.chunkInspectorError.textContent = err.message;
+        return;
+      }
+      const oldData = state.buffer.subarray(chunk.dataOffset, chunk.dataOffset + chunk.dataLength);
+      if (data.length === oldData.length && data.every((byte, i) => byte === oldData[i])) return;
+
+      enterRawMode();
+      spliceRawBytes(chunk.dataOffset, chunk.dataLength, data, `Edit ${chunk.type} ${Object.keys(values).join(', ')}`);
+    }
+
+    // Chunk edits are raw byte edits; the hex view follows them
+    function enterRawMode() {
+      if (state.editMode === 'raw') return;
+      state.editMode = 'raw';
+      state.editingByte = null;
+      state.editingValue = '';
+      updateModeButtons();
+    }
+
+    // ========== CHUNK OPERATIONS ==========
+
+    // Run a chunks.mjs operation on the raw bytes. It's recorded as the one
+    // splice that turns the old file into the new one, so it undoes like any
+    // raw insertion or deletion, and the chunk it returns is selected.
+    function applyChunkOperation(description, operation) {
+      const buffer = ensureBuffer();
+      let result;
+      try {
+        result = operation(buffer, state.chunks);
+      } catch (err) {
+        showStatusMessage(err.message, { error: true });
+        return;
+      }
+
+      const refocus = elements.chunkList.contains(document.activeElement);
+      const { offset, deleteCount, data } = diffSplice(buffer, result.buffer);
+      enterRawMode();
+      spliceRawBytes(offset, deleteCount, data, description, { fixChunk: false });
+
+      const selected = state.chunks[result.index];
+      if (selected) {
+        selectChunk(selected);
+      } else {
+        state.selectedChunk = null;
+        renderChunkSelection();
+      }
+      if (refocus) elements.chunkList.children[result.index]?.focus();
+    }
+
+    function selectedChunkIndex() {
+      return state.chunks.indexOf(getSelectedChunk());
+    }
+
+    function deleteSelectedChunk() {
+      const chunk = getSelectedChunk();
+      if (!chunk || chunk.isSignature) return;
+      applyChunkOperation(`Delete ${chunk.type} chunk`, (buffer, chunks) => deleteChunk(buffer, chunks, selectedChunkIndex()));
+    }
+
+    function duplicateSelectedChunk() {
+      const chunk = getSelectedChunk();
+      if (!chunk || chunk.isSignature) return;
+      applyChunkOperation(`Duplicate ${chunk.type} chunk`, (buffer, chunks) => duplicateChunk(buffer, chunks, selectedChunkIndex()));
+    }
+
+    function moveChunkTo(fromKey, toKey) {
+      applyChunkOperation(`Move ${fromKey.type} chunk`, (buffer, chunks) => (
+        moveChunk(buffer, chunks, chunks.indexOf(findChunk(fromKey)), chunks.indexOf(findChunk(toKey)))
+      ));
+    }
+
+    // New chunks go before the selected chunk, else before IEND, but never
+    // ahead of IHDR, and start out empty; their data can be typed in insert mode
+    async function insertNewChunk() {
+      const type = (await showDialog('Insert Chunk', {
+        message: 'Chunk type: four letters, the first lowercase (ancillary).',
+        value: 'glTc'
+      }))?.trim();
+      if (!type) return;
+      applyChunkOperation(`Insert ${type} chunk`, (buffer, chunks) => {
+        const anchor = getSelectedChunk() || chunks.find(c => c.type === 'IEND');
+        const first = Math.max(1, chunks.findIndex(c => c.type === 'IHDR') + 1);
+        return insertChunk(buffer, chunks, anchor ? Math.max(first, chunks.indexOf(anchor)) : chunks.length, type);
+      });
+    }
+
+    async function splitSelectedIDAT() {
+      const chunk = getSelectedChunk();
+      if (chunk?.type !== 'IDAT') return;
+      const input = await showDialog('Split IDAT', {
+        message: `Split this ${chunk.dataLength}-byte IDAT into chunks of how many bytes?`,
+        value: String(Math.ceil(chunk.dataLength / 2))
+      });
+      if (input === null) return;
+      const size = Number(input.trim());
+      applyChunkOperation(`Split IDAT into ${size}-byte chunks`, (buffer, chunks) => splitIDAT(buffer, chunks, selectedChunkIndex(), size));
+    }
+
+    function mergeSelectedIDATs() {
+      if (getSelectedChunk()?.type !== 'IDAT') return;
+      applyChunkOperation('Merge IDAT chunks', (buffer, chunks) => mergeIDATs(buffer, chunks, selectedChunkIndex()));
+    }
+
+    // ========== PALETTE ==========
+
+    // PLTE data the swatches were last drawn from, to skip redrawing them
+    // after edits elsewhere in the file
+    let renderedPalette = null;
+
+    // The PLTE chunk of an indexed image, or null
+    function getPaletteChunk() {
+      const ihdr = state.chunks.find(c => c.type === 'IHDR');
+      if (!ihdr || ihdr.dataLength < 10 || state.buffer[ihdr.dataOffset + 9] !== 3) return null;
+      return state.chunks.find(c => c.type === 'PLTE') || null;
+    }
+
+    function renderPalettePanel() {
+      const plte = getPaletteChunk();
+      elements.palettePanel.hidden = !plte;
+      if (!plte) {
+        renderedPalette = null;
+        return;
+      }
+
+      const data = state.buffer.subarray(plte.dataOffset, plte.dataOffset + plte.dataLength);
+      if (renderedPalette && renderedPalette.length === data.length && renderedPalette.every((byte, i) => byte === data[i])) return;
+      renderedPalette = data.slice();
+
+      const focused = elements.paletteSwatches.contains(document.activeElement) ? document.activeElement.dataset.index : null;
+      elements.paletteSwatches.innerHTML = '';
+      for (let i = 0; i + 3 <= data.length; i += 3) {
+        const color = '#' + Array.from(data.subarray(i, i + 3), v => v.toString(16).padStart(2, '0')).join('');
+        const swatch = document.createElement('input');
+        swatch.type = 'color';
+        swatch.className = 'palette-swatch';
+        swatch.value = color;
+        swatch.dataset.index = i / 3;
+        swatch.title = `${i / 3}: ${color}`;
+        swatch.setAttribute('aria-label', `Palette entry ${i / 3}`);
+        elements.paletteSwatches.appendChild(swatch);
+      }
+      if (focused !== null) elements.paletteSwatches.querySelector(`[data-index="${focused}"]`)?.focus();
+    }
+
+    // Palette edits rewrite PLTE in place. The pixels keep their indices, so
+    // recoloring is instant and lossless; each edit is one undo step.
+    function writePalette(transform, description) {
+      ensureBuffer();
+      const plte = getPaletteChunk();
+      if (!plte) return;
+      const oldData = state.buffer.subarray(plte.dataOffset, plte.dataOffset + plte.dataLength);
+      const data = transform(oldData);
+      if (data.every((byte, i) => byte === oldData[i])) return;
+      enterRawMode();
+      spliceRawBytes(plte.dataOffset, plte.dataLength, data, description);
+    }
+
+    function setPaletteEntry(index, color) {
+      const rgb = [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16));
+      writePalette(data => {
+        const result = data.slice();
+        result.set(rgb, index * 3);
+        return result;
+      }, `Edit palette entry ${index}`);
+    }
+
+    function applyPaletteGlitch(glitch) {
+      const { label } = PALETTE_GLITCHES.find(g => g.id === glitch);
+      writePalette(data => glitchPalette(data, glitch, {
+        steps: Number(elements.paletteSteps.value) || 0,
+        seed: Math.max(0, Math.floor(Number(elements.paletteSeed.value) || 0))
+      }), `Palette: ${label}`);
+    }
+
+    // ========== STATUS BAR ==========
+
+    function updateStatus() {
+      elements.statusFilename.textContent = state.filename || '-';
+
+      const buffer = getActiveBuffer();
+      elements.statusSize.textContent = buffer ? `${buffer.length} bytes` : '-';
+      elements.statusCursor.textContent = buffer ?
+        `0x${state.cursorOffset.toString(16).toUpperCase()}` : '-';
+
+      if (state.selectionStart !== null && state.selectionEnd !== null) {
+        const start = Math.min(state.selectionStart, state.selectionEnd);
+        const end = Math.max(state.selectionStart, state.selectionEnd);
+        elements.statusSelection.textContent = `${end - start + 1} bytes`;
+      } else {
+        elements.statusSelection.textContent = '-';
+      }
+
+      elements.statusValid.className = 'status-indicator ' + (state.isValid ? 'valid' : 'invalid');
+      elements.statusValidText.textContent = state.isValid ? 'Valid' : 'Invalid';
+      updateModeButtons();
+    }
+
+    function updateModeButtons() {
+      const raw = state.editMode === 'raw' || !state.pixelData;
+      elements.btnEditMode.textContent = !state.buffer ? '-' : raw ? 'Raw' : 'Pixels';
+      elements.btnEditMode.disabled = !state.pixelData;
+      elements.btnInsertMode.disabled = !state.buffer || !raw;
+      elements.btnInsertMode.textContent = state.insertMode && raw ? 'INS' : 'OVR';
+      elements.btnInsertMode.setAttribute('aria-pressed', state.insertMode && raw);
+    }
+
+    // Show a notice at the end of the status bar until the next one, or for
+    // a few seconds. Errors stay a little longer.
+    let statusMessageTimeout = null;
+    function showStatusMessage(message, { error = false } = {}) {
+      clearTimeout(statusMessageTimeout);
+      elements.statusMessage.textContent = message;
+      elements.statusMessage.title = message;
+      elements.statusMessage.classList.toggle('error', error);
+      statusMessageTimeout = setTimeout(() => {
+        elements.statusMessage.textContent = '';
+        elements.statusMessage.title = '';
+      }, error ? 8000 : 4000);
+    }
+
+    // ========== DIALOG ==========
+
+    // The edit dialog asks for a line of text, or (with `input: false`) for
+    // confirmation. Resolves with the text or true when accepted, and with
+    // null or false when cancelled. Opening it again cancels the open one.
+    let dialogResolve = null;
+    function showDialog(title, { message = '', input = true, value = '', placeholder = '', okLabel = 'OK' } = {}) {
+      closeDialog(false);
+      elements.dialogTitle.textContent = title;
+      elements.dialogMessage.textContent = message;
+      elements.dialogMessage.hidden = !message;
+      elements.dialogInput.hidden = !input;
+      elements.dialogInput.value = value;
+      elements.dialogInput.placeholder = placeholder;
+      elements.dialogOk.textContent = okLabel;
+      elements.editDialog.classList.add('visible');
+      if (input) {
+        elements.dialogInput.focus();
+        elements.dialogInput.select();
+      } else {
+        elements.dialogOk.focus();
+      }
+      return new Promise(resolve => { dialogResolve = resolve; });
+    }
+
+    function closeDialog(accepted) {
+      elements.editDialog.classList.remove('visible');
+      if (!dialogResolve) return;
+      const resolve = dialogResolve;
+      dialogResolve = null;
+      if (elements.dialogInput.hidden) resolve(accepted);
+      else resolve(accepted ? elements.dialogInput.value : null);
+    }
+
+    function confirmDialog(title, message, okLabel = 'OK') {
+      return showDialog(title, { message, input: false, okLabel });
+    }
+
+    // ========== FILE OPERATIONS ==========
+
+    function loadFile(file) {
+      if (file.name.toLowerCase().endsWith(PROJECT_EXTENSION)) {
+        loadProjectFile(file);
+        return;
+      }
+
+      const reader = new FileReader();
+      reader.onload = (e) => {
+        const buffer = new Uint8Array(e.target.result);
+        if (state.pendingProject) {
+          resolvePendingProject(buffer);
+        } else {
+          loadBuffer(buffer, file.name);
+        }
+      };
+      reader.readAsArrayBuffer(file);
+    }
+
+    function loadBuffer(buffer, filename, { checkRecipe = true } = {}) {
+      cancelRender();
+      state.buffer = buffer;
+      state.originalBuffer = buffer.slice();
+      state.filename = filename;
+      state.cursorOffset = 0;
+      state.selectionStart = null;
+      state.selectionEnd = null;
+      state.history = [];
+      state.historyIndex = -1;
+      state.editingByte = null;
+      state.editingValue = '';
+      state.selectedChunk = null;
+      state.rawEdited = false;
+      state.maskEdit = null;
+      state.variations = null;
+      state.bufferStale = false;
+      clearTimeout(encodeTimeout);
+      // A project still waiting for its PNG doesn't belong to this one
+      clearPendingProject();
+
+      // Parse PNG
+      const parsed = parsePNG(buffer);
+      state.chunks = parsed.chunks;
+      state.errors = parsed.errors;
+      state.isValid = parsed.isValid;
+
+      // Parse IHDR and decompress IDAT for pixel mode
+      const decoded = decompressIDAT(buffer, state.chunks);
+      state.apng = decoded && !state.filteredBytes ? decompressAPNG(buffer, state.chunks) : null;
+      state.pixelData = state.apng ? state.apng.frames[0].pixelData.slice() : decoded?.pixelData || null;
+      state.imageInfo = decoded?.imageInfo || null;
+      state.source = decoded?.source || null;
+      elements.optInterlace.checked = !!state.source?.interlace;
+      setRenderContext('full', state.imageInfo, state.source);
+      state.proxy = null;
+      stopPlayback();
+
+      // Initialize layer stack with original pixel data
+      state.layerStack.layers = [];
+      state.layerStack.originalPixelData = state.pixelData ? state.pixelData.slice() : null;
+      state.layerStack.cachedResults.clear();
+      state.layerStack.dirtyFromIndex = -1;
+
+      // Default to pixel mode if we have pixel data
+      state.editMode = state.pixelData ? 'pixel' : 'raw';
+
+      // Update UI
+      elements.dropzone.classList.add('hidden');
+      elements.btnSave.disabled = false;
+      elements.btnSaveProject.disabled = false;
+      elements.btnAddEffect.disabled = !state.pixelData;
+      elements.btnAddGroup.disabled = !state.pixelData;
+      elements.btnRandomizeEffects.disabled = !state.pixelData;
+      updateAPNGControls();
+      // Downloads of a loaded APNG keep its frames and loop count by default
+      if (state.apng || elements.optApngFrames.value === 'frames') {
+        elements.optApngFrames.value = state.apng ? 'frames' : 'single';
+        if (state.apng) elements.optLoops.value = state.apng.numPlays;
+        elements.optApngFrames.dispatchEvent(new Event('change'));
+      }
+      updateChunkList();
+      refreshHexView();
+      updatePreview();
+      updateStatus();
+      renderLayerList();
+      renderEffectPicker();
+
+      if (checkRecipe) offerRecipe(buffer);
+    }
+
+    // Offer to rebuild an embedded recipe on the pixels it was applied to
+    async function offerRecipe(buffer) {
+      const recipe = extractRecipe(buffer, state.chunks);
+      if (recipe?.error) {
+        showStatusMessage(`Ignoring an unreadable GlitchEdit recipe: ${recipe.error}`, { error: true });
+        return;
+      }
+      if (!recipe?.original) return;
+      const original = state.originalBuffer;
+      const rebuild = await confirmDialog(
+        'GlitchEdit Recipe',
+        `This PNG contains a GlitchEdit recipe with ${recipe.layers.length} layer(s). ` +
+        'Rebuild the layer stack on the original image?',
+        'Rebuild'
+      );
+      // Skip it if another file was opened in the meantime
+      if (rebuild && state.originalBuffer === original) rebuildFromRecipe(recipe);
+    }
+
+    function rebuildFromRecipe(recipe) {
+      const restored = restoreOriginal(state.buffer, state.chunks, recipe);
+      setPipelineMode(recipe.filteredBytes);
+      loadBuffer(restored, state.filename, { checkRecipe: false });
+
+      state.layerStack.layers = withNewIds(recipe.layers);
+      invalidateFromLayer(0);
+      renderLayerStack();
+      renderLayerList();
+    }
+
+    function setPipelineMode(filteredBytes) {
+      state.filteredBytes = filteredBytes;
+      elements.optFilteredBytes.checked = filteredBytes;
+    }
+
+    // Switch between effects on decoded pixels and on filtered bytes. The
+    // pixel buffer changes meaning, so the image is reloaded and the stack
+    // replayed; hex edits and undo history can't carry over.
+    async function toggleFilteredBytes(filteredBytes) {
+      if (!state.originalBuffer) {
+        setPipelineMode(filteredBytes);
+        return;
+      }
+      if (state.history.length > 0 && !await confirmDialog(
+        'Apply to Filtered Bytes',
+        'Switching discards hex edits and undo history. Continue?',
+        'Switch'
+      )) {
+        elements.optFilteredBytes.checked = state.filteredBytes;
+        return;
+      }
+
+      const layers = state.layerStack.layers;
+      setPipelineMode(filteredBytes);
+      loadBuffer(state.originalBuffer, state.filename, { checkRecipe: false });
+
+      state.layerStack.layers = layers;
+      if (layers.length > 0) {
+        invalidateFromLayer(0);
+        renderLayerStack();
+        renderLayerList();
+      }
+    }
+
+    // IHDR data and zlib stream of the loaded file, for embedding in recipes
+    function getOriginalImageData() {
+      const chunks = parsePNG(state.originalBuffer).chunks;
+      const ihdr = chunks.find(c => c.type === 'IHDR');
+      const idat = concatIDAT(state.originalBuffer, chunks);
+      if (!ihdr || !idat) return null;
+      return { ihdr: state.originalBuffer.slice(ihdr.dataOffset, ihdr.dataOffset + 13), idat };
+    }
+
+    async function saveFile(fixCrc = true) {
       if (!state.buffer) return;
+      await state.pendingRender;
 
       let buffer = state.buffer;
 
       // Re-compress with quality level if we have pixel data (preview uses level 1)
       if (state.pixelData && state.editMode === 'pixel') {
-        const compressed = fflate.zlibSync(state.pixelData, { level: 6 });
-
-        // Find IDAT chunks to rebuild buffer with quality compression
-        const idatChunks = state.chunks.filter(c => c.type === 'IDAT');
-        if (idatChunks.length > 0) {
-          const firstIDAT = idatChunks[0];
-          const lastIDAT = idatChunks[idatChunks.length - 1];
-          const beforeIDAT = firstIDAT.offset;
-          const afterIDAT = lastIDAT.offset + lastIDAT.length;
-          const newIDATLength = 12 + compressed.length;
-
-          const newBufferSize = beforeIDAT + newIDATLength + (state.buffer.length - afterIDAT);
-          buffer = new Uint8Array(newBufferSize);
-
-          buffer.set(state.buffer.slice(0, beforeIDAT), 0);
-
-          let pos = beforeIDAT;
-          buffer[pos++] = (compressed.length >>> 24) & 0xFF;
-          buffer[pos++] = (compressed.length >>> 16) & 0xFF;
-          buffer[pos++] = (compressed.length >>> 8) & 0xFF;
-          buffer[pos++] = compressed.length & 0xFF;
-          buffer[pos++] = 0x49; buffer[pos++] = 0x44; buffer[pos++] = 0x41; buffer[pos++] = 0x54;
-          buffer.set(compressed, pos);
-          pos += compressed.length;
-
-          const crc = crc32(buffer.slice(beforeIDAT + 4, pos));
-          buffer[pos++] = (crc >>> 24) & 0xFF;
-          buffer[pos++] = (crc >>> 16) & 0xFF;
-          buffer[pos++] = (crc >>> 8) & 0xFF;
-          buffer[pos++] = crc & 0xFF;
-
-          buffer.set(state.buffer.slice(afterIDAT), pos);
+        const options = {
+          format: elements.optPixelFormat.value,
+          interlace: elements.optInterlace.checked,
+          ...getFilterOptions()
+        };
+        const frameSource = elements.optApngFrames.value;
+        if (frameSource === 'single') {
+          buffer = encodePixels(state.buffer, state.chunks, 6, options);
+          // The loaded APNG's other frames don't belong to a still image
+          if (state.apng) buffer = removeChunks(buffer, parsePNG(buffer).chunks, c => APNG_CHUNKS.includes(c.type));
+        } else {
+          // Animated output renders its frames from the original pixels (or
+          // the loaded APNG's frames), so it leaves out pixel hex edits
+          elements.btnSave.disabled = true;
+          let done = 0;
+          try {
+            buffer = await encodeAnimatedPNG(state.buffer, state.chunks, frameSource, {
+              ...options,
+              deflate: data => fflate.zlibSync(data, { level: 6 })
+            }, (count) => {
+              elements.btnSave.textContent = `${++done} / ${count}`;
+            });
+          } catch (e) {
+            console.error('Failed to encode APNG:', e);
+            showStatusMessage(`Could not export the animation: ${e.message}`, { error: true });
+            return;
+          } finally {
+            elements.btnSave.disabled = false;
+            elements.btnSave.textContent = 'Download';
+          }
+        }
+
+        // Embed the stack and its source pixels, or drop a recipe the file
+        // was loaded with since it no longer matches the pixels
+        if (elements.optEmbedRecipe.checked && state.layerStack.layers.length > 0) {
+          // The recipe holds the stack as rendered, at the current frame
+          const layers = layersAtFrame(state.layerStack.layers, state.animation.frame);
+          buffer = embedRecipe(buffer, parsePNG(buffer).chunks, layers, getOriginalImageData(), {
+            filteredBytes: state.filteredBytes
+          });
+        } else {
+          buffer = stripRecipe(buffer, parsePNG(buffer).chunks);
         }
       } else if (fixCrc) {
         // Create a copy and fix all CRCs
-        buffer = state.buffer.slice();
+        buffer = ensureBuffer().slice();
         for (const chunk of state.chunks) {
           if (!chunk.isSignature) {
             recalculateCRC(buffer, chunk);
@@ -791,11 +1586,169 @@ import {
       }
 
       const blob = new Blob([buffer], { type: 'image/png' });
+      downloadBlob(blob, state.filename.replace('.png', '') + '_glitched.png');
+    }
+
+    // Export the layer stack as JSON (usable with `glitchedit render --stack`)
+    function exportLayerStack() {
+      if (state.layerStack.layers.length === 0) return;
+
+      const stack = serializeLayerStack(state.layerStack.layers, { filteredBytes: state.filteredBytes });
+      const json = JSON.stringify(stack, null, 2);
+      const blob = new Blob([json], { type: 'application/json' });
+      downloadBlob(blob, state.filename.replace('.png', '') + '_stack.json');
+    }
+
+    // ========== PROJECT FILES ==========
+
+    // Save the session as a .glitch project. Hex edits are stored as patches
+    // against what the original PNG + layer stack renders to, so replaying
+    // the stack on open and applying the patches restores the exact bytes.
+    // Raw patches are only taken once raw bytes were edited, since worker
+    // renders compress differently from the baseline.
+    async function saveProject(embed = true) {
+      if (!state.originalBuffer) return;
+      await state.pendingRender;
+
+      const layers = state.layerStack.layers;
+      const edits = { pixel: null, raw: null };
+      let baselineBuffer = state.originalBuffer;
+
+      if (state.layerStack.originalPixelData && state.pixelData) {
+        const baselinePixels = applyLayerStack(
+          state.layerStack.originalPixelData, state.imageInfo, layersAtFrame(layers, state.animation.frame)
+        );
+        edits.pixel = diffBytes(baselinePixels, state.pixelData);
+
+        if (layers.length > 0 || edits.pixel) {
+          const originalChunks = parsePNG(state.originalBuffer).chunks;
+          baselineBuffer = encodePixels(state.originalBuffer, originalChunks, 1);
+        }
+      }
+      if (state.rawEdited) {
+        edits.raw = diffBytes(baselineBuffer, ensureBuffer());
+      }
+
+      const project = createProject({
+        filename: state.filename,
+        originalBuffer: state.originalBuffer,
+        embed,
+        filteredBytes: state.filteredBytes,
+        layers,
+        animation: hasAnimation() ? getAnimationSettings() : null,
+        frames: getAPNGProjectFrames(),
+        editMode: state.editMode,
+        history: state.history,
+        historyIndex: state.historyIndex,
+        cursorOffset: state.cursorOffset,
+        selectionStart: state.selectionStart,
+        selectionEnd: state.selectionEnd,
+        edits
+      });
+
+      const blob = new Blob([JSON.stringify(project)], { type: 'application/json' });
+      downloadBlob(blob, state.filename.replace('.png', '') + PROJECT_EXTENSION);
+    }
+
+    function loadProjectFile(file) {
+      const reader = new FileReader();
+      reader.onload = (e) => {
+        let project;
+        try {
+          project = parseProject(e.target.result);
+        } catch (err) {
+          console.error('Failed to open project:', err);
+          showStatusMessage(`Could not open ${file.name}: ${err.message}`, { error: true });
+          return;
+        }
+
+        if (project.originalBuffer) {
+          openProject(project, project.originalBuffer);
+        } else {
+          // Source PNG is referenced, not embedded - ask for it
+          state.pendingProject = project;
+          elements.dropzone.classList.remove('hidden');
+          elements.dropzoneText.textContent = `Open ${project.source.filename} to restore ${file.name}`;
+        }
+      };
+      reader.readAsText(file);
+    }
+
+    async function resolvePendingProject(buffer) {
+      const project = state.pendingProject;
+      if (!matchesProjectSource(project, buffer) && !await confirmDialog(
+        'Open Project',
+        `This file does not match ${project.source.filename} from the project. Open anyway?`,
+        'Open'
+      )) {
+        return;
+      }
+      // Another project or image may have been loaded while the dialog was open
+      if (state.pendingProject !== project) return;
+
+      clearPendingProject();
+      openProject(project, buffer);
+    }
+
+    function clearPendingProject() {
+      state.pendingProject = null;
+      elements.dropzoneText.textContent = 'Drop PNG file here or click Load';
+    }
+
+    async function openProject(project, originalBuffer) {
+      setPipelineMode(project.filteredBytes);
+      loadBuffer(originalBuffer, project.source.filename, { checkRecipe: false });
+
+      // Replay the layer stack, then apply the hex edit patches on top
+      state.layerStack.layers = JSON.parse(JSON.stringify(project.layers));
+      restoreAPNGFrames(project.frames);
+      setAnimationSettings(project.animation);
+      if (state.layerStack.originalPixelData) {
+        if (state.layerStack.layers.length > 0 || project.edits.pixel) {
+          invalidateFromLayer(0);
+          await renderLayerStack();
+        }
+        if (project.edits.pixel) {
+          state.pixelData = applyBytePatch(state.pixelData, project.edits.pixel);
+        }
+        // Raw patches were taken against the main thread's compression
+        if (project.edits.pixel || (project.edits.raw && state.layerStack.layers.length > 0)) {
+          recompressAndRebuildBuffer();
+        }
+      }
+
+      if (project.edits.raw) {
+        state.buffer = applyBytePatch(state.buffer, project.edits.raw);
+        state.rawEdited = true;
+        const parsed = parsePNG(state.buffer);
+        state.chunks = parsed.chunks;
+        state.errors = parsed.errors;
+        state.isValid = parsed.isValid;
+      }
+
+      state.history = project.history;
+      state.historyIndex = Math.min(project.historyIndex, project.history.length - 1);
+      state.cursorOffset = project.selection.cursorOffset;
+      state.selectionStart = project.selection.selectionStart;
+      state.selectionEnd = project.selection.selectionEnd;
+      if (project.editMode === 'raw' || state.pixelData) {
+        state.editMode = project.editMode;
+      }
+
+      updateChunkList();
+      refreshHexView();
+      scrollToOffset(state.cursorOffset);
+      updatePreview();
+      updateStatus();
+      renderLayerList();
+    }
+
+    function downloadBlob(blob, filename) {
       const url = URL.createObjectURL(blob);
 
       const a = document.createElement('a');
       a.href = url;
-      a.download = state.filename.replace('.png', '') + '_glitched.png';
+      a.download = filename;
       a.click();
 
       URL.revokeObjectURL(url);
@@ -804,6 +1757,11 @@ import {
     // ========== EDITING ==========
 
     function pushHistory(entry) {
+      // Layer edits to one APNG frame's own stack are undone on that frame
+      if (state.apng?.perFrame && entry.type?.startsWith('layer-')) {
+        entry.apngFrame = state.apng.current;
+      }
+
       // Remove any redo history
       state.history = state.history.slice(0, state.historyIndex + 1);
       state.history.push(entry);
@@ -823,6 +1781,7 @@ import {
 
       // Handle layer operations
       if (entry.type && entry.type.startsWith('layer-')) {
+        if (entry.apngFrame !== undefined) selectAPNGFrame(entry.apngFrame);
         state.layerStack.layers = JSON.parse(JSON.stringify(entry.oldLayers));
         state.historyIndex--;
         invalidateFromLayer(0);
@@ -837,12 +1796,19 @@ import {
         updateModeButtons();
       }
 
-      // Get the appropriate buffer
-      const buffer = entry.mode === 'pixel' ? state.pixelData : state.buffer;
+      if (entry.type === 'splice') {
+        // Raw insertions and deletions change the length; splice back
+        setRawBuffer(spliceBytes(ensureBuffer(), state.chunks, entry.offset, entry.newData.length, entry.oldData, {
+          fixChunk: entry.fixChunk
+        }).buffer);
+      } else {
+        // Get the appropriate buffer
+        const buffer = entry.mode === 'pixel' ? state.pixelData : ensureBuffer();
 
-      // Restore old data
-      for (let i = 0; i < entry.oldData.length; i++) {
-        buffer[entry.offset + i] = entry.oldData[i];
+        // Restore old data
+        for (let i = 0; i < entry.oldData.length; i++) {
+          buffer[entry.offset + i] = entry.oldData[i];
+        }
       }
 
       state.historyIndex--;
@@ -857,6 +1823,7 @@ import {
 
       // Handle layer operations
       if (entry.type && entry.type.startsWith('layer-')) {
+        if (entry.apngFrame !== undefined) selectAPNGFrame(entry.apngFrame);
         state.layerStack.layers = JSON.parse(JSON.stringify(entry.newLayers));
         invalidateFromLayer(0);
         renderLayerStack();
@@ -870,12 +1837,18 @@ import {
         updateModeButtons();
       }
 
-      // Get the appropriate buffer
-      const buffer = entry.mode === 'pixel' ? state.pixelData : state.buffer;
+      if (entry.type === 'splice') {
+        setRawBuffer(spliceBytes(ensureBuffer(), state.chunks, entry.offset, entry.oldData.length, entry.newData, {
+          fixChunk: entry.fixChunk
+        }).buffer);
+      } else {
+        // Get the appropriate buffer
+        const buffer = entry.mode === 'pixel' ? state.pixelData : ensureBuffer();
 
-      // Apply new data
-      for (let i = 0; i < entry.newData.length; i++) {
-        buffer[entry.offset + i] = entry.newData[i];
+        // Apply new data
+        for (let i = 0; i < entry.newData.length; i++) {
+          buffer[entry.offset + i] = entry.newData[i];
+        }
       }
 
       afterEdit();
@@ -904,9 +1877,10 @@ import {
 
     function afterEdit() {
       if (state.editMode === 'pixel' && state.pixelData) {
-        // Pixel mode: recompress and rebuild buffer
-        recompressAndRebuildBuffer();
+        // Pixel mode: the PNG is re-encoded once it's needed
+        markBufferStale();
       } else {
+        state.rawEdited = true;
         // Raw mode: recalculate CRCs for all chunks to keep PNG valid
         for (const chunk of state.chunks) {
           if (!chunk.isSignature) {
@@ -919,6 +1893,7 @@ import {
         state.errors = parsed.errors;
         state.isValid = parsed.isValid;
       }
+      if (state.search) runSearch();
 
       // Update UI
       updateChunkList();
@@ -983,10 +1958,283 @@ import {
 
       afterEdit();
     }
-
-
+    // The selected bytes, or the byte under the cursor, as { start, length }
+    function getSelectedRange() {
+      if (state.selectionStart === null || state.selectionEnd === null) {
+        return { start: state.cursorOffset, length: 1 };
+      }
+      const start = Math.min(state.selectionStart, state.selectionEnd);
+      return { start, length: Math.max(state.selectionStart, state.selectionEnd) - start + 1 };
+    }
+
+    // ========== INSERT AND DELETE ==========
+
+    // Only raw bytes can change length; pixel data is fixed by the image size
+    function canSplice() {
+      return state.editMode === 'raw' || !state.pixelData;
+    }
+
+    function setRawBuffer(buffer) {
+      state.buffer = buffer;
+      const parsed = parsePNG(state.buffer);
+      state.chunks = parsed.chunks;
+      state.errors = parsed.errors;
+      state.isValid = parsed.isValid;
+    }
+
+    // Replace `deleteCount` raw bytes at `offset` with `data`. Edits inside a
+    // chunk's data rewrite its length field (CRCs are fixed by afterEdit())
+    // unless `fixChunk` is off.
+    function spliceRawBytes(offset, deleteCount, data, description, { fixChunk = true } = {}) {
+      if (!canSplice() || (deleteCount === 0 && data.length === 0)) return;
+      const buffer = ensureBuffer();
+      const oldData = buffer.slice(offset, offset + deleteCount);
+      const result = spliceBytes(buffer, state.chunks, offset, deleteCount, data, { fixChunk });
+
+      pushHistory({
+        type: 'splice',
+        offset,
+        mode: 'raw',
+        oldData,
+        newData: data.slice(),
+        fixChunk: !!result.chunk,
+        timestamp: Date.now(),
+        description
+      });
+
+      setRawBuffer(result.buffer);
+      state.cursorOffset = Math.min(offset + data.length, Math.max(0, state.buffer.length - 1));
+      state.selectionStart = null;
+      state.selectionEnd = null;
+      afterEdit();
+    }
+
+    function deleteSelection() {
+      const { start, length } = getSelectedRange();
+      const buffer = getActiveBuffer();
+      if (!buffer || start >= buffer.length) return;
+      const count = Math.min(length, buffer.length - start);
+      spliceRawBytes(start, count, new Uint8Array(0), `Delete ${count} byte${count === 1 ? '' : 's'} at 0x${start.toString(16).toUpperCase()}`);
+    }
+
+    // ========== CLIPBOARD ==========
+
+    // The selection (or the byte under the cursor) goes to the clipboard as
+    // hex text. Cutting deletes it from raw bytes; pixel data can't shrink,
+    // so there it only copies.
+    function copySelection(clipboardData, cut = false) {
+      const buffer = getActiveBuffer();
+      if (!buffer) return;
+      const { start, length } = getSelectedRange();
+      clipboardData.setData('text/plain', formatHex(buffer.subarray(start, start + length)));
+      if (cut && canSplice()) deleteSelection();
+    }
+
+    // Browsers only put text on the clipboard, so binary copies are saved as
+    // a .bin file instead. Copying that file and pasting it brings the bytes
+    // back, here or in another file.
+    function saveSelection() {
+      const buffer = getActiveBuffer();
+      if (!buffer) return;
+      const { start, length } = getSelectedRange();
+      const bytes = buffer.slice(start, start + length);
+      const offset = start.toString(16).toUpperCase().padStart(8, '0');
+      downloadBlob(new Blob([bytes], { type: 'application/octet-stream' }), `${state.filename.replace('.png', '')}_${offset}.bin`);
+    }
+
+    // Pasted bytes overwrite from the start of the selection, clipped at the
+    // end of the buffer, or are inserted in place of the selection
+    function pasteBytes(data, insert) {
+      const buffer = getActiveBuffer();
+      if (!buffer || data.length === 0) return;
+      const { start, length } = getSelectedRange();
+      const hasSelection = state.selectionStart !== null && state.selectionEnd !== null;
+
+      if (insert && canSplice()) {
+        spliceRawBytes(start, hasSelection ? length : 0, data, `Paste ${data.length} bytes at 0x${start.toString(16).toUpperCase()}`);
+        return;
+      }
+
+      const newData = data.subarray(0, buffer.length - start);
+      if (newData.length === 0) return;
+      pushHistory({
+        type: 'paste',
+        offset: start,
+        mode: state.editMode,
+        oldData: buffer.slice(start, start + newData.length),
+        newData: newData.slice(),
+        timestamp: Date.now(),
+        description: `Paste ${newData.length} bytes over 0x${start.toString(16).toUpperCase()}`
+      });
+      buffer.set(newData, start);
+      state.cursorOffset = Math.min(start + newData.length, buffer.length - 1);
+      state.selectionStart = null;
+      state.selectionEnd = null;
+      afterEdit();
+    }
+
+    function toggleInsertMode() {
+      if (!canSplice()) return;
+      state.insertMode = !state.insertMode;
+      updateModeButtons();
+    }
+
+    // Switch the hex view between decoded pixels and the raw PNG bytes
+    function toggleEditMode() {
+      if (!state.pixelData) return;
+      state.editMode = state.editMode === 'pixel' ? 'raw' : 'pixel';
+      state.editingByte = null;
+      state.editingValue = '';
+      state.selectionStart = null;
+      state.selectionEnd = null;
+      state.cursorOffset = Math.min(state.cursorOffset, getActiveBuffer().length - 1);
+      refreshHexView();
+      updatePreview();
+      updateStatus();
+    }
+
+    // ========== FIND AND REPLACE ==========
+
+    // Ctrl+F opens the find bar, filled in with the selection if it's short
+    function openFindBar() {
+      const buffer = getActiveBuffer();
+      if (!buffer) return;
+      if (state.selectionStart !== null && state.selectionEnd !== null) {
+        const start = Math.min(state.selectionStart, state.selectionEnd);
+        const end = Math.max(state.selectionStart, state.selectionEnd);
+        if (end > start && end - start < 64) {
+          elements.findMode.value = 'hex';
+          elements.findInput.value = formatPattern([...buffer.subarray(start, end + 1)]);
+        }
+      }
+      elements.findBar.classList.add('visible');
+      elements.findInput.focus();
+      elements.findInput.select();
+      runSearch();
+      refreshHexView();
+    }
+
+    function closeFindBar() {
+      elements.findBar.classList.remove('visible');
+      state.search = null;
+      refreshHexView();
+      elements.hexScroll.focus();
+    }
+
+    // Search the active buffer for the find bar's pattern. The current match
+    // is the first one at or after the cursor.
+    function runSearch() {
+      if (!elements.findBar.classList.contains('visible')) {
+        state.search = null;
+        return;
+      }
+      const buffer = getActiveBuffer();
+      let pattern;
+      try {
+        pattern = parsePattern(elements.findInput.value, elements.findMode.value);
+      } catch (err) {
+        state.search = null;
+        elements.findInput.classList.toggle('invalid', elements.findInput.value !== '');
+        elements.findStatus.textContent = '';
+        return;
+      }
+      elements.findInput.classList.remove('invalid');
+
+      const matches = buffer ? findMatches(buffer, pattern) : [];
+      const current = Math.max(0, matches.findIndex(offset => offset >= state.cursorOffset));
+      state.search = { pattern, matches, current, buffer };
+      updateFindStatus();
+    }
+
+    function updateFindStatus() {
+      const { matches, current } = state.search;
+      const total = matches.length >= MAX_MATCHES ? `${MAX_MATCHES}+` : matches.length;
+      elements.findStatus.textContent = matches.length ? `${current + 1} of ${total}` : 'No matches';
+    }
+
+    // Select the current match and scroll to it
+    function showMatch() {
+      const { matches, current, pattern } = state.search;
+      state.cursorOffset = matches[current];
+      state.selectionStart = matches[current];
+      state.selectionEnd = matches[current] + pattern.length - 1;
+      updateFindStatus();
+      scrollToOffset(state.cursorOffset);
+      refreshHexView();
+      updateStatus();
+    }
+
+    function findNext(step) {
+      if (!state.search?.matches.length) return;
+      const { matches, current, pattern } = state.search;
+      // The first Enter goes to the match the search picked, unless it's
+      // already selected
+      const selected = state.selectionStart === matches[current] &&
+        state.selectionEnd === matches[current] + pattern.length - 1;
+      if (selected) state.search.current = (current + step + matches.length) % matches.length;
+      showMatch();
+    }
+
+    // Replace the current match, or every match, as one undoable edit
+    function replaceFound(all) {
+      if (!state.search?.matches.length) return;
+      const { matches, current, pattern } = state.search;
+      const buffer = getActiveBuffer();
+      const targets = all ? matches : [matches[current]];
+
+      let edit;
+      try {
+        edit = replaceMatches(buffer, targets, pattern.length, parsePattern(elements.replaceInput.value, elements.findMode.value));
+      } catch (err) {
+        elements.findStatus.textContent = err.message;
+        return;
+      }
+
+      pushHistory({
+        type: 'replace',
+        offset: edit.offset,
+        mode: state.editMode,
+        oldData: edit.oldData,
+        newData: edit.newData,
+        timestamp: Date.now(),
+        description: all ? `Replace ${targets.length} matches` : `Replace at 0x${targets[0].toString(16).toUpperCase()}`
+      });
+      buffer.set(edit.newData, edit.offset);
+
+      // Carry on from the replaced match
+      state.cursorOffset = all ? targets[0] : targets[0] + pattern.length;
+      state.selectionStart = null;
+      state.selectionEnd = null;
+      afterEdit();
+      if (!all && state.search.matches.length) showMatch();
+    }
+
     // ========== LAYER MANAGEMENT ==========
 
+    // Find a layer or group anywhere in the stack. Returns { layer, siblings,
+    // index, topIndex }: `siblings` is the array holding it and `topIndex` the
+    // position of its top-level ancestor. Renders are cached per top-level
+    // entry, so a change inside a group invalidates from the group onwards.
+    function findLayer(layerId, layers = state.layerStack.layers, topIndex = null) {
+      for (let i = 0; i < layers.length; i++) {
+        const layer = layers[i];
+        if (layer.id === layerId) return { layer, siblings: layers, index: i, topIndex: topIndex ?? i };
+        if (isGroup(layer)) {
+          const found = findLayer(layerId, layer.layers, topIndex ?? i);
+          if (found) return found;
+        }
+      }
+      return null;
+    }
+
+    function withNewIds(layers) {
+      return layers.map(layer => ({
+        ...layer,
+        id: generateLayerId(),
+        ...(isGroup(layer) ? { layers: withNewIds(layer.layers) } : {})
+      }));
+    }
+
     function addLayer(effectId) {
       if (!state.layerStack.originalPixelData) return;
 
@@ -1018,11 +2266,11 @@ import {
     }
 
     function removeLayer(layerId) {
-      const index = state.layerStack.layers.findIndex(l => l.id === layerId);
-      if (index === -1) return;
+      const found = findLayer(layerId);
+      if (!found) return;
 
       const oldLayers = JSON.parse(JSON.stringify(state.layerStack.layers));
-      state.layerStack.layers.splice(index, 1);
+      found.siblings.splice(found.index, 1);
 
       pushHistory({
         type: 'layer-remove',
@@ -1031,22 +2279,33 @@ import {
         oldLayers: oldLayers,
         newLayers: JSON.parse(JSON.stringify(state.layerStack.layers)),
         timestamp: Date.now(),
-        description: 'Remove layer'
+        description: isGroup(found.layer) ? 'Remove group' : 'Remove layer'
       });
 
-      invalidateFromLayer(index);
+      invalidateFromLayer(found.topIndex);
       renderLayerStack();
       renderLayerList();
     }
 
-    function updateLayerParam(layerId, paramId, value) {
-      const layer = state.layerStack.layers.find(l => l.id === layerId);
-      if (!layer) return;
+    // `interactive` changes (a slider being dragged) only refresh the proxy
+    // preview; the full-resolution render follows when the slider is released.
+    // `paramId` may be 'seed'. Animated params get a keyframe at the current
+    // frame instead.
+    function updateLayerParam(layerId, paramId, value, { interactive = false } = {}) {
+      const found = findLayer(layerId);
+      if (!found) return;
 
-      const index = state.layerStack.layers.indexOf(layer);
+      const { layer, topIndex } = found;
       const oldLayers = JSON.parse(JSON.stringify(state.layerStack.layers));
 
-      layer.params[paramId] = value;
+      const track = layer.keyframes?.[paramId];
+      if (track) {
+        layer.keyframes[paramId] = setKeyframe(track, state.animation.frame, value);
+      } else if (paramId === 'seed') {
+        layer.seed = value;
+      } else {
+        layer.params[paramId] = value;
+      }
 
       pushHistory({
         type: 'layer-param',
@@ -1058,205 +2317,1770 @@ import {
         description: `Update ${paramId}`
       });
 
-      invalidateFromLayer(index);
-      debouncedRenderStack();
+      invalidateFromLayer(topIndex);
+      if (interactive) {
+        renderProxy();
+      } else {
+        debouncedRenderStack();
+      }
     }
 
-    function toggleLayer(layerId) {
-      const layer = state.layerStack.layers.find(l => l.id === layerId);
-      if (!layer) return;
+    // A param's (or the seed's) value at the current frame
+    function layerValue(layer, key) {
+      const track = layer.keyframes?.[key];
+      if (track) return evaluateTrack(track, state.animation.frame);
+      return key === 'seed' ? layer.seed : layer.params[key];
+    }
 
-      const index = state.layerStack.layers.indexOf(layer);
-      const oldLayers = JSON.parse(JSON.stringify(state.layerStack.layers));
+    // Add a keyframe at the current frame holding the current value, or
+    // remove the one there. Removing the last keyframe leaves the param at
+    // the value it had.
+    function toggleKeyframe(layerId, key) {
+      const found = findLayer(layerId);
+      if (!found) return;
 
-      layer.enabled = !layer.enabled;
+      const { layer, topIndex } = found;
+      const oldLayers = JSON.parse(JSON.stringify(state.layerStack.layers));
+      const frame = state.animation.frame;
+      const track = layer.keyframes?.[key] || [];
+      const value = layerValue(layer, key);
+      const removing = track.some(k => k.frame === frame);
+
+      if (removing) {
+        const rest = track.filter(k => k.frame !== frame);
+        if (rest.length > 0) {
+          layer.keyframes[key] = rest;
+        } else {
+          delete layer.keyframes[key];
+          if (key === 'seed') {
+            layer.seed = Math.round(value);
+          } else {
+            layer.params[key] = value;
+          }
+          if (Object.keys(layer.keyframes).length === 0) delete layer.keyframes;
+        }
+      } else {
+        layer.keyframes = { ...layer.keyframes, [key]: setKeyframe(track, frame, value) };
+      }
 
       pushHistory({
-        type: 'layer-toggle',
+        type: 'layer-keyframe',
         offset: 0,
         mode: 'pixel',
         oldLayers: oldLayers,
         newLayers: JSON.parse(JSON.stringify(state.layerStack.layers)),
         timestamp: Date.now(),
-        description: layer.enabled ? 'Enable layer' : 'Disable layer'
+        description: `${removing ? 'Remove' : 'Add'} ${key} keyframe`
       });
 
-      invalidateFromLayer(index);
+      invalidateFromLayer(topIndex);
       renderLayerStack();
       renderLayerList();
     }
 
-    function reorderLayers(fromIndex, toIndex) {
-      if (fromIndex === toIndex) return;
+    // Set how the keyframe at the current frame eases into the next one
+    function setKeyframeEasing(layerId, key, easing) {
+      const found = findLayer(layerId);
+      const keyframe = found?.layer.keyframes?.[key]?.find(k => k.frame === state.animation.frame);
+      if (!keyframe) return;
 
+      const { layer, topIndex } = found;
       const oldLayers = JSON.parse(JSON.stringify(state.layerStack.layers));
-      const [layer] = state.layerStack.layers.splice(fromIndex, 1);
-      state.layerStack.layers.splice(toIndex, 0, layer);
+      layer.keyframes[key] = setKeyframe(layer.keyframes[key], keyframe.frame, keyframe.value, easing);
 
       pushHistory({
-        type: 'layer-reorder',
+        type: 'layer-keyframe',
         offset: 0,
         mode: 'pixel',
         oldLayers: oldLayers,
         newLayers: JSON.parse(JSON.stringify(state.layerStack.layers)),
         timestamp: Date.now(),
-        description: 'Reorder layers'
+        description: `Set ${key} easing`
       });
 
-      invalidateFromLayer(Math.min(fromIndex, toIndex));
+      invalidateFromLayer(topIndex);
       renderLayerStack();
-      renderLayerList();
     }
 
-    function invalidateFromLayer(index) {
-      state.layerStack.dirtyFromIndex = index;
-      // Clear caches from this layer onwards
-      for (let i = index; i < state.layerStack.layers.length; i++) {
-        state.layerStack.cachedResults.delete(state.layerStack.layers[i].id);
+    // Replace a layer's mask (null removes it). `interactive` works as in
+    // updateLayerParam.
+    function updateLayerMask(layerId, mask, { interactive = false, description = 'Edit mask' } = {}) {
+      const found = findLayer(layerId);
+      if (!found) return;
+
+      const { layer, topIndex } = found;
+      const oldLayers = JSON.parse(JSON.stringify(state.layerStack.layers));
+
+      if (mask) {
+        layer.mask = mask;
+      } else {
+        delete layer.mask;
+      }
+
+      pushHistory({
+        type: 'layer-mask',
+        offset: 0,
+        mode: 'pixel',
+        oldLayers: oldLayers,
+        newLayers: JSON.parse(JSON.stringify(state.layerStack.layers)),
+        timestamp: Date.now(),
+        description
+      });
+
+      invalidateFromLayer(topIndex);
+      if (interactive) {
+        renderProxy();
+      } else {
+        renderLayerStack();
       }
+      updateMaskOverlay();
     }
 
-    // Debounced render for parameter changes
-    let renderStackTimeout = null;
-    function debouncedRenderStack() {
-      if (renderStackTimeout) clearTimeout(renderStackTimeout);
-      renderStackTimeout = setTimeout(() => {
+    // Set a layer's opacity and/or blend mode. `interactive` works as in
+    // updateLayerParam.
+    function updateLayerBlend(layerId, changes, { interactive = false, description = 'Edit blending' } = {}) {
+      const found = findLayer(layerId);
+      if (!found) return;
+
+      const { layer, topIndex } = found;
+      const oldLayers = JSON.parse(JSON.stringify(state.layerStack.layers));
+
+      Object.assign(layer, changes);
+
+      pushHistory({
+        type: 'layer-blend',
+        offset: 0,
+        mode: 'pixel',
+        oldLayers: oldLayers,
+        newLayers: JSON.parse(JSON.stringify(state.layerStack.layers)),
+        timestamp: Date.now(),
+        description
+      });
+
+      invalidateFromLayer(topIndex);
+      if (interactive) {
+        renderProxy();
+      } else {
         renderLayerStack();
-      }, 100);
+      }
     }
 
-    function renderLayerStack() {
-      if (!state.layerStack.originalPixelData || !state.imageInfo) return;
+    function toggleLayer(layerId) {
+      const found = findLayer(layerId);
+      if (!found) return;
 
-      let data = state.layerStack.originalPixelData;
-      const layers = state.layerStack.layers;
+      const { layer, topIndex } = found;
+      const oldLayers = JSON.parse(JSON.stringify(state.layerStack.layers));
 
-      // Apply each enabled layer
-      for (let i = 0; i < layers.length; i++) {
-        const layer = layers[i];
-        if (!layer.enabled) continue;
+      layer.enabled = !layer.enabled;
 
-        const effect = effectRegistry.get(layer.effectId);
-        if (!effect) continue;
+      pushHistory({
+        type: 'layer-toggle',
+        offset: 0,
+        mode: 'pixel',
+        oldLayers: oldLayers,
+        newLayers: JSON.parse(JSON.stringify(state.layerStack.layers)),
+        timestamp: Date.now(),
+        description: layer.enabled ? 'Enable layer' : 'Disable layer'
+      });
 
-        // Check cache
-        const cached = state.layerStack.cachedResults.get(layer.id);
-        if (cached && i >= state.layerStack.dirtyFromIndex) {
-          data = cached;
-          continue;
-        }
+      invalidateFromLayer(topIndex);
+      renderLayerStack();
+      renderLayerList();
+    }
+
+    // Move a layer or group before `targetId`, or to the end of the group
+    // `targetId` when `inside` is set. Within one list the move works like
+    // an index swap, so dragging down lands after the target.
+    function moveLayer(layerId, targetId, { inside = false } = {}) {
+      const source = findLayer(layerId);
+      const target = findLayer(targetId);
+      if (!source || !target || layerId === targetId) return;
+      // A group can't be moved into itself
+      if (isGroup(source.layer) && findLayer(targetId, source.layer.layers)) return;
 
-        // Apply effect
-        data = effect.apply(data, state.imageInfo, layer.params, layer.seed);
-        state.layerStack.cachedResults.set(layer.id, data);
+      const oldLayers = JSON.parse(JSON.stringify(state.layerStack.layers));
+      const toIndex = target.index;
+      source.siblings.splice(source.index, 1);
+      if (inside) {
+        target.layer.layers.push(source.layer);
+      } else if (target.siblings === source.siblings) {
+        target.siblings.splice(toIndex, 0, source.layer);
+      } else {
+        target.siblings.splice(target.siblings.indexOf(target.layer), 0, source.layer);
       }
 
-      state.layerStack.dirtyFromIndex = -1;
-      state.pixelData = data;
+      pushHistory({
+        type: 'layer-reorder',
+        offset: 0,
+        mode: 'pixel',
+        oldLayers: oldLayers,
+        newLayers: JSON.parse(JSON.stringify(state.layerStack.layers)),
+        timestamp: Date.now(),
+        description: inside ? `Move into ${target.layer.name}` : 'Reorder layers'
+      });
 
-      // Recompress and update preview
-      recompressAndRebuildBuffer();
-      const parsed = parsePNG(state.buffer);
-      state.chunks = parsed.chunks;
-      state.errors = parsed.errors;
-      state.isValid = parsed.isValid;
+      invalidateFromLayer(Math.min(source.topIndex, findLayer(layerId).topIndex));
+      renderLayerStack();
+      renderLayerList();
+    }
 
-      updateChunkList();
-      refreshHexView();
-      debouncedPreview();
-      updateStatus();
+    function addGroup() {
+      if (!state.layerStack.originalPixelData) return;
+
+      const groupCount = countGroups(state.layerStack.layers);
+      const group = {
+        id: generateLayerId(),
+        type: 'group',
+        name: `Group ${groupCount + 1}`,
+        enabled: true,
+        collapsed: false,
+        layers: []
+      };
+
+      const oldLayers = JSON.parse(JSON.stringify(state.layerStack.layers));
+      state.layerStack.layers.push(group);
+
+      pushHistory({
+        type: 'layer-add',
+        offset: 0,
+        mode: 'pixel',
+        oldLayers: oldLayers,
+        newLayers: JSON.parse(JSON.stringify(state.layerStack.layers)),
+        timestamp: Date.now(),
+        description: `Add ${group.name}`
+      });
+
+      // An empty group passes its input through, so nothing needs rendering
+      renderLayerList();
     }
 
-    // ========== LAYER UI ==========
+    function countGroups(layers) {
+      return layers.reduce((count, layer) => (isGroup(layer) ? count + 1 + countGroups(layer.layers) : count), 0);
+    }
 
-    function renderEffectPicker() {
-      const byCategory = new Map();
-      for (const [id, effect] of effectRegistry) {
-        const list = byCategory.get(effect.category) || [];
-        list.push(effect);
-        byCategory.set(effect.category, list);
+    // Replace a group with its layers. The group's blend, opacity and mask
+    // are dropped along with it.
+    function ungroupLayer(groupId) {
+      const found = findLayer(groupId);
+      if (!found || !isGroup(found.layer)) return;
+
+      const oldLayers = JSON.parse(JSON.stringify(state.layerStack.layers));
+      found.siblings.splice(found.index, 1, ...found.layer.layers);
+
+      pushHistory({
+        type: 'layer-ungroup',
+        offset: 0,
+        mode: 'pixel',
+        oldLayers: oldLayers,
+        newLayers: JSON.parse(JSON.stringify(state.layerStack.layers)),
+        timestamp: Date.now(),
+        description: `Ungroup ${found.layer.name}`
+      });
+
+      invalidateFromLayer(found.topIndex);
+      renderLayerStack();
+      renderLayerList();
+    }
+
+    function renameGroup(groupId, name) {
+      const found = findLayer(groupId);
+      if (!found || !name || found.layer.name === name) return;
+
+      const oldLayers = JSON.parse(JSON.stringify(state.layerStack.layers));
+      const oldName = found.layer.name;
+      found.layer.name = name;
+
+      pushHistory({
+        type: 'layer-rename',
+        offset: 0,
+        mode: 'pixel',
+        oldLayers: oldLayers,
+        newLayers: JSON.parse(JSON.stringify(state.layerStack.layers)),
+        timestamp: Date.now(),
+        description: `Rename ${oldName}`
+      });
+    }
+
+    // Collapsing only affects the layer list, so it isn't an undo step
+    function toggleGroupCollapsed(groupId) {
+      const found = findLayer(groupId);
+      if (!found || !isGroup(found.layer)) return;
+      found.layer.collapsed = !found.layer.collapsed;
+      renderLayerList();
+    }
+
+    // Locks only affect Glitch!, so toggling them needs no render or history
+    function toggleLayerLock(layerId) {
+      const found = findLayer(layerId);
+      if (!found) return;
+      found.layer.locked = !found.layer.locked;
+      if (!found.layer.locked) delete found.layer.locked;
+      renderLayerList();
+    }
+
+    function toggleParamLock(layerId, key) {
+      const layer = findLayer(layerId)?.layer;
+      if (!layer || isGroup(layer)) return;
+      const locked = layer.lockedParams || [];
+      layer.lockedParams = locked.includes(key) ? locked.filter(k => k !== key) : [...locked, key];
+      if (layer.lockedParams.length === 0) delete layer.lockedParams;
+      renderLayerList();
+    }
+
+    function invalidateFromLayer(index) {
+      state.layerStack.dirtyFromIndex = index;
+      // Clear caches from this layer onwards
+      for (let i = index; i < state.layerStack.layers.length; i++) {
+        state.layerStack.cachedResults.delete(state.layerStack.layers[i].id);
+        state.proxy?.cachedResults.delete(state.layerStack.layers[i].id);
+      }
+      if (state.proxy) state.proxy.generation++;
+      // An in-flight render would fill the cache with stale results
+      cancelRender();
+    }
+
+    // Debounced render for parameter changes
+    let renderStackTimeout = null;
+    function debouncedRenderStack() {
+      if (renderStackTimeout) clearTimeout(renderStackTimeout);
+      renderStackTimeout = setTimeout(() => {
+        renderLayerStack();
+      }, 100);
+    }
+
+    function cancelRender() {
+      if (state.render) {
+        state.render.abort();
+        state.render = null;
+        showRenderProgress(null);
+      }
+    }
+
+    // Render the stack in a worker, resuming after the last cached layer.
+    // Resolves once the pixels and UI are updated (the PNG bytes may follow
+    // later, see ensureBuffer); a render superseded by a newer one resolves
+    // without touching either.
+    function renderLayerStack() {
+      if (!state.layerStack.originalPixelData || !state.imageInfo) return Promise.resolve();
+
+      cancelRender();
+      clearTimeout(renderStackTimeout);
+      if (state.proxy) state.proxy.active = false;
+      const layers = state.layerStack.layers;
+      const cache = state.layerStack.cachedResults;
+      const { data, start } = findResumePoint(layers, cache, state.layerStack.originalPixelData);
+
+      const controller = new AbortController();
+      state.render = controller;
+      // The worker only compresses when the preview has to decode the PNG
+      const encode = !canDrawPixels();
+      showRenderProgress(start, layers, { encode });
+
+      const job = { pixelData: data.slice(), layers: framedLayers(layers), start, encode };
+      const render = runRenderJob(job, {
+        signal: controller.signal,
+        onLayer: (index, layerData) => {
+          if (layerData && layers[index]?.enabled) cache.set(layers[index].id, layerData);
+          showRenderProgress(index + 1, layers, { encode });
+        }
+      }).then(({ pixelData, compressed }) => {
+        state.render = null;
+        showRenderProgress(null);
+
+        const lastEnabled = layers.findLastIndex(layer => layer.enabled);
+        if (lastEnabled >= start) cache.set(layers[lastEnabled].id, pixelData);
+        state.layerStack.dirtyFromIndex = -1;
+        state.pixelData = pixelData;
+
+        if (compressed) {
+          state.buffer = replaceIDAT(state.buffer, state.chunks, compressed);
+          state.bufferStale = false;
+          const parsed = parsePNG(state.buffer);
+          state.chunks = parsed.chunks;
+          state.errors = parsed.errors;
+          state.isValid = parsed.isValid;
+          updateChunkList();
+        } else {
+          markBufferStale();
+        }
+
+        refreshHexView();
+        updatePreview();
+        updateMaskOverlay();
+        updateStatus();
+      }, (e) => {
+        if (e.name === 'AbortError') return;
+        if (state.render === controller) {
+          state.render = null;
+          showRenderProgress(null);
+        }
+        console.error('Failed to render layer stack:', e);
+      });
+
+      state.pendingRender = render;
+      return render;
+    }
+
+    // A copy of the stack for a render job, as it is at the current frame
+    function framedLayers(layers) {
+      return layersAtFrame(JSON.parse(JSON.stringify(layers)), state.animation.frame);
+    }
+
+    // The output of the last cached enabled layer and the index to render from
+    function findResumePoint(layers, cache, original) {
+      let data = original;
+      for (let i = 0; i < layers.length; i++) {
+        if (!layers[i].enabled) continue;
+        const cached = cache.get(layers[i].id);
+        if (!cached) return { data, start: i };
+        data = cached;
+      }
+      return { data, start: layers.length };
+    }
+
+    // ========== PROXY PREVIEW ==========
+
+    const PROXY_SIZE = 1024; // Longest side of the proxy image
+
+    // Downscaled copy of the original pixels with its own layer cache, built
+    // on first use. Null for images already small enough and in filtered
+    // bytes mode, where averaging scanlines would mix filter types.
+    function getProxy() {
+      if (state.proxy) return state.proxy;
+      const { originalPixelData } = state.layerStack;
+      if (!originalPixelData || !state.imageInfo || state.filteredBytes) return null;
+
+      const factor = Math.ceil(Math.max(state.imageInfo.width, state.imageInfo.height) / PROXY_SIZE);
+      if (factor < 2) return null;
+
+      const { pixelData, imageInfo } = downscaleScanlines(originalPixelData, state.imageInfo, factor);
+      setRenderContext('proxy', imageInfo);
+      state.proxy = {
+        pixelData,
+        imageInfo,
+        cachedResults: new Map(), // layerId -> computed Uint8Array
+        generation: 0,            // Bumped when layers change, to drop stale results
+        busy: false,
+        queued: false,
+        active: false             // Cleared once a full render takes over
+      };
+      return state.proxy;
+    }
+
+    // Render the stack on the proxy and draw it into the preview. Drags fire
+    // faster than renders finish, so instead of cancelling (which restarts a
+    // worker) at most one follow-up render is queued with the latest params.
+    function renderProxy() {
+      const proxy = getProxy();
+      if (!proxy) {
+        debouncedRenderStack();
+        return;
+      }
+      proxy.active = true;
+      if (proxy.busy) {
+        proxy.queued = true;
+        return;
+      }
+      proxy.busy = true;
+      proxy.queued = false;
+
+      const generation = proxy.generation;
+      const layers = state.layerStack.layers;
+      const cache = proxy.cachedResults;
+      const { data, start } = findResumePoint(layers, cache, proxy.pixelData);
+      showRenderProgress(start, layers, { proxyInfo: proxy.imageInfo });
+
+      const job = {
+        pixelData: data.slice(),
+        layers: framedLayers(layers),
+        start,
+        context: 'proxy',
+        encode: false
+      };
+      runRenderJob(job, {
+        onLayer: (index, layerData) => {
+          if (generation !== proxy.generation) return;
+          if (layerData && layers[index]?.enabled) cache.set(layers[index].id, layerData);
+          showRenderProgress(index + 1, layers, { proxyInfo: proxy.imageInfo });
+        }
+      }).then(({ pixelData }) => {
+        const lastEnabled = layers.findLastIndex(layer => layer.enabled);
+        if (generation === proxy.generation && lastEnabled >= start) {
+          cache.set(layers[lastEnabled].id, pixelData);
+        }
+        if (proxy.active && state.proxy === proxy) drawPixelPreview(pixelData, proxy.imageInfo);
+      }, (e) => {
+        console.error('Failed to render proxy preview:', e);
+      }).finally(() => {
+        proxy.busy = false;
+        if (proxy.active && proxy.queued && state.proxy === proxy) {
+          renderProxy();
+        } else if (!state.render) {
+          showRenderProgress(null);
+        }
+      });
+    }
+
+    // Mark the layer being rendered and show "layer n of m", or clear both
+    // when `index` is null. `proxyInfo` labels proxy renders with their size;
+    // `encode` says whether the PNG is recompressed once the layers are done.
+    function showRenderProgress(index, layers = state.layerStack.layers, { proxyInfo = null, encode = false } = {}) {
+      const done = index === null || index >= layers.length;
+      state.renderingLayerId = done ? null : layers[index].id;
+      for (const item of elements.layerList.querySelectorAll('.layer-item')) {
+        item.classList.toggle('layer-rendering', item.dataset.layerId === state.renderingLayerId);
+      }
+      elements.renderProgress.hidden = index === null;
+      if (index !== null) {
+        const label = proxyInfo ? `Previewing at ${proxyInfo.width}×${proxyInfo.height}: layer` : 'Rendering layer';
+        elements.renderProgress.textContent = done
+          ? (encode ? 'Compressing…' : 'Drawing preview…')
+          : `${label} ${index + 1} of ${layers.length}`;
+      }
+    }
+
+    // ========== MASK DRAWING ==========
+
+    // Mask points are stored normalized (0-1), so they map onto the preview
+    // however it is scaled. Rectangles and ellipses are dragged out, brush
+    // strokes painted, and polygons clicked vertex by vertex. Procedural
+    // masks have nothing to draw; editing one shows the pixels it selects.
+
+    function setMaskDrawing(layerId) {
+      state.maskEdit = layerId ? { layerId, draft: null, hover: null, image: null } : null;
+      const layer = layerId ? findLayer(layerId)?.layer : null;
+      elements.previewCanvas.classList.toggle('mask-drawing', !!layer?.mask && !isProceduralMask(layer.mask));
+    }
+
+    function getMaskEditLayer() {
+      if (!state.maskEdit) return null;
+      const layer = findLayer(state.maskEdit.layerId)?.layer;
+      return layer?.mask ? layer : null;
+    }
+
+    function canvasPoint(e) {
+      const rect = elements.previewCanvas.getBoundingClientRect();
+      const clamp = v => Math.max(0, Math.min(1, v));
+      return [clamp((e.clientX - rect.left) / rect.width), clamp((e.clientY - rect.top) / rect.height)];
+    }
+
+    // Whether a point is within a few screen pixels of the first polygon vertex
+    function closesPolygon(point) {
+      const first = state.maskEdit.draft?.[0];
+      if (!first || state.maskEdit.draft.length < 3) return false;
+      const rect = elements.previewCanvas.getBoundingClientRect();
+      return Math.hypot((point[0] - first[0]) * rect.width, (point[1] - first[1]) * rect.height) < 8;
+    }
+
+    function startMaskDraft(e) {
+      const layer = getMaskEditLayer();
+      if (!layer || isProceduralMask(layer.mask) || e.button !== 0) return;
+      e.preventDefault();
+      const point = canvasPoint(e);
+
+      if (layer.mask.shape === 'polygon') {
+        if (closesPolygon(point)) {
+          commitMaskDraft();
+          return;
+        }
+        state.maskEdit.draft = [...(state.maskEdit.draft || []), point];
+      } else {
+        elements.previewCanvas.setPointerCapture(e.pointerId);
+        state.maskEdit.draft = layer.mask.shape === 'brush' ? [point] : [point, point];
+      }
+      updateMaskOverlay();
+    }
+
+    function moveMaskDraft(e) {
+      const layer = getMaskEditLayer();
+      const draft = state.maskEdit?.draft;
+      if (!layer || !draft) return;
+      const point = canvasPoint(e);
+
+      if (layer.mask.shape === 'polygon') {
+        state.maskEdit.hover = point;
+      } else if (!elements.previewCanvas.hasPointerCapture(e.pointerId)) {
+        return;
+      } else if (layer.mask.shape === 'brush') {
+        draft.push(point);
+      } else {
+        draft[1] = point;
+      }
+      updateMaskOverlay();
+    }
+
+    // Store the shape being drawn in the layer's mask. Brush strokes add up;
+    // other shapes replace the previous outline.
+    function commitMaskDraft() {
+      const layer = getMaskEditLayer();
+      const draft = state.maskEdit?.draft;
+      if (!layer || !draft) return;
+      state.maskEdit.draft = null;
+      state.maskEdit.hover = null;
+
+      const { mask } = layer;
+      if (mask.shape === 'brush') {
+        updateLayerMask(layer.id, { ...mask, strokes: [...mask.strokes, draft] }, { description: 'Paint mask' });
+      } else if (mask.shape === 'polygon' ? draft.length >= 3 : draft[0][0] !== draft[1][0] && draft[0][1] !== draft[1][1]) {
+        updateLayerMask(layer.id, { ...mask, points: draft }, { description: 'Draw mask' });
+      } else {
+        updateMaskOverlay();
+      }
+    }
+
+    // Outline the mask being edited (and the shape being drawn) in an SVG
+    // laid over the preview canvas, in image pixel coordinates
+    function updateMaskOverlay() {
+      const overlay = elements.maskOverlay;
+      const layer = getMaskEditLayer();
+      // SVG elements have no `hidden` property, only the attribute
+      overlay.toggleAttribute('hidden', !layer || !state.imageInfo);
+      if (!layer || !state.imageInfo) return;
+
+      const canvasRect = elements.previewCanvas.getBoundingClientRect();
+      const containerRect = overlay.parentElement.getBoundingClientRect();
+      overlay.style.left = `${canvasRect.left - containerRect.left}px`;
+      overlay.style.top = `${canvasRect.top - containerRect.top}px`;
+      overlay.style.width = `${canvasRect.width}px`;
+      overlay.style.height = `${canvasRect.height}px`;
+
+      const { width, height } = state.imageInfo;
+      overlay.setAttribute('viewBox', `0 0 ${width} ${height}`);
+      const toPoints = points => points.map(([x, y]) => `${x * width},${y * height}`).join(' ');
+
+      const { mask } = layer;
+      const { draft, hover } = state.maskEdit;
+      let svg = '';
+      if (isProceduralMask(mask)) {
+        const { href } = proceduralMaskImage(layer);
+        svg += `<image class="mask-coverage" href="${href}" width="${width}" height="${height}" preserveAspectRatio="none"></image>`;
+      } else if (mask.shape === 'brush') {
+        for (const stroke of draft ? [...mask.strokes, draft] : mask.strokes) {
+          svg += `<polyline class="mask-brush" points="${toPoints(stroke.length > 1 ? stroke : [stroke[0], stroke[0]])}" stroke-width="${mask.radius * 2}"></polyline>`;
+        }
+      } else if (mask.shape === 'polygon') {
+        if (draft) {
+          svg += `<polyline class="mask-shape" points="${toPoints(hover ? [...draft, hover] : draft)}"></polyline>`;
+        } else if (mask.points.length >= 3) {
+          svg += `<polygon class="mask-shape" points="${toPoints(mask.points)}"></polygon>`;
+        }
+      } else {
+        const points = draft || mask.points;
+        if (points.length >= 2) {
+          const [[x0, y0], [x1, y1]] = points;
+          const x = Math.min(x0, x1) * width, y = Math.min(y0, y1) * height;
+          const w = Math.abs(x1 - x0) * width, h = Math.abs(y1 - y0) * height;
+          svg += mask.shape === 'rect'
+            ? `<rect class="mask-shape" x="${x}" y="${y}" width="${w}" height="${h}"></rect>`
+            : `<ellipse class="mask-shape" cx="${x + w / 2}" cy="${y + h / 2}" rx="${w / 2}" ry="${h / 2}"></ellipse>`;
+        }
+      }
+      overlay.innerHTML = svg;
+      overlay.classList.toggle('inverted', mask.invert);
+    }
+
+    // Tint the pixels a procedural mask selects, computed from the layer's
+    // input (the last cached output below it) at no more than PROXY_SIZE.
+    // Inside a group the group's input stands in, since only top-level
+    // results are cached. Kept until the mask or the input changes.
+    function proceduralMaskImage(layer) {
+      const layers = state.layerStack.layers;
+      const { topIndex } = findLayer(layer.id);
+      const { data } = findResumePoint(layers.slice(0, topIndex), state.layerStack.cachedResults, state.layerStack.originalPixelData);
+      const cached = state.maskEdit.image;
+      if (cached?.input === data && cached.mask === layer.mask) return cached;
+
+      let pixelData = data, imageInfo = state.imageInfo;
+      const factor = Math.ceil(Math.max(imageInfo.width, imageInfo.height) / PROXY_SIZE);
+      if (factor >= 2 && !state.filteredBytes) ({ pixelData, imageInfo } = downscaleScanlines(data, imageInfo, factor));
+
+      const coverage = rasterizeMask(layer.mask, imageInfo, pixelData);
+      const tint = new Uint8ClampedArray(coverage.length * 4);
+      for (let i = 0; i < coverage.length; i++) {
+        tint[i * 4] = 78;
+        tint[i * 4 + 1] = 205;
+        tint[i * 4 + 2] = 196;
+        tint[i * 4 + 3] = coverage[i] * 0.5;
+      }
+      const canvas = document.createElement('canvas');
+      canvas.width = imageInfo.width;
+      canvas.height = imageInfo.height;
+      canvas.getContext('2d').putImageData(new ImageData(tint, imageInfo.width, imageInfo.height), 0, 0);
+
+      state.maskEdit.image = { input: data, mask: layer.mask, href: canvas.toDataURL() };
+      return state.maskEdit.image;
+    }
+
+    // ========== LAYER UI ==========
+
+    const CATEGORY_NAMES = {
+      filter: 'Filter',
+      channel: 'Channel',
+      distortion: 'Distortion',
+      color: 'Color',
+      sorting: 'Sorting',
+      generative: 'Generative',
+      stylize: 'Stylize',
+      blend: 'Blend'
+    };
+
+    function renderEffectPicker() {
+      const byCategory = new Map();
+      for (const [id, effect] of effectRegistry) {
+        const list = byCategory.get(effect.category) || [];
+        list.push(effect);
+        byCategory.set(effect.category, list);
+      }
+
+      // Sort categories for consistent order
+      const categoryOrder = ['distortion', 'color', 'channel', 'generative', 'stylize', 'filter', 'sorting'];
+      const sortedCategories = [...byCategory.entries()].sort((a, b) => {
+        const aIdx = categoryOrder.indexOf(a[0]);
+        const bIdx = categoryOrder.indexOf(b[0]);
+        return (aIdx === -1 ? 99 : aIdx) - (bIdx === -1 ? 99 : bIdx);
+      });
+
+      let html = '';
+      for (const [category, effects] of sortedCategories) {
+        html += `<div class="effect-category">`;
+        html += `<div class="category-header">${CATEGORY_NAMES[category] || category}</div>`;
+        html += `<div class="category-effects">`;
+        for (const effect of effects) {
+          html += `<div class="effect-option" data-effect="${effect.id}" tabindex="0" role="option">${effect.name}</div>`;
+        }
+        html += `</div>`;
+        html += `</div>`;
+      }
+
+      elements.effectsPicker.innerHTML = html;
+    }
+
+    function renderLayerList() {
+      elements.layerList.innerHTML = renderLayerItems(state.layerStack.layers);
+      elements.btnVariations.disabled = !state.layerStack.originalPixelData || state.layerStack.layers.length === 0;
+      elements.btnPresets.disabled = !state.layerStack.originalPixelData;
+      renderPresetMenu();
+      if (state.maskEdit && !getMaskEditLayer()) setMaskDrawing(null);
+      updateMaskOverlay();
+      updateTimeline();
+    }
+
+    function renderLayerItems(layers) {
+      return layers.map(layer => (isGroup(layer) ? renderGroupItem(layer) : renderEffectItem(layer))).join('');
+    }
+
+    function renderEffectItem(layer) {
+      const effect = effectRegistry.get(layer.effectId);
+      if (!effect) return '';
+
+      const checkedAttr = layer.enabled ? 'checked' : '';
+      const renderingClass = layer.id === state.renderingLayerId ? ' layer-rendering' : '';
+
+      let html = `<div class="layer-item${renderingClass}" data-layer-id="${layer.id}">`;
+      html += `<div class="layer-header">`;
+      html += `<span class="layer-drag-handle" draggable="true">⋮⋮</span>`;
+      html += `<input type="checkbox" class="layer-toggle" ${checkedAttr}>`;
+      html += `<span class="layer-name">${effect.name}</span>`;
+      html += renderLayerLockButton(layer);
+      html += `<button class="layer-preset-btn" title="Save layer as preset" aria-label="Save layer as preset">☆</button>`;
+      html += `<button class="layer-delete-btn">×</button>`;
+      html += `</div>`;
+      html += `<div class="layer-params">`;
+
+      for (const param of effect.parameters) {
+        const value = layer.params[param.id];
+        html += `<div class="param-row" data-param-id="${param.id}">`;
+        html += `<span class="param-label">${param.label}</span>`;
+
+        if (param.type === 'slider') {
+          const step = param.step || 1;
+          // Keyframed values fall between steps; show them rounded to one
+          const shown = +(Math.round(layerValue(layer, param.id) / step) * step).toFixed(4);
+          html += `<input type="range" min="${param.min}" max="${param.max}" value="${shown}" step="${step}">`;
+          html += `<span class="param-value">${shown}${param.unit || ''}</span>`;
+          html += renderKeyframeButton(layer, param.id);
+          html += renderParamLockButton(layer, param.id, param.label);
+        } else if (param.type === 'dropdown') {
+          html += `<select>`;
+          for (const opt of param.options) {
+            const selected = opt.value === value ? 'selected' : '';
+            html += `<option value="${opt.value}" ${selected}>${opt.label}</option>`;
+          }
+          html += `</select>`;
+          html += renderParamLockButton(layer, param.id, param.label);
+        } else if (param.type === 'checkbox') {
+          const checked = value ? 'checked' : '';
+          html += `<input type="checkbox" ${checked}>`;
+          html += renderParamLockButton(layer, param.id, param.label);
+        }
+
+        html += `</div>`;
+        if (param.type === 'slider') html += renderEasingRow(layer, param.id);
+      }
+
+      html += `<div class="param-row seed-row" data-param-id="seed">`;
+      html += `<span class="param-label">Seed</span>`;
+      html += `<input type="number" min="0" max="2147483647" step="1" value="${Math.round(layerValue(layer, 'seed'))}">`;
+      html += renderKeyframeButton(layer, 'seed');
+      html += renderParamLockButton(layer, 'seed', 'Seed');
+      html += `</div>`;
+      html += renderEasingRow(layer, 'seed');
+
+      html += renderBlendControls(layer);
+      html += renderMaskControls(layer);
+      html += `</div></div>`;
+      return html;
+    }
+
+    // Locked layers and params are left alone by Glitch!
+    function renderLayerLockButton(layer) {
+      const label = layer.locked ? 'Unlock for Glitch!' : 'Lock for Glitch!';
+      return `<button class="layer-lock-btn" aria-pressed="${!!layer.locked}" title="${label}" aria-label="${label}">${layer.locked ? '🔒' : '🔓'}</button>`;
+    }
+
+    function renderParamLockButton(layer, key, name) {
+      const locked = !!layer.lockedParams?.includes(key);
+      const label = `${locked ? 'Unlock' : 'Lock'} ${name} for Glitch!`;
+      return `<button class="param-lock-btn" aria-pressed="${locked}" title="${label}" aria-label="${label}">${locked ? '🔒' : '🔓'}</button>`;
+    }
+
+    // ◆ when the param has a keyframe at the current frame, ◇ otherwise;
+    // highlighted while the param is animated
+    function renderKeyframeButton(layer, key) {
+      const track = layer.keyframes?.[key];
+      const onFrame = !!track?.some(k => k.frame === state.animation.frame);
+      const label = `${onFrame ? 'Remove' : 'Add'} keyframe at frame ${state.animation.frame + 1}`;
+      return `<button class="keyframe-btn${track ? ' animated' : ''}" aria-pressed="${onFrame}" title="${label}" aria-label="${label}">${onFrame ? '◆' : '◇'}</button>`;
+    }
+
+    const EASING_LABELS = {
+      linear: 'Linear', 'ease-in': 'Ease in', 'ease-out': 'Ease out', 'ease-in-out': 'Ease in-out', hold: 'Hold'
+    };
+
+    // Easing of the keyframe at the current frame, shown under its param
+    function renderEasingRow(layer, key) {
+      const keyframe = layer.keyframes?.[key]?.find(k => k.frame === state.animation.frame);
+      if (!keyframe) return '';
+      let html = `<div class="param-row easing-row" data-param-id="${key}">`;
+      html += `<span class="param-label">Easing</span><select>`;
+      for (const easing of EASINGS) {
+        const selected = easing === keyframe.easing ? 'selected' : '';
+        html += `<option value="${easing}" ${selected}>${EASING_LABELS[easing]}</option>`;
+      }
+      html += `</select></div>`;
+      return html;
+    }
+
+    // A group's header has a collapse toggle, an editable name and an
+    // ungroup button; its blend and mask rows are followed by its layers
+    function renderGroupItem(group) {
+      const checkedAttr = group.enabled ? 'checked' : '';
+      const renderingClass = group.id === state.renderingLayerId ? ' layer-rendering' : '';
+      const collapsedClass = group.collapsed ? ' collapsed' : '';
+
+      let html = `<div class="layer-item layer-group${renderingClass}${collapsedClass}" data-layer-id="${group.id}">`;
+      html += `<div class="layer-header">`;
+      html += `<span class="layer-drag-handle" draggable="true">⋮⋮</span>`;
+      html += `<button class="group-collapse-btn" aria-expanded="${!group.collapsed}" aria-label="${group.collapsed ? 'Expand' : 'Collapse'} group">${group.collapsed ? '▸' : '▾'}</button>`;
+      html += `<input type="checkbox" class="layer-toggle" ${checkedAttr}>`;
+      html += `<input type="text" class="group-name" value="${escapeAttribute(group.name)}" aria-label="Group name">`;
+      html += `<span class="group-count">${group.layers.length}</span>`;
+      html += renderLayerLockButton(group);
+      html += `<button class="group-ungroup-btn" title="Ungroup" aria-label="Ungroup">⇱</button>`;
+      html += `<button class="layer-delete-btn">×</button>`;
+      html += `</div>`;
+      if (!group.collapsed) {
+        html += `<div class="layer-params">`;
+        html += renderBlendControls(group);
+        html += renderMaskControls(group);
+        html += `</div>`;
+        html += `<div class="group-layers">`;
+        html += group.layers.length ? renderLayerItems(group.layers) : `<div class="group-empty">Drag layers here</div>`;
+        html += `</div>`;
+      }
+      html += `</div>`;
+      return html;
+    }
+
+    function escapeAttribute(text) {
+      return text.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+    }
+
+    const BLEND_MODE_LABELS = {
+      normal: 'Normal', multiply: 'Multiply', screen: 'Screen', difference: 'Difference',
+      overlay: 'Overlay', lighten: 'Lighten', darken: 'Darken', add: 'Add'
+    };
+
+    // Opacity and blend mode rows, which control how the layer's output is
+    // composited over the layers below it
+    function renderBlendControls(layer) {
+      const opacity = Math.round((layer.opacity ?? 1) * 100);
+      const blendMode = layer.blendMode || 'normal';
+      let html = `<div class="param-row blend-row" data-blend-field="opacity">`;
+      html += `<span class="param-label">Opacity</span>`;
+      html += `<input type="range" min="0" max="100" value="${opacity}" step="1">`;
+      html += `<span class="param-value">${opacity}%</span></div>`;
+      html += `<div class="param-row blend-row" data-blend-field="blendMode">`;
+      html += `<span class="param-label">Blend</span><select>`;
+      for (const mode of BLEND_MODES) {
+        const selected = mode === blendMode ? 'selected' : '';
+        html += `<option value="${mode}" ${selected}>${BLEND_MODE_LABELS[mode]}</option>`;
+      }
+      html += `</select></div>`;
+      return html;
+    }
+
+    const MASK_SHAPE_LABELS = {
+      rect: 'Rectangle', ellipse: 'Ellipse', brush: 'Brush', polygon: 'Polygon',
+      luminance: 'Luminance', hue: 'Hue range', edges: 'Edges'
+    };
+
+    function maskSliderRow(field, label, value, max, unit, min = 0) {
+      let html = `<div class="param-row mask-row" data-mask-field="${field}" data-unit="${unit}">`;
+      html += `<span class="param-label">${label}</span>`;
+      html += `<input type="range" min="${min}" max="${max}" value="${value}" step="1">`;
+      html += `<span class="param-value">${value}${unit}</span></div>`;
+      return html;
+    }
+
+    // Mask rows below a layer's params: the shape, a toggle for drawing it on
+    // the preview (or showing a procedural mask), then the shape's settings,
+    // feather and invert once there is a mask
+    function renderMaskControls(layer) {
+      const mask = layer.mask;
+      let html = `<div class="param-row mask-row" data-mask-field="shape">`;
+      html += `<span class="param-label">Mask</span>`;
+      html += `<select><option value="none">None</option>`;
+      for (const shape of MASK_SHAPES) {
+        const selected = mask?.shape === shape ? 'selected' : '';
+        html += `<option value="${shape}" ${selected}>${MASK_SHAPE_LABELS[shape]}</option>`;
+      }
+      html += `</select>`;
+      if (mask) {
+        const editing = state.maskEdit?.layerId === layer.id;
+        const label = isProceduralMask(mask) ? (editing ? 'Hide' : 'Show') : (editing ? 'Done' : 'Draw');
+        html += `<button class="mask-draw-btn" aria-pressed="${editing}">${label}</button>`;
+      }
+      html += `</div>`;
+      if (!mask) return html;
+
+      if (mask.shape === 'brush') {
+        html += maskSliderRow('radius', 'Brush', mask.radius, 200, 'px', 1);
+      } else if (mask.shape === 'luminance') {
+        html += maskSliderRow('min', 'Min', mask.min, 100, '%');
+        html += maskSliderRow('max', 'Max', mask.max, 100, '%');
+      } else if (mask.shape === 'hue') {
+        html += maskSliderRow('min', 'From', mask.min, 360, '°');
+        html += maskSliderRow('max', 'To', mask.max, 360, '°');
+      } else if (mask.shape === 'edges') {
+        html += maskSliderRow('threshold', 'Threshold', mask.threshold, 100, '%');
+      }
+      html += maskSliderRow('feather', 'Feather', mask.feather, 100, 'px');
+      html += `<div class="param-row mask-row" data-mask-field="invert">`;
+      html += `<span class="param-label">Invert</span>`;
+      html += `<input type="checkbox" ${mask.invert ? 'checked' : ''}></div>`;
+      return html;
+    }
+
+    // ========== ANIMATION ==========
+
+    // Keyframed params and seeds are evaluated at the timeline's frame for
+    // every render. Scrubbing and playback re-render from the first animated
+    // top-level layer; layers below it stay cached.
+
+    function hasAnimation() {
+      return state.layerStack.layers.some(hasKeyframes);
+    }
+
+    function getAnimationSettings() {
+      const { frameCount, fps, frame } = state.animation;
+      return { frameCount, fps, frame };
+    }
+
+    function setAnimationSettings(settings) {
+      stopPlayback();
+      Object.assign(state.animation, parseAnimationSettings(settings));
+      updateTimeline();
+    }
+
+    function updateTimeline() {
+      const { frame, frameCount, fps, timer, exporting } = state.animation;
+      const loaded = !!state.layerStack.originalPixelData;
+      elements.timelineFrame.max = frameCount - 1;
+      elements.timelineFrame.value = frame;
+      elements.timelineFrame.disabled = !loaded;
+      elements.timelineLabel.textContent = `${frame + 1} / ${frameCount}`;
+      if (document.activeElement !== elements.timelineFrames) elements.timelineFrames.value = frameCount;
+      if (document.activeElement !== elements.timelineFps) elements.timelineFps.value = fps;
+      elements.btnPlay.disabled = !loaded;
+      elements.btnPlay.textContent = timer ? '❚❚' : '▶';
+      elements.btnPlay.setAttribute('aria-label', timer ? 'Pause' : 'Play');
+      elements.btnExportAnimation.disabled = !loaded || exporting || !hasAnimation();
+    }
+
+    // Move the timeline to `frame`. `interactive` works as in updateLayerParam.
+    function setAnimationFrame(frame, { interactive = false } = {}) {
+      frame = Math.max(0, Math.min(state.animation.frameCount - 1, frame));
+      if (frame === state.animation.frame) return;
+      state.animation.frame = frame;
+
+      const animated = state.layerStack.layers.findIndex(hasKeyframes);
+      if (animated !== -1) {
+        invalidateFromLayer(animated);
+        if (interactive) {
+          renderProxy();
+        } else {
+          renderLayerStack();
+        }
+      }
+      renderLayerList();
+    }
+
+    // Frames past the new end are dropped from the timeline, not from the
+    // keyframes, which hold their last value
+    function setFrameCount(frameCount) {
+      state.animation.frameCount = parseAnimationSettings({ frameCount }).frameCount;
+      setAnimationFrame(state.animation.frame);
+      updateTimeline();
+    }
+
+    function setFps(fps) {
+      const playing = !!state.animation.timer;
+      stopPlayback();
+      state.animation.fps = parseAnimationSettings({ fps }).fps;
+      if (playing) togglePlayback();
+      updateTimeline();
+    }
+
+    // Playback steps through the frames on the proxy preview, skipping ticks
+    // while a frame is still rendering, and renders full size when it stops
+    function togglePlayback() {
+      if (state.animation.timer) {
+        stopPlayback();
+        if (hasAnimation()) renderLayerStack();
+        return;
+      }
+      state.animation.timer = setInterval(() => {
+        if (state.render || state.proxy?.busy) return;
+        const next = (state.animation.frame + 1) % state.animation.frameCount;
+        setAnimationFrame(next, { interactive: !!getProxy() });
+      }, 1000 / state.animation.fps);
+      updateTimeline();
+    }
+
+    function stopPlayback() {
+      clearInterval(state.animation.timer);
+      state.animation.timer = null;
+      updateTimeline();
+    }
+
+    // Render `count` frames at full size, a few at a time across the worker
+    // pool. `layersFor(index)` gives each frame's stack and `pixelsFor(index)`
+    // the pixels it applies to; `onFrame(index, pixelData)` is called as each
+    // one finishes. Resolves to one pixel buffer per frame.
+    async function renderFrames(count, layersFor, onFrame, pixelsFor = () => state.layerStack.originalPixelData) {
+      const frames = new Array(count);
+      let next = 0;
+
+      const renderNext = async () => {
+        while (next < count) {
+          const index = next++;
+          const job = { pixelData: pixelsFor(index).slice(), layers: layersFor(index), start: 0, encode: false };
+          frames[index] = (await runRenderJob(job)).pixelData;
+          onFrame(index, frames[index]);
+        }
+      };
+      await Promise.all(Array.from({ length: renderPool.size }, renderNext));
+      return frames;
+    }
+
+    function timelineLayers(frame) {
+      return layersAtFrame(JSON.parse(JSON.stringify(state.layerStack.layers)), frame);
+    }
+
+    // Seed sweeps reseed the stack as shown with seeds 1, 2, 3... like
+    // `glitchedit batch --seeds`
+    function sweepLayers(index) {
+      return reseedLayers(timelineLayers(state.animation.frame), index + 1);
+    }
+
+    // Loop count, dispose and blend ops from the Download menu
+    function getAPNGOptions() {
+      return {
+        loops: Math.max(0, parseInt(elements.optLoops.value, 10) || 0),
+        dispose: elements.optApngDispose.value,
+        blend: elements.optApngBlend.value
+      };
+    }
+
+    // Render the timeline, a seed sweep or the loaded APNG's frames and
+    // encode them into `buffer` as an APNG. Timeline frames last 1/FPS, sweep
+    // frames use the Delay option and loaded frames keep their own delays.
+    async function encodeAnimatedPNG(buffer, chunks, frameSource, options, onFrame) {
+      let frames;
+      let delay;
+      if (frameSource === 'frames' && state.apng) {
+        const count = state.apng.frames.length;
+        frames = await renderFrames(count, index => layersAtFrame(
+          JSON.parse(JSON.stringify(getAPNGFrameLayers(index))), state.animation.frame
+        ), () => onFrame(count), index => state.apng.frames[index].pixelData);
+        delay = state.apng.frames.map(frame => frame.delay);
+      } else if (frameSource === 'timeline') {
+        const count = state.animation.frameCount;
+        frames = await renderFrames(count, timelineLayers, () => onFrame(count));
+        delay = 1000 / state.animation.fps;
+      } else {
+        const count = Math.max(2, Math.min(100, parseInt(elements.optSweepCount.value, 10) || 8));
+        frames = await renderFrames(count, sweepLayers, () => onFrame(count));
+        delay = Math.max(0, parseInt(elements.optFrameDelay.value, 10) || 100);
+      }
+      return encodeAPNG(buffer, chunks, frames, state.imageInfo, state.source, {
+        ...options, delay, ...getAPNGOptions()
+      });
+    }
+
+    // Export the timeline as an APNG, or as a zip of numbered PNG frames,
+    // using the PNG export options
+    async function exportAnimation() {
+      if (!state.layerStack.originalPixelData || state.animation.exporting) return;
+      stopPlayback();
+      await state.pendingRender;
+
+      state.animation.exporting = true;
+      updateTimeline();
+      const { frameCount } = state.animation;
+      let done = 0;
+      const showProgress = () => {
+        elements.btnExportAnimation.textContent = `${++done} / ${frameCount}`;
+      };
+      elements.btnExportAnimation.textContent = `0 / ${frameCount}`;
+
+      try {
+        // Each exported frame is a still image, even from a loaded APNG
+        const stripped = stripRecipe(state.originalBuffer, parsePNG(state.originalBuffer).chunks);
+        const base = removeChunks(stripped, parsePNG(stripped).chunks, c => APNG_CHUNKS.includes(c.type));
+        const baseChunks = parsePNG(base).chunks;
+        const options = {
+          deflate: data => fflate.zlibSync(data, { level: 6 }),
+          format: elements.optPixelFormat.value,
+          interlace: elements.optInterlace.checked,
+          ...getFilterOptions()
+        };
+        const name = state.filename.replace('.png', '');
+
+        if (elements.optAnimationFormat.value === 'apng') {
+          const apng = await encodeAnimatedPNG(base, baseChunks, 'timeline', options, showProgress);
+          downloadBlob(new Blob([apng], { type: 'image/png' }), `${name}_animated.png`);
+        } else {
+          const frames = await renderFrames(frameCount, timelineLayers, showProgress);
+          const files = {};
+          frames.forEach((pixelData, frame) => {
+            const number = String(frame + 1).padStart(4, '0');
+            files[`${name}_${number}.png`] = encodeImage(base, baseChunks, pixelData, state.imageInfo, state.source, options);
+          });
+          // PNGs are already compressed
+          const zip = fflate.zipSync(files, { level: 0 });
+          downloadBlob(new Blob([zip], { type: 'application/zip' }), `${name}_frames.zip`);
+        }
+      } catch (e) {
+        console.error('Failed to export animation:', e);
+        showStatusMessage(`Could not export the animation: ${e.message}`, { error: true });
+      } finally {
+        state.animation.exporting = false;
+        elements.btnExportAnimation.textContent = 'Export';
+        updateTimeline();
+      }
+    }
+
+    // ========== APNG FRAMES ==========
+
+    // A loaded APNG is edited one frame at a time: the frame shown acts as
+    // the original image. Layers apply to all frames, or with "this frame"
+    // each frame keeps its own stack. Download re-encodes every frame.
+
+    function getAPNGFrameLayers(index) {
+      const apng = state.apng;
+      if (!apng.perFrame || index === apng.current) return state.layerStack.layers;
+      return apng.stacks[index];
+    }
+
+    function updateAPNGControls() {
+      const apng = state.apng;
+      elements.apngControls.hidden = !apng;
+      elements.optApngFrames.querySelector('option[value="frames"]').disabled = !apng;
+      if (!apng) return;
+      elements.apngFrameLabel.textContent = `Frame ${apng.current + 1} / ${apng.frames.length}`;
+      elements.btnApngPrev.disabled = apng.current === 0;
+      elements.btnApngNext.disabled = apng.current === apng.frames.length - 1;
+      elements.optApngScope.value = apng.perFrame ? 'frame' : 'all';
+    }
+
+    // Make `index` the frame being edited, without rendering
+    function showAPNGFrame(index) {
+      const apng = state.apng;
+      if (apng.perFrame) {
+        apng.stacks[apng.current] = state.layerStack.layers;
+        state.layerStack.layers = apng.stacks[index];
+      }
+      apng.current = index;
+      state.pixelData = apng.frames[index].pixelData.slice();
+      state.layerStack.originalPixelData = apng.frames[index].pixelData;
+      state.layerStack.cachedResults.clear();
+      state.proxy = null;
+      markBufferStale();
+      updateAPNGControls();
+    }
+
+    function selectAPNGFrame(index) {
+      if (!state.apng || index < 0 || index >= state.apng.frames.length || index === state.apng.current) return;
+      showAPNGFrame(index);
+      invalidateFromLayer(0);
+      renderLayerStack();
+      renderLayerList();
+    }
+
+    // Switch between one stack for every frame and a stack per frame. Going
+    // back to one stack keeps the current frame's layers.
+    async function setAPNGScope(perFrame) {
+      const apng = state.apng;
+      if (!apng || apng.perFrame === perFrame) return;
+      if (perFrame) {
+        apng.stacks = apng.frames.map(() => JSON.parse(JSON.stringify(state.layerStack.layers)));
+      } else {
+        const current = JSON.stringify(state.layerStack.layers);
+        const differs = apng.stacks.some((stack, i) => i !== apng.current && JSON.stringify(stack) !== current);
+        if (differs && !await confirmDialog(
+          'One Stack for All Frames',
+          "Use this frame's layers for every frame? The other frames' layers are discarded.",
+          'Use for all'
+        )) {
+          updateAPNGControls();
+          return;
+        }
+        // Another file may have been opened meanwhile
+        if (state.apng !== apng) return;
+        apng.stacks = [];
+      }
+      apng.perFrame = perFrame;
+      updateAPNGControls();
+    }
+
+    // Per-frame stacks for a project file, or null
+    function getAPNGProjectFrames() {
+      const apng = state.apng;
+      if (!apng) return null;
+      return {
+        current: apng.current,
+        perFrame: apng.perFrame,
+        stacks: apng.perFrame ? apng.frames.map((_, i) => getAPNGFrameLayers(i)) : []
+      };
+    }
+
+    // Restore what getAPNGProjectFrames() saved; the caller renders
+    function restoreAPNGFrames(saved) {
+      const apng = state.apng;
+      if (!apng || !saved) return;
+      if (Number.isInteger(saved.current) && saved.current > 0 && saved.current < apng.frames.length) {
+        showAPNGFrame(saved.current);
+      }
+      if (saved.perFrame && Array.isArray(saved.stacks) && saved.stacks.length === apng.frames.length) {
+        apng.perFrame = true;
+        apng.stacks = saved.stacks.map(stack => JSON.parse(JSON.stringify(stack)));
+        apng.stacks[apng.current] = state.layerStack.layers;
+      }
+      updateAPNGControls();
+    }
+
+    // ========== VARIATIONS ==========
+
+    // The stack rendered across seeds or a param range, side by side.
+    // Variations render at full size (so the one picked looks the same in
+    // the editor) and are shown and exported as thumbnails.
+    const THUMBNAIL_SIZE = 256; // Longest side of a variation thumbnail
+
+    // Slider params of every effect layer, as { layer, param, label }
+    function sweepableParams(layers = state.layerStack.layers, path = '') {
+      return layers.flatMap((layer, index) => {
+        const number = `${path}${index + 1}`;
+        if (isGroup(layer)) return sweepableParams(layer.layers, `${number}.`);
+        const effect = effectRegistry.get(layer.effectId);
+        if (!effect) return [];
+        return effect.parameters
+          .filter(param => param.type === 'slider')
+          .map(param => ({ layer, param, label: `${number}. ${effect.name} › ${param.label}` }));
+      });
+    }
+
+    function openVariations() {
+      if (!state.layerStack.originalPixelData || state.layerStack.layers.length === 0) return;
+      const selected = elements.variationsParam.value;
+      const params = sweepableParams();
+      elements.variationsParam.innerHTML = params.map(({ layer, param, label }) => (
+        `<option value="${layer.id}|${param.id}">${escapeAttribute(label)}</option>`
+      )).join('');
+      elements.variationsMode.querySelector('option[value="param"]').disabled = params.length === 0;
+      if (params.length === 0) elements.variationsMode.value = 'seeds';
+      if (params.some(({ layer, param }) => `${layer.id}|${param.id}` === selected)) {
+        elements.variationsParam.value = selected;
+      } else {
+        resetVariationRange();
+      }
+      updateVariationFields();
+      elements.variationsDialog.showModal();
+
+      // Render straight away unless the thumbnails still match the stack
+      if (state.variations?.stack !== variationStackKey()) renderVariations();
+    }
+
+    function variationStackKey() {
+      return JSON.stringify([state.layerStack.layers, state.animation.frame, state.apng?.current]);
+    }
+
+    function updateVariationFields() {
+      const mode = elements.variationsMode.value;
+      for (const field of elements.variationsOptions.querySelectorAll('[data-mode]')) {
+        field.hidden = field.dataset.mode !== mode;
+      }
+    }
+
+    // Sweep the selected param across its whole range
+    function resetVariationRange() {
+      const selected = getSweepParam();
+      if (!selected) return;
+      elements.variationsFrom.value = selected.param.min;
+      elements.variationsTo.value = selected.param.max;
+    }
+
+    function getSweepParam() {
+      const [layerId, paramId] = elements.variationsParam.value.split('|');
+      return sweepableParams().find(({ layer, param }) => layer.id === layerId && param.id === paramId) || null;
+    }
+
+    function getVariationOptions() {
+      const count = Math.max(2, Math.min(MAX_VARIATIONS, parseInt(elements.variationsCount.value, 10) || 9));
+      elements.variationsCount.value = count;
+      if (elements.variationsMode.value === 'seeds') {
+        return { mode: 'seeds', count, start: Math.max(0, parseInt(elements.variationsStart.value, 10) || 0) };
+      }
+
+      const { layer, param } = getSweepParam();
+      const clamp = value => Math.max(param.min, Math.min(param.max, value));
+      const from = parseFloat(elements.variationsFrom.value);
+      const to = parseFloat(elements.variationsTo.value);
+      return {
+        mode: 'param',
+        count,
+        layerId: layer.id,
+        paramId: param.id,
+        from: clamp(Number.isFinite(from) ? from : param.min),
+        to: clamp(Number.isFinite(to) ? to : param.max),
+        step: param.step || 1
+      };
+    }
+
+    function variationLabel(variation) {
+      if (variation.seed !== undefined) return `Seed ${variation.seed}`;
+      const { param } = getSweepParam();
+      return `${param.label} ${variation.value}${param.unit || ''}`;
+    }
+
+    // Displayable, downscaled pixels of a rendered variation. Filtered
+    // bytes go through a PNG round trip to get pixels back.
+    function variationThumbnail(pixelData) {
+      let pixels = pixelData;
+      let imageInfo = state.imageInfo;
+      if (state.filteredBytes) {
+        const png = encodeImage(state.originalBuffer, parsePNG(state.originalBuffer).chunks, pixelData, state.imageInfo, state.source, {
+          deflate: data => fflate.zlibSync(data, { level: 1 }), filter: 'none'
+        });
+        ({ pixelData: pixels, imageInfo } = decodeImage(png, parsePNG(png).chunks, fflate.unzlibSync));
+      }
+      const factor = Math.ceil(Math.max(imageInfo.width, imageInfo.height) / THUMBNAIL_SIZE);
+      return factor < 2 ? { pixelData: pixels, imageInfo } : downscaleScanlines(pixels, imageInfo, factor);
+    }
+
+    function drawThumbnail(canvas, { pixelData, imageInfo }) {
+      canvas.width = imageInfo.width;
+      canvas.height = imageInfo.height;
+      const rgba = new Uint8ClampedArray(toRGBA(pixelData, imageInfo).buffer);
+      canvas.getContext('2d').putImageData(new ImageData(rgba, imageInfo.width, imageInfo.height), 0, 0);
+    }
+
+    let variationsGeneration = 0;
+
+    async function renderVariations() {
+      await state.pendingRender;
+      let variations;
+      elements.variationsStatus.textContent = '';
+      try {
+        variations = sweepVariations(framedLayers(state.layerStack.layers), getVariationOptions());
+      } catch (e) {
+        elements.variationsStatus.textContent = `Could not render variations: ${e.message}`;
+        return;
+      }
+
+      const generation = ++variationsGeneration;
+      const stack = variationStackKey();
+      state.variations = null;
+      elements.btnVariationsExport.disabled = true;
+      elements.btnVariationsRender.disabled = true;
+      elements.variationsGrid.style.setProperty('--variation-aspect', `${state.imageInfo.width} / ${state.imageInfo.height}`);
+      elements.variationsGrid.innerHTML = variations.map((variation, index) => (
+        `<button class="variation pending" data-index="${index}" title="Use this variation">` +
+        `<canvas></canvas><span class="variation-label">${escapeAttribute(variationLabel(variation))}</span></button>`
+      )).join('');
+
+      let done = 0;
+      const count = variations.length;
+      elements.btnVariationsRender.textContent = `0 / ${count}`;
+      try {
+        await renderFrames(count, index => variations[index].layers, (index, pixelData) => {
+          if (generation !== variationsGeneration) return;
+          elements.btnVariationsRender.textContent = `${++done} / ${count}`;
+          variations[index].thumbnail = variationThumbnail(pixelData);
+          const item = elements.variationsGrid.querySelector(`.variation[data-index="${index}"]`);
+          drawThumbnail(item.querySelector('canvas'), variations[index].thumbnail);
+          item.classList.remove('pending');
+        });
+        if (generation === variationsGeneration) {
+          state.variations = { stack, items: variations };
+          elements.btnVariationsExport.disabled = false;
+        }
+      } catch (e) {
+        console.error('Failed to render variations:', e);
+        if (generation === variationsGeneration) {
+          elements.variationsStatus.textContent = `Could not render variations: ${e.message}`;
+        }
+      } finally {
+        if (generation === variationsGeneration) {
+          elements.btnVariationsRender.disabled = false;
+          elements.btnVariationsRender.textContent = 'Render';
+        }
+      }
+    }
+
+    // Make a variation the stack being edited: seed sweeps reseed every
+    // layer (dropping animated seeds, which the variation didn't use),
+    // param sweeps set the param like its slider would
+    function adoptVariation(index) {
+      const variation = state.variations?.items[index];
+      if (!variation) return;
+      elements.variationsDialog.close();
+
+      if (variation.value !== undefined) {
+        const [layerId, paramId] = elements.variationsParam.value.split('|');
+        updateLayerParam(layerId, paramId, variation.value);
+        renderLayerList();
+        return;
+      }
+
+      const dropSeedTracks = layers => layers.map(layer => {
+        if (isGroup(layer)) return { ...layer, layers: dropSeedTracks(layer.layers) };
+        if (!layer.keyframes?.seed) return layer;
+        const { seed, ...keyframes } = layer.keyframes;
+        return { ...layer, keyframes };
+      });
+      const oldLayers = JSON.parse(JSON.stringify(state.layerStack.layers));
+      state.layerStack.layers = reseedLayers(dropSeedTracks(oldLayers), variation.seed);
+      pushHistory({
+        type: 'layer-variation',
+        offset: 0,
+        mode: 'pixel',
+        oldLayers,
+        newLayers: JSON.parse(JSON.stringify(state.layerStack.layers)),
+        timestamp: Date.now(),
+        description: `Use seed ${variation.seed}`
+      });
+      invalidateFromLayer(0);
+      renderLayerStack();
+      renderLayerList();
+    }
+
+    function exportContactSheet() {
+      if (!state.variations) return;
+      const { pixelData, imageInfo } = composeContactSheet(state.variations.items.map(v => v.thumbnail));
+      const png = createPNG(pixelData, imageInfo, { deflate: data => fflate.zlibSync(data, { level: 6 }) });
+      downloadBlob(new Blob([png], { type: 'image/png' }), state.filename.replace('.png', '') + '_variations.png');
+    }
+
+    // ========== PRESETS ==========
+
+    // Saved presets live in IndexedDB, keyed by kind and name. Where it is
+    // unavailable (some private windows) they only last for the session.
+    const PRESET_DB_NAME = 'glitchedit';
+    const PRESET_STORE = 'presets';
+    let presetDB = null;
+
+    function openPresetDB() {
+      if (!presetDB) {
+        presetDB = new Promise((resolve, reject) => {
+          if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available'));
+            return;
+          }
+          const request = indexedDB.open(PRESET_DB_NAME, 1);
+          request.onupgradeneeded = () => {
+            request.result.createObjectStore(PRESET_STORE, { keyPath: ['kind', 'name'] });
+          };
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        });
+      }
+      return presetDB;
+    }
+
+    // Run `action(store)` in one transaction, resolving to the result of
+    // the request it returns once the transaction completes
+    async function presetTransaction(mode, action) {
+      const db = await openPresetDB();
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction(PRESET_STORE, mode);
+        const request = action(transaction.objectStore(PRESET_STORE));
+        transaction.oncomplete = () => resolve(request?.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      });
+    }
+
+    async function loadSavedPresets() {
+      try {
+        const stored = await presetTransaction('readonly', store => store.getAll());
+        state.presets = stored.flatMap(data => {
+          try {
+            return [parsePreset(data)];
+          } catch (e) {
+            console.warn('Skipping invalid preset:', e);
+            return [];
+          }
+        });
+        sortPresets();
+      } catch (e) {
+        console.warn('Presets will only be kept for this session:', e);
+      }
+      renderPresetMenu();
+    }
+
+    function sortPresets() {
+      state.presets.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    function findPreset(kind, name) {
+      return state.presets.find(p => p.kind === kind && p.name === name) || null;
+    }
+
+    // Add presets to the library, replacing saved ones of the same kind and name
+    async function savePresets(presets) {
+      for (const preset of presets) {
+        state.presets = state.presets.filter(p => p.kind !== preset.kind || p.name !== preset.name);
+        state.presets.push(preset);
+      }
+      sortPresets();
+      renderPresetMenu();
+      try {
+        await presetTransaction('readwrite', store => {
+          for (const preset of presets) store.put(preset);
+        });
+      } catch (e) {
+        console.warn('Presets will only be kept for this session:', e);
+      }
+    }
+
+    async function deletePreset(kind, name) {
+      state.presets = state.presets.filter(p => p.kind !== kind || p.name !== name);
+      renderPresetMenu();
+      try {
+        await presetTransaction('readwrite', store => store.delete([kind, name]));
+      } catch (e) {
+        console.warn('Failed to delete preset:', e);
+      }
+    }
+
+    // Ask for a name and save the stack, or one layer with `layerId`
+    async function savePresetAs(layerId = null) {
+      const layer = layerId && findLayer(layerId)?.layer;
+      const kind = layer ? 'layer' : 'stack';
+      if (!layer && state.layerStack.layers.length === 0) return;
+
+      // Snapshot now, so edits made while the dialog is open aren't saved
+      const layers = JSON.parse(JSON.stringify(layer ? [layer] : state.layerStack.layers));
+      const name = (await showDialog(layer ? 'Save Layer as Preset' : 'Save Stack as Preset', {
+        value: layer ? effectRegistry.get(layer.effectId).name : '',
+        placeholder: 'Preset name',
+        okLabel: 'Save'
+      }))?.trim();
+      if (!name) return;
+      if (findPreset(kind, name) && !await confirmDialog('Replace Preset', `Replace the preset "${name}"?`, 'Replace')) return;
+
+      savePresets([createPreset(name, layers, kind)]);
+    }
+
+    // Stack presets replace the stack; layer presets add their effect with
+    // a fresh seed, like picking it from + Add
+    function applyPreset(preset) {
+      if (!state.layerStack.originalPixelData) return;
+      const oldLayers = JSON.parse(JSON.stringify(state.layerStack.layers));
+      const layers = withNewIds(presetLayers(preset));
+
+      if (preset.kind === 'layer') {
+        layers[0].seed = Math.floor(Math.random() * 2147483647);
+        state.layerStack.layers.push(layers[0]);
+      } else {
+        state.layerStack.layers = layers;
       }
 
-      const categoryNames = {
-        filter: 'Filter',
-        channel: 'Channel',
-        distortion: 'Distortion',
-        color: 'Color',
-        sorting: 'Sorting',
-        generative: 'Generative',
-        stylize: 'Stylize'
+      pushHistory({
+        type: 'layer-preset',
+        offset: 0,
+        mode: 'pixel',
+        oldLayers,
+        newLayers: JSON.parse(JSON.stringify(state.layerStack.layers)),
+        timestamp: Date.now(),
+        description: `Apply preset "${preset.name}"`
+      });
+
+      invalidateFromLayer(preset.kind === 'layer' ? state.layerStack.layers.length - 1 : 0);
+      renderLayerStack();
+      renderLayerList();
+    }
+
+    function renderPresetMenu() {
+      const option = (preset) => {
+        const label = escapeAttribute(preset.name);
+        let html = `<div class="preset-option" role="option" tabindex="0" data-kind="${preset.kind}" data-name="${label}"${preset.builtin ? ' data-builtin' : ''}>`;
+        html += `<span class="preset-name">${label}</span>`;
+        html += preset.builtin
+          ? `<span class="preset-builtin">built-in</span>`
+          : `<button class="preset-delete-btn" aria-label="Delete preset ${label}">×</button>`;
+        return html + `</div>`;
       };
+      const stacks = [...BUILTIN_PRESETS, ...state.presets.filter(p => p.kind === 'stack')];
+      const layers = state.presets.filter(p => p.kind === 'layer');
+
+      let html = `<div class="effect-category"><div class="category-header">Stacks</div>`;
+      html += stacks.map(option).join('');
+      html += `</div><div class="effect-category"><div class="category-header">Layers</div>`;
+      html += layers.length > 0
+        ? layers.map(option).join('')
+        : `<div class="preset-empty">Save a layer with ☆ in its header</div>`;
+      html += `</div><div class="preset-actions">`;
+      html += `<button data-action="save"${state.layerStack.layers.length === 0 ? ' disabled' : ''}>Save stack…</button>`;
+      html += `<button data-action="import">Import…</button>`;
+      html += `<button data-action="export"${state.presets.length === 0 ? ' disabled' : ''}>Export</button>`;
+      html += `</div>`;
+      elements.presetMenu.innerHTML = html;
+    }
 
-      // Sort categories for consistent order
-      const categoryOrder = ['distortion', 'color', 'channel', 'generative', 'stylize', 'filter', 'sorting'];
-      const sortedCategories = [...byCategory.entries()].sort((a, b) => {
-        const aIdx = categoryOrder.indexOf(a[0]);
-        const bIdx = categoryOrder.indexOf(b[0]);
-        return (aIdx === -1 ? 99 : aIdx) - (bIdx === -1 ? 99 : bIdx);
-      });
+    function exportPresetFile() {
+      if (state.presets.length === 0) return;
+      const json = JSON.stringify(exportPresets(state.presets), null, 2);
+      downloadBlob(new Blob([json], { type: 'application/json' }), 'glitchedit-presets.json');
+    }
 
-      let html = '';
-      for (const [category, effects] of sortedCategories) {
-        html += `<div class="effect-category">`;
-        html += `<div class="category-header">${categoryNames[category] || category}</div>`;
-        html += `<div class="category-effects">`;
-        for (const effect of effects) {
-          html += `<div class="effect-option" data-effect="${effect.id}" tabindex="0" role="option">${effect.name}</div>`;
+    // Presets files add their presets; plain stack files become one stack
+    // preset named after the file
+    function importPresetFile(file) {
+      const reader = new FileReader();
+      reader.onload = (e) => {
+        let presets;
+        try {
+          presets = importPresets(e.target.result, file.name.replace(/\.json$/i, ''));
+        } catch (err) {
+          console.error('Failed to import presets:', err);
+          showStatusMessage(`Could not import ${file.name}: ${err.message}`, { error: true });
+          return;
         }
-        html += `</div>`;
-        html += `</div>`;
-      }
-
-      elements.effectsPicker.innerHTML = html;
+        savePresets(presets);
+      };
+      reader.readAsText(file);
     }
 
-    function renderLayerList() {
-      const layers = state.layerStack.layers;
-      let html = '';
+    function closePresetMenu() {
+      elements.presetMenu.classList.remove('visible');
+      elements.btnPresets.setAttribute('aria-expanded', 'false');
+    }
 
-      for (let i = 0; i < layers.length; i++) {
-        const layer = layers[i];
-        const effect = effectRegistry.get(layer.effectId);
-        if (!effect) continue;
+    // ========== RANDOMIZER ==========
 
-        const checkedAttr = layer.enabled ? 'checked' : '';
+    const RANDOMIZER_STORAGE_KEY = 'glitchedit-randomizer';
 
-        html += `<div class="layer-item" data-layer-id="${layer.id}">`;
-        html += `<div class="layer-header">`;
-        html += `<span class="layer-drag-handle" draggable="true">⋮⋮</span>`;
-        html += `<input type="checkbox" class="layer-toggle" ${checkedAttr}>`;
-        html += `<span class="layer-name">${effect.name}</span>`;
-        html += `<button class="layer-delete-btn">×</button>`;
-        html += `</div>`;
-        html += `<div class="layer-params">`;
+    // Glitch! settings are kept per browser; storage may be unavailable
+    // (private mode, file:// pages), in which case the defaults are used
+    function loadRandomizerConfig() {
+      try {
+        state.randomizer = parseRandomizerConfig(JSON.parse(localStorage.getItem(RANDOMIZER_STORAGE_KEY)));
+      } catch (err) {
+        state.randomizer = parseRandomizerConfig(null);
+      }
+      renderRandomizerOptions();
+    }
 
-        for (const param of effect.parameters) {
-          const value = layer.params[param.id];
-          html += `<div class="param-row" data-param-id="${param.id}">`;
-          html += `<span class="param-label">${param.label}</span>`;
-
-          if (param.type === 'slider') {
-            html += `<input type="range" min="${param.min}" max="${param.max}" value="${value}" step="${param.step || 1}">`;
-            html += `<span class="param-value">${value}${param.unit || ''}</span>`;
-          } else if (param.type === 'dropdown') {
-            html += `<select>`;
-            for (const opt of param.options) {
-              const selected = opt.value === value ? 'selected' : '';
-              html += `<option value="${opt.value}" ${selected}>${opt.label}</option>`;
-            }
-            html += `</select>`;
-          } else if (param.type === 'checkbox') {
-            const checked = value ? 'checked' : '';
-            html += `<input type="checkbox" ${checked}>`;
-          }
+    function saveRandomizerConfig() {
+      try {
+        localStorage.setItem(RANDOMIZER_STORAGE_KEY, JSON.stringify(state.randomizer));
+      } catch (err) {
+        console.warn('Could not save Glitch! settings:', err);
+      }
+    }
 
-          html += `</div>`;
+    function renderRandomizerOptions() {
+      const config = state.randomizer;
+      elements.optRandomMinLayers.value = config.minLayers;
+      elements.optRandomMaxLayers.value = config.maxLayers;
+      elements.optRandomMinIntensity.value = config.minIntensity;
+      elements.optRandomMaxIntensity.value = config.maxIntensity;
+
+      if (!elements.randomizerWeights.children.length) {
+        let html = '';
+        for (const category of EFFECT_CATEGORIES) {
+          html += `<label class="export-option randomizer-weight">`;
+          html += `${CATEGORY_NAMES[category] || category}`;
+          html += `<input type="range" min="0" max="${MAX_WEIGHT}" step="1" data-category="${category}">`;
+          html += `<span class="param-value"></span></label>`;
         }
+        elements.randomizerWeights.innerHTML = html;
+      }
+      for (const input of elements.randomizerWeights.querySelectorAll('input')) {
+        input.value = config.weights[input.dataset.category];
+        input.nextElementSibling.textContent = input.value;
+      }
+    }
 
-        html += `</div></div>`;
+    function readRandomizerOptions() {
+      const weights = {};
+      for (const input of elements.randomizerWeights.querySelectorAll('input')) {
+        weights[input.dataset.category] = parseFloat(input.value);
+        input.nextElementSibling.textContent = input.value;
       }
+      state.randomizer = parseRandomizerConfig({
+        minLayers: parseFloat(elements.optRandomMinLayers.value),
+        maxLayers: parseFloat(elements.optRandomMaxLayers.value),
+        minIntensity: parseFloat(elements.optRandomMinIntensity.value),
+        maxIntensity: parseFloat(elements.optRandomMaxIntensity.value),
+        weights
+      });
+      saveRandomizerConfig();
+    }
+
+    // Replace the unlocked layers with a random stack, as one undo step
+    function glitchLayers() {
+      if (!state.layerStack.originalPixelData) return;
+      const oldLayers = JSON.parse(JSON.stringify(state.layerStack.layers));
+      state.layerStack.layers = randomizeStack(state.layerStack.layers, state.randomizer, { createId: generateLayerId });
+
+      pushHistory({
+        type: 'layer-randomize',
+        offset: 0,
+        mode: 'pixel',
+        oldLayers,
+        newLayers: JSON.parse(JSON.stringify(state.layerStack.layers)),
+        timestamp: Date.now(),
+        description: 'Glitch!'
+      });
 
-      elements.layerList.innerHTML = html;
+      invalidateFromLayer(0);
+      renderLayerStack();
+      renderLayerList();
     }
 
     // ========== EVENT HANDLERS ==========
@@ -1296,7 +4120,8 @@ import {
       elements.dropzone.classList.remove('dragover');
 
       const files = e.dataTransfer.files;
-      if (files.length > 0 && files[0].type === 'image/png') {
+      if (files.length > 0 && (files[0].type === 'image/png' ||
+          files[0].name.toLowerCase().endsWith(PROJECT_EXTENSION))) {
         loadFile(files[0]);
       }
     });
@@ -1304,6 +4129,31 @@ import {
     // Save button
     elements.btnSave.addEventListener('click', () => saveFile(true));
 
+    // Export options popover
+    elements.btnExportOptions.addEventListener('click', () => {
+      const isVisible = elements.exportOptions.classList.toggle('visible');
+      elements.btnExportOptions.setAttribute('aria-expanded', isVisible);
+    });
+
+    // APNG settings only apply to animated output; the seed count and delay
+    // only to seed sweeps
+    elements.optApngFrames.addEventListener('change', () => {
+      const frameSource = elements.optApngFrames.value;
+      for (const option of elements.exportOptions.querySelectorAll('[data-frames]')) {
+        option.hidden = frameSource === 'single' || (option.dataset.frames === 'seeds' && frameSource !== 'seeds');
+      }
+    });
+
+    document.addEventListener('click', (e) => {
+      if (!e.target.closest('#export-menu')) {
+        elements.exportOptions.classList.remove('visible');
+        elements.btnExportOptions.setAttribute('aria-expanded', 'false');
+      }
+    });
+
+    // Save project button (Shift+click references the PNG instead of embedding it)
+    elements.btnSaveProject.addEventListener('click', (e) => saveProject(!e.shiftKey));
+
     // ========== EFFECTS PANEL EVENT HANDLERS ==========
 
     // Add effect button - toggle picker
@@ -1312,6 +4162,93 @@ import {
       elements.btnAddEffect.setAttribute('aria-expanded', isVisible);
     });
 
+    elements.btnAddGroup.addEventListener('click', addGroup);
+
+    // Export stack button
+    elements.btnExportStack.addEventListener('click', exportLayerStack);
+
+    // Preset library
+    elements.btnPresets.addEventListener('click', () => {
+      const isVisible = elements.presetMenu.classList.toggle('visible');
+      elements.btnPresets.setAttribute('aria-expanded', isVisible);
+    });
+
+    const handlePresetSelect = (target) => {
+      const action = target.closest('.preset-actions button')?.dataset.action;
+      const option = target.closest('.preset-option');
+      if (action === 'import') {
+        elements.presetFileInput.click();
+      } else if (action === 'export') {
+        exportPresetFile();
+      } else if (action === 'save') {
+        closePresetMenu();
+        savePresetAs();
+      } else if (option && target.closest('.preset-delete-btn')) {
+        const { kind, name } = option.dataset;
+        confirmDialog('Delete Preset', `Delete the preset "${name}"?`, 'Delete').then(confirmed => {
+          if (confirmed) deletePreset(kind, name);
+        });
+      } else if (option) {
+        const { kind, name } = option.dataset;
+        const preset = 'builtin' in option.dataset
+          ? BUILTIN_PRESETS.find(p => p.name === name)
+          : findPreset(kind, name);
+        closePresetMenu();
+        if (preset) applyPreset(preset);
+      }
+    };
+
+    elements.presetMenu.addEventListener('click', (e) => handlePresetSelect(e.target));
+    elements.presetMenu.addEventListener('keydown', (e) => {
+      if (e.target.classList.contains('preset-option') && (e.key === 'Enter' || e.key === ' ')) {
+        e.preventDefault();
+        handlePresetSelect(e.target);
+      }
+    });
+    elements.presetFileInput.addEventListener('change', (e) => {
+      if (e.target.files.length > 0) importPresetFile(e.target.files[0]);
+      e.target.value = '';
+    });
+
+    // Variations dialog: pick a thumbnail to use its seed or param value
+    elements.btnVariations.addEventListener('click', openVariations);
+    elements.variationsClose.addEventListener('click', () => elements.variationsDialog.close());
+    elements.variationsDialog.addEventListener('click', (e) => {
+      if (e.target === elements.variationsDialog) {
+        elements.variationsDialog.close();
+        return;
+      }
+      const item = e.target.closest('.variation:not(.pending)');
+      if (item) adoptVariation(parseInt(item.dataset.index, 10));
+    });
+    elements.variationsMode.addEventListener('change', updateVariationFields);
+    elements.variationsParam.addEventListener('change', resetVariationRange);
+    elements.btnVariationsRender.addEventListener('click', renderVariations);
+    elements.btnVariationsExport.addEventListener('click', exportContactSheet);
+
+    // Animation timeline: dragging the frame slider previews on the proxy,
+    // releasing it renders full size
+    elements.btnPlay.addEventListener('click', togglePlayback);
+    elements.timelineFrame.addEventListener('input', (e) => {
+      setAnimationFrame(parseInt(e.target.value, 10), { interactive: true });
+    });
+    elements.timelineFrame.addEventListener('change', () => {
+      if (hasAnimation()) renderLayerStack();
+    });
+    elements.timelineFrames.addEventListener('change', (e) => {
+      setFrameCount(parseInt(e.target.value, 10) || state.animation.frameCount);
+    });
+    elements.timelineFps.addEventListener('change', (e) => setFps(parseInt(e.target.value, 10) || state.animation.fps));
+    elements.btnExportAnimation.addEventListener('click', exportAnimation);
+
+    // Loaded APNG frames
+    elements.btnApngPrev.addEventListener('click', () => selectAPNGFrame(state.apng.current - 1));
+    elements.btnApngNext.addEventListener('click', () => selectAPNGFrame(state.apng.current + 1));
+    elements.optApngScope.addEventListener('change', (e) => setAPNGScope(e.target.value === 'frame'));
+
+    // Effects on decoded pixels or on filtered bytes
+    elements.optFilteredBytes.addEventListener('change', (e) => toggleFilteredBytes(e.target.checked));
+
     // Effect picker - add layer when effect is clicked or activated via keyboard
     const handleEffectSelect = (option) => {
       if (!option) return;
@@ -1340,6 +4277,11 @@ import {
         elements.effectsPicker.classList.remove('visible');
         elements.btnAddEffect.setAttribute('aria-expanded', 'false');
       }
+      // The menu re-renders as presets are deleted, so check the path the
+      // click took rather than where its target is now. It stays open
+      // behind the dialog that confirms a deletion.
+      const keepMenu = [elements.btnPresets, elements.presetMenu, elements.editDialog];
+      if (!e.composedPath().some(el => keepMenu.includes(el))) closePresetMenu();
     });
 
     // Layer list interactions (delegated)
@@ -1354,16 +4296,102 @@ import {
         return;
       }
 
+      if (e.target.classList.contains('layer-preset-btn')) {
+        savePresetAs(layerId);
+        return;
+      }
+
+      if (e.target.classList.contains('layer-lock-btn')) {
+        toggleLayerLock(layerId);
+        return;
+      }
+
+      if (e.target.classList.contains('param-lock-btn')) {
+        toggleParamLock(layerId, e.target.closest('.param-row').dataset.paramId);
+        return;
+      }
+
       // Delete layer
       if (e.target.classList.contains('layer-delete-btn')) {
         removeLayer(layerId);
         return;
       }
+
+      if (e.target.classList.contains('group-collapse-btn')) {
+        toggleGroupCollapsed(layerId);
+        return;
+      }
+
+      if (e.target.classList.contains('group-ungroup-btn')) {
+        ungroupLayer(layerId);
+        return;
+      }
+
+      if (e.target.classList.contains('mask-draw-btn')) {
+        setMaskDrawing(state.maskEdit?.layerId === layerId ? null : layerId);
+        renderLayerList();
+        return;
+      }
+
+      if (e.target.classList.contains('keyframe-btn')) {
+        toggleKeyframe(layerId, e.target.closest('.param-row').dataset.paramId);
+      }
     });
 
+    // Mask drawing on the preview
+    elements.previewCanvas.addEventListener('pointerdown', startMaskDraft);
+    elements.previewCanvas.addEventListener('pointermove', moveMaskDraft);
+    elements.previewCanvas.addEventListener('pointerup', (e) => {
+      if (getMaskEditLayer()?.mask.shape !== 'polygon') commitMaskDraft();
+    });
+    elements.previewCanvas.addEventListener('dblclick', (e) => {
+      if (getMaskEditLayer()?.mask.shape === 'polygon') commitMaskDraft();
+    });
+    if (typeof ResizeObserver !== 'undefined') {
+      new ResizeObserver(() => updateMaskOverlay()).observe(elements.previewCanvas);
+    }
+
+    function updateMaskField(layerId, row, input) {
+      const layer = findLayer(layerId)?.layer;
+      if (!layer) return;
+      const field = row.dataset.maskField;
+
+      if (field === 'shape') {
+        const mask = input.value === 'none' ? null : createMask(input.value, layer.mask);
+        updateLayerMask(layerId, mask, { description: mask ? 'Set mask shape' : 'Remove mask' });
+        // Start drawing straight away, since a new drawn mask covers nothing;
+        // procedural masks show what they select instead
+        setMaskDrawing(mask ? layerId : null);
+        renderLayerList();
+      } else if (field === 'invert') {
+        updateLayerMask(layerId, { ...layer.mask, invert: input.checked }, { description: 'Invert mask' });
+      } else {
+        const value = parseFloat(input.value);
+        row.querySelector('.param-value').textContent = `${value}${row.dataset.unit}`;
+        updateLayerMask(layerId, { ...layer.mask, [field]: value }, { interactive: true, description: `Update mask ${field}` });
+      }
+    }
+
     // Parameter changes (delegated)
     elements.layerList.addEventListener('input', (e) => {
       const layerItem = e.target.closest('.layer-item');
+      const maskRow = e.target.closest('.mask-row');
+      if (layerItem && maskRow) {
+        updateMaskField(layerItem.dataset.layerId, maskRow, e.target);
+        return;
+      }
+      const blendRow = e.target.closest('.blend-row');
+      if (layerItem && blendRow) {
+        if (blendRow.dataset.blendField === 'opacity') {
+          const percent = parseFloat(e.target.value);
+          blendRow.querySelector('.param-value').textContent = `${percent}%`;
+          updateLayerBlend(layerItem.dataset.layerId, { opacity: percent / 100 }, { interactive: true, description: 'Update opacity' });
+        } else {
+          updateLayerBlend(layerItem.dataset.layerId, { blendMode: e.target.value }, { description: 'Set blend mode' });
+        }
+        return;
+      }
+
       const paramRow = e.target.closest('.param-row');
       if (!layerItem || !paramRow) return;
 
@@ -1371,12 +4399,22 @@ import {
       const paramId = paramRow.dataset.paramId;
       let value;
 
+      if (paramRow.classList.contains('easing-row')) {
+        setKeyframeEasing(layerId, paramId, e.target.value);
+        return;
+      }
+      if (paramRow.classList.contains('seed-row')) {
+        const seed = parseInt(e.target.value, 10);
+        if (Number.isInteger(seed) && seed >= 0) updateLayerParam(layerId, 'seed', seed);
+        return;
+      }
+
       if (e.target.type === 'range' || e.target.type === 'number') {
         value = parseFloat(e.target.value);
         // Update value display
         const valueSpan = paramRow.querySelector('.param-value');
         if (valueSpan) {
-          const layer = state.layerStack.layers.find(l => l.id === layerId);
+          const layer = findLayer(layerId)?.layer;
           const effect = effectRegistry.get(layer?.effectId);
           const param = effect?.parameters.find(p => p.id === paramId);
           valueSpan.textContent = value + (param?.unit || '');
@@ -1389,13 +4427,42 @@ import {
         value = isNaN(Number(optValue)) ? optValue : Number(optValue);
       }
 
-      updateLayerParam(layerId, paramId, value);
+      updateLayerParam(layerId, paramId, value, { interactive: e.target.type === 'range' });
+    });
+
+    // Releasing a slider renders the full-resolution image; group names are
+    // committed when the field loses focus
+    elements.layerList.addEventListener('change', (e) => {
+      if (e.target.classList.contains('group-name')) {
+        const name = e.target.value.trim();
+        if (name) {
+          renameGroup(e.target.closest('.layer-item').dataset.layerId, name);
+        } else {
+          renderLayerList();
+        }
+        return;
+      }
+      if (e.target.type !== 'range' || !e.target.closest('.layer-item .param-row')) return;
+      renderLayerStack();
+      // A drag on an animated param may have added a keyframe
+      const paramId = e.target.closest('.param-row').dataset.paramId;
+      if (findLayer(e.target.closest('.layer-item').dataset.layerId)?.layer.keyframes?.[paramId]) renderLayerList();
     });
 
-    // Drag and drop reordering - only from drag handle
-    let draggedLayerIndex = null;
+    // Drag and drop reordering - only from drag handle. Dropping on a layer
+    // moves the dragged one next to it (into its group, if any); dropping on
+    // a group's empty placeholder moves it into the group.
+    let draggedLayerId = null;
     let draggedLayerItem = null;
 
+    // The item a drop would land on: { item, inside }
+    function layerDropTarget(e) {
+      const empty = e.target.closest('.group-empty');
+      if (empty) return { item: empty.closest('.layer-item'), inside: true };
+      const item = e.target.closest('.layer-item');
+      return item ? { item, inside: false } : null;
+    }
+
     elements.layerList.addEventListener('dragstart', (e) => {
       // Only allow drag from the handle
       if (!e.target.classList.contains('layer-drag-handle')) {
@@ -1405,7 +4472,7 @@ import {
       const layerItem = e.target.closest('.layer-item');
       if (!layerItem) return;
       draggedLayerItem = layerItem;
-      draggedLayerIndex = [...elements.layerList.children].indexOf(layerItem);
+      draggedLayerId = layerItem.dataset.layerId;
       // Need a small delay for the drag image to work
       setTimeout(() => layerItem.classList.add('dragging'), 0);
     });
@@ -1415,32 +4482,29 @@ import {
         draggedLayerItem.classList.remove('dragging');
       }
       draggedLayerItem = null;
-      draggedLayerIndex = null;
+      draggedLayerId = null;
       // Remove all drop targets
       elements.layerList.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
     });
 
     elements.layerList.addEventListener('dragover', (e) => {
       e.preventDefault();
-      const layerItem = e.target.closest('.layer-item');
-      if (!layerItem || draggedLayerIndex === null) return;
+      const target = layerDropTarget(e);
+      if (!target || draggedLayerId === null) return;
 
       // Remove previous drop target
       elements.layerList.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
-      if (layerItem !== draggedLayerItem) {
-        layerItem.classList.add('drop-target');
+      // Nothing can be dropped into the dragged item itself
+      if (!draggedLayerItem.contains(target.item)) {
+        (target.inside ? target.item.querySelector('.group-empty') : target.item).classList.add('drop-target');
       }
     });
 
     elements.layerList.addEventListener('drop', (e) => {
       e.preventDefault();
-      const layerItem = e.target.closest('.layer-item');
-      if (!layerItem || draggedLayerIndex === null) return;
-
-      const toIndex = [...elements.layerList.children].indexOf(layerItem);
-      if (toIndex !== draggedLayerIndex) {
-        reorderLayers(draggedLayerIndex, toIndex);
-      }
+      const target = layerDropTarget(e);
+      if (!target || draggedLayerId === null || draggedLayerItem.contains(target.item)) return;
+      moveLayer(draggedLayerId, target.item.dataset.layerId, { inside: target.inside });
     });
 
     // Effects panel resize
@@ -1514,60 +4578,29 @@ import {
     // Random image button
     elements.btnRandom.addEventListener('click', loadRandomImage);
 
-    // Glitch button - add random effects
-    elements.btnRandomizeEffects.addEventListener('click', () => {
-      if (!state.layerStack.originalPixelData) return;
-
-      // Clear existing layers
-      while (state.layerStack.layers.length > 0) {
-        removeLayer(state.layerStack.layers[0].id);
-      }
-
-      // Get all effect IDs
-      const allEffects = Array.from(effectRegistry.keys());
+    // Glitch button - replace unlocked layers with random effects
+    elements.btnRandomizeEffects.addEventListener('click', glitchLayers);
 
-      // Pick 3-6 random effects
-      const numEffects = 3 + Math.floor(Math.random() * 4);
-      const shuffled = allEffects.sort(() => Math.random() - 0.5);
-      const selectedEffects = shuffled.slice(0, numEffects);
+    elements.btnRandomizerOptions.addEventListener('click', () => {
+      const isVisible = elements.randomizerOptions.classList.toggle('visible');
+      elements.btnRandomizerOptions.setAttribute('aria-expanded', isVisible);
+    });
 
-      // Add each effect with randomized parameters
-      for (const effectId of selectedEffects) {
-        const effect = effectRegistry.get(effectId);
-        const layer = {
-          id: generateLayerId(),
-          effectId: effectId,
-          enabled: true,
-          params: {},
-          seed: Math.floor(Math.random() * 2147483647)
-        };
+    // Fields clamp and reorder on change, so min never passes max
+    elements.randomizerOptions.addEventListener('input', readRandomizerOptions);
+    elements.randomizerOptions.addEventListener('change', renderRandomizerOptions);
 
-        // Randomize parameters
-        for (const param of effect.parameters) {
-          if (param.type === 'slider') {
-            // Random value within range
-            layer.params[param.id] = param.min + Math.random() * (param.max - param.min);
-            // Round to step
-            if (param.step) {
-              layer.params[param.id] = Math.round(layer.params[param.id] / param.step) * param.step;
-            }
-          } else if (param.type === 'checkbox') {
-            layer.params[param.id] = Math.random() > 0.5;
-          } else if (param.type === 'dropdown') {
-            const options = param.options;
-            layer.params[param.id] = options[Math.floor(Math.random() * options.length)].value;
-          } else {
-            layer.params[param.id] = param.default;
-          }
-        }
+    elements.btnRandomizerReset.addEventListener('click', () => {
+      state.randomizer = parseRandomizerConfig(null);
+      saveRandomizerConfig();
+      renderRandomizerOptions();
+    });
 
-        state.layerStack.layers.push(layer);
+    document.addEventListener('click', (e) => {
+      if (!e.target.closest('#randomizer-menu')) {
+        elements.randomizerOptions.classList.remove('visible');
+        elements.btnRandomizerOptions.setAttribute('aria-expanded', 'false');
       }
-
-      // Invalidate cache and re-render
-      invalidateFromLayer(0);
-      renderLayerStack();
-      renderLayerList();
     });
 
     // Hex scroll
@@ -1600,19 +4633,181 @@ import {
       updateStatus();
     });
 
+    // Clipboard. Fields, dialogs and selected page text keep the browser's
+    // own handling.
+    let pasteInserts = false;
+    function isHexClipboardEvent(e) {
+      return !!state.buffer && !e.target.closest?.('input, textarea, select, dialog') &&
+        !document.getSelection()?.toString();
+    }
+
+    document.addEventListener('copy', (e) => {
+      if (!isHexClipboardEvent(e)) return;
+      e.preventDefault();
+      copySelection(e.clipboardData);
+    });
+
+    document.addEventListener('cut', (e) => {
+      if (!isHexClipboardEvent(e)) return;
+      e.preventDefault();
+      copySelection(e.clipboardData, true);
+    });
+
+    // Copied files paste as their bytes, text as hex or UTF-8
+    document.addEventListener('paste', (e) => {
+      const insert = state.insertMode || pasteInserts;
+      pasteInserts = false;
+      if (!isHexClipboardEvent(e)) return;
+      e.preventDefault();
+      const file = e.clipboardData.files?.[0];
+      if (file) {
+        file.arrayBuffer().then(data => pasteBytes(new Uint8Array(data), insert));
+      } else {
+        pasteBytes(parseClipboardText(e.clipboardData.getData('text/plain')), insert);
+      }
+    });
+
+    elements.btnEditMode.addEventListener('click', toggleEditMode);
+    elements.btnInsertMode.addEventListener('click', toggleInsertMode);
+
+    // Find bar
+    elements.findInput.addEventListener('input', () => {
+      runSearch();
+      refreshHexView();
+    });
+    elements.findMode.addEventListener('change', () => {
+      runSearch();
+      refreshHexView();
+    });
+    elements.btnFindPrev.addEventListener('click', () => findNext(-1));
+    elements.btnFindNext.addEventListener('click', () => findNext(1));
+    elements.btnFindClose.addEventListener('click', closeFindBar);
+    elements.btnReplace.addEventListener('click', () => replaceFound(false));
+    elements.btnReplaceAll.addEventListener('click', () => replaceFound(true));
+
+    // Enter finds the next match (Shift+Enter the previous one) or replaces
+    // it from the replace field; the hex view's keys don't apply here
+    elements.findBar.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        if (e.target === elements.replaceInput) {
+          replaceFound(false);
+        } else {
+          findNext(e.shiftKey ? -1 : 1);
+        }
+      } else if (e.key === 'Escape') {
+        closeFindBar();
+      } else if ((e.ctrlKey || e.metaKey) && e.key === 'f') {
+        e.preventDefault();
+        elements.findInput.select();
+      }
+    });
+
+    // Inspector fields keep their keys, but shortcuts such as undo still
+    // work from dropdowns and swatches. Enter commits a single-line field.
+    elements.chunkInspector.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.target.matches('textarea, input[type="text"], input[type="number"]')) {
+        e.stopPropagation();
+      }
+      if (e.key === 'Enter' && e.target.matches('input')) {
+        e.target.blur();
+      } else if (e.key === 'Escape') {
+        closeChunkInspector();
+      }
+    });
+    elements.btnInspectorClose.addEventListener('click', closeChunkInspector);
+
+    // Chunk operations
+    elements.btnChunkInsert.addEventListener('click', insertNewChunk);
+    elements.btnChunkDuplicate.addEventListener('click', duplicateSelectedChunk);
+    elements.btnChunkSplit.addEventListener('click', splitSelectedIDAT);
+    elements.btnChunkMerge.addEventListener('click', mergeSelectedIDATs);
+    elements.btnChunkDelete.addEventListener('click', deleteSelectedChunk);
+
+    // Palette
+    elements.paletteSwatches.addEventListener('change', (e) => {
+      if (e.target.classList.contains('palette-swatch')) setPaletteEntry(Number(e.target.dataset.index), e.target.value);
+    });
+    elements.palettePanel.querySelectorAll('.palette-glitch-btn').forEach(btn => {
+      btn.addEventListener('click', () => applyPaletteGlitch(btn.dataset.glitch));
+    });
+
+    // Dragging a chunk onto another moves it to that chunk's place
+    let draggedChunk = null;
+
+    elements.chunkList.addEventListener('dragstart', (e) => {
+      const item = e.target.closest?.('.chunk-item');
+      if (!item || !item.draggable) return;
+      draggedChunk = chunkKey(state.chunks[Number(item.dataset.index)]);
+      e.dataTransfer.effectAllowed = 'move';
+      setTimeout(() => item.classList.add('dragging'), 0);
+    });
+
+    elements.chunkList.addEventListener('dragend', () => {
+      draggedChunk = null;
+      elements.chunkList.querySelectorAll('.dragging, .drop-target').forEach(el => el.classList.remove('dragging', 'drop-target'));
+    });
+
+    elements.chunkList.addEventListener('dragover', (e) => {
+      if (!draggedChunk) return;
+      e.preventDefault();
+      elements.chunkList.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
+      const item = e.target.closest('.chunk-item');
+      if (item && item.draggable) item.classList.add('drop-target');
+    });
+
+    elements.chunkList.addEventListener('drop', (e) => {
+      const item = e.target.closest('.chunk-item');
+      if (!draggedChunk || !item || !item.draggable) return;
+      e.preventDefault();
+      // The list is rebuilt by the move, so the dragged item won't see dragend
+      const from = draggedChunk;
+      draggedChunk = null;
+      const to = chunkKey(state.chunks[Number(item.dataset.index)]);
+      if (from.type !== to.type || from.nth !== to.nth) moveChunkTo(from, to);
+    });
+
     // Keyboard handling
     document.addEventListener('keydown', (e) => {
+      // Dialog handling (it can be open before a file is)
+      if (elements.editDialog.classList.contains('visible')) {
+        // No default action either: Enter would click a button focused by
+        // a dialog that opens right after this one closes
+        if (e.key === 'Escape' || e.key === 'Enter') {
+          e.preventDefault();
+          closeDialog(e.key === 'Enter');
+        }
+        return;
+      }
+
       if (!state.buffer) return;
 
       const buffer = getActiveBuffer();
       const bufLen = buffer ? buffer.length : 0;
 
-      // Dialog handling
-      if (elements.editDialog.classList.contains('visible')) {
-        if (e.key === 'Escape') {
-          elements.editDialog.classList.remove('visible');
-        } else if (e.key === 'Enter') {
-          elements.dialogOk.click();
+      // The variations dialog handles its own keys
+      if (elements.variationsDialog.open) return;
+
+      // Text and number fields (group names, seeds, timeline settings) keep
+      // their keys, except Enter to commit
+      if (e.target.matches?.('input[type="text"], input[type="number"]')) {
+        if (e.key === 'Enter') e.target.blur();
+        return;
+      }
+
+      // Mask drawing: Enter closes a polygon, Escape drops the shape being
+      // drawn or stops drawing
+      if (state.maskEdit && (e.key === 'Enter' || e.key === 'Escape')) {
+        e.preventDefault();
+        if (e.key === 'Enter') {
+          commitMaskDraft();
+        } else if (state.maskEdit.draft) {
+          state.maskEdit.draft = null;
+          updateMaskOverlay();
+        } else {
+          setMaskDrawing(null);
+          renderLayerList();
         }
         return;
       }
@@ -1624,8 +4819,12 @@ import {
           state.editingValue += key;
           if (state.editingValue.length === 2) {
             const newValue = parseInt(state.editingValue, 16);
-            editByte(state.editingByte, newValue);
-            state.cursorOffset = Math.min(state.editingByte + 1, bufLen - 1);
+            if (state.insertMode && canSplice()) {
+              spliceRawBytes(state.editingByte, 0, new Uint8Array([newValue]), `Insert byte at 0x${state.editingByte.toString(16).toUpperCase()}`);
+            } else {
+              editByte(state.editingByte, newValue);
+            }
+            state.cursorOffset = Math.min(state.editingByte + 1, getActiveBuffer().length - 1);
             state.editingByte = null;
             state.editingValue = '';
           }
@@ -1639,6 +4838,13 @@ import {
         }
       }
 
+      // Alt+C saves the selection's bytes (Ctrl+Shift+C is taken by dev tools)
+      if (e.altKey && e.code === 'KeyC' && !e.ctrlKey && !e.metaKey) {
+        e.preventDefault();
+        saveSelection();
+        return;
+      }
+
       // Undo/Redo
       if (e.ctrlKey || e.metaKey) {
         if (e.key === 'z' && !e.shiftKey) {
@@ -1651,11 +4857,26 @@ import {
           redo();
           return;
         }
+        if (e.key.toLowerCase() === 's') {
+          e.preventDefault();
+          saveProject(!e.shiftKey);
+          return;
+        }
         if (e.key === 'g') {
           e.preventDefault();
           showGotoDialog();
           return;
         }
+        if (e.key === 'f') {
+          e.preventDefault();
+          openFindBar();
+          return;
+        }
+        // Left to the copy, cut and paste events; Shift+V pastes inserting
+        if (['c', 'x', 'v'].includes(e.key.toLowerCase())) {
+          pasteInserts = e.key.toLowerCase() === 'v' && e.shiftKey;
+          return;
+        }
         if (e.key === 'a') {
           e.preventDefault();
           state.selectionStart = 0;
@@ -1700,6 +4921,14 @@ import {
             randomizeSelection();
           }
           return;
+        case 'Backspace':
+          // Delete the selection or current byte (raw bytes only)
+          e.preventDefault();
+          deleteSelection();
+          return;
+        case 'Insert':
+          toggleInsertMode();
+          return;
         default:
           // Start editing if hex key pressed
           if (/^[0-9a-fA-F]$/.test(e.key)) {
@@ -1742,20 +4971,9 @@ import {
     });
 
     // Go to offset dialog
-    function showGotoDialog() {
-      elements.dialogTitle.textContent = 'Go to Offset';
-      elements.dialogInput.value = '';
-      elements.dialogInput.placeholder = 'Enter hex offset (e.g., 0x100 or 256)';
-      elements.editDialog.classList.add('visible');
-      elements.dialogInput.focus();
-    }
-
-    elements.dialogCancel.addEventListener('click', () => {
-      elements.editDialog.classList.remove('visible');
-    });
-
-    elements.dialogOk.addEventListener('click', () => {
-      const value = elements.dialogInput.value.trim();
+    async function showGotoDialog() {
+      const value = (await showDialog('Go to Offset', { placeholder: 'Enter hex offset (e.g., 0x100 or 256)' }))?.trim();
+      if (!value) return;
       let offset;
 
       if (value.startsWith('0x') || value.startsWith('0X')) {
@@ -1775,9 +4993,10 @@ import {
         refreshHexView();
         updateStatus();
       }
+    }
 
-      elements.editDialog.classList.remove('visible');
-    });
+    elements.dialogCancel.addEventListener('click', () => closeDialog(false));
+    elements.dialogOk.addEventListener('click', () => closeDialog(true));
 
     // Preview panel resizer
     let isResizing = false;
@@ -1930,8 +5149,11 @@ import {
     // Window resize
     window.addEventListener('resize', () => {
       updateVirtualScroll();
+      updateMaskOverlay();
     });
 
     // Initialize
     updateStatus();
+    loadSavedPresets();
+    loadRandomizerConfig();
     loadRandomImage(); // Load a random image on startup
@@ -34,6 +34,21 @@ async function bundle() {
   const bundledJS = await result.outputs[0].text();
   console.log(`JS bundled: ${(bundledJS.length / 1024).toFixed(1)}KB`);
 
+  // Bundle the render worker separately; the app starts it from a Blob URL
+  const workerResult = await Bun.build({
+    entrypoints: [join(rootDir, 'render-worker.js')],
+    minify: true,
+    target: 'browser',
+  });
+
+  if (!workerResult.success) {
+    console.error('Worker build failed:', workerResult.logs);
+    process.exit(1);
+  }
+
+  const workerJS = await workerResult.outputs[0].text();
+  console.log(`Worker bundled: ${(workerJS.length / 1024).toFixed(1)}KB`);
+
   // Read CSS
   const css = await readFile(join(rootDir, 'style.css'), 'utf-8');
   console.log(`CSS: ${(css.length / 1024).toFixed(1)}KB`);
@@ -79,6 +94,8 @@ async function bundle() {
   const escapedFflateJS = fflateJS.replace(/\$/g, '$$$$');
   const escapedBundledJS = bundledJS.replace(/\$/g, '$$$$');
   const escapedPreviews = effectPreviews.replace(/\$/g, '$$$$');
+  // The worker source goes in as a string literal, so </script> must not end the tag
+  const escapedWorkerJS = JSON.stringify(workerJS).replace(/<\//g, '<\\/').replace(/\$/g, '$$$$');
 
   // Build inline scripts block
   const inlineScript = `<!-- Bundled Scripts -->
@@ -88,6 +105,7 @@ ${escapedFflateJS}
 <script>
 // Inline effect previews for single-file build
 window.__EFFECT_PREVIEWS__ = ${escapedPreviews};
+window.__RENDER_WORKER_SOURCE__ = ${escapedWorkerJS};
 </script>
 <script type="module">
 ${escapedBundledJS}
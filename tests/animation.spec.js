@@ -0,0 +1,226 @@
+import { test, expect } from '@playwright/test';
+import { inflateSync, deflateSync } from 'node:zlib';
+import { evaluateTrack, layersAtFrame, parseAnimationSettings, setKeyframe } from '../animation.mjs';
+import { applyLayerStack, parseLayerStack, serializeLayerStack } from '../layers.mjs';
+import { createProject, parseProject, embedRecipe, extractRecipe } from '../project.mjs';
+import {
+  parsePNG, decodeImage, decodeAPNG, encodeAPNG, readUint32, readAnimationControl, readFrameControl,
+  PNG_SIGNATURE, createChunk, createIHDRData, writeUint32
+} from '../png.mjs';
+import { makePNG, makeRawPNG } from './helpers.js';
+
+const inflate = (data) => new Uint8Array(inflateSync(data));
+// fcTL data: sequence, region, delay in ms and dispose/blend op numbers
+const frameControl = (sequence, [width, height, x, y], delay, dispose = 0, blend = 0) => {
+  const data = new Uint8Array(26);
+  [sequence, width, height, x, y].forEach((value, i) => writeUint32(data, i * 4, value));
+  data.set([delay >> 8, delay & 0xFF, 1000 >> 8, 1000 & 0xFF, dispose, blend], 20);
+  return createChunk('fcTL', data);
+};
+// Unfiltered RGBA scanlines of one repeated pixel
+const fill = (width, height, pixel) => deflateSync(new Uint8Array(
+  Array.from({ length: height }, () => [0, ...Array(width).fill(pixel).flat()]).flat()
+));
+const track = (...keyframes) => keyframes.map(([frame, value, easing = 'linear']) => ({ frame, value, easing }));
+
+test.describe('Animation', () => {
+  test('evaluates tracks with easing and holds outside the keyframes', () => {
+    const linear = track([10, 0], [20, 100]);
+    expect([0, 10, 15, 20, 30].map(frame => evaluateTrack(linear, frame))).toEqual([0, 0, 50, 100, 100]);
+    expect(evaluateTrack(track([0, 0, 'ease-in'], [10, 100]), 5)).toBe(25);
+    expect(evaluateTrack(track([0, 0, 'ease-out'], [10, 100]), 5)).toBe(75);
+    expect(evaluateTrack(track([0, 0, 'ease-in-out'], [10, 100]), 2)).toBeCloseTo(8);
+    expect(evaluateTrack(track([0, 0, 'hold'], [10, 100]), 9)).toBe(0);
+
+    // Setting a keyframe keeps the track sorted and an existing easing
+    const edited = setKeyframe(setKeyframe(track([0, 0, 'ease-in'], [10, 1]), 5, 7), 0, 3);
+    expect(edited).toEqual(track([0, 3, 'ease-in'], [5, 7], [10, 1]));
+  });
+
+  test('resolves the stack at a frame', () => {
+    const group = {
+      id: 'g', type: 'group', name: 'Group 1', enabled: true, layers: [{
+        id: 'n', effectId: 'noise', enabled: true, params: { amount: 10, monochrome: false }, seed: 1,
+        keyframes: { amount: track([0, 0], [4, 100]), seed: track([0, 1], [4, 2]) }
+      }]
+    };
+    const plain = { id: 'p', effectId: 'noise', enabled: true, params: { amount: 10 }, seed: 9 };
+    const [still, atFrame] = layersAtFrame([plain, group], 1);
+
+    expect(still).toBe(plain);
+    expect(atFrame.layers[0]).toEqual({ id: 'n', effectId: 'noise', enabled: true, params: { amount: 25, monochrome: false }, seed: 1 });
+    expect(layersAtFrame([group], 3)[0].layers[0].seed).toBe(2);
+    expect(group.layers[0].params.amount).toBe(10);
+  });
+
+  test('snaps params between keyframes to their slider step and range', () => {
+    const [layer] = parseLayerStack([{
+      effectId: 'euclidean-rhythm', seed: 3,
+      keyframes: { steps: track([0, 8], [10, 13]), intensity: track([0, 50], [10, 500]) }
+    }]);
+    const [atFrame] = layersAtFrame([layer], 3);
+    expect(atFrame.params.steps).toBe(10);
+    expect(layersAtFrame([layer], 10)[0].params.intensity).toBe(100);
+
+    const png = makePNG(8, 8);
+    const { pixelData, imageInfo } = decodeImage(png, parsePNG(png).chunks, inflate);
+    expect(() => applyLayerStack(pixelData, imageInfo, [atFrame])).not.toThrow();
+  });
+
+  test('keyframes are saved with the layer stack and validated on load', () => {
+    const layer = {
+      id: 'a', effectId: 'noise', enabled: true, params: { amount: 30 }, seed: 1,
+      keyframes: { amount: track([0, 10, 'ease-out'], [8, 60]) }
+    };
+    const stack = serializeLayerStack([layer, { ...layer, id: 'b', keyframes: {} }]);
+    expect(stack.layers[1]).not.toHaveProperty('keyframes');
+
+    const [animated, plain] = parseLayerStack(JSON.stringify(stack));
+    expect(animated.keyframes).toEqual(layer.keyframes);
+    expect(plain).not.toHaveProperty('keyframes');
+
+    // Entries are sorted, invalid ones dropped and unknown easings made linear
+    const [parsed] = parseLayerStack([{
+      effectId: 'noise', keyframes: { seed: [{ frame: 6, value: 3, easing: 'bounce' }, { frame: -1, value: 0 }, { frame: 2, value: 1 }] }
+    }]);
+    expect(parsed.keyframes.seed).toEqual(track([2, 1], [6, 3]));
+    expect(() => parseLayerStack([{ effectId: 'noise', keyframes: { monochrome: [] } }]))
+      .toThrow('Invalid keyframes in layer 0: "monochrome" is not an animatable param');
+  });
+
+  test('timeline settings are saved with projects', () => {
+    const originalBuffer = makePNG(4, 4);
+    const saved = createProject({ filename: 'a.png', originalBuffer, layers: [], animation: { frameCount: 48, fps: 24, frame: 7 } });
+    expect(parseProject(JSON.stringify(saved)).animation).toEqual({ frameCount: 48, fps: 24, frame: 7 });
+    expect(parseProject(createProject({ filename: 'a.png', originalBuffer, layers: [] })).animation)
+      .toEqual({ frameCount: 24, fps: 12, frame: 0 });
+    expect(parseAnimationSettings({ frameCount: 1, fps: 500, frame: 9 })).toEqual({ frameCount: 2, fps: 60, frame: 1 });
+  });
+
+  test('encodes frames as an APNG', () => {
+    const png = makePNG(8, 4);
+    const { chunks } = parsePNG(png);
+    const { pixelData, imageInfo, source } = decodeImage(png, chunks, inflate);
+    const frames = [pixelData, pixelData.map((v, i) => (i % imageInfo.scanlineLength ? 255 - v : v)), pixelData];
+
+    const apng = encodeAPNG(png, chunks, frames, imageInfo, source, { deflate: data => deflateSync(data), delay: 125 });
+    const parsed = parsePNG(apng);
+    expect(parsed.errors).toEqual([]);
+    expect(parsed.chunks.map(c => c.type)).toEqual(['SIG', 'IHDR', 'acTL', 'fcTL', 'IDAT', 'fcTL', 'fdAT', 'fcTL', 'fdAT', 'IEND']);
+
+    const data = type => parsed.chunks.filter(c => c.type === type).map(c => apng.subarray(c.dataOffset, c.dataOffset + c.length - 12));
+    const [actl] = data('acTL');
+    expect([readUint32(actl, 0), readUint32(actl, 4)]).toEqual([3, 0]);
+    // Sequence numbers run across fcTL and fdAT chunks
+    const fctl = data('fcTL');
+    const fdat = data('fdAT');
+    expect([readUint32(fctl[0], 0), readUint32(fctl[1], 0), readUint32(fdat[0], 0), readUint32(fctl[2], 0)]).toEqual([0, 1, 2, 3]);
+    expect([readUint32(fctl[1], 4), readUint32(fctl[1], 8)]).toEqual([8, 4]);
+    expect([fctl[1][20] << 8 | fctl[1][21], fctl[1][22] << 8 | fctl[1][23]]).toEqual([125, 1000]);
+
+    // The default image is the first frame, and fdAT holds the others
+    expect(decodeImage(apng, parsed.chunks, inflate).pixelData).toEqual(pixelData);
+    const second = new Uint8Array(inflateSync(fdat[0].subarray(4)));
+    expect(second[1]).toBe(frames[1][1]);
+
+    // Re-encoding replaces the animation instead of adding to it
+    const again = encodeAPNG(apng, parsed.chunks, frames.slice(0, 2), imageInfo, source, { deflate: data => deflateSync(data) });
+    expect(parsePNG(again).chunks.filter(c => c.type === 'acTL')).toHaveLength(1);
+    expect(parsePNG(again).chunks.filter(c => c.type === 'fdAT')).toHaveLength(1);
+  });
+
+  test('keeps 16-bit samples for the first frame only', () => {
+    // Gray samples 0x1234 and 0x56AB
+    const png = makeRawPNG({ width: 2, height: 1, bitDepth: 16, colorType: 0 }, new Uint8Array([0, 0x12, 0x34, 0x56, 0xAB]));
+    const { chunks } = parsePNG(png);
+    const { pixelData, imageInfo, source } = decodeImage(png, chunks, inflate);
+    const frames = [pixelData, Uint8Array.from([0, 0x56, 0x56])];
+
+    const apng = encodeAPNG(png, chunks, frames, imageInfo, source, { deflate: data => deflateSync(data), filter: 'none' });
+    const parsed = parsePNG(apng);
+    const [idat, fdat] = ['IDAT', 'fdAT'].map(type => {
+      const chunk = parsed.chunks.find(c => c.type === type);
+      return apng.subarray(chunk.dataOffset, chunk.dataOffset + chunk.length - 12);
+    });
+    expect([...inflate(idat)]).toEqual([0, 0x12, 0x34, 0x56, 0xAB]);
+    // The second pixel matches the first frame's but is still re-expanded
+    expect([...inflate(fdat.subarray(4))]).toEqual([0, 0x56, 0x56, 0x56, 0x56]);
+    expect(decodeAPNG(apng, parsed.chunks, inflate).frames.map(f => f.pixelData)).toEqual(frames);
+  });
+
+  test('writes loop count, per-frame delays and dispose/blend ops', () => {
+    const png = makePNG(4, 4);
+    const { chunks } = parsePNG(png);
+    const { pixelData, imageInfo, source } = decodeImage(png, chunks, inflate);
+    const deflate = data => deflateSync(data);
+
+    const apng = encodeAPNG(png, chunks, [pixelData, pixelData], imageInfo, source, {
+      deflate, delay: [40, 2000], loops: 3, dispose: 'previous', blend: 'over'
+    });
+    const parsed = parsePNG(apng).chunks;
+    expect(readAnimationControl(apng, parsed)).toEqual({ numFrames: 2, numPlays: 3 });
+    expect(parsed.filter(c => c.type === 'fcTL').map(c => readFrameControl(apng, c))).toEqual([
+      { sequence: 0, width: 4, height: 4, x: 0, y: 0, delay: 40, dispose: 'previous', blend: 'over' },
+      { sequence: 1, width: 4, height: 4, x: 0, y: 0, delay: 2000, dispose: 'previous', blend: 'over' }
+    ]);
+    expect(readAnimationControl(png, chunks)).toBeNull();
+
+    expect(() => encodeAPNG(png, chunks, [pixelData], imageInfo, source, { deflate, dispose: 'fade' }))
+      .toThrow('Unknown dispose op "fade"');
+    expect(() => encodeAPNG(png, chunks, [], imageInfo, source, { deflate })).toThrow('at least one frame');
+
+    // Recipes go before the animation chunks, which stay next to IDAT
+    const withRecipe = embedRecipe(apng, parsed, [{ id: 'a', effectId: 'noise', enabled: true, params: {}, seed: 1 }]);
+    const types = parsePNG(withRecipe).chunks.map(c => c.type);
+    expect(types.slice(1, 5)).toEqual(['IHDR', 'iTXt', 'acTL', 'fcTL']);
+    expect(extractRecipe(withRecipe, parsePNG(withRecipe).chunks).layers).toHaveLength(1);
+  });
+
+  test('decodes APNG frames with offsets and dispose/blend ops', () => {
+    const sequenced = (sequence, data) => {
+      const out = new Uint8Array(4 + data.length);
+      writeUint32(out, 0, sequence);
+      out.set(data, 4);
+      return createChunk('fdAT', out);
+    };
+    const acTL = new Uint8Array(8);
+    writeUint32(acTL, 0, 3);
+    writeUint32(acTL, 4, 2);
+    const apng = Buffer.concat([
+      new Uint8Array(PNG_SIGNATURE),
+      createChunk('IHDR', createIHDRData({ width: 4, height: 4, bitDepth: 8, colorType: 6 })),
+      createChunk('acTL', acTL),
+      // Opaque red, then half-transparent blue blended over its middle and
+      // cleared afterwards, then one green pixel in the corner
+      frameControl(0, [4, 4, 0, 0], 100),
+      createChunk('IDAT', fill(4, 4, [255, 0, 0, 255])),
+      frameControl(1, [2, 2, 1, 1], 50, 1, 1),
+      sequenced(2, fill(2, 2, [0, 0, 255, 128])),
+      frameControl(3, [1, 1, 0, 0], 250),
+      sequenced(4, fill(1, 1, [0, 255, 0, 255])),
+      createChunk('IEND', new Uint8Array(0))
+    ]);
+    const decoded = decodeAPNG(apng, parsePNG(apng).chunks, inflate);
+    expect(decoded.numPlays).toBe(2);
+    expect(decoded.frames.map(frame => frame.delay)).toEqual([100, 50, 250]);
+
+    const pixel = (frame, x, y) => {
+      const start = y * decoded.imageInfo.scanlineLength + 1 + x * 4;
+      return [...decoded.frames[frame].pixelData.subarray(start, start + 4)];
+    };
+    expect(pixel(1, 0, 0)).toEqual([255, 0, 0, 255]);
+    expect(pixel(1, 1, 1)).toEqual([127, 0, 128, 255]);
+    expect(pixel(2, 0, 0)).toEqual([0, 255, 0, 255]);
+    expect(pixel(2, 1, 1)).toEqual([0, 0, 0, 0]);
+    expect(pixel(2, 3, 3)).toEqual([255, 0, 0, 255]);
+
+    // Re-encoding the decoded frames round-trips
+    const { chunks } = parsePNG(apng);
+    const again = encodeAPNG(apng, chunks, decoded.frames.map(f => f.pixelData), decoded.imageInfo, decoded.source, {
+      deflate: data => deflateSync(data), delay: decoded.frames.map(f => f.delay), loops: decoded.numPlays
+    });
+    const redecoded = decodeAPNG(again, parsePNG(again).chunks, inflate);
+    expect(redecoded.frames).toEqual(decoded.frames);
+    expect(decodeAPNG(makePNG(4, 4), parsePNG(makePNG(4, 4)).chunks, inflate)).toBeNull();
+  });
+});
@@ -1,4 +1,8 @@
 import { test, expect } from '@playwright/test';
+import { readFile } from 'node:fs/promises';
+import { inflateSync, deflateSync } from 'node:zlib';
+import { createChunk, parsePNG, decodeImage, encodeAPNG } from '../png.mjs';
+import { makePNG, makeRawPNG } from './helpers.js';
 
 test.describe('GlitchEdit App', () => {
   test('loads without console errors', async ({ page }) => {
@@ -75,6 +79,229 @@ test.describe('GlitchEdit App', () => {
     await expect(page.locator('#layer-list .layer-item')).toHaveCount(1);
   });
 
+  test('renders layers in a worker and clears the progress indicator', async ({ page }) => {
+    const workers = [];
+    page.on('worker', worker => workers.push(worker));
+
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    await expect(page.locator('#preview-canvas')).toBeVisible();
+
+    await page.click('#btn-add-effect');
+    await page.click('#effect-picker .effect-option:first-child');
+
+    await expect(page.locator('#render-progress')).toBeHidden();
+    await expect(page.locator('.layer-rendering')).toHaveCount(0);
+    expect(workers.some(worker => worker.url().endsWith('render-worker.js'))).toBe(true);
+  });
+
+  test('draws a rectangle mask on the preview', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    await expect(page.locator('#preview-canvas')).toBeVisible();
+
+    await page.click('#btn-add-effect');
+    await page.click('#effect-picker .effect-option:first-child');
+    await page.selectOption('.mask-row[data-mask-field="shape"] select', 'rect');
+    await expect(page.locator('#preview-canvas')).toHaveClass(/mask-drawing/);
+
+    const box = await page.locator('#preview-canvas').boundingBox();
+    await page.mouse.move(box.x + box.width * 0.25, box.y + box.height * 0.25);
+    await page.mouse.down();
+    await page.mouse.move(box.x + box.width * 0.75, box.y + box.height * 0.75);
+    await page.mouse.up();
+
+    await expect(page.locator('#mask-overlay rect')).toHaveCount(1);
+    await page.keyboard.press('Escape');
+    await expect(page.locator('#mask-overlay')).toBeHidden();
+  });
+
+  test('shows a procedural mask over the preview', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    await expect(page.locator('#preview-canvas')).toBeVisible();
+
+    await page.click('#btn-add-effect');
+    await page.click('#effect-picker .effect-option:first-child');
+    await page.selectOption('.mask-row[data-mask-field="shape"] select', 'luminance');
+
+    await expect(page.locator('#mask-overlay image.mask-coverage')).toHaveCount(1);
+    await expect(page.locator('#preview-canvas')).not.toHaveClass(/mask-drawing/);
+    await page.click('.mask-draw-btn');
+    await expect(page.locator('#mask-overlay')).toBeHidden();
+  });
+
+  test('groups layers and collapses the group', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    await expect(page.locator('#preview-canvas')).toBeVisible();
+
+    await page.click('#btn-add-group');
+    await page.click('#btn-add-effect');
+    await page.click('#effect-picker .effect-option:first-child');
+    await page.locator('#layer-list > .layer-item:not(.layer-group) .layer-drag-handle').dragTo(page.locator('.group-empty'));
+
+    await expect(page.locator('.layer-group .group-layers > .layer-item')).toHaveCount(1);
+    await expect(page.locator('#layer-list > .layer-item')).toHaveCount(1);
+    await page.click('.group-collapse-btn');
+    await expect(page.locator('.layer-group .group-layers')).toHaveCount(0);
+  });
+
+  test('sets layer opacity and blend mode', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    await expect(page.locator('#preview-canvas')).toBeVisible();
+
+    await page.click('#btn-add-effect');
+    await page.click('#effect-picker .effect-option:first-child');
+    await page.locator('.blend-row[data-blend-field="opacity"] input').fill('40');
+    await page.selectOption('.blend-row[data-blend-field="blendMode"] select', 'screen');
+
+    await expect(page.locator('.blend-row[data-blend-field="opacity"] .param-value')).toHaveText('40%');
+    await expect(page.locator('#render-progress')).toBeHidden();
+  });
+
+  test('keyframes a param and exports an APNG', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    await expect(page.locator('#preview-canvas')).toBeVisible();
+
+    await page.click('#btn-add-effect');
+    await page.click('#effect-picker .effect-option:first-child');
+    const slider = page.locator('.layer-item .param-row:has(input[type="range"]):has(.keyframe-btn)').first();
+    await slider.locator('.keyframe-btn').click();
+    await page.locator('#timeline-frame').fill('10');
+    await slider.locator('input[type="range"]').fill(await slider.locator('input[type="range"]').getAttribute('max'));
+
+    await expect(slider.locator('.keyframe-btn')).toHaveClass(/animated/);
+    await expect(slider.locator('.keyframe-btn')).toHaveText('◆');
+    await expect(page.locator('#timeline-label')).toHaveText('11 / 24');
+    await page.fill('#timeline-frames', '4');
+    await page.locator('#timeline-frames').dispatchEvent('change');
+
+    const download = page.waitForEvent('download');
+    await page.click('#btn-export-animation');
+    expect((await download).suggestedFilename()).toMatch(/_animated\.png$/);
+  });
+
+  test('downloads a seed sweep as an APNG', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    await expect(page.locator('#preview-canvas')).toBeVisible();
+
+    await page.click('#btn-add-effect');
+    await page.click('#effect-picker .effect-option:first-child');
+    await page.click('#btn-export-options');
+    await page.selectOption('#opt-apng-frames', 'seeds');
+    await expect(page.locator('#opt-sweep-count')).toBeVisible();
+    await page.fill('#opt-sweep-count', '3');
+    await page.fill('#opt-loops', '2');
+
+    const download = page.waitForEvent('download');
+    await page.click('#btn-save');
+    expect((await download).suggestedFilename()).toMatch(/_glitched\.png$/);
+    await expect(page.locator('#btn-save')).toHaveText('Download');
+  });
+
+  test('steps through the frames of a loaded APNG', async ({ page }) => {
+    const png = makePNG(16, 16);
+    const { chunks } = parsePNG(png);
+    const { pixelData, imageInfo, source } = decodeImage(png, chunks, data => new Uint8Array(inflateSync(data)));
+    const apng = encodeAPNG(png, chunks, [pixelData, pixelData.map(v => 255 - v)], imageInfo, source, {
+      deflate: data => deflateSync(data), loops: 2
+    });
+
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    await page.setInputFiles('#file-input', { name: 'sticker.png', mimeType: 'image/png', buffer: Buffer.from(apng) });
+
+    await expect(page.locator('#apng-frame-label')).toHaveText('Frame 1 / 2');
+    await expect(page.locator('#opt-apng-frames')).toHaveValue('frames');
+    await page.click('#btn-apng-next');
+    await expect(page.locator('#apng-frame-label')).toHaveText('Frame 2 / 2');
+    await page.selectOption('#opt-apng-scope', 'frame');
+    await page.click('#btn-add-effect');
+    await page.click('#effect-picker .effect-option:first-child');
+    await page.click('#btn-apng-prev');
+    await expect(page.locator('#layer-list .layer-item')).toHaveCount(0);
+
+    const download = page.waitForEvent('download');
+    await page.click('#btn-save');
+    expect((await download).suggestedFilename()).toMatch(/_glitched\.png$/);
+  });
+
+  test('renders seed variations and adopts one', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    await expect(page.locator('#preview-canvas')).toBeVisible();
+
+    await page.click('#btn-add-effect');
+    await page.click('#effect-picker .effect-option:first-child');
+    await page.fill('#variations-count', '4');
+    await page.click('#btn-variations');
+    await expect(page.locator('#variations-dialog')).toBeVisible();
+    await expect(page.locator('.variation:not(.pending)')).toHaveCount(4);
+    await expect(page.locator('.variation-label').nth(1)).toHaveText('Seed 2');
+
+    const download = page.waitForEvent('download');
+    await page.click('#btn-variations-export');
+    expect((await download).suggestedFilename()).toMatch(/_variations\.png$/);
+
+    const seed = await page.locator('.seed-row input').inputValue();
+    await page.click('.variation >> nth=2');
+    await expect(page.locator('#variations-dialog')).not.toBeVisible();
+    await expect(page.locator('.seed-row input')).not.toHaveValue(seed);
+  });
+
+  test('applies a built-in preset and saves a layer preset', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    await expect(page.locator('#preview-canvas')).toBeVisible();
+
+    await page.click('#btn-presets');
+    await page.click('.preset-option[data-name="VHS"]');
+    await expect(page.locator('#preset-menu')).toBeHidden();
+    await expect(page.locator('#layer-list .layer-item')).toHaveCount(4);
+
+    await page.locator('.layer-preset-btn').last().click();
+    await page.fill('#dialog-input', 'Grainy');
+    await page.click('#dialog-ok');
+    await page.click('#btn-presets');
+    await expect(page.locator('.preset-option[data-kind="layer"][data-name="Grainy"]')).toHaveCount(1);
+    await page.click('.preset-option[data-name="Grainy"]');
+    await expect(page.locator('#layer-list .layer-item')).toHaveCount(5);
+
+    // Deleting asks first, in the app's own dialog
+    await page.click('#btn-presets');
+    await page.locator('.preset-option[data-name="Grainy"] .preset-delete-btn').click();
+    await expect(page.locator('#dialog-message')).toHaveText('Delete the preset "Grainy"?');
+    await page.click('#dialog-ok');
+    await page.click('#btn-presets');
+    await expect(page.locator('.preset-option[data-name="Grainy"]')).toHaveCount(0);
+  });
+
+  test('draws effect output without decoding a PNG', async ({ page }) => {
+    await page.addInitScript(() => {
+      window.__pngBlobs = 0;
+      const createObjectURL = URL.createObjectURL;
+      URL.createObjectURL = (blob) => {
+        if (blob.type === 'image/png') window.__pngBlobs++;
+        return createObjectURL(blob);
+      };
+    });
+
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    await expect(page.locator('#preview-canvas')).toBeVisible();
+    const before = await page.evaluate(() => window.__pngBlobs);
+
+    await page.click('#btn-add-effect');
+    await page.click('#effect-picker .effect-option:first-child');
+    await expect(page.locator('#render-progress')).toBeHidden();
+
+    expect(await page.evaluate(() => window.__pngBlobs)).toBe(before);
+  });
+
   test('effects module loads correctly', async ({ page }) => {
     await page.goto('/');
     await page.waitForLoadState('networkidle');
@@ -88,7 +315,7 @@ test.describe('GlitchEdit App', () => {
     // Effects should be loaded (we can't access module scope from page, but we can check the picker)
     await page.click('#btn-add-effect');
     const pickerOptions = await page.locator('#effect-picker .effect-option').count();
-    expect(pickerOptions).toBe(48); // 48 effects
+    expect(pickerOptions).toBe(49); // 49 effects
   });
 
   test('glitch button adds random effects', async ({ page }) => {
@@ -109,4 +336,195 @@ test.describe('GlitchEdit App', () => {
     expect(layerCount).toBeGreaterThanOrEqual(3);
     expect(layerCount).toBeLessThanOrEqual(6);
   });
+
+  test('glitch keeps locked layers and follows its options', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    await expect(page.locator('#btn-randomize-effects')).toBeEnabled({ timeout: 5000 });
+
+    await page.click('#btn-presets');
+    await page.click('.preset-option[data-name="VHS"]');
+    const first = page.locator('#layer-list .layer-item').first();
+    const name = await first.locator('.layer-name').textContent();
+    await first.locator('.layer-lock-btn').click();
+    await expect(page.locator('#layer-list .layer-lock-btn').first()).toHaveAttribute('aria-pressed', 'true');
+
+    await page.click('#btn-randomizer-options');
+    await page.fill('#opt-random-min-layers', '2');
+    await page.fill('#opt-random-max-layers', '2');
+    await page.click('#btn-randomize-effects');
+
+    await expect(page.locator('#layer-list .layer-item')).toHaveCount(2);
+    await expect(page.locator('#layer-list .layer-name').first()).toHaveText(name);
+
+    // One undo step brings the whole stack back
+    await page.keyboard.press('Control+z');
+    await expect(page.locator('#layer-list .layer-item')).toHaveCount(4);
+  });
+
+  test('finds and replaces bytes in the hex view', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    await expect(page.locator('#preview-canvas')).toBeVisible();
+
+    await page.locator('#hex-scroll').focus();
+    await page.keyboard.press('Control+f');
+    await expect(page.locator('#find-input')).toBeFocused();
+    await page.fill('#find-input', '00 ??');
+    await expect(page.locator('#find-status')).toHaveText(/^1 of \d+/);
+    await expect(page.locator('.hex-byte.search-match').first()).toBeVisible();
+
+    await page.keyboard.press('Enter');
+    await expect(page.locator('.hex-byte.selected')).toHaveCount(2);
+
+    await page.fill('#replace-input', '?? 7F');
+    await page.click('#btn-replace-all');
+    await page.fill('#find-input', '00 7F');
+    await expect(page.locator('#find-status')).toHaveText(/^\d+ of \d+/);
+
+    await page.keyboard.press('Escape');
+    await expect(page.locator('#find-bar')).toBeHidden();
+    await expect(page.locator('.hex-byte.search-match')).toHaveCount(0);
+  });
+
+  test('inserts and deletes raw bytes with chunk lengths fixed up', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    await expect(page.locator('#btn-edit-mode')).toHaveText('Pixels');
+
+    await page.click('#btn-edit-mode');
+    await expect(page.locator('#btn-edit-mode')).toHaveText('Raw');
+    const size = parseInt(await page.locator('#status-size').textContent());
+
+    // Type two bytes into the IHDR data in insert mode, then delete them
+    await page.click('.hex-byte[data-offset="20"]');
+    await page.keyboard.press('Insert');
+    await expect(page.locator('#btn-insert-mode')).toHaveText('INS');
+    await page.keyboard.type('0000');
+    await expect(page.locator('#status-size')).toHaveText(`${size + 2} bytes`);
+    await expect(page.locator('#status-valid-text')).toHaveText('Valid');
+
+    await page.click('.hex-byte[data-offset="20"]');
+    await page.click('.hex-byte[data-offset="21"]', { modifiers: ['Shift'] });
+    await page.keyboard.press('Backspace');
+    await expect(page.locator('#status-size')).toHaveText(`${size} bytes`);
+    await expect(page.locator('#status-valid-text')).toHaveText('Valid');
+
+    await page.keyboard.press('Control+z');
+    await expect(page.locator('#status-size')).toHaveText(`${size + 2} bytes`);
+  });
+
+  test('saves the selected bytes as a binary file', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    await page.click('#btn-edit-mode');
+    await expect(page.locator('#btn-edit-mode')).toHaveText('Raw');
+
+    await page.click('.hex-byte[data-offset="0"]');
+    await page.click('.hex-byte[data-offset="7"]', { modifiers: ['Shift'] });
+    const download = page.waitForEvent('download');
+    await page.keyboard.press('Alt+c');
+    const file = await download;
+    expect(file.suggestedFilename()).toMatch(/_00000000\.bin$/);
+    expect([...await readFile(await file.path())]).toEqual([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+  });
+
+  test('edits chunk fields from the chunk inspector', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    await expect(page.locator('#chunk-inspector')).toBeHidden();
+
+    await page.locator('.chunk-item', { hasText: 'IHDR' }).click();
+    await expect(page.locator('#chunk-inspector')).toBeVisible();
+    await expect(page.locator('#chunk-inspector-title')).toHaveText('IHDR @ 0x8');
+    const width = page.locator('#chunk-inspector-fields [data-field="width"]');
+    const original = await width.inputValue();
+
+    await width.fill('7');
+    await width.press('Enter');
+    await expect(width).toHaveValue('7');
+    await expect(page.locator('#btn-edit-mode')).toHaveText('Raw');
+    await expect(page.locator('#status-valid-text')).toHaveText('Valid');
+
+    await page.locator('#chunk-inspector-fields [data-field="colorType"]').selectOption('3');
+    await expect(page.locator('#chunk-inspector-fields [data-field="colorType"]')).toHaveValue('3');
+
+    await page.keyboard.press('Control+z');
+    await page.keyboard.press('Control+z');
+    await expect(width).toHaveValue(original);
+
+    await page.click('#btn-inspector-close');
+    await expect(page.locator('#chunk-inspector')).toBeHidden();
+  });
+
+  test('splits, merges and deletes chunks from the chunk navigator', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    const types = () => page.locator('.chunk-item .chunk-type').allTextContents();
+    const idats = page.locator('.chunk-item', { hasText: 'IDAT' });
+
+    await idats.first().click();
+    await page.click('#btn-chunk-split');
+    await page.fill('#dialog-input', '64');
+    await page.click('#dialog-ok');
+    await expect(page.locator('.chunk-item.selected .chunk-info')).toHaveText(/^64 bytes/);
+    await expect(page.locator('#status-valid-text')).toHaveText('Valid');
+
+    // Merging joins the whole run of IDATs, however the browser wrote them
+    await page.click('#btn-chunk-merge');
+    await expect(idats).toHaveCount(1);
+    await expect(page.locator('#status-valid-text')).toHaveText('Valid');
+    const before = await types();
+
+    await page.click('#btn-chunk-duplicate');
+    expect((await types()).length).toBe(before.length + 1);
+    await page.click('#btn-chunk-delete');
+    expect(await types()).toEqual(before);
+
+    await page.keyboard.press('Control+z');
+    expect((await types()).length).toBe(before.length + 1);
+  });
+
+  test('inserts new chunks after IHDR when IHDR is selected', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+
+    await page.locator('.chunk-item', { hasText: 'IHDR' }).click();
+    await page.click('#btn-chunk-insert');
+    await page.fill('#dialog-input', 'glTc');
+    await page.press('#dialog-input', 'Enter');
+    const types = await page.locator('.chunk-item .chunk-type').allTextContents();
+    expect(types.slice(0, 3)).toEqual(['PNG', 'IHDR', 'glTc']);
+    await expect(page.locator('#status-valid-text')).toHaveText('Valid');
+
+    // Invalid types are reported in the status bar
+    await page.click('#btn-chunk-insert');
+    await page.fill('#dialog-input', 'IDAT');
+    await page.click('#dialog-ok');
+    await expect(page.locator('#status-message')).toHaveText(/lowercase/);
+  });
+
+  test('recolors indexed PNGs from the palette panel', async ({ page }) => {
+    const png = makeRawPNG({ width: 2, height: 1, bitDepth: 8, colorType: 3 }, new Uint8Array([0, 0, 1]), [
+      createChunk('PLTE', new Uint8Array([255, 0, 0, 0, 0, 255]))
+    ]);
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    await expect(page.locator('#palette-panel')).toBeHidden();
+    await page.setInputFiles('#file-input', { name: 'indexed.png', mimeType: 'image/png', buffer: Buffer.from(png) });
+
+    const swatches = page.locator('#palette-swatches .palette-swatch');
+    await expect(swatches).toHaveCount(2);
+    await expect(swatches.first()).toHaveValue('#ff0000');
+
+    await page.click('.palette-glitch-btn[data-glitch="rotate"]');
+    await expect(swatches.first()).toHaveValue('#0000ff');
+    await page.click('.palette-glitch-btn[data-glitch="invert"]');
+    await expect(swatches.first()).toHaveValue('#ffff00');
+    await expect(page.locator('#status-valid-text')).toHaveText('Valid');
+
+    await page.keyboard.press('Control+z');
+    await page.keyboard.press('Control+z');
+    await expect(swatches.first()).toHaveValue('#ff0000');
+  });
 });
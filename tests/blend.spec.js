@@ -0,0 +1,64 @@
+import { test, expect } from '@playwright/test';
+import { BLEND_MODES, compositeLayer } from '../blend.mjs';
+import { applyLayerStack, parseLayerStack, serializeLayerStack } from '../layers.mjs';
+
+// One RGBA row per pair of pixels, with a filter byte in front
+const rgbaInfo = { width: 2, height: 1, bytesPerPixel: 4, scanlineLength: 9, colorType: 6 };
+const row = (filter, ...pixels) => new Uint8Array([filter, ...pixels.flat()]);
+
+test.describe('Blend modes', () => {
+  test('blends color channels and mixes alpha normally', () => {
+    const original = row(0, [200, 100, 0, 255], [50, 50, 50, 10]);
+    const result = row(0, [100, 100, 255, 0], [100, 200, 0, 200]);
+    const blend = blendMode => compositeLayer(original, result, rgbaInfo, { blendMode });
+
+    expect([...blend('multiply')]).toEqual([0, 78, 39, 0, 0, 20, 39, 0, 200]);
+    expect([...blend('screen')]).toEqual([0, 222, 161, 255, 0, 130, 211, 50, 200]);
+    expect([...blend('difference')]).toEqual([0, 100, 0, 255, 0, 50, 150, 50, 200]);
+    expect([...blend('lighten')]).toEqual([0, 200, 100, 255, 0, 100, 200, 50, 200]);
+    expect([...blend('darken')]).toEqual([0, 100, 100, 0, 0, 50, 50, 0, 200]);
+    expect([...blend('add')]).toEqual([0, 255, 200, 255, 0, 150, 250, 50, 200]);
+    expect([...blend('overlay')]).toEqual([0, 188, 78, 0, 0, 39, 78, 0, 200]);
+    expect(blend('normal')).toBe(result);
+    expect(() => blend('dissolve')).toThrow('Unknown blend mode "dissolve"');
+  });
+
+  test('opacity and coverage scale the blended value', () => {
+    const original = row(0, [0, 0, 0, 255], [200, 200, 200, 255]);
+    const result = row(4, [200, 100, 50, 255], [0, 0, 0, 255]);
+
+    expect([...compositeLayer(original, result, rgbaInfo, { opacity: 0.5 })])
+      .toEqual([4, 100, 50, 25, 255, 100, 100, 100, 255]);
+    expect(compositeLayer(original, result, rgbaInfo, { opacity: 0 })).toEqual(original);
+
+    const coverage = new Uint8Array([255, 0]);
+    expect([...compositeLayer(original, result, rgbaInfo, { blendMode: 'add', opacity: 0.5, coverage })])
+      .toEqual([4, 100, 50, 25, 255, 200, 200, 200, 255]);
+    // Rows the layer doesn't touch keep their original filter byte
+    expect(compositeLayer(original, result, rgbaInfo, { coverage: new Uint8Array(2) })[0]).toBe(0);
+  });
+
+  test('blend settings are saved with the layer stack and validated on load', () => {
+    const stack = serializeLayerStack([
+      { id: 'a', effectId: 'noise', enabled: true, params: {}, seed: 1, opacity: 0.4, blendMode: 'screen' },
+      { id: 'b', effectId: 'noise', enabled: true, params: {}, seed: 2, opacity: 1, blendMode: 'normal' }
+    ]);
+    expect(stack.layers[1]).not.toHaveProperty('opacity');
+    expect(stack.layers[1]).not.toHaveProperty('blendMode');
+
+    const [blended, plain] = parseLayerStack(JSON.stringify(stack));
+    expect(blended).toMatchObject({ opacity: 0.4, blendMode: 'screen' });
+    expect(plain).not.toHaveProperty('blendMode');
+    expect(parseLayerStack([{ effectId: 'noise', opacity: 3 }])[0].opacity).toBe(1);
+    expect(() => parseLayerStack([{ effectId: 'noise', blendMode: 'dissolve' }]))
+      .toThrow('Unknown blend mode "dissolve" in layer 0');
+    expect(BLEND_MODES).toContain('overlay');
+  });
+
+  test('a transparent layer leaves the stack output unchanged', () => {
+    const info = { width: 4, height: 2, bytesPerPixel: 3, scanlineLength: 13, colorType: 2 };
+    const pixelData = new Uint8Array(26).map((_, i) => (i % 13 ? i * 9 : 0));
+    const layers = [{ id: 'a', effectId: 'noise', enabled: true, params: { amount: 100, monochrome: false }, seed: 5, opacity: 0 }];
+    expect(applyLayerStack(pixelData, info, layers)).toEqual(pixelData);
+  });
+});
@@ -0,0 +1,169 @@
+import { test, expect } from '@playwright/test';
+import { inflateSync, deflateSync } from 'node:zlib';
+import { createChunk, createITXt, insertChunks, parsePNG } from '../png.mjs';
+import {
+  decodeChunkFields,
+  deleteChunk,
+  diffSplice,
+  duplicateChunk,
+  encodeChunkFields,
+  insertChunk,
+  mergeIDATs,
+  moveChunk,
+  splitIDAT
+} from '../chunks.mjs';
+import { makePNG, makeRawPNG } from './helpers.js';
+
+const latin1 = (text) => new Uint8Array(Array.from(text, char => char.charCodeAt(0)));
+const codec = { inflate: inflateSync, deflate: deflateSync };
+const values = (fields) => Object.fromEntries(fields.map(field => [field.id, field.value]));
+
+// The PNG with extra chunks, parsed, and the first chunk of `type`
+function withChunks(png, extra, type) {
+  const buffer = insertChunks(png, parsePNG(png).chunks, extra);
+  const { chunks } = parsePNG(buffer);
+  return { buffer, chunks, chunk: chunks.find(c => c.type === type) };
+}
+
+test.describe('Chunk fields', () => {
+  test('decodes and edits fixed-layout chunks, keeping trailing bytes', () => {
+    const png = makePNG(8, 4);
+    const { chunks } = parsePNG(png);
+    const ihdr = chunks[1];
+    const fields = decodeChunkFields(png, chunks, ihdr);
+    expect(values(fields)).toEqual({ width: 8, height: 4, bitDepth: 8, colorType: 6, compression: 0, filter: 0, interlace: 0 });
+    expect(fields.find(f => f.id === 'colorType')).toMatchObject({ type: 'select' });
+    expect(fields.find(f => f.id === 'width')).toMatchObject({ type: 'number', max: 0xFFFFFFFF });
+
+    const data = encodeChunkFields(png, chunks, ihdr, { width: 300, interlace: '1' });
+    expect([...data.subarray(0, 8)]).toEqual([0, 0, 1, 44, 0, 0, 0, 4]);
+    expect(data[12]).toBe(1);
+    expect(() => encodeChunkFields(png, chunks, ihdr, { height: -1 })).toThrow('Height must be between 0 and');
+
+    const gama = new Uint8Array([0, 0, 0xB1, 0x8F, 0xAA]);
+    const { buffer, chunks: all, chunk } = withChunks(png, [createChunk('gAMA', gama)], 'gAMA');
+    expect(values(decodeChunkFields(buffer, all, chunk))).toEqual({ gamma: 0.45455 });
+    expect([...encodeChunkFields(buffer, all, chunk, { gamma: 1 })]).toEqual([0, 1, 0x86, 0xA0, 0xAA]);
+
+    const short = withChunks(png, [createChunk('tIME', new Uint8Array(3))], 'tIME');
+    expect(decodeChunkFields(short.buffer, short.chunks, short.chunk)).toBeNull();
+  });
+
+  test('reads palettes and transparency by color type', () => {
+    const raw = new Uint8Array([0, 0, 1]);
+    const png = makeRawPNG({ width: 2, height: 1, bitDepth: 8, colorType: 3 }, raw, [
+      createChunk('PLTE', new Uint8Array([255, 0, 0, 0, 128, 255])),
+      createChunk('tRNS', new Uint8Array([0x80]))
+    ]);
+    const { chunks } = parsePNG(png);
+    const plte = chunks.find(c => c.type === 'PLTE');
+    const trns = chunks.find(c => c.type === 'tRNS');
+
+    expect(values(decodeChunkFields(png, chunks, plte))).toEqual({ colors: ['#ff0000', '#0080ff'] });
+    expect([...encodeChunkFields(png, chunks, plte, { colors: ['#ff0000', '#00FF00', '#000000'] })])
+      .toEqual([255, 0, 0, 0, 255, 0, 0, 0, 0]);
+    expect(() => encodeChunkFields(png, chunks, plte, { colors: ['red'] })).toThrow('#rrggbb');
+
+    expect(values(decodeChunkFields(png, chunks, trns))).toEqual({ alpha: '80' });
+    expect([...encodeChunkFields(png, chunks, trns, { alpha: 'ff 00' })]).toEqual([255, 0]);
+    expect(() => encodeChunkFields(png, chunks, trns, { alpha: 'f' })).toThrow('pairs of hex digits');
+
+    const rgb = withChunks(makePNG(2, 2, 2), [createChunk('tRNS', new Uint8Array([0, 1, 0, 2, 1, 0]))], 'tRNS');
+    expect(values(decodeChunkFields(rgb.buffer, rgb.chunks, rgb.chunk))).toEqual({ red: 1, green: 2, blue: 256 });
+    expect([...encodeChunkFields(rgb.buffer, rgb.chunks, rgb.chunk, { green: 65535 })]).toEqual([0, 1, 255, 255, 1, 0]);
+  });
+
+  test('edits text chunks, compressing where the chunk is compressed', () => {
+    const png = makePNG(4, 4);
+    const ztxt = new Uint8Array([...latin1('Title\0\0'), ...deflateSync(latin1('café'))]);
+    const { buffer, chunks } = withChunks(png, [
+      createChunk('tEXt', latin1('Author\0me')),
+      createChunk('zTXt', ztxt),
+      createITXt('Comment', 'glitched ✨', 'en'),
+      createChunk('iCCP', new Uint8Array([...latin1('sRGB\0\0'), ...deflateSync(new Uint8Array(100))]))
+    ], 'tEXt');
+    const find = type => chunks.find(c => c.type === type);
+
+    expect(values(decodeChunkFields(buffer, chunks, find('tEXt')))).toEqual({ keyword: 'Author', text: 'me' });
+    expect(encodeChunkFields(buffer, chunks, find('tEXt'), { text: 'you' })).toEqual(latin1('Author\0you'));
+    expect(() => encodeChunkFields(buffer, chunks, find('tEXt'), { keyword: '' })).toThrow('1 to 79');
+    expect(() => encodeChunkFields(buffer, chunks, find('tEXt'), { text: '✨' })).toThrow('Latin-1');
+
+    expect(values(decodeChunkFields(buffer, chunks, find('zTXt'), codec))).toEqual({ keyword: 'Title', text: 'café' });
+    expect(decodeChunkFields(buffer, chunks, find('zTXt')).find(f => f.id === 'text').type).toBe('info');
+    const zData = encodeChunkFields(buffer, chunks, find('zTXt'), { text: 'new' }, codec);
+    expect(String.fromCharCode(...inflateSync(zData.subarray(7)))).toBe('new');
+    // Renaming keeps the compressed stream as it is
+    expect(encodeChunkFields(buffer, chunks, find('zTXt'), { keyword: 'Name' }).subarray(6)).toEqual(ztxt.subarray(7));
+
+    const itxt = decodeChunkFields(buffer, chunks, find('iTXt'), codec);
+    expect(values(itxt)).toEqual({ keyword: 'Comment', languageTag: 'en', translatedKeyword: '', compressed: false, text: 'glitched ✨' });
+    const compressed = withChunks(png, [createChunk('iTXt', encodeChunkFields(buffer, chunks, find('iTXt'), { compressed: true }, codec))], 'iTXt');
+    expect(values(decodeChunkFields(compressed.buffer, compressed.chunks, compressed.chunk, codec)))
+      .toMatchObject({ compressed: true, text: 'glitched ✨' });
+
+    expect(values(decodeChunkFields(buffer, chunks, find('iCCP'), codec)))
+      .toEqual({ name: 'sRGB', profile: `${find('iCCP').dataLength - 6} bytes compressed, 100 bytes inflated` });
+    const renamed = encodeChunkFields(buffer, chunks, find('iCCP'), { name: 'Display' });
+    expect(inflateSync(renamed.subarray(9))).toEqual(Buffer.alloc(100));
+  });
+});
+
+test.describe('Chunk operations', () => {
+  const png = insertChunks(makePNG(8, 8), parsePNG(makePNG(8, 8)).chunks, [createChunk('tEXt', latin1('a\0b'))]);
+  const { chunks } = parsePNG(png);
+  const types = buffer => parsePNG(buffer).chunks.map(c => c.type);
+
+  test('deletes, duplicates, moves and inserts chunks', () => {
+    expect(types(png)).toEqual(['SIG', 'IHDR', 'tEXt', 'IDAT', 'IEND']);
+
+    expect(types(deleteChunk(png, chunks, 2).buffer)).toEqual(['SIG', 'IHDR', 'IDAT', 'IEND']);
+    const copy = duplicateChunk(png, chunks, 2);
+    expect(types(copy.buffer)).toEqual(['SIG', 'IHDR', 'tEXt', 'tEXt', 'IDAT', 'IEND']);
+    expect(copy.index).toBe(3);
+
+    const moved = moveChunk(png, chunks, 2, 3);
+    expect(types(moved.buffer)).toEqual(['SIG', 'IHDR', 'IDAT', 'tEXt', 'IEND']);
+    expect(moveChunk(moved.buffer, parsePNG(moved.buffer).chunks, 3, 2).buffer).toEqual(png);
+
+    const inserted = insertChunk(png, chunks, 4, 'glTc', latin1('hi'));
+    expect(types(inserted.buffer)).toEqual(['SIG', 'IHDR', 'tEXt', 'IDAT', 'glTc', 'IEND']);
+    expect(parsePNG(inserted.buffer).isValid).toBe(true);
+    // At the end, after IEND
+    const appended = insertChunk(png, chunks, chunks.length, 'glTc').buffer;
+    expect(String.fromCharCode(...appended.subarray(-8, -4))).toBe('glTc');
+    expect(() => insertChunk(png, chunks, 2, 'IDAT')).toThrow('lowercase');
+    expect(() => insertChunk(png, chunks, 2, 'gl')).toThrow('four letters');
+
+    expect(() => deleteChunk(png, chunks, 0)).toThrow("signature isn't a chunk");
+    expect(() => moveChunk(png, chunks, 2, 9)).toThrow('No chunk at index 9');
+
+    // Bytes after IEND stay at the end
+    const trailing = new Uint8Array([...png, 1, 2, 3]);
+    expect([...deleteChunk(trailing, parsePNG(trailing).chunks, 2).buffer.slice(-3)]).toEqual([1, 2, 3]);
+  });
+
+  test('splits and merges IDAT chunks without touching the stream', () => {
+    const idat = chunks[3];
+    const split = splitIDAT(png, chunks, 3, 10);
+    const parsed = parsePNG(split.buffer);
+    const pieces = parsed.chunks.filter(c => c.type === 'IDAT');
+    expect(pieces).toHaveLength(Math.ceil(idat.dataLength / 10));
+    expect(pieces.slice(0, -1).every(c => c.dataLength === 10)).toBe(true);
+    expect(parsed.isValid).toBe(true);
+
+    const merged = mergeIDATs(split.buffer, parsed.chunks, 5);
+    expect(merged).toEqual({ buffer: png, index: 3 });
+
+    expect(() => splitIDAT(png, chunks, 2, 10)).toThrow('Only IDAT');
+    expect(() => splitIDAT(png, chunks, 3, idat.dataLength)).toThrow(`only ${idat.dataLength} bytes`);
+    expect(() => mergeIDATs(png, chunks, 3)).toThrow('no adjacent IDAT');
+  });
+
+  test('finds the single splice between two buffers', () => {
+    expect(diffSplice(latin1('abcdef'), latin1('abXYef'))).toEqual({ offset: 2, deleteCount: 2, data: latin1('XY') });
+    expect(diffSplice(latin1('abab'), latin1('ababab'))).toEqual({ offset: 4, deleteCount: 0, data: latin1('ab') });
+    expect(diffSplice(latin1('abc'), latin1('c'))).toEqual({ offset: 0, deleteCount: 2, data: latin1('') });
+    expect(diffSplice(latin1('same'), latin1('same'))).toEqual({ offset: 4, deleteCount: 0, data: latin1('') });
+  });
+});
@@ -0,0 +1,197 @@
+import { test, expect } from '@playwright/test';
+import { execFileSync } from 'node:child_process';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, readdirSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { inflateSync, deflateSync } from 'node:zlib';
+import { parsePNG, parseIHDR, decodeImage, decodeAPNG, encodeAPNG } from '../png.mjs';
+import { MAX_SEEDS, parseSeedList } from '../bin/batch.js';
+import { loadLayerStack, renderPNG } from '../bin/render.js';
+import { reseedLayers } from '../layers.mjs';
+import { makePNG } from './helpers.js';
+
+const CLI = join(dirname(fileURLToPath(import.meta.url)), '..', 'bin', 'cli.js');
+
+function runCli(args) {
+  return execFileSync('node', [CLI, ...args], { encoding: 'utf-8', stdio: 'pipe' });
+}
+
+function decode(path, options) {
+  const buffer = readFileSync(path);
+  return decodeImage(buffer, parsePNG(buffer).chunks, (data) => new Uint8Array(inflateSync(data)), options);
+}
+
+test.describe('CLI render', () => {
+  let dir;
+
+  test.beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'glitchedit-'));
+    writeFileSync(join(dir, 'input.png'), makePNG(32, 24));
+    writeFileSync(join(dir, 'stack.json'), JSON.stringify({
+      layers: [
+        { effectId: 'channel-shift', params: { redShift: 40 }, seed: 1 },
+        { effectId: 'block-glitch', seed: 2 }
+      ]
+    }));
+  });
+
+  test('writes a valid PNG', () => {
+    runCli(['render', join(dir, 'input.png'), '--stack', join(dir, 'stack.json'), '-o', join(dir, 'out.png')]);
+
+    const output = readFileSync(join(dir, 'out.png'));
+    const parsed = parsePNG(output);
+    expect(parsed.errors).toEqual([]);
+    expect(parsed.chunks.map(c => c.type)).toEqual(['SIG', 'IHDR', 'IDAT', 'IEND']);
+    expect(output.equals(readFileSync(join(dir, 'input.png')))).toBe(false);
+  });
+
+  test('is deterministic for the same seeds', () => {
+    runCli(['render', join(dir, 'input.png'), '--stack', join(dir, 'stack.json'), '-o', join(dir, 'a.png')]);
+    runCli(['render', join(dir, 'input.png'), `--stack=${join(dir, 'stack.json')}`, '--output', join(dir, 'b.png')]);
+
+    expect(readFileSync(join(dir, 'a.png')).equals(readFileSync(join(dir, 'b.png')))).toBe(true);
+  });
+
+  test('defaults the output name to <input>_glitched.png', () => {
+    runCli(['render', join(dir, 'input.png'), '--stack', join(dir, 'stack.json')]);
+    expect(parsePNG(readFileSync(join(dir, 'input_glitched.png'))).isValid).toBe(true);
+  });
+
+  test('rejects unknown effects', () => {
+    writeFileSync(join(dir, 'bad.json'), JSON.stringify([{ effectId: 'nope' }]));
+    expect(() => runCli(['render', join(dir, 'input.png'), '--stack', join(dir, 'bad.json')]))
+      .toThrow(/Unknown effect "nope"/);
+  });
+
+  test('converts to RGBA8 with --format', () => {
+    writeFileSync(join(dir, 'gray.png'), makePNG(8, 8, 0));
+    runCli(['render', join(dir, 'gray.png'), '--stack', join(dir, 'stack.json'), '--format', 'rgba8', '-o', join(dir, 'out.png')]);
+
+    const output = readFileSync(join(dir, 'out.png'));
+    expect(parseIHDR(output, parsePNG(output).chunks)).toMatchObject({ bitDepth: 8, colorType: 6 });
+  });
+
+  test('writes Adam7 output with --interlace', () => {
+    runCli(['render', join(dir, 'input.png'), '--stack', join(dir, 'stack.json'), '-o', join(dir, 'flat.png')]);
+    runCli(['render', join(dir, 'input.png'), '--stack', join(dir, 'stack.json'), '--interlace', 'adam7', '-o', join(dir, 'out.png')]);
+
+    expect(decode(join(dir, 'out.png')).source.interlace).toBe(1);
+    expect(decode(join(dir, 'out.png')).pixelData).toEqual(decode(join(dir, 'flat.png')).pixelData);
+  });
+
+  test('re-filters with --filter without changing pixels', () => {
+    runCli(['render', join(dir, 'input.png'), '--stack', join(dir, 'stack.json'), '-o', join(dir, 'adaptive.png')]);
+    runCli(['render', join(dir, 'input.png'), '--stack', join(dir, 'stack.json'), '--filter', 'paeth', '-o', join(dir, 'paeth.png')]);
+
+    const paeth = decode(join(dir, 'paeth.png'), { filtered: true }).pixelData;
+    expect(paeth[0]).toBe(4);
+    expect(decode(join(dir, 'paeth.png')).pixelData).toEqual(decode(join(dir, 'adaptive.png')).pixelData);
+    expect(() => runCli(['render', join(dir, 'input.png'), '--stack', join(dir, 'stack.json'), '--filter', 'zigzag']))
+      .toThrow(/Unknown filter strategy "zigzag"/);
+  });
+
+  test('seeds the random filter from the stack', () => {
+    const input = readFileSync(join(dir, 'input.png'));
+    const { layers } = loadLayerStack(join(dir, 'stack.json'));
+    const rowTypes = (buffer) => decodeImage(buffer, parsePNG(buffer).chunks, (data) => new Uint8Array(inflateSync(data)), { filtered: true })
+      .pixelData.filter((_, i) => i % (32 * 4 + 1) === 0);
+
+    const first = renderPNG(input, layers, { filter: 'random' });
+    expect(renderPNG(input, layers, { filter: 'random' })).toEqual(first);
+    expect(rowTypes(renderPNG(input, reseedLayers(layers, 7), { filter: 'random' }))).not.toEqual(rowTypes(first));
+  });
+
+  test('applies layers to filtered bytes from the stack file or --filtered-bytes', () => {
+    const stack = JSON.parse(readFileSync(join(dir, 'stack.json'), 'utf-8'));
+    writeFileSync(join(dir, 'filtered.json'), JSON.stringify({ ...stack, filteredBytes: true }));
+
+    runCli(['render', join(dir, 'input.png'), '--stack', join(dir, 'stack.json'), '-o', join(dir, 'pixels.png')]);
+    runCli(['render', join(dir, 'input.png'), '--stack', join(dir, 'stack.json'), '--filtered-bytes', '-o', join(dir, 'flag.png')]);
+    runCli(['render', join(dir, 'input.png'), '--stack', join(dir, 'filtered.json'), '-o', join(dir, 'file.png')]);
+
+    expect(readFileSync(join(dir, 'flag.png')).equals(readFileSync(join(dir, 'file.png')))).toBe(true);
+    expect(readFileSync(join(dir, 'flag.png')).equals(readFileSync(join(dir, 'pixels.png')))).toBe(false);
+  });
+
+  test('renders keyframed params at --frame', () => {
+    writeFileSync(join(dir, 'animated.json'), JSON.stringify([{
+      effectId: 'channel-shift', params: { redShift: 0 }, seed: 1,
+      keyframes: { redShift: [{ frame: 0, value: 0 }, { frame: 10, value: 40 }] }
+    }]));
+    writeFileSync(join(dir, 'still.json'), JSON.stringify([{ effectId: 'channel-shift', params: { redShift: 20 }, seed: 1 }]));
+
+    runCli(['render', join(dir, 'input.png'), '--stack', join(dir, 'animated.json'), '--frame', '5', '-o', join(dir, 'frame.png')]);
+    runCli(['render', join(dir, 'input.png'), '--stack', join(dir, 'still.json'), '-o', join(dir, 'still.png')]);
+    expect(readFileSync(join(dir, 'frame.png')).equals(readFileSync(join(dir, 'still.png')))).toBe(true);
+    expect(() => runCli(['render', join(dir, 'input.png'), '--stack', join(dir, 'animated.json'), '--frame', '-1']))
+      .toThrow(/Invalid frame "-1"/);
+  });
+
+  test('applies the stack to every frame of an APNG', () => {
+    const png = makePNG(16, 16);
+    const { chunks } = parsePNG(png);
+    const { pixelData, imageInfo, source } = decodeImage(png, chunks, (data) => new Uint8Array(inflateSync(data)));
+    const apng = encodeAPNG(png, chunks, [pixelData, pixelData.map(v => 255 - v), pixelData], imageInfo, source, {
+      deflate: data => deflateSync(data), delay: [80, 120, 80], loops: 4
+    });
+    writeFileSync(join(dir, 'animated.png'), apng);
+
+    runCli(['render', join(dir, 'animated.png'), '--stack', join(dir, 'stack.json'), '-o', join(dir, 'out.png')]);
+    const out = readFileSync(join(dir, 'out.png'));
+    const decoded = decodeAPNG(out, parsePNG(out).chunks, (data) => new Uint8Array(inflateSync(data)));
+    expect(decoded.numPlays).toBe(4);
+    expect(decoded.frames.map(frame => frame.delay)).toEqual([80, 120, 80]);
+    expect(decoded.frames[0].pixelData).not.toEqual(pixelData);
+    expect(decoded.frames[2].pixelData).toEqual(decoded.frames[0].pixelData);
+    expect(decoded.frames[1].pixelData).not.toEqual(decoded.frames[0].pixelData);
+  });
+});
+
+test.describe('CLI batch', () => {
+  let dir;
+
+  test.beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'glitchedit-'));
+    mkdirSync(join(dir, 'in', 'nested'), { recursive: true });
+    writeFileSync(join(dir, 'in', 'a.png'), makePNG(16, 16));
+    writeFileSync(join(dir, 'in', 'b.png'), makePNG(20, 10, 2));
+    writeFileSync(join(dir, 'in', 'nested', 'c.png'), makePNG(8, 8));
+    writeFileSync(join(dir, 'stack.json'), JSON.stringify([{ effectId: 'noise', seed: 5 }]));
+  });
+
+  test('renders every PNG in a directory for each seed', () => {
+    const reportPath = join(dir, 'report.json');
+    runCli(['batch', join(dir, 'in'), '--stack', join(dir, 'stack.json'), '-o', join(dir, 'out'),
+      '--seeds', '1-2,9', '-j', '2', '--report', reportPath]);
+
+    const report = JSON.parse(readFileSync(reportPath, 'utf-8'));
+    expect(report.total).toBe(6);
+    expect(report.failed).toBe(0);
+    expect(readdirSync(join(dir, 'out')).sort()).toEqual([
+      'a_s1.png', 'a_s2.png', 'a_s9.png', 'b_s1.png', 'b_s2.png', 'b_s9.png'
+    ]);
+    expect(readFileSync(join(dir, 'out', 'a_s1.png')).equals(readFileSync(join(dir, 'out', 'a_s2.png')))).toBe(false);
+  });
+
+  test('expands recursive globs and mirrors subdirectories', () => {
+    runCli(['batch', join(dir, 'in', '**', '*.png'), '--stack', join(dir, 'stack.json'), '-o', join(dir, 'out')]);
+
+    expect(parsePNG(readFileSync(join(dir, 'out', 'a_glitched.png'))).isValid).toBe(true);
+    expect(parsePNG(readFileSync(join(dir, 'out', 'nested', 'c_glitched.png'))).isValid).toBe(true);
+  });
+
+  test('reports failures and exits non-zero', () => {
+    writeFileSync(join(dir, 'in', 'broken.png'), 'not a png');
+    expect(() => runCli(['batch', join(dir, 'in'), '--stack', join(dir, 'stack.json'), '-o', join(dir, 'out')]))
+      .toThrow(/broken\.png: Not a PNG file/);
+  });
+
+  test('parses seed lists', () => {
+    expect(parseSeedList('3-1,7')).toEqual([1, 2, 3, 7]);
+    expect(() => parseSeedList('a-b')).toThrow(/Invalid seed list/);
+    expect(parseSeedList(`1-${MAX_SEEDS}`)).toHaveLength(MAX_SEEDS);
+    expect(() => parseSeedList('1-1000000000')).toThrow(`has more than ${MAX_SEEDS} seeds`);
+    expect(() => parseSeedList(`1-${MAX_SEEDS},0`)).toThrow(`has more than ${MAX_SEEDS} seeds`);
+  });
+});
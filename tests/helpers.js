@@ -0,0 +1,61 @@
+import { deflateSync } from 'node:zlib';
+import { PNG_SIGNATURE, createChunk, createIHDRData, writeUint32 } from '../png.mjs';
+
+// Build a small gradient PNG (8-bit, unfiltered) for Node-side tests
+export function makePNG(width = 16, height = 16, colorType = 6) {
+  const channels = { 0: 1, 2: 3, 4: 2, 6: 4 }[colorType];
+  const scanlineLength = 1 + width * channels;
+  const raw = new Uint8Array(height * scanlineLength);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      for (let c = 0; c < channels; c++) {
+        raw[y * scanlineLength + 1 + x * channels + c] = (x * 16 + y * 8 + c * 64) & 0xFF;
+      }
+    }
+  }
+
+  const ihdr = new Uint8Array(13);
+  writeUint32(ihdr, 0, width);
+  writeUint32(ihdr, 4, height);
+  ihdr[8] = 8;
+  ihdr[9] = colorType;
+
+  return concat([
+    new Uint8Array(PNG_SIGNATURE),
+    createChunk('IHDR', ihdr),
+    createChunk('IDAT', deflateSync(raw)),
+    createChunk('IEND', new Uint8Array(0))
+  ]);
+}
+
+// Build a PNG from raw scanlines (filter bytes included) in any format,
+// with extra chunks such as PLTE/tRNS placed before IDAT
+export function makeRawPNG({ width, height, bitDepth, colorType, interlace = 0 }, raw, extraChunks = []) {
+  return concat([
+    new Uint8Array(PNG_SIGNATURE),
+    createChunk('IHDR', createIHDRData({ width, height, bitDepth, colorType, interlace })),
+    ...extraChunks,
+    createChunk('IDAT', deflateSync(raw)),
+    createChunk('IEND', new Uint8Array(0))
+  ]);
+}
+
+// Layer stack fixtures: a noise effect layer and a group around `layers`,
+// with `extra` fields (id, opacity, locks...) merged in
+export function noiseLayer(seed = 1, extra = {}) {
+  return { id: `n${seed}`, effectId: 'noise', enabled: true, params: { amount: 60, monochrome: false }, seed, ...extra };
+}
+
+export function groupLayer(layers, extra = {}) {
+  return { id: 'g', type: 'group', name: 'Group 1', enabled: true, collapsed: false, layers, ...extra };
+}
+
+export function concat(parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
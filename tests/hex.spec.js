@@ -0,0 +1,61 @@
+import { test, expect } from '@playwright/test';
+import {
+  findMatches,
+  formatHex,
+  formatPattern,
+  matchIndexAt,
+  parseClipboardText,
+  parsePattern,
+  replaceMatches
+} from '../hex.mjs';
+
+const bytes = (text) => new Uint8Array(Array.from(text, char => char.charCodeAt(0)));
+
+test.describe('Hex find and replace', () => {
+  test('parses hex, wildcard and text patterns', () => {
+    expect(parsePattern('49 44 ?? 54')).toEqual([0x49, 0x44, null, 0x54]);
+    expect(parsePattern('4944??54')).toEqual([0x49, 0x44, null, 0x54]);
+    expect(parsePattern('I?AT', 'text')).toEqual([0x49, 0x3F, 0x41, 0x54]);
+    expect(formatPattern([0x49, null, 0x0a])).toBe('49 ?? 0A');
+
+    expect(() => parsePattern('49 4')).toThrow('pairs of hex digits');
+    expect(() => parsePattern('4G')).toThrow('pairs of hex digits');
+    expect(() => parsePattern('  ')).toThrow('Nothing to search for');
+    expect(() => parsePattern('€', 'text')).toThrow('is not a single byte');
+  });
+
+  test('finds matches in order without overlaps', () => {
+    const buffer = bytes('IDAT IHDR IDAT aaaa');
+    expect(findMatches(buffer, parsePattern('IDAT', 'text'))).toEqual([0, 10]);
+    expect(findMatches(buffer, parsePattern('49 ?? ?? 54'))).toEqual([0, 10]);
+    expect(findMatches(buffer, parsePattern('49 ?? 44 52'))).toEqual([5]);
+    expect(findMatches(buffer, parsePattern('aa', 'text'))).toEqual([15, 17]);
+    expect(findMatches(buffer, parsePattern('?? ??'), 3)).toEqual([0, 2, 4]);
+    expect(findMatches(buffer, parsePattern('zz', 'text'))).toEqual([]);
+
+    expect(matchIndexAt([0, 10], 4, 3)).toBe(0);
+    expect(matchIndexAt([0, 10], 4, 4)).toBe(-1);
+    expect(matchIndexAt([0, 10], 4, 13)).toBe(1);
+  });
+
+  test('replaces matches as one edit, keeping wildcard bytes', () => {
+    const buffer = bytes('IDAT IHDR IDAT');
+    const edit = replaceMatches(buffer, [0, 10], 4, parsePattern('?? ?? 41 58'));
+    expect(edit.offset).toBe(0);
+    expect(String.fromCharCode(...edit.oldData)).toBe('IDAT IHDR IDAT');
+    expect(String.fromCharCode(...edit.newData)).toBe('IDAX IHDR IDAX');
+
+    expect(replaceMatches(buffer, [5], 4, parsePattern('tEXt', 'text')))
+      .toEqual({ offset: 5, oldData: bytes('IHDR'), newData: bytes('tEXt') });
+    expect(() => replaceMatches(buffer, [0], 4, parsePattern('00'))).toThrow('must be 4 bytes');
+  });
+
+  test('copies bytes as hex text and pastes hex or plain text', () => {
+    expect(formatHex(new Uint8Array([0x89, 0x50, 0x0a]))).toBe('89 50 0A');
+    expect([...parseClipboardText('89 50 0A')]).toEqual([0x89, 0x50, 0x0a]);
+    expect([...parseClipboardText('0x89, 0x50\n0x4e')]).toEqual([0x89, 0x50, 0x4e]);
+    expect([...parseClipboardText('IDAT')]).toEqual([0x49, 0x44, 0x41, 0x54]);
+    expect([...parseClipboardText('é')]).toEqual([0xc3, 0xa9]);
+    expect([...parseClipboardText('abc')]).toEqual([0x61, 0x62, 0x63]);
+  });
+});
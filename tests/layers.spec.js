@@ -0,0 +1,73 @@
+import { test, expect } from '@playwright/test';
+import {
+  applyLayer,
+  applyLayerStack,
+  evaluateLayers,
+  parseLayerStack,
+  reseedLayers,
+  serializeLayerStack,
+  stackSeed
+} from '../layers.mjs';
+import { groupLayer, noiseLayer } from './helpers.js';
+
+const info = { width: 4, height: 2, bytesPerPixel: 3, scanlineLength: 13, colorType: 2 };
+const pixelData = new Uint8Array(26).map((_, i) => (i % 13 ? i * 9 : 0));
+const swap = { id: 'sw', effectId: 'channel-swap', enabled: true, params: { probability: 50, swapType: 'rgb-bgr' }, seed: 7 };
+
+test.describe('Layer groups', () => {
+  test('apply their layers in order on the group input', () => {
+    const flat = applyLayerStack(pixelData, info, [noiseLayer(1), swap, noiseLayer(2)]);
+    expect(applyLayerStack(pixelData, info, [noiseLayer(1), groupLayer([swap, noiseLayer(2)])])).toEqual(flat);
+    expect(applyLayerStack(pixelData, info, [groupLayer([noiseLayer(1), groupLayer([swap])]), noiseLayer(2)])).toEqual(flat);
+
+    // Disabled groups and disabled layers inside them are skipped
+    expect(applyLayerStack(pixelData, info, [groupLayer([swap], { enabled: false })])).toEqual(pixelData);
+    expect(applyLayer(pixelData, info, groupLayer([{ ...swap, enabled: false }]))).toEqual(pixelData);
+  });
+
+  test('blend as one layer', () => {
+    const swapped = applyLayer(pixelData, info, swap);
+    expect(swapped).not.toEqual(pixelData);
+    const half = applyLayer(pixelData, info, groupLayer([swap], { opacity: 0.5 }));
+    for (let i = 1; i < 26; i++) {
+      expect(half[i]).toBe(pixelData[i] + Math.round((swapped[i] - pixelData[i]) * 0.5));
+    }
+    expect(applyLayer(pixelData, info, groupLayer([swap], { blendMode: 'darken' })))
+      .toEqual(pixelData.map((v, i) => (i % 13 ? Math.min(v, swapped[i]) : 0)));
+  });
+
+  test('report progress per top-level entry', () => {
+    const seen = [];
+    evaluateLayers(pixelData, info, [noiseLayer(1), groupLayer([swap, noiseLayer(2)])], { onLayer: index => seen.push(index) });
+    expect(seen).toEqual([0, 1]);
+  });
+
+  test('are saved and parsed with nested layers', () => {
+    const stack = serializeLayerStack([noiseLayer(1), groupLayer([swap, groupLayer([noiseLayer(2)], { id: 'h', name: 'Inner' })], { opacity: 0.5, collapsed: true })]);
+    expect(stack.layers[1]).toMatchObject({ type: 'group', name: 'Group 1', enabled: true, collapsed: true, opacity: 0.5 });
+    expect(stack.layers[1].layers[1]).not.toHaveProperty('collapsed');
+
+    const [, parsed] = parseLayerStack(JSON.stringify(stack));
+    expect(parsed).toMatchObject({ id: 'layer_1', type: 'group', name: 'Group 1', collapsed: true, opacity: 0.5 });
+    expect(parsed.layers.map(layer => layer.id)).toEqual(['layer_1.0', 'layer_1.1']);
+    expect(parsed.layers[1].layers[0]).toMatchObject({ id: 'layer_1.1.0', effectId: 'noise', seed: 2 });
+
+    expect(() => parseLayerStack([{ type: 'group', layers: [{ effectId: 'nope' }] }]))
+      .toThrow('Unknown effect "nope" in layer 0.0');
+    expect(() => parseLayerStack([{ type: 'group' }])).toThrow('Group 0 has no "layers" array');
+  });
+
+  test('reseed nested layers like a flat stack', () => {
+    const flat = reseedLayers([noiseLayer(1), swap, noiseLayer(2)], 42);
+    const nested = reseedLayers([noiseLayer(1), groupLayer([swap, groupLayer([noiseLayer(2)])])], 42);
+    expect([nested[0].seed, nested[1].layers[0].seed, nested[1].layers[1].layers[0].seed])
+      .toEqual(flat.map(layer => layer.seed));
+    expect(nested[1]).not.toHaveProperty('seed');
+  });
+
+  test('fold into one stack seed that follows the layer seeds', () => {
+    expect(stackSeed([noiseLayer(1), groupLayer([swap, noiseLayer(2)])])).toBe(stackSeed([noiseLayer(1), swap, noiseLayer(2)]));
+    expect(stackSeed([noiseLayer(1), swap])).not.toBe(stackSeed([noiseLayer(2), swap]));
+    expect(stackSeed(reseedLayers([noiseLayer(1), swap], 3))).not.toBe(stackSeed(reseedLayers([noiseLayer(1), swap], 4)));
+  });
+});
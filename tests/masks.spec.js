@@ -0,0 +1,110 @@
+import { test, expect } from '@playwright/test';
+import { inflateSync } from 'node:zlib';
+import { createMask, parseMask, rasterizeMask } from '../masks.mjs';
+import { compositeLayer } from '../blend.mjs';
+import { applyLayer, parseLayerStack, serializeLayerStack } from '../layers.mjs';
+import { parsePNG, decodeImage } from '../png.mjs';
+import { makePNG } from './helpers.js';
+
+const inflate = (data) => new Uint8Array(inflateSync(data));
+const rows = (coverage, width) => {
+  const out = [];
+  for (let i = 0; i < coverage.length; i += width) {
+    out.push([...coverage.subarray(i, i + width)].map(v => (v ? '#' : '.')).join(''));
+  }
+  return out;
+};
+
+test.describe('Masks', () => {
+  test('rasterizes rectangles, ellipses, polygons and brush strokes', () => {
+    const info = { width: 8, height: 4 };
+    expect(rows(rasterizeMask({ ...createMask('rect'), points: [[0.25, 0.25], [0.75, 1]] }, info), 8))
+      .toEqual(['........', '..####..', '..####..', '..####..']);
+    expect(rows(rasterizeMask({ ...createMask('ellipse'), points: [[0, 0], [1, 1]] }, info), 8))
+      .toEqual(['.######.', '########', '########', '.######.']);
+    expect(rows(rasterizeMask({ ...createMask('polygon'), points: [[0, 0], [1, 0], [0, 1]] }, info), 8))
+      .toEqual(['#######.', '#####...', '###.....', '#.......']);
+
+    const brush = { ...createMask('brush'), radius: 1, strokes: [[[0, 0.5], [1, 0.5]]] };
+    expect(rows(rasterizeMask(brush, info), 8)).toEqual(['........', '########', '########', '........']);
+  });
+
+  test('feathers edges and inverts coverage', () => {
+    const info = { width: 16, height: 1 };
+    const mask = { ...createMask('rect', { feather: 2 }), points: [[0.5, 0], [1, 1]] };
+    const feathered = rasterizeMask(mask, info);
+    for (let x = 1; x < 16; x++) expect(feathered[x]).toBeGreaterThanOrEqual(feathered[x - 1]);
+    expect(feathered[0]).toBe(0);
+    expect(feathered[15]).toBe(255);
+    expect(feathered[8]).toBeGreaterThan(0);
+    expect(feathered[8]).toBeLessThan(255);
+
+    const inverted = rasterizeMask({ ...mask, invert: true }, info);
+    expect([...inverted]).toEqual([...feathered].map(v => 255 - v));
+  });
+
+  test('scales brush radius and feather on proxies', () => {
+    const mask = { ...createMask('brush'), radius: 4, strokes: [[[0.5, 0.5]]] };
+    const area = coverage => coverage.reduce((sum, v) => sum + (v ? 1 : 0), 0);
+    const full = area(rasterizeMask(mask, { width: 32, height: 32 }));
+    const proxy = area(rasterizeMask(mask, { width: 16, height: 16, scale: 0.5 }));
+    expect(Math.abs(full / 4 - proxy)).toBeLessThanOrEqual(full / 20);
+  });
+
+  test('masked layers only change covered pixels', () => {
+    const png = makePNG(16, 16);
+    const { pixelData, imageInfo } = decodeImage(png, parsePNG(png).chunks, inflate);
+    const layer = {
+      effectId: 'noise', enabled: true, params: { amount: 100, monochrome: false }, seed: 3,
+      mask: { ...createMask('rect'), points: [[0, 0], [0.5, 1]] }
+    };
+    const out = applyLayer(pixelData, imageInfo, layer);
+    const unmasked = applyLayer(pixelData, imageInfo, { ...layer, mask: undefined });
+
+    for (let y = 0; y < 16; y++) {
+      const row = y * imageInfo.scanlineLength + 1;
+      expect(out.subarray(row, row + 32)).toEqual(unmasked.subarray(row, row + 32));
+      expect(out.subarray(row + 32, row + 64)).toEqual(pixelData.subarray(row + 32, row + 64));
+    }
+    expect(compositeLayer(pixelData, unmasked, imageInfo, { coverage: new Uint8Array(256) })).toEqual(pixelData);
+  });
+
+  test('selects pixels by luminance, hue range and edges', () => {
+    const info = { width: 4, height: 1, bytesPerPixel: 3, scanlineLength: 13 };
+    // Black, red, mid gray, blue
+    const pixelData = new Uint8Array([0, 0, 0, 0, 255, 0, 0, 128, 128, 128, 0, 0, 255]);
+    const coverage = mask => rows(rasterizeMask(mask, info, pixelData), 4)[0];
+
+    expect(coverage({ ...createMask('luminance'), min: 40, max: 100 })).toBe('..#.');
+    expect(coverage({ ...createMask('luminance'), min: 0, max: 12 })).toBe('#..#');
+    expect(coverage({ ...createMask('hue'), min: 200, max: 260 })).toBe('...#');
+    // Ranges with min > max wrap around red; grays have no hue
+    expect(coverage({ ...createMask('hue'), min: 330, max: 30 })).toBe('.#..');
+    expect(coverage({ ...createMask('hue', { invert: true }), min: 330, max: 30 })).toBe('#.##');
+    expect(() => rasterizeMask(createMask('hue'), info)).toThrow("needs the layer's input pixels");
+
+    const edges = { width: 6, height: 3, bytesPerPixel: 1, scanlineLength: 7 };
+    const step = new Uint8Array(21).map((_, i) => (i % 7 > 3 ? 255 : 0));
+    expect(rows(rasterizeMask(createMask('edges'), edges, step), 6)).toEqual(['..##..', '..##..', '..##..']);
+  });
+
+  test('masks are saved with the layer stack and validated on load', () => {
+    const mask = { ...createMask('polygon', { invert: true }), points: [[0, 0], [1, 0], [0.5, 1]] };
+    const stack = serializeLayerStack([
+      { id: 'a', effectId: 'noise', enabled: true, params: {}, seed: 1, mask },
+      { id: 'b', effectId: 'noise', enabled: true, params: {}, seed: 2 }
+    ]);
+    expect(stack.layers[1]).not.toHaveProperty('mask');
+
+    const [masked, plain] = parseLayerStack(JSON.stringify(stack));
+    expect(masked.mask).toEqual(mask);
+    expect(plain).not.toHaveProperty('mask');
+
+    expect(parseMask({ shape: 'brush', strokes: [[[0, 0], 'x', [1]]], feather: -3 }))
+      .toEqual({ shape: 'brush', points: [], feather: 0, invert: false, strokes: [[[0, 0]]], radius: 24 });
+    expect(parseMask({ shape: 'hue', min: 400, max: 'x', points: [[0, 0]] }))
+      .toEqual({ shape: 'hue', min: 360, max: 60, feather: 0, invert: false });
+    expect(() => parseLayerStack([{ effectId: 'noise', mask: { shape: 'star' } }]))
+      .toThrow('Invalid mask in layer 0: Unknown mask shape "star"');
+  });
+});
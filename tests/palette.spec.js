@@ -0,0 +1,49 @@
+import { test, expect } from '@playwright/test';
+import {
+  PALETTE_GLITCHES,
+  glitchPalette,
+  invertPalette,
+  randomizePalette,
+  rotatePalette,
+  shufflePalette,
+  sortPaletteByHue
+} from '../palette.mjs';
+
+// Three entries and a stray byte past the last full one
+const palette = new Uint8Array([255, 0, 0, 0, 255, 0, 0, 0, 255, 7]);
+const rgb = (data) => Array.from({ length: Math.floor(data.length / 3) }, (_, i) => [...data.subarray(i * 3, i * 3 + 3)]);
+
+test.describe('Palette glitches', () => {
+  test('rotates and inverts entries, keeping the length', () => {
+    expect(rgb(rotatePalette(palette, 1))).toEqual([[0, 0, 255], [255, 0, 0], [0, 255, 0]]);
+    expect(rotatePalette(palette, -1)).toEqual(rotatePalette(palette, 2));
+    expect(rotatePalette(palette, 3)).toEqual(palette);
+    expect(rotatePalette(palette, 1)[9]).toBe(7);
+
+    expect(rgb(invertPalette(palette))).toEqual([[0, 255, 255], [255, 0, 255], [255, 255, 0]]);
+    expect(invertPalette(palette)[9]).toBe(7);
+  });
+
+  test('shuffles and randomizes reproducibly from a seed', () => {
+    const shuffled = shufflePalette(palette, 5);
+    expect(shufflePalette(palette, 5)).toEqual(shuffled);
+    expect(rgb(shuffled).map(String).sort()).toEqual(rgb(palette).map(String).sort());
+
+    const random = randomizePalette(palette, 5);
+    expect(random).toHaveLength(palette.length);
+    expect(randomizePalette(palette, 5)).toEqual(random);
+    expect(randomizePalette(palette, 6)).not.toEqual(random);
+  });
+
+  test('sorts grays by lightness, then colors by hue', () => {
+    const mixed = new Uint8Array([0, 0, 255, 200, 200, 200, 255, 0, 0, 0, 255, 0, 20, 20, 20]);
+    expect(rgb(sortPaletteByHue(mixed))).toEqual([[20, 20, 20], [200, 200, 200], [255, 0, 0], [0, 255, 0], [0, 0, 255]]);
+  });
+
+  test('applies glitches by id', () => {
+    expect(PALETTE_GLITCHES.map(glitch => glitch.id)).toEqual(['rotate', 'shuffle', 'invert', 'sort', 'randomize']);
+    expect(glitchPalette(palette, 'rotate', { steps: 2 })).toEqual(rotatePalette(palette, 2));
+    expect(glitchPalette(palette, 'randomize', { seed: 9 })).toEqual(randomizePalette(palette, 9));
+    expect(() => glitchPalette(palette, 'melt')).toThrow('Unknown palette glitch "melt"');
+  });
+});
@@ -0,0 +1,312 @@
+import { test, expect } from '@playwright/test';
+import { inflateSync, deflateSync } from 'node:zlib';
+import {
+  parsePNG,
+  parseIHDR,
+  createChunk,
+  concatIDAT,
+  decodeImage,
+  encodeImage,
+  interlaceScanlines,
+  filterScanlines,
+  FILTER_STRATEGIES,
+  adam7PassIndex,
+  createITXt,
+  readITXt,
+  insertChunks,
+  removeChunks,
+  spliceBytes,
+  downscaleScanlines
+} from '../png.mjs';
+import { createSeededRNG, effectRegistry, getDefaultParams } from '../effects.mjs';
+import { makePNG, makeRawPNG } from './helpers.js';
+
+test.describe('PNG chunks', () => {
+  test('iTXt chunks round-trip UTF-8 text', () => {
+    const png = makePNG(8, 8);
+    const withText = insertChunks(png, parsePNG(png).chunks, [createITXt('Comment', 'glitched ✨', 'en', 'Kommentar')]);
+    const parsed = parsePNG(withText);
+
+    expect(parsed.isValid).toBe(true);
+    expect(parsed.chunks.map(c => c.type)).toEqual(['SIG', 'IHDR', 'iTXt', 'IDAT', 'IEND']);
+    expect(readITXt(withText, parsed.chunks[2])).toEqual({
+      keyword: 'Comment',
+      compressed: false,
+      languageTag: 'en',
+      translatedKeyword: 'Kommentar',
+      text: 'glitched ✨'
+    });
+
+    const stripped = removeChunks(withText, parsed.chunks, c => c.type === 'iTXt');
+    expect(stripped).toEqual(png);
+  });
+
+  test('splices bytes, fixing the length and CRC of the chunk they fall in', () => {
+    const png = insertChunks(makePNG(4, 4), parsePNG(makePNG(4, 4)).chunks, [createChunk('tEXt', new TextEncoder().encode('a\0b'))]);
+    const { chunks } = parsePNG(png);
+    const text = chunks.find(c => c.type === 'tEXt');
+
+    // Insert at the end of the data (just before the CRC) and delete inside it
+    const grown = spliceBytes(png, chunks, text.dataOffset + 3, 0, new TextEncoder().encode('cd'));
+    expect(grown.chunk).toBe(text);
+    const parsed = parsePNG(grown.buffer);
+    expect(parsed.isValid).toBe(true);
+    expect(parsed.chunks.find(c => c.type === 'tEXt').dataLength).toBe(5);
+
+    const shrunk = spliceBytes(grown.buffer, parsed.chunks, text.dataOffset + 2, 3, new Uint8Array(0));
+    expect(parsePNG(shrunk.buffer).chunks.find(c => c.type === 'tEXt').dataLength).toBe(2);
+    expect(parsePNG(shrunk.buffer).isValid).toBe(true);
+
+    // Edits across chunk boundaries, or without fix-up, are spliced as they are
+    const across = spliceBytes(png, chunks, text.offset - 2, 4, new Uint8Array(0));
+    expect(across.chunk).toBe(null);
+    expect(across.buffer.length).toBe(png.length - 4);
+    const plain = spliceBytes(png, chunks, text.dataOffset, 1, new Uint8Array([0x41, 0x42]), { fixChunk: false });
+    expect(plain.chunk).toBe(null);
+    expect(parsePNG(plain.buffer).isValid).toBe(false);
+  });
+});
+
+test.describe('Pixel formats', () => {
+  const inflate = (data) => new Uint8Array(inflateSync(data));
+  const deflate = (data) => deflateSync(data);
+
+  function decode(png) {
+    return decodeImage(png, parsePNG(png).chunks, inflate);
+  }
+
+  function reencode(png, decoded, options = {}) {
+    const result = encodeImage(png, parsePNG(png).chunks, decoded.pixelData, decoded.imageInfo, decoded.source, { deflate, ...options });
+    return { png: result, decoded: decode(result) };
+  }
+
+  test('unfilters 8-bit RGBA, or keeps the filtered bytes on request', () => {
+    // Two Sub-filtered rows of 2 RGBA pixels
+    const raw = new Uint8Array([1, 10, 20, 30, 255, 5, 5, 5, 0, 1, 1, 2, 3, 255, 1, 1, 1, 0]);
+    const png = makeRawPNG({ width: 2, height: 2, bitDepth: 8, colorType: 6 }, raw);
+
+    const { pixelData, imageInfo } = decode(png);
+    expect(imageInfo).toMatchObject({ bytesPerPixel: 4, scanlineLength: 9, filtered: false });
+    expect(Array.from(pixelData)).toEqual([0, 10, 20, 30, 255, 15, 25, 35, 255, 0, 1, 2, 3, 255, 2, 3, 4, 255]);
+
+    const filtered = decodeImage(png, parsePNG(png).chunks, inflate, { filtered: true });
+    expect(filtered.imageInfo.filtered).toBe(true);
+    expect(filtered.pixelData).toEqual(raw);
+  });
+
+  test('expands palette images through PLTE and tRNS', () => {
+    const plte = createChunk('PLTE', new Uint8Array([255, 0, 0, 0, 255, 0, 0, 0, 255]));
+    const trns = createChunk('tRNS', new Uint8Array([255, 128]));
+    // 2-bit indices 0,1,2,1 packed into one byte
+    const raw = new Uint8Array([0, 0b00011001, 0, 0b10010000]);
+    const png = makeRawPNG({ width: 4, height: 2, bitDepth: 2, colorType: 3 }, raw, [plte, trns]);
+
+    const decoded = decode(png);
+    expect(decoded.imageInfo).toMatchObject({ colorType: 6, bitDepth: 8, bytesPerPixel: 4, scanlineLength: 17, filtered: false });
+    expect(Array.from(decoded.pixelData.subarray(1, 17))).toEqual([
+      255, 0, 0, 255, 0, 255, 0, 128, 0, 0, 255, 255, 0, 255, 0, 128
+    ]);
+
+    const { png: out, decoded: again } = reencode(png, decoded);
+    expect(parseIHDR(out, parsePNG(out).chunks)).toMatchObject({ bitDepth: 2, colorType: 3 });
+    expect(again.pixelData).toEqual(decoded.pixelData);
+  });
+
+  test('maps edited palette pixels to the nearest entry', () => {
+    const plte = createChunk('PLTE', new Uint8Array([0, 0, 0, 255, 255, 255]));
+    const png = makeRawPNG({ width: 2, height: 1, bitDepth: 8, colorType: 3 }, new Uint8Array([0, 0, 1]), [plte]);
+
+    const decoded = decode(png);
+    decoded.pixelData.set([200, 210, 190], 1);
+    const { decoded: again } = reencode(png, decoded);
+    expect(Array.from(again.pixelData)).toEqual([0, 255, 255, 255, 255, 255, 255]);
+  });
+
+  test('scales 1-bit and 4-bit grayscale to 8-bit', () => {
+    const oneBit = makeRawPNG({ width: 8, height: 1, bitDepth: 1, colorType: 0 }, new Uint8Array([0, 0b10100000]));
+    expect(Array.from(decode(oneBit).pixelData)).toEqual([0, 255, 0, 255, 0, 0, 0, 0, 0]);
+
+    const fourBit = makeRawPNG({ width: 2, height: 1, bitDepth: 4, colorType: 0 }, new Uint8Array([0, 0x3F]));
+    const decoded = decode(fourBit);
+    expect(Array.from(decoded.pixelData)).toEqual([0, 51, 255]);
+    expect(reencode(fourBit, decoded).decoded.pixelData).toEqual(decoded.pixelData);
+  });
+
+  test('round-trips untouched 16-bit samples at full precision', () => {
+    // Two RGB pixels with distinct low bytes, second row Sub-filtered
+    const raw = new Uint8Array([
+      0, 0x12, 0x34, 0x56, 0x78, 0x9A, 0xBC, 0xDE, 0xF0, 0x01, 0x23, 0x45, 0x67,
+      1, 0x12, 0x34, 0x56, 0x78, 0x9A, 0xBC, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00
+    ]);
+    const png = makeRawPNG({ width: 2, height: 2, bitDepth: 16, colorType: 2 }, raw);
+
+    const decoded = decode(png);
+    expect(decoded.imageInfo).toMatchObject({ colorType: 2, bitDepth: 8, scanlineLength: 7 });
+    expect(Array.from(decoded.pixelData.subarray(0, 7))).toEqual([0, 0x12, 0x56, 0x9A, 0xDE, 0x01, 0x45]);
+    expect(Array.from(decoded.pixelData.subarray(7))).toEqual([0, 0x12, 0x56, 0x9A, 0x12, 0x56, 0x9A]);
+
+    decoded.pixelData[1] = 0xFF;
+    const { png: out } = reencode(png, decoded, { filter: 'none' });
+    const samples = inflate(concatIDAT(out, parsePNG(out).chunks));
+    expect(Array.from(samples.subarray(0, 13))).toEqual([
+      0, 0xFF, 0xFF, 0x56, 0x78, 0x9A, 0xBC, 0xDE, 0xF0, 0x01, 0x23, 0x45, 0x67
+    ]);
+  });
+
+  test('converts any format to RGBA8 on request', () => {
+    const plte = createChunk('PLTE', new Uint8Array([10, 20, 30, 40, 50, 60]));
+    const png = makeRawPNG({ width: 2, height: 1, bitDepth: 1, colorType: 3 }, new Uint8Array([0, 0b01000000]), [plte]);
+
+    const { png: out, decoded } = reencode(png, decode(png), { format: 'rgba8' });
+    const { chunks } = parsePNG(out);
+    expect(chunks.map(c => c.type)).toEqual(['SIG', 'IHDR', 'IDAT', 'IEND']);
+    expect(parseIHDR(out, chunks)).toMatchObject({ bitDepth: 8, colorType: 6 });
+    expect(Array.from(decoded.pixelData)).toEqual([0, 10, 20, 30, 255, 40, 50, 60, 255]);
+
+    const gray = makePNG(2, 1, 0);
+    const converted = reencode(gray, decode(gray), { format: 'rgba8' }).decoded;
+    expect(Array.from(converted.pixelData)).toEqual([0, 0, 0, 0, 255, 16, 16, 16, 255]);
+  });
+});
+
+test.describe('Adam7 interlacing', () => {
+  const inflate = (data) => new Uint8Array(inflateSync(data));
+  const deflate = (data) => deflateSync(data);
+
+  // Flat RGB scanlines where every pixel encodes its own position
+  function gradient(width, height) {
+    const scanline = 1 + width * 3;
+    const raw = new Uint8Array(height * scanline);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        raw.set([x * 20, y * 20, (x + y) * 10], y * scanline + 1 + x * 3);
+      }
+    }
+    return raw;
+  }
+
+  test('assigns every pixel of an 8x8 block to one pass', () => {
+    const counts = new Array(7).fill(0);
+    for (let y = 0; y < 8; y++) {
+      for (let x = 0; x < 8; x++) counts[adam7PassIndex(x, y)]++;
+    }
+    expect(counts).toEqual([1, 1, 2, 4, 8, 16, 32]);
+  });
+
+  test('de-interlaces into a flat image and re-interlaces on export', () => {
+    // 11x5 leaves some passes partially filled and pass 7 (odd rows) short
+    const flat = gradient(11, 5);
+    const png = makeRawPNG({ width: 11, height: 5, bitDepth: 8, colorType: 2, interlace: 1 }, interlaceScanlines(flat, 11, 5, 24));
+
+    const decoded = decodeImage(png, parsePNG(png).chunks, inflate);
+    expect(decoded.imageInfo).toMatchObject({ colorType: 2, scanlineLength: 34, interlace: 0, filtered: false });
+    expect(decoded.pixelData).toEqual(flat);
+
+    const kept = encodeImage(png, parsePNG(png).chunks, decoded.pixelData, decoded.imageInfo, decoded.source, { deflate, filter: 'none' });
+    expect(kept).toEqual(png);
+
+    const flattened = encodeImage(png, parsePNG(png).chunks, decoded.pixelData, decoded.imageInfo, decoded.source, { deflate, interlace: 0, filter: 'none' });
+    expect(parseIHDR(flattened, parsePNG(flattened).chunks).interlace).toBe(0);
+    expect(inflate(concatIDAT(flattened, parsePNG(flattened).chunks))).toEqual(flat);
+  });
+
+  test('interlaces non-interlaced and sub-byte images on request', () => {
+    const png = makeRawPNG({ width: 9, height: 3, bitDepth: 1, colorType: 0 }, new Uint8Array([
+      0, 0b10110011, 0b10000000,
+      0, 0b01010101, 0b00000000,
+      0, 0b11110000, 0b10000000
+    ]));
+    const decoded = decodeImage(png, parsePNG(png).chunks, inflate);
+
+    const interlaced = encodeImage(png, parsePNG(png).chunks, decoded.pixelData, decoded.imageInfo, decoded.source, { deflate, interlace: 1 });
+    expect(parseIHDR(interlaced, parsePNG(interlaced).chunks)).toMatchObject({ bitDepth: 1, interlace: 1 });
+    expect(decodeImage(interlaced, parsePNG(interlaced).chunks, inflate).pixelData).toEqual(decoded.pixelData);
+  });
+
+  test('clamps the interlace glitch pass to the seven Adam7 passes', () => {
+    const png = makePNG(16, 16);
+    const { pixelData, imageInfo } = decodeImage(png, parsePNG(png).chunks, inflate);
+    const glitch = effectRegistry.get('interlace-glitch');
+    const render = (mode, pass) => glitch.apply(pixelData, imageInfo, { mode, pass, amount: 100 }, 4);
+
+    for (const mode of ['stall', 'shift', 'corrupt']) {
+      expect(render(mode, 12)).toEqual(render(mode, 7));
+      expect(render(mode, 2.6)).toEqual(render(mode, 3));
+      expect(render(mode, -1)).toEqual(render(mode, 0));
+    }
+  });
+});
+
+test.describe('Filtering', () => {
+  const inflate = (data) => new Uint8Array(inflateSync(data));
+  const deflate = (data) => deflateSync(data);
+
+  for (const strategy of FILTER_STRATEGIES) {
+    test(`round-trips pixels with the ${strategy} strategy`, () => {
+      const png = makePNG(16, 8, 2);
+      const decoded = decodeImage(png, parsePNG(png).chunks, inflate);
+      const out = encodeImage(png, parsePNG(png).chunks, decoded.pixelData, decoded.imageInfo, decoded.source, {
+        deflate, filter: strategy, random: createSeededRNG(1)
+      });
+
+      const filterTypes = new Set();
+      const stream = inflate(concatIDAT(out, parsePNG(out).chunks));
+      for (let y = 0; y < 8; y++) filterTypes.add(stream[y * decoded.imageInfo.scanlineLength]);
+      if (strategy === 'none') expect([...filterTypes]).toEqual([0]);
+      if (strategy === 'paeth') expect([...filterTypes]).toEqual([4]);
+
+      expect(decodeImage(out, parsePNG(out).chunks, inflate).pixelData).toEqual(decoded.pixelData);
+    });
+  }
+
+  test('picks a predicting filter for gradients in adaptive mode', () => {
+    const pixels = makePNG(32, 4, 2);
+    const decoded = decodeImage(pixels, parsePNG(pixels).chunks, inflate);
+    const filtered = filterScanlines(decoded.pixelData, 32, 4, 24, 'adaptive');
+    for (let y = 0; y < 4; y++) expect(filtered[y * 97]).not.toBe(0);
+  });
+
+  test('draws random row types from the seeded function it is given', () => {
+    const png = makePNG(8, 32, 2);
+    const decoded = decodeImage(png, parsePNG(png).chunks, inflate);
+    const filter = seed => filterScanlines(decoded.pixelData, 8, 32, 24, 'random', createSeededRNG(seed));
+    expect(filter(5)).toEqual(filter(5));
+    expect(filter(5)).not.toEqual(filter(6));
+    expect(() => filterScanlines(decoded.pixelData, 8, 32, 24, 'random')).toThrow('seeded random function');
+  });
+
+  test('writes edited filtered bytes back untouched', () => {
+    const png = makePNG(4, 4, 6);
+    const decoded = decodeImage(png, parsePNG(png).chunks, inflate, { filtered: true });
+    decoded.pixelData[0] = 3; // Reinterpret the first row as Average-filtered
+
+    const out = encodeImage(png, parsePNG(png).chunks, decoded.pixelData, decoded.imageInfo, decoded.source, { deflate });
+    expect(inflate(concatIDAT(out, parsePNG(out).chunks))).toEqual(decoded.pixelData);
+  });
+});
+
+test.describe('Proxy resampling', () => {
+  const inflate = (data) => new Uint8Array(inflateSync(data));
+
+  test('box-averages scanlines and records the scale', () => {
+    const png = makeRawPNG({ width: 3, height: 2, bitDepth: 8, colorType: 0 },
+      new Uint8Array([0, 10, 20, 90, 0, 30, 40, 255]));
+    const { pixelData, imageInfo } = decodeImage(png, parsePNG(png).chunks, inflate);
+    const proxy = downscaleScanlines(pixelData, imageInfo, 2);
+
+    expect(proxy.imageInfo).toMatchObject({ width: 2, height: 1, scanlineLength: 3, scale: 0.5 });
+    // Edge block averages the two pixels it has
+    expect([...proxy.pixelData]).toEqual([0, 25, 173]);
+  });
+
+  test('scales effect distances so proxies match a downscaled render', () => {
+    const png = makePNG(32, 8, 2);
+    const { pixelData, imageInfo } = decodeImage(png, parsePNG(png).chunks, inflate);
+    const params = { ...getDefaultParams('channel-shift'), redShift: 50, greenShift: 0, blueShift: 0 };
+    const shift = effectRegistry.get('channel-shift');
+
+    const full = downscaleScanlines(shift.apply(pixelData, imageInfo, params, 1), imageInfo, 2);
+    const proxy = downscaleScanlines(pixelData, imageInfo, 2);
+    expect(shift.apply(proxy.pixelData, proxy.imageInfo, params, 1)).toEqual(full.pixelData);
+  });
+});
@@ -0,0 +1,54 @@
+import { test, expect } from '@playwright/test';
+import {
+  BUILTIN_PRESETS,
+  PRESETS_FORMAT,
+  createPreset,
+  exportPresets,
+  importPresets,
+  parsePreset,
+  presetLayers
+} from '../presets.mjs';
+
+const noise = { id: 'a', effectId: 'noise', enabled: true, params: { amount: 60, monochrome: true }, seed: 9, opacity: 0.5 };
+const group = { id: 'g', type: 'group', name: 'Group 1', enabled: true, layers: [{ ...noise, id: 'b' }] };
+
+test.describe('Presets', () => {
+  test('built-ins are valid stacks', () => {
+    expect(BUILTIN_PRESETS.map(p => p.name)).toEqual(['VHS', 'Corrupted JPEG', 'Datamosh']);
+    for (const preset of BUILTIN_PRESETS) {
+      expect(parsePreset(preset)).toMatchObject({ name: preset.name, kind: 'stack' });
+      expect(presetLayers(preset).length).toBeGreaterThan(1);
+    }
+  });
+
+  test('stack presets keep the whole stack, layer presets only the effect', () => {
+    const stack = createPreset(' Mine ', [noise, group]);
+    expect(stack).toMatchObject({ name: 'Mine', kind: 'stack' });
+    expect(stack.layers[0]).toMatchObject({ effectId: 'noise', seed: 9, opacity: 0.5 });
+    expect(stack.layers[0]).not.toHaveProperty('id');
+    expect(presetLayers(stack)[1].layers[0]).toMatchObject({ effectId: 'noise', seed: 9 });
+
+    expect(createPreset('Grain', [noise], 'layer'))
+      .toEqual({ name: 'Grain', kind: 'layer', layers: [{ effectId: 'noise', params: { amount: 60, monochrome: true } }] });
+    expect(() => createPreset('Grain', [group], 'layer')).toThrow('exactly one effect layer');
+    expect(() => createPreset('  ', [noise])).toThrow('A preset needs a name');
+  });
+
+  test('round-trip through a presets file', () => {
+    const saved = [createPreset('Mine', [noise, group]), createPreset('Grain', [noise], 'layer')];
+    const file = JSON.parse(JSON.stringify(exportPresets([...BUILTIN_PRESETS, ...saved])));
+    expect(file.format).toBe(PRESETS_FORMAT);
+    expect(file.presets.map(p => p.name)).toEqual(['Mine', 'Grain']);
+    expect(importPresets(JSON.stringify(file))).toEqual(saved);
+
+    // A plain stack file becomes one stack preset
+    expect(importPresets([{ effectId: 'noise' }], 'grain')).toMatchObject([{ name: 'grain', kind: 'stack' }]);
+
+    expect(() => importPresets({ format: PRESETS_FORMAT, version: 1, presets: [{ name: 'Bad', layers: [{ effectId: 'nope' }] }] }))
+      .toThrow('Invalid preset "Bad": Unknown effect "nope" in layer 0');
+    expect(() => importPresets({ format: PRESETS_FORMAT, version: 1, presets: [{ name: 'X', kind: 'brush', layers: [] }] }))
+      .toThrow('Unknown preset kind "brush" in "X"');
+    expect(() => importPresets({ format: PRESETS_FORMAT, version: 99, presets: [] })).toThrow('newer than this editor supports');
+    expect(() => importPresets({ hello: 1 })).toThrow('Not a GlitchEdit presets file');
+  });
+});
@@ -0,0 +1,113 @@
+import { test, expect } from '@playwright/test';
+import {
+  createProject,
+  parseProject,
+  matchesProjectSource,
+  diffBytes,
+  applyBytePatch,
+  embedRecipe,
+  extractRecipe,
+  stripRecipe,
+  restoreOriginal,
+  RECIPE_KEYWORD
+} from '../project.mjs';
+import { parseLayerStack } from '../layers.mjs';
+import { parsePNG, concatIDAT, createITXt, insertChunks } from '../png.mjs';
+import { makePNG } from './helpers.js';
+
+test.describe('Project files', () => {
+  test('byte patches round-trip', () => {
+    const reference = new Uint8Array(100).map((_, i) => i);
+    const current = reference.slice();
+    current[3] = 0xFF;
+    current[5] = 0xFE;
+    current[80] = 0x00;
+
+    const diff = diffBytes(reference, current);
+    expect(diff.patches.map(([offset]) => offset)).toEqual([3, 80]);
+    expect(applyBytePatch(reference, diff)).toEqual(current);
+
+    expect(diffBytes(reference, reference.slice())).toBeNull();
+    expect(applyBytePatch(reference, diffBytes(reference, current.slice(0, 50)))).toEqual(current.slice(0, 50));
+  });
+
+  test('embedded projects restore layers, history and selection', () => {
+    const png = makePNG(8, 8);
+    const layers = [{ id: 'layer_a', effectId: 'noise', enabled: true, params: { amount: 20, monochrome: true }, seed: 7 }];
+    const history = [{
+      type: 'edit', offset: 40, mode: 'raw',
+      oldData: new Uint8Array([1]), newData: new Uint8Array([2]),
+      timestamp: 0, description: 'Edit byte at 0x28'
+    }];
+
+    const json = JSON.stringify(createProject({
+      filename: 'test.png', originalBuffer: png, layers, editMode: 'raw',
+      history, historyIndex: 0, cursorOffset: 40, selectionStart: 40, selectionEnd: 47
+    }));
+    const project = parseProject(json);
+
+    expect(project.originalBuffer).toEqual(png);
+    expect(project.layers).toEqual(layers);
+    expect(project.history[0].newData).toEqual(new Uint8Array([2]));
+    expect(project.selection).toEqual({ cursorOffset: 40, selectionStart: 40, selectionEnd: 47 });
+    expect(parseLayerStack(json)[0].params.amount).toBe(20);
+  });
+
+  test('referenced projects verify their source PNG', () => {
+    const png = makePNG(8, 8);
+    const project = parseProject(createProject({ filename: 'test.png', originalBuffer: png, embed: false, layers: [] }));
+
+    expect(project.originalBuffer).toBeNull();
+    expect(matchesProjectSource(project, png)).toBe(true);
+    expect(matchesProjectSource(project, makePNG(9, 8))).toBe(false);
+  });
+
+  test('rejects files that are not projects', () => {
+    expect(() => parseProject('{"layers": []}')).toThrow(/Not a GlitchEdit project/);
+  });
+});
+
+test.describe('Embedded recipes', () => {
+  const layers = [{ id: 'layer_a', effectId: 'channel-shift', enabled: true, params: { redShift: 10, greenShift: 0, blueShift: -4 }, seed: 3 }];
+
+  test('recipes round-trip with the original pixels', () => {
+    const original = makePNG(8, 8);
+    const glitched = makePNG(8, 8, 2);
+    const chunks = parsePNG(original).chunks;
+    const ihdr = chunks.find(c => c.type === 'IHDR');
+    const source = {
+      ihdr: original.slice(ihdr.dataOffset, ihdr.dataOffset + 13),
+      idat: concatIDAT(original, chunks)
+    };
+
+    const exported = embedRecipe(glitched, parsePNG(glitched).chunks, layers, source);
+    expect(parsePNG(exported).isValid).toBe(true);
+
+    const recipe = extractRecipe(exported, parsePNG(exported).chunks);
+    expect(recipe.layers[0]).toMatchObject({ effectId: 'channel-shift', seed: 3, params: { redShift: 10 } });
+    expect(recipe.filteredBytes).toBe(false);
+    expect(restoreOriginal(exported, parsePNG(exported).chunks, recipe)).toEqual(original);
+  });
+
+  test('re-embedding replaces the previous recipe', () => {
+    const png = makePNG(8, 8);
+    const once = embedRecipe(png, parsePNG(png).chunks, layers);
+    const twice = embedRecipe(once, parsePNG(once).chunks, layers);
+
+    expect(twice).toEqual(once);
+    expect(stripRecipe(twice, parsePNG(twice).chunks)).toEqual(png);
+    expect(extractRecipe(png, parsePNG(png).chunks)).toBeNull();
+  });
+
+  test('recipes remember when layers ran on filtered bytes', () => {
+    const png = makePNG(8, 8);
+    const exported = embedRecipe(png, parsePNG(png).chunks, layers, null, { filteredBytes: true });
+    expect(extractRecipe(exported, parsePNG(exported).chunks).filteredBytes).toBe(true);
+  });
+
+  test('unreadable recipes are reported, not thrown', () => {
+    const png = makePNG(8, 8);
+    const broken = insertChunks(png, parsePNG(png).chunks, [createITXt(RECIPE_KEYWORD, '{"layers": [')]);
+    expect(extractRecipe(broken, parsePNG(broken).chunks)).toEqual({ error: expect.any(String) });
+  });
+});
@@ -0,0 +1,83 @@
+import { test, expect } from '@playwright/test';
+import { createSeededRNG, effectRegistry } from '../effects.mjs';
+import {
+  DEFAULT_RANDOMIZER,
+  EFFECT_CATEGORIES,
+  parseRandomizerConfig,
+  randomParams,
+  randomizeStack
+} from '../randomizer.mjs';
+
+const noise = (id, extra = {}) => ({ id, effectId: 'noise', enabled: true, params: { amount: 8, monochrome: false }, seed: 5, ...extra });
+const group = (layers) => ({ id: 'g', type: 'group', name: 'Group 1', enabled: true, collapsed: false, layers });
+const ids = () => {
+  let next = 0;
+  return () => `new_${next++}`;
+};
+
+test.describe('Randomizer', () => {
+  test('parses settings, clamping and ordering ranges', () => {
+    expect(parseRandomizerConfig(null)).toEqual(DEFAULT_RANDOMIZER);
+    const config = parseRandomizerConfig({
+      minLayers: 9, maxLayers: 40, minIntensity: 80, maxIntensity: 20, weights: { distortion: 9, generative: 0, color: 'x' }
+    });
+    expect(config).toMatchObject({ minLayers: 9, maxLayers: 12, minIntensity: 20, maxIntensity: 80 });
+    expect(config.weights).toMatchObject({ distortion: 5, generative: 0, color: 1 });
+    expect(Object.keys(config.weights)).toEqual(EFFECT_CATEGORIES);
+  });
+
+  test('picks effects by category weight within the layer count range', () => {
+    const weights = Object.fromEntries(EFFECT_CATEGORIES.map(category => [category, 0]));
+    const config = { ...DEFAULT_RANDOMIZER, minLayers: 2, maxLayers: 4, weights: { ...weights, distortion: 1, color: 1 } };
+    const random = createSeededRNG(7);
+
+    for (let i = 0; i < 20; i++) {
+      const layers = randomizeStack([noise('a')], config, { random, createId: ids() });
+      expect(layers.length).toBeGreaterThanOrEqual(2);
+      expect(layers.length).toBeLessThanOrEqual(4);
+      expect(new Set(layers.map(layer => layer.effectId)).size).toBe(layers.length);
+      for (const layer of layers) {
+        expect(['distortion', 'color']).toContain(effectRegistry.get(layer.effectId).category);
+        expect(layer.id).toMatch(/^new_/);
+      }
+    }
+
+    // Nothing to pick from leaves an empty stack
+    expect(randomizeStack([noise('a')], { ...config, weights }, { random, createId: ids() })).toEqual([]);
+  });
+
+  test('keeps sliders within the intensity bounds', () => {
+    const config = { ...DEFAULT_RANDOMIZER, minIntensity: 50, maxIntensity: 50 };
+    const random = createSeededRNG(3);
+    expect(randomParams(effectRegistry.get('noise'), config, random).amount).toBe(51);
+
+    // Ranges centered on zero go either way from zero
+    const seen = new Set();
+    for (let i = 0; i < 10; i++) {
+      const params = randomParams(effectRegistry.get('channel-shift'), config, random);
+      for (const value of Object.values(params)) seen.add(value);
+    }
+    expect([...seen].sort()).toEqual([-25, 25]);
+  });
+
+  test('leaves locked layers and params alone', () => {
+    const locked = noise('a', { locked: true, params: { amount: 3, monochrome: true } });
+    const partly = noise('b', { lockedParams: ['amount', 'seed'] });
+    const nested = group([noise('c', { locked: true })]);
+    const config = { ...DEFAULT_RANDOMIZER, minLayers: 5, maxLayers: 5 };
+    const layers = randomizeStack([noise('x'), locked, noise('y'), partly, nested], config, {
+      random: createSeededRNG(11), createId: ids()
+    });
+
+    expect(layers).toHaveLength(5);
+    expect(layers[0].id).toBe('new_0');
+    expect(layers[1]).toBe(locked);
+    expect(layers[2].id).toBe('new_1');
+    expect(layers[3]).toMatchObject({ id: 'b', effectId: 'noise', seed: 5, params: { amount: 8 } });
+    expect(layers[4]).toBe(nested);
+
+    // More locked entries than the range allows are all kept
+    expect(randomizeStack([locked, nested], { ...config, minLayers: 1, maxLayers: 1 }, { createId: ids() }))
+      .toEqual([locked, nested]);
+  });
+});
@@ -0,0 +1,58 @@
+import { test, expect } from '@playwright/test';
+import { inflateSync, deflateSync } from 'node:zlib';
+import { MAX_VARIATIONS, composeContactSheet, sweepVariations } from '../variations.mjs';
+import { reseedLayers } from '../layers.mjs';
+import { parsePNG, decodeImage, createPNG } from '../png.mjs';
+
+const noise = (id, seed) => ({ id, effectId: 'noise', enabled: true, params: { amount: 60, monochrome: false }, seed });
+const group = layers => ({ id: 'g', type: 'group', name: 'Group 1', enabled: true, layers });
+
+test.describe('Variations', () => {
+  test('sweep seeds like a batch run', () => {
+    const layers = [noise('a', 1), group([noise('b', 2)])];
+    const sweep = sweepVariations(layers, { count: 3, start: 5 });
+    expect(sweep.map(v => v.seed)).toEqual([5, 6, 7]);
+    expect(sweep[1].layers).toEqual(reseedLayers(layers, 6));
+    expect(layers[0].seed).toBe(1);
+
+    expect(() => sweepVariations(layers, { count: 1 })).toThrow(`A sweep needs 2 to ${MAX_VARIATIONS} variations`);
+    expect(() => sweepVariations(layers, { mode: 'params', count: 2 })).toThrow('Unknown sweep mode "params"');
+  });
+
+  test('sweep a param of a nested layer in even, rounded steps', () => {
+    const layers = [noise('a', 1), group([noise('b', 2)])];
+    const sweep = sweepVariations(layers, { mode: 'param', count: 4, layerId: 'b', paramId: 'amount', from: 0, to: 100, step: 5 });
+    expect(sweep.map(v => v.value)).toEqual([0, 35, 65, 100]);
+    expect(sweep[1].layers[1].layers[0].params).toEqual({ amount: 35, monochrome: false });
+    expect(sweep[1].layers[0]).toBe(layers[0]);
+    expect(sweep[1].layers[1].layers[0].seed).toBe(2);
+
+    expect(() => sweepVariations(layers, { mode: 'param', count: 2, layerId: 'x', paramId: 'amount' }))
+      .toThrow('No layer "x" in the stack');
+  });
+
+  test('lays out a contact sheet and encodes it as a PNG', () => {
+    const tile = (gray) => ({
+      pixelData: new Uint8Array(6).map((_, i) => (i % 3 ? gray : 0)),
+      imageInfo: { width: 2, height: 2, colorType: 0, channels: 1, bytesPerPixel: 1, scanlineLength: 3 }
+    });
+    const sheet = composeContactSheet([tile(10), tile(20), tile(30)], { columns: 2, gap: 1 });
+    expect(sheet.imageInfo).toMatchObject({ width: 5, height: 5, colorType: 6, scanlineLength: 21 });
+
+    const pixel = (x, y) => [...sheet.pixelData.subarray(y * 21 + 1 + x * 4, y * 21 + 5 + x * 4)];
+    expect(pixel(0, 0)).toEqual([10, 10, 10, 255]);
+    expect(pixel(2, 0)).toEqual([0, 0, 0, 0]);
+    expect(pixel(4, 1)).toEqual([20, 20, 20, 255]);
+    expect(pixel(1, 4)).toEqual([30, 30, 30, 255]);
+    expect(pixel(4, 4)).toEqual([0, 0, 0, 0]);
+
+    const png = createPNG(sheet.pixelData, sheet.imageInfo, { deflate: data => deflateSync(data) });
+    const { chunks, isValid } = parsePNG(png);
+    expect(isValid).toBe(true);
+    expect(chunks.filter(c => !c.isSignature).map(c => c.type)).toEqual(['IHDR', 'IDAT', 'IEND']);
+    expect(decodeImage(png, chunks, data => new Uint8Array(inflateSync(data))).pixelData).toEqual(sheet.pixelData);
+
+    expect(() => composeContactSheet([tile(1), { ...tile(2), imageInfo: { ...tile(2).imageInfo, width: 1 } }]))
+      .toThrow('must all be the same size');
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * GLITCHEDIT Variations Module
+ * Seed and param sweeps laid out as a contact sheet, shared between browser and Node.js
+ */
+
+import { isGroup, reseedLayers } from './layers.mjs';
+import { toRGBA } from './png.mjs';
+
+export const MAX_VARIATIONS = 64;
+
+// ========== SWEEPS ==========
+
+// One stack per variation, as { layers } plus the `seed` or param `value`
+// it was made with. Seed sweeps reseed the whole stack with `start`,
+// `start + 1`... like `glitchedit batch --seeds`. Param sweeps step the
+// param `paramId` of layer `layerId` evenly from `from` to `to`, rounded to
+// `step`. `layers` should have no keyframes (see layersAtFrame()), or
+// animated values win over the swept ones.
+export function sweepVariations(layers, { mode = 'seeds', count, start = 1, layerId, paramId, from, to, step = 1 }) {
+  if (!Number.isInteger(count) || count < 2 || count > MAX_VARIATIONS) {
+    throw new Error(`A sweep needs 2 to ${MAX_VARIATIONS} variations`);
+  }
+
+  if (mode === 'seeds') {
+    return Array.from({ length: count }, (_, i) => ({
+      seed: start + i,
+      layers: reseedLayers(layers, start + i)
+    }));
+  }
+  if (mode !== 'param') throw new Error(`Unknown sweep mode "${mode}"`);
+  if (!findSweepLayer(layers, layerId)) throw new Error(`No layer "${layerId}" in the stack`);
+
+  return Array.from({ length: count }, (_, i) => {
+    const value = +(Math.round((from + ((to - from) * i) / (count - 1)) / step) * step).toFixed(4);
+    return {
+      value,
+      layers: withParam(layers, layerId, paramId, value)
+    };
+  });
+}
+
+function findSweepLayer(layers, layerId) {
+  for (const layer of layers) {
+    if (layer.id === layerId) return layer;
+    const nested = isGroup(layer) && findSweepLayer(layer.layers, layerId);
+    if (nested) return nested;
+  }
+  return null;
+}
+
+function withParam(layers, layerId, paramId, value) {
+  return layers.map(layer => {
+    if (layer.id === layerId) return { ...layer, params: { ...layer.params, [paramId]: value } };
+    return isGroup(layer) ? { ...layer, layers: withParam(layer.layers, layerId, paramId, value) } : layer;
+  });
+}
+
+// ========== CONTACT SHEET ==========
+
+// Lay out same-sized 8-bit images ({ pixelData, imageInfo }) left to right,
+// top to bottom in `columns` columns, `gap` pixels apart, on a transparent
+// background. Returns RGBA scanlines and their imageInfo.
+export function composeContactSheet(tiles, { columns = Math.ceil(Math.sqrt(tiles.length)), gap = 4 } = {}) {
+  if (tiles.length === 0) throw new Error('A contact sheet needs at least one image');
+  const { width: tileWidth, height: tileHeight } = tiles[0].imageInfo;
+  const rows = Math.ceil(tiles.length / columns);
+  const width = columns * tileWidth + (columns - 1) * gap;
+  const height = rows * tileHeight + (rows - 1) * gap;
+  const scanlineLength = 1 + width * 4;
+  const pixelData = new Uint8Array(height * scanlineLength);
+
+  tiles.forEach(({ pixelData: tile, imageInfo }, index) => {
+    if (imageInfo.width !== tileWidth || imageInfo.height !== tileHeight) {
+      throw new Error('Contact sheet images must all be the same size');
+    }
+    const rgba = toRGBA(tile, imageInfo);
+    const x = (index % columns) * (tileWidth + gap);
+    const y = Math.floor(index / columns) * (tileHeight + gap);
+    for (let row = 0; row < tileHeight; row++) {
+      const src = row * tileWidth * 4;
+      pixelData.set(rgba.subarray(src, src + tileWidth * 4), (y + row) * scanlineLength + 1 + x * 4);
+    }
+  });
+
+  return {
+    pixelData,
+    imageInfo: { width, height, bitDepth: 8, colorType: 6, channels: 4, bytesPerPixel: 4, scanlineLength }
+  };
+}